@@ -9,7 +9,12 @@ import { swaggerDocs, swaggerUi } from './swagger.js';
 import apiLimiter from '../src/middlewares/rate-limit-validator.js';
 
 import authRoutes from '../src/auth/auth.routes.js';
+import wellKnownRoutes from '../src/auth/wellKnown.routes.js';
 import userRoutes from '../src/user/user.routes.js';
+import serviceAccountRoutes from '../src/serviceAccount/serviceAccount.routes.js';
+import departmentRoutes from '../src/department/department.routes.js';
+import permissionRoutes from '../src/permission/permission.routes.js';
+import delegationRoutes from '../src/delegation/delegation.routes.js';
 import cardexRouter from '../src/cardex/cardex.routes.js';
 import inventoryRoutes from '../src/Inventory/inventory.routes.js';
 import correspondenciaRoutes from '../src/correspondencia/correspondencia.routes.js';
@@ -18,6 +23,11 @@ import auditApiRoutes from '../src/movements/audit.routes.js';
 import { mountAuditUI } from '../src/movements/audit.ui.routes.js';
 
 import { ensureDefaultAdmin } from '../src/bootstrap/ensure-admin.js';
+import { ensureDepartments } from '../src/bootstrap/ensure-departments.js';
+import { ensurePermissions } from '../src/bootstrap/ensure-permissions.js';
+import { loadKeyRing } from '../src/helpers/jwt-keys.js';
+import { assertAppSecrets } from '../src/helpers/secrets.js';
+import { checkOidcConfig } from '../src/helpers/oidc.js';
 import { connectMongo } from './mongo.js';
 import { attachAudit } from '../src/movements/movement.controller.js';
 
@@ -69,9 +79,14 @@ const middlewares = (app) => {
 
 const routes = (app) => {
   app.get('/health', (_req, res) => res.json({ ok: true, ts: new Date().toISOString() }));
+  app.use('/.well-known', wellKnownRoutes);
 
   app.use('/digecur/v1/auth', authRoutes);
   app.use('/digecur/v1/users', userRoutes);
+  app.use('/digecur/v1/service-accounts', serviceAccountRoutes);
+  app.use('/digecur/v1/departments', departmentRoutes);
+  app.use('/digecur/v1/permissions', permissionRoutes);
+  app.use('/digecur/v1/delegations', delegationRoutes);
   app.use('/digecur/v1/inventory', inventoryRoutes);
   app.use('/digecur/v1/cardex', cardexRouter);
   app.use('/digecur/v1/correspondencia', correspondenciaRoutes);
@@ -88,8 +103,14 @@ const routes = (app) => {
 export const initServer = async () => {
   const app = express();
   try {
+    // Falla rápido si las llaves JWT o los secretos faltan o son inválidos (obligatorios en producción)
+    loadKeyRing();
+    assertAppSecrets();
+    checkOidcConfig();
     middlewares(app);
     await connectMongo();
+    await ensureDepartments();
+    await ensurePermissions();
     await ensureDefaultAdmin();
 
     routes(app);
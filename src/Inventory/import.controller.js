@@ -0,0 +1,250 @@
+// src/Inventory/import.controller.js
+import InventoryItem from './item.model.js';
+import User from '../user/user.model.js';
+import { csvSeparator } from '../helpers/csv.js';
+import { readSheetRows, sendImportReport } from '../helpers/spreadsheet-import.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const MAX_ROWS = Math.max(1, parseInt(process.env.INVENTORY_IMPORT_MAX_ROWS || '5000', 10) || 5000);
+const TAGS = ['inventory', 'import'];
+
+// Encabezados aceptados (sin tildes ni espacios, ver headerKey) -> campo
+const HEADER_ALIASES = {
+  nobien: 'noBien', numerobien: 'noBien', numerodebien: 'noBien', nodebien: 'noBien', codigo: 'noBien',
+  nombrebien: 'nombreBien', nombredelbien: 'nombreBien', bien: 'nombreBien', nombre: 'nombreBien',
+  descripcion: 'descripcion', detalle: 'descripcion',
+  numerotarjeta: 'numeroTarjeta', notarjeta: 'numeroTarjeta', tarjeta: 'numeroTarjeta',
+  monto: 'monto', valor: 'monto', precio: 'monto',
+  responsable: 'responsable', nombreresponsable: 'responsable', correoresponsable: 'responsable', emailresponsable: 'responsable',
+  observaciones: 'observaciones', observacion: 'observaciones', notas: 'observaciones',
+  activo: 'isActive', estado: 'isActive', isactive: 'isActive',
+};
+
+const nameKey = (s) =>
+  String(s ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+
+const userLabel = (u) => u.nombre || u.email;
+
+// "Q 1,250.50" / "1250,5" -> número; undefined si viene vacío; NaN si no es válido
+function parseMonto(raw) {
+  const s = String(raw ?? '').replace(/[Qq$\s]/g, '');
+  if (!s) return undefined;
+  const normalized = s.includes('.') ? s.replace(/,/g, '') : s.replace(/,(\d{1,2})$/, '.$1').replace(/,/g, '');
+  return /^-?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+}
+
+// Sí/No, Activo/Inactivo, TRUE/FALSE, 1/0; undefined si viene vacío; null si no se reconoce
+function parseActive(raw) {
+  const v = nameKey(raw);
+  if (!v) return undefined;
+  if (['si', 'true', '1', 'activo', 'activa', 'x'].includes(v)) return true;
+  if (['no', 'false', '0', 'inactivo', 'inactiva', 'baja'].includes(v)) return false;
+  return null;
+}
+
+/** Índices de usuarios (no eliminados) por correo y por nombre para resolver responsables. */
+async function loadUserIndex() {
+  const users = await User.find({ deletedAt: null }).select('email nombre isActive').lean();
+  const byEmail = new Map();
+  const byName = new Map();
+  for (const u of users) {
+    if (u.email) byEmail.set(u.email.toLowerCase(), u);
+    const k = nameKey(u.nombre);
+    if (k) byName.set(k, [...(byName.get(k) || []), u]);
+  }
+  return { byEmail, byName };
+}
+
+/** Usuario del responsable (correo o nombre completo) o el error de la fila. */
+function resolveResponsable(raw, index) {
+  if (raw.includes('@')) {
+    const u = index.byEmail.get(raw.toLowerCase());
+    return u ? { user: u } : { error: `Responsable no encontrado: ${raw}` };
+  }
+  const matches = index.byName.get(nameKey(raw)) || [];
+  if (!matches.length) return { error: `Responsable no encontrado: ${raw}` };
+  if (matches.length > 1) return { error: `Responsable ambiguo: ${raw} (${matches.length} usuarios); usa el correo` };
+  return { user: matches[0] };
+}
+
+/**
+ * Valida cada fila y decide la acción (CREATE / UPDATE / UNCHANGED). Muta `row`.
+ * - noBien obligatorio, único en el archivo; en mode=create no debe existir en la base.
+ * - El responsable de un bien existente con responsable no se cambia por importación:
+ *   eso va por solicitud de traslado (con documento firmado).
+ */
+async function validateRows(rows, { mode }) {
+  const index = await loadUserIndex();
+  const noBienes = [...new Set(rows.map((r) => String(r.noBien || '').toUpperCase()).filter(Boolean))];
+  const existing = new Map(
+    (await InventoryItem.find({ noBien: { $in: noBienes } }).lean()).map((it) => [it.noBien, it])
+  );
+  const seen = new Map();
+
+  for (const row of rows) {
+    const errors = [];
+    const warnings = [];
+    const noBien = String(row.noBien || '').toUpperCase();
+
+    if (!noBien) errors.push('noBien es obligatorio');
+    else if (seen.has(noBien)) errors.push(`noBien repetido en la fila ${seen.get(noBien)}`);
+    else seen.set(noBien, row.row);
+
+    const current = noBien ? existing.get(noBien) : null;
+    if (current && mode === 'create') errors.push(`El noBien ya existe (${noBien})`);
+    if (!current && !row.nombreBien) errors.push('nombreBien es obligatorio');
+
+    const data = {};
+    for (const f of ['nombreBien', 'descripcion', 'numeroTarjeta', 'observaciones']) {
+      if (row[f]) data[f] = row[f];
+    }
+
+    const monto = parseMonto(row.monto);
+    if (Number.isNaN(monto) || monto < 0) errors.push(`Monto inválido: ${row.monto}`);
+    else if (monto !== undefined) data.monto = monto;
+
+    const active = parseActive(row.isActive);
+    if (active === null) errors.push(`Estado inválido: ${row.isActive} (Sí/No)`);
+    else if (active !== undefined) data.isActive = active;
+
+    if (row.responsable) {
+      const { user, error } = resolveResponsable(row.responsable, index);
+      if (error) errors.push(error);
+      else {
+        if (user.isActive === false) warnings.push(`El responsable ${userLabel(user)} está inactivo`);
+        if (current?.responsableId && String(current.responsableId) !== String(user._id)) {
+          errors.push('El bien ya tiene otro responsable: el cambio se hace con una solicitud de traslado');
+        } else {
+          data.responsableId = user._id;
+          data.responsable = userLabel(user);
+        }
+      }
+    }
+
+    let action = 'CREATE';
+    if (current) {
+      const changed = Object.keys(data).filter((k) =>
+        k === 'responsableId' ? String(current.responsableId || '') !== String(data.responsableId) : current[k] !== data[k]);
+      action = changed.length ? 'UPDATE' : 'UNCHANGED';
+      row.changes = changed.filter((k) => k !== 'responsableId');
+    }
+
+    Object.assign(row, {
+      noBien: noBien || row.noBien,
+      data,
+      current,
+      action: errors.length ? null : action,
+      errors,
+      warnings,
+      status: errors.length ? 'ERROR' : 'VALID',
+    });
+  }
+}
+
+/** Aplica una fila válida; deja el resultado en row.status / row.id. */
+async function applyRow(row) {
+  if (row.action === 'UNCHANGED') {
+    Object.assign(row, { id: row.current._id, status: 'UNCHANGED' });
+    return;
+  }
+  if (row.action === 'CREATE') {
+    const item = await InventoryItem.create({ noBien: row.noBien, ...row.data });
+    Object.assign(row, { id: item._id, status: 'CREATED' });
+    return;
+  }
+  // Upsert: sólo las celdas con valor (row.data)
+  await InventoryItem.updateOne({ _id: row.current._id }, { $set: row.data }, { runValidators: true });
+  Object.assign(row, { id: row.current._id, status: 'UPDATED' });
+}
+
+const REPORT_HEADERS = ['Fila', 'No. bien', 'Nombre del bien', 'Número de tarjeta', 'Monto', 'Responsable', 'Acción', 'Estado', 'Detalle', 'ID'];
+const reportRow = (r) => [
+  r.row, r.noBien || '', r.data?.nombreBien ?? r.current?.nombreBien ?? r.nombreBien ?? '',
+  r.data?.numeroTarjeta ?? r.current?.numeroTarjeta ?? '',
+  r.data?.monto ?? r.current?.monto ?? '',
+  r.data?.responsable ?? r.current?.responsable ?? r.responsable ?? '',
+  r.action || '', r.status, [...(r.errors || []), ...(r.warnings || [])].join('; '), r.id ? String(r.id) : '',
+];
+
+/**
+ * POST /inventory/import?dryRun=true|false&mode=create|upsert&report=json|csv|xlsx&sep=;
+ * multipart: file (.csv o .xlsx). Columnas: noBien, nombreBien, descripcion?, numeroTarjeta?,
+ * monto?, responsable? (correo o nombre completo del usuario), observaciones?, activo? (Sí/No).
+ *
+ * - dryRun (por defecto true): sólo valida y devuelve la acción por fila.
+ * - mode=create (por defecto): un noBien que ya existe es error.
+ *   mode=upsert: actualiza los bienes existentes con las celdas que traen valor.
+ * Las filas con errores se omiten en la ejecución real; el resto se procesa.
+ * `report=csv|xlsx` devuelve el resultado por fila como archivo descargable.
+ */
+export const importItems = async (req, res) => {
+  const dryRun = String(req.query.dryRun ?? 'true').toLowerCase() !== 'false';
+  const mode = String(req.query.mode || 'create').toLowerCase();
+  const report = String(req.query.report || 'json').toLowerCase();
+
+  if (!['create', 'upsert'].includes(mode)) return handleErrorResponse(res, 400, 'mode inválido (create, upsert)');
+  if (!['json', 'csv', 'xlsx'].includes(report)) return handleErrorResponse(res, 400, 'report inválido (json, csv, xlsx)');
+  if (!req.file?.buffer) return handleErrorResponse(res, 400, 'Adjunta el archivo en el campo "file"');
+
+  try {
+    const rows = readSheetRows(req.file, { aliases: HEADER_ALIASES, required: ['noBien', 'nombreBien'], maxRows: MAX_ROWS });
+    await validateRows(rows, { mode });
+
+    if (!dryRun) {
+      for (const row of rows.filter((r) => r.status === 'VALID')) {
+        try {
+          await applyRow(row);
+        } catch (e) {
+          row.status = 'FAILED';
+          row.errors.push(e?.code === 11000 ? `El noBien ya existe (${row.noBien})` : e.message);
+        }
+      }
+    }
+
+    const summary = rows.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), { total: rows.length });
+    if (dryRun) {
+      summary.actions = rows.reduce((acc, r) => (r.action ? { ...acc, [r.action]: (acc[r.action] || 0) + 1 } : acc), {});
+    }
+
+    await logActivity({
+      req, action: dryRun ? 'INVENTORY_IMPORT_DRY_RUN' : 'INVENTORY_IMPORT', entity: 'INVENTORY_ITEM',
+      statusCode: 200, success: true, tags: TAGS,
+      message: `${req.file.originalname} (${mode}): ${JSON.stringify(summary)}`,
+    });
+
+    if (report !== 'json') {
+      return sendImportReport(res, {
+        name: 'importacion_inventario', headers: REPORT_HEADERS, rows: rows.map(reportRow), format: report, sep: csvSeparator(req.query.sep),
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: dryRun ? 'Validación completada (sin cambios)' : 'Importación completada',
+      dryRun,
+      mode,
+      summary,
+      rows: rows.map((r) => ({
+        row: r.row,
+        noBien: r.noBien,
+        action: r.action,
+        status: r.status,
+        ...(r.changes?.length ? { changes: r.changes } : {}),
+        responsable: r.data.responsable ?? null,
+        responsableId: r.data.responsableId ?? null,
+        errors: r.errors,
+        warnings: r.warnings,
+        ...(r.id ? { id: r.id } : {}),
+      })),
+    });
+  } catch (err) {
+    if (err.status) {
+      await logActivity({ req, action: 'INVENTORY_IMPORT_FAIL', entity: 'INVENTORY_ITEM', statusCode: err.status, success: false, error: err.message, tags: TAGS });
+      return handleErrorResponse(res, err.status, err.message);
+    }
+    console.error('Error al importar inventario:', err);
+    await logActivity({ req, action: 'INVENTORY_IMPORT_FAIL', entity: 'INVENTORY_ITEM', statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al importar inventario', err.message);
+  }
+};
@@ -6,6 +6,8 @@ import TransferRequest, { TRANSFER_STATUS } from './transferRequest.model.js';
 import User from '../user/user.model.js';
 import { handleErrorResponse } from '../helpers/handleResponse.js';
 import { logActivity } from '../movements/movement.controller.js';
+import { delegatorsFor, onBehalfLabel } from '../helpers/delegations.js';
+import { isServiceActor } from '../helpers/api-keys.js';
 // 🔻 Eliminado: sendMail y crypto
 
 /* ============================= Helpers genéricos ============================= */
@@ -29,10 +31,23 @@ const fetchUserLabelById = async (oid) => {
   }
 };
 // ✅ Alineado a tus roles actuales
-const userHasInventoryRole = (req) => {
-  const roles = Array.isArray(req?.user?.roles) ? req.user.roles.map(String) : [];
+const hasInventoryRole = (u) => {
+  const roles = Array.isArray(u?.roles) ? u.roles.map(String) : [];
   return roles.some((r) => ['ADMIN', 'DIRECTOR', 'JEFE', 'TECNICO'].includes(r.toUpperCase()));
 };
+const userHasInventoryRole = (req) => hasInventoryRole(req?.user);
+
+/**
+ * Revisor de un traslado: si el permiso llegó por delegación (req.delegators, ver
+ * require-permission) se registra el delegante con rol de inventario aunque el
+ * delegado también tenga ese rol; si no, el propio usuario.
+ * @returns {{ onBehalfOf: object|null } | null}
+ */
+const transferReviewer = (req) => {
+  const delegator = (req.delegators || []).find(hasInventoryRole);
+  if (delegator) return { onBehalfOf: delegator };
+  return userHasInventoryRole(req) ? { onBehalfOf: null } : null;
+};
 const escapeRx = (s = '') => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 const sanitizeItem = (it) => {
@@ -186,7 +201,7 @@ export const getAllItems = async (req, res) => {
 
     const filter = buildFilter(req.query);
 
-    if (String(req.query.mine || '').toLowerCase() === '1' && req.user) {
+    if (String(req.query.mine || '').toLowerCase() === '1' && req.user && !isServiceActor(req.user)) {
       const myId = req.user?.id || req.user?._id;
       const myEmail = (req.user?.email || '').trim();
       const myName  = (req.user?.nombre || '').trim();
@@ -407,6 +422,7 @@ export const createOrConfirmTransferRequest = async (req, res) => {
       toUser,
       motivo: motivo || '',
       status: TRANSFER_STATUS.PENDING,
+      createdBy: fromUser,
     });
 
     const created = await TransferRequest.findById(tr._id)
@@ -440,14 +456,17 @@ export const getTransferRequestsList = async (req, res) => {
     const skip = (page - 1) * limit;
 
     const filter = {};
-    const isInv = userHasInventoryRole(req);
     const { status, item } = req.query;
     if (status) filter.status = String(status).toUpperCase();
     if (item) filter.item = String(item);
 
-    if (!isInv) {
-      const uid = req.user?.id || req.user?._id?.toString?.();
-      filter.$or = [{ fromUser: uid }, { toUser: uid }];
+    // Sin rol de inventario: sólo las propias y las de quienes delegaron en el usuario
+    if (!userHasInventoryRole(req)) {
+      const delegators = await delegatorsFor(req.user, 'inventory');
+      if (!delegators.some(hasInventoryRole)) {
+        const uids = [req.user?.id || req.user?._id?.toString?.(), ...delegators.map((d) => d.id)];
+        filter.$or = [{ fromUser: { $in: uids } }, { toUser: { $in: uids } }];
+      }
     }
 
     const [total, docs] = await Promise.all([
@@ -460,6 +479,7 @@ export const getTransferRequestsList = async (req, res) => {
         .populate('fromUser', 'email nombre')
         .populate('toUser', 'email nombre')
         .populate('decidedBy', 'email nombre')
+        .populate('decidedOnBehalfOf', 'email nombre')
         .lean(),
     ]);
 
@@ -495,6 +515,7 @@ export const getTransferRequestDetail = async (req, res) => {
       .populate('fromUser', 'email nombre')
       .populate('toUser', 'email nombre')
       .populate('decidedBy', 'email nombre')
+      .populate('decidedOnBehalfOf', 'email nombre')
       .lean();
     if (!tr) return handleErrorResponse(res, 404, 'Solicitud no encontrada');
     return res.status(200).json({ success: true, request: tr });
@@ -527,10 +548,12 @@ export const uploadTransferSignedDoc = async (req, res) => {
 
 export const approveTransferRequest = async (req, res) => {
   try {
-    if (!userHasInventoryRole(req)) {
+    const reviewer = transferReviewer(req);
+    if (!reviewer) {
       return handleErrorResponse(res, 403, 'No autorizado para aprobar solicitudes');
     }
     const approverId = req.user?.id || req.user?._id;
+    const onBehalfOf = reviewer.onBehalfOf?.id || null;
     const { requestId } = req.params;
 
     const tr = await TransferRequest.findById(requestId)
@@ -545,6 +568,7 @@ export const approveTransferRequest = async (req, res) => {
         .populate('fromUser', 'email nombre')
         .populate('toUser', 'email nombre')
         .populate('decidedBy', 'email nombre')
+        .populate('decidedOnBehalfOf', 'email nombre')
         .lean();
       return res.status(200).json({ success: true, message: 'La solicitud ya fue resuelta', request: populated, alreadyResolved: true });
     }
@@ -560,6 +584,10 @@ export const approveTransferRequest = async (req, res) => {
 
     const to = await User.findById(tr.toUser._id).lean();
     if (!to) return handleErrorResponse(res, 404, 'Usuario destino no encontrado');
+    // Baja (ver offboarding.controller.js): los bienes no pueden quedar a cargo de una cuenta inactiva
+    if (to.isActive === false || to.deletedAt) {
+      return handleErrorResponse(res, 409, 'El usuario destino está inactivo o fue dado de baja: rechaza la solicitud');
+    }
 
     const beforeItem = item.toObject();
     item.responsableId = to._id;
@@ -567,7 +595,7 @@ export const approveTransferRequest = async (req, res) => {
     await item.save();
 
     await TransferRequest.findByIdAndUpdate(requestId, {
-      $set: { status: TRANSFER_STATUS.APPROVED, decidedBy: approverId, decidedAt: new Date() }
+      $set: { status: TRANSFER_STATUS.APPROVED, decidedBy: approverId, decidedOnBehalfOf: onBehalfOf, decidedAt: new Date() }
     });
 
     const populated = await TransferRequest.findById(requestId)
@@ -575,11 +603,13 @@ export const approveTransferRequest = async (req, res) => {
       .populate('fromUser', 'email nombre')
       .populate('toUser', 'email nombre')
       .populate('decidedBy', 'email nombre')
+      .populate('decidedOnBehalfOf', 'email nombre')
       .lean();
 
     await logActivity({
       req, action: 'INVENTORY_TR_APPROVE', entity: 'TRANSFER_REQUEST', entityId: requestId,
-      statusCode: 200, success: true, message: 'Solicitud aprobada y responsable actualizado',
+      statusCode: 200, success: true,
+      message: `Solicitud aprobada y responsable actualizado${reviewer.onBehalfOf ? ` (${onBehalfLabel(req.user, reviewer.onBehalfOf)})` : ''}`,
       before: { item: sanitizeItem(beforeItem) }, after: { item: sanitizeItem(item) }, tags: ['inventory']
     });
 
@@ -597,7 +627,8 @@ export const approveTransferRequest = async (req, res) => {
 
 export const rejectTransferRequest = async (req, res) => {
   try {
-    if (!userHasInventoryRole(req)) {
+    const reviewer = transferReviewer(req);
+    if (!reviewer) {
       return handleErrorResponse(res, 403, 'No autorizado para rechazar solicitudes');
     }
     const approverId = req.user?.id || req.user?._id;
@@ -613,6 +644,7 @@ export const rejectTransferRequest = async (req, res) => {
         .populate('fromUser', 'email nombre')
         .populate('toUser', 'email nombre')
         .populate('decidedBy', 'email nombre')
+        .populate('decidedOnBehalfOf', 'email nombre')
         .lean();
       return res.status(200).json({ success: true, message: 'La solicitud ya fue resuelta', request: populated, alreadyResolved: true });
     }
@@ -620,6 +652,7 @@ export const rejectTransferRequest = async (req, res) => {
     tr.status = TRANSFER_STATUS.REJECTED;
     tr.rejectionReason = reason || '';
     tr.decidedBy = approverId;
+    tr.decidedOnBehalfOf = reviewer.onBehalfOf?.id || null;
     tr.decidedAt = new Date();
     await tr.save();
 
@@ -628,11 +661,13 @@ export const rejectTransferRequest = async (req, res) => {
       .populate('fromUser', 'email nombre')
       .populate('toUser', 'email nombre')
       .populate('decidedBy', 'email nombre')
+      .populate('decidedOnBehalfOf', 'email nombre')
       .lean();
 
     await logActivity({
       req, action: 'INVENTORY_TR_REJECT', entity: 'TRANSFER_REQUEST', entityId: tr._id,
-      statusCode: 200, success: true, message: 'Solicitud rechazada',
+      statusCode: 200, success: true,
+      message: `Solicitud rechazada${reviewer.onBehalfOf ? ` (${onBehalfLabel(req.user, reviewer.onBehalfOf)})` : ''}`,
       after: populated, tags: ['inventory']
     });
 
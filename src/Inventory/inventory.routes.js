@@ -40,14 +40,16 @@ import {
 
 } from '../middlewares/inventory.validators.js';
 
-import { validateJWT } from '../middlewares/validate-jwt.js';
-import { requireDeptAndRole } from '../middlewares/authorize-dept-role.js';
+import { importItems } from './import.controller.js';
+
+import { validateJWT, acceptApiKey } from '../middlewares/validate-jwt.js';
+import { requirePermission } from '../middlewares/require-permission.js';
+import { uploadSpreadsheet } from '../middlewares/upload-spreadsheet.js';
 
 const router = Router();
 const upload = multer(); 
 
-const INV_DEPTS = ['AREA FINANCIERA', 'DIRECCION', 'DESAROLLO'];
-const INV_ROLES = ['ADMIN', 'DIRECTOR', 'JEFE', 'TECNICO'];
+// Permisos: ver permission.model.js (concesiones administrables en /permissions)
 
 // -------------------------------------------------------------------------
 // INVENTORY — Transfer Requests (luego)
@@ -76,21 +78,21 @@ router.get(
   getTransferRequestDetail
 );
 
-// Subir/guardar documento firmado (PDF) — requiere dept+rol
+// Subir/guardar documento firmado (PDF)
 router.post(
   '/transfer-requests/:requestId/signed-doc',
   validateJWT,
-  requireDeptAndRole(INV_DEPTS, INV_ROLES),
+  requirePermission('inventory.transfer.sign'),
   upload.single('file'),              
   uploadTransferSignedDocValidator,   
   uploadTransferSignedDoc
 );
 
-// Aprobar / Rechazar (requiere dept+rol)
+// Aprobar / Rechazar
 router.patch(
   '/transfer-requests/:requestId/approve',
   validateJWT,
-  requireDeptAndRole(INV_DEPTS, INV_ROLES),
+  requirePermission('inventory.transfer.review'),
   approveTransferRequestValidator,
   approveTransferRequest
 );
@@ -98,7 +100,7 @@ router.patch(
 router.patch(
   '/transfer-requests/:requestId/reject',
   validateJWT,
-  requireDeptAndRole(INV_DEPTS, INV_ROLES),
+  requirePermission('inventory.transfer.review'),
   rejectTransferRequestValidator,
   rejectTransferRequest
 );
@@ -107,17 +109,27 @@ router.patch(
 // INVENTORY — Bienes (CRUD sin :itemId primero)
 // -------------------------------------------------------------------------
 // Listado de bienes (solo JWT, como antes)
-router.get('/', validateJWT, listItemsValidator, getAllItems);
+router.get('/', acceptApiKey('inventory:read'), validateJWT, listItemsValidator, getAllItems);
 
-// Crear bien (requiere dept+rol)
+// Crear bien
 router.post(
   '/',
+  acceptApiKey('inventory:write'),
   validateJWT,
-  requireDeptAndRole(INV_DEPTS, INV_ROLES),
+  requirePermission('inventory.item.create'),
   createItemValidator,
   createItem
 );
 
+// Importación masiva (campo multipart `file`, .csv o .xlsx); ?dryRun=false para aplicar
+router.post(
+  '/import',
+  validateJWT,
+  requirePermission('inventory.item.import'),
+  uploadSpreadsheet,
+  importItems
+);
+
 // -------------------------------------------------------------------------
 // AL FINAL: rutas con :itemId (restringidas por REGEX)
 //   - Acepta Mongo ObjectId (24 hex) o UUID v1–v5
@@ -127,6 +139,7 @@ const ITEM_ID_REGEX =
 
 router.get(
   `/:itemId(${ITEM_ID_REGEX})`,
+  acceptApiKey('inventory:read'),
   validateJWT,
   getByIdValidator,        
   getItemById
@@ -134,16 +147,18 @@ router.get(
 
 router.put(
   `/:itemId(${ITEM_ID_REGEX})`,
+  acceptApiKey('inventory:write'),
   validateJWT,
-  requireDeptAndRole(INV_DEPTS, INV_ROLES),
+  requirePermission('inventory.item.update'),
   updateItemValidator,
   updateItem
 );
 
 router.patch(
   `/:itemId(${ITEM_ID_REGEX})/active`,
+  acceptApiKey('inventory:write'),
   validateJWT,
-  requireDeptAndRole(INV_DEPTS, INV_ROLES),
+  requirePermission('inventory.item.update'),
   setActiveValidator,
   setActive
 );
@@ -151,7 +166,7 @@ router.patch(
 router.delete(
   `/:itemId(${ITEM_ID_REGEX})`,
   validateJWT,
-  requireDeptAndRole(INV_DEPTS, INV_ROLES),
+  requirePermission('inventory.item.delete'),
   getByIdValidator,
   deleteItem
 );
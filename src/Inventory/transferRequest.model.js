@@ -9,9 +9,13 @@ const TransferRequestSchema = new mongoose.Schema(
     fromUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     toUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     motivo: { type: String, trim: true, maxlength: 500, default: "" },
+    // Quién registró la solicitud (en una baja es el administrador, no el titular fromUser)
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
     // 👇 quité `index: true` para evitar el warning por índice duplicado
     status: { type: String, enum: TRANSFER_STATUS, default: "PENDING" },
     decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Si se decidió por delegación: titular en cuyo nombre actuó decidedBy
+    decidedOnBehalfOf: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
     decidedAt: { type: Date },
     rejectionReason: { type: String, trim: true, default: "" },
   },
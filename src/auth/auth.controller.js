@@ -1,9 +1,22 @@
 // src/auth/auth.controller.js
-import User from '../user/user.model.js';
-import { generateJWT } from '../helpers/generate-jwt.js';
+import crypto from 'crypto';
+import User, { isRegistrationBlocked, avatarUrlOf } from '../user/user.model.js';
+import PasswordReset from './passwordReset.model.js';
+import {
+  issueSession, rotateSession, revokeSession, revokeUserSessions, invalidateUserTokens,
+} from '../helpers/refresh-tokens.js';
+import { generateJWT, verifyJWT, TOKEN_TYP, TOKEN_SCOPES } from '../helpers/generate-jwt.js';
+import { getSecurityPolicy, requiresTwoFactor } from '../helpers/security-policy.js';
+import { decryptSecret, verifyTotp, hashRecoveryCode } from '../helpers/totp.js';
+import { getSecret, APP_SECRETS } from '../helpers/secrets.js';
+import { isLocked, registerFailedLogin, clearFailedLogins, retryAfterSeconds } from '../helpers/login-lockout.js';
+import { assertPasswordAllowed, getPasswordPolicy, isPasswordExpired } from '../helpers/password-policy.js';
 import { handleErrorResponse } from '../helpers/handleResponse.js';
 import { validationResult } from 'express-validator';
-import { logActivity } from '../movements/movement.controller.js';
+import { logActivity, ipFromReq } from '../movements/movement.controller.js';
+import { sendPasswordResetCode } from '../helpers/mailer.js';
+import { notifyNewDeviceLogin } from '../helpers/login-alerts.js';
+import { formatAssignments } from '../helpers/assignments.js';
 
 /* ============================================================================
  * Helpers
@@ -18,13 +31,223 @@ function sanitizeUser(u) {
     cargo: u.cargo,
     departamento: u.departamento,
     roles: u.roles,
+    assignments: formatAssignments(u.assignments),
+    avatarUrl: avatarUrlOf(u),
     isActive: u.isActive,
+    pendingInvitation: Boolean(u.pendingInvitation),
+    isLocked: isLocked(u),
+    lockedUntil: isLocked(u) ? u.lockedUntil : null,
+    twoFactorEnabled: Boolean(u.twoFactor?.enabled),
+    ssoLinked: Boolean(u.sso?.subject),
+    registrationStatus: u.registration?.status || null,
     lastLoginAt: u.lastLoginAt,
     createdAt: u.createdAt,
     updatedAt: u.updatedAt,
   };
 }
 
+const RESET_CODE_MINUTES = Math.max(1, parseInt(process.env.PASSWORD_RESET_CODE_MINUTES || '15', 10) || 15);
+const RESET_MAX_ATTEMPTS = 5;
+
+// HMAC del código ligado al usuario: el hash no sirve para otra cuenta ni sin el secreto
+function hashResetCode(userId, code) {
+  return crypto.createHmac('sha256', getSecret(APP_SECRETS.PASSWORD_RESET)).update(`${userId}:${code}`).digest('hex');
+}
+
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+
+/**
+ * Último paso del login (contraseña y, si aplica, 2FA ya verificados):
+ * crea la sesión y responde con tokens + perfil.
+ * Si la política exige 2FA y el usuario no lo tiene, la sesión queda restringida al enrolamiento.
+ * Con `sso` (ver oidc.controller.js) la contraseña es asunto del proveedor; el segundo factor
+ * también, pero sólo si el proveedor afirma que hubo MFA (`mfa`).
+ */
+export async function completeLogin(req, res, user, { tags = [], sso = false, mfa = false } = {}) {
+  const policy = await getSecurityPolicy();
+  const mustEnroll = !(sso && mfa) && !user.twoFactor?.enabled && requiresTwoFactor(user, policy);
+  const mustChangePassword = !sso && isPasswordExpired(user, await getPasswordPolicy());
+
+  user.lastLoginAt = new Date();
+  clearFailedLogins(user);
+  await user.save();
+
+  const { session, token, refreshToken, refreshExpiresAt } = await issueSession(user, req, {
+    scope: mustEnroll ? TOKEN_SCOPES.TWO_FACTOR_ENROLL : null,
+  });
+
+  // Aviso por correo de dispositivo/IP nuevos; no retrasa la respuesta
+  notifyNewDeviceLogin(user, session).catch((e) => console.error('[Auth] Aviso de nuevo dispositivo:', e?.message || e));
+
+  await logActivity({
+    req,
+    action: 'AUTH_LOGIN',
+    entity: 'USER',
+    entityId: user._id,
+    statusCode: 200,
+    success: true,
+    message: mustEnroll ? 'Inicio de sesión (pendiente configurar 2FA)' : 'Inicio de sesión exitoso',
+    tags: ['auth', ...tags],
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Inicio de sesión exitoso',
+    ...(mustEnroll ? { twoFactorSetupRequired: true } : {}),
+    mustChangePassword,
+    user: { ...sanitizeUser(user.toJSON()), token, refreshToken, refreshExpiresAt },
+  });
+}
+
+/**
+ * Responde con el desafío 2FA (paso 2 del login); POST /auth/login/2fa lo completa.
+ * `sso` viaja en el token para que ese paso termine como login SSO.
+ */
+export async function respondTwoFactorChallenge(req, res, user, { sso = false } = {}) {
+  const challengeToken = await generateJWT(
+    user._id,
+    { typ: TOKEN_TYP.TWO_FACTOR_CHALLENGE, ...(sso ? { sso: true } : {}) },
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+
+  await logActivity({
+    req,
+    action: 'AUTH_LOGIN_2FA_CHALLENGE',
+    entity: 'USER',
+    entityId: user._id,
+    statusCode: 200,
+    success: true,
+    message: sso ? 'SSO correcto sin MFA del proveedor; se requiere código 2FA' : 'Contraseña correcta; se requiere código 2FA',
+    tags: ['auth', '2fa', ...(sso ? ['sso'] : [])],
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Ingresa el código de verificación',
+    twoFactorRequired: true,
+    challengeToken,
+  });
+}
+
+/** 423 con Retry-After para cuentas bloqueadas por intentos fallidos. */
+async function respondLocked(req, res, user, { tags = [] } = {}) {
+  res.set('Retry-After', String(retryAfterSeconds(user)));
+  await logActivity({
+    req,
+    action: 'AUTH_LOGIN_LOCKED',
+    entity: 'USER',
+    entityId: user._id,
+    statusCode: 423,
+    success: false,
+    error: `Cuenta bloqueada hasta ${new Date(user.lockedUntil).toISOString()}`,
+    tags: ['auth', 'lockout', ...tags],
+  });
+  return res.status(423).json({
+    success: false,
+    message: 'Cuenta bloqueada temporalmente por intentos fallidos. Intenta más tarde o contacta a un administrador.',
+    lockedUntil: user.lockedUntil,
+  });
+}
+
+/**
+ * Registra un fallo de credenciales; si con él se bloquea la cuenta responde 423,
+ * si no, el error indicado.
+ */
+async function failLogin(req, res, user, { action, statusCode, error, tags = [] }) {
+  const state = await registerFailedLogin(user._id);
+  await logActivity({
+    req,
+    action,
+    entity: 'USER',
+    entityId: user._id,
+    statusCode,
+    success: false,
+    error: `${error} (fallo ${state?.failedLoginCount ?? '?'})`,
+    tags: ['auth', ...tags],
+  });
+  if (state && isLocked(state)) {
+    return respondLocked(req, res, { _id: user._id, lockedUntil: state.lockedUntil }, { tags });
+  }
+  return handleErrorResponse(res, statusCode, error);
+}
+
+function sameHash(a = '', b = '') {
+  const A = Buffer.from(String(a), 'hex');
+  const B = Buffer.from(String(b), 'hex');
+  return A.length === B.length && crypto.timingSafeEqual(A, B);
+}
+
+/**
+ * POST /auth/register
+ * Body: { email, password, nombre, departamento, cargo? }.
+ * Crea la cuenta inactiva y PENDING; un ADMIN la aprueba (asignando roles) desde
+ * /users/registrations. Una solicitud rechazada puede volver a enviarse.
+ */
+export const register = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    await logActivity({ req, action: 'AUTH_REGISTER_FAIL', entity: 'USER', statusCode: 400, success: false, error: 'Datos inválidos', tags: ['auth', 'registration'] });
+    return handleErrorResponse(res, 400, 'Datos inválidos', errors.array());
+  }
+
+  const { email, password, nombre, departamento, cargo } = req.body;
+
+  try {
+    let user = await User.findOne({ email }).collation({ locale: 'en', strength: 2 }).select('+password +passwordHistory');
+    if (user && user.registration?.status !== 'REJECTED') {
+      await logActivity({ req, action: 'AUTH_REGISTER_FAIL', entity: 'USER', entityId: user._id, statusCode: 409, success: false, error: 'Email en uso', tags: ['auth', 'registration'] });
+      return handleErrorResponse(res, 409, 'Ya existe una cuenta o solicitud con ese correo');
+    }
+
+    const resubmitted = Boolean(user);
+    if (!user) user = new User({ email, roles: ['LECTOR'] });
+    user.set({
+      nombre,
+      cargo: cargo || '',
+      departamento,
+      isActive: false,
+      registration: { status: 'PENDING', requestedAt: new Date() },
+    });
+
+    try {
+      await assertPasswordAllowed(user, password);
+    } catch (policyErr) {
+      if (!policyErr.status) throw policyErr;
+      await logActivity({ req, action: 'AUTH_REGISTER_FAIL', entity: 'USER', statusCode: policyErr.status, success: false, error: 'Contraseña fuera de política', tags: ['auth', 'registration'] });
+      return handleErrorResponse(res, policyErr.status, policyErr.message, policyErr.details);
+    }
+    await user.setPassword(password);
+    await user.save();
+
+    await logActivity({
+      req,
+      action: 'AUTH_REGISTER',
+      entity: 'USER',
+      entityId: user._id,
+      statusCode: 201,
+      success: true,
+      message: `Solicitud de registro ${resubmitted ? 'reenviada' : 'recibida'} (${user.departamento})`,
+      tags: ['auth', 'registration'],
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Solicitud recibida. Te avisaremos por correo cuando un administrador la revise.',
+      user: { id: user._id, email: user.email, nombre: user.nombre, departamento: user.departamento, registrationStatus: 'PENDING' },
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return handleErrorResponse(res, 409, 'Ya existe una cuenta o solicitud con ese correo');
+    }
+    if (err?.name === 'ValidationError') {
+      return handleErrorResponse(res, 400, err.message);
+    }
+    console.error('Error en /auth/register:', err);
+    await logActivity({ req, action: 'AUTH_REGISTER_FAIL', entity: 'USER', statusCode: 500, success: false, error: err?.message, tags: ['auth', 'registration'] });
+    return handleErrorResponse(res, 500, 'Error al registrar', err.message);
+  }
+};
+
 /**
  * POST /auth/login
  * Inicia sesión y devuelve token + perfil.
@@ -62,7 +285,42 @@ export const login = async (req, res) => {
       return handleErrorResponse(res, 404, 'Usuario no encontrado');
     }
 
-    if (!user.isActive) {
+    if (user.pendingInvitation) {
+      await logActivity({
+        req,
+        action: 'AUTH_LOGIN_FAIL',
+        entity: 'USER',
+        entityId: user._id,
+        statusCode: 403,
+        success: false,
+        error: 'Invitación pendiente',
+        tags: ['auth'],
+      });
+      return handleErrorResponse(res, 403, 'Cuenta pendiente de activación: usa el enlace de invitación enviado a tu correo');
+    }
+
+    if (isRegistrationBlocked(user)) {
+      const pending = user.registration.status === 'PENDING';
+      await logActivity({
+        req,
+        action: 'AUTH_LOGIN_FAIL',
+        entity: 'USER',
+        entityId: user._id,
+        statusCode: 403,
+        success: false,
+        error: pending ? 'Registro pendiente de aprobación' : 'Registro rechazado',
+        tags: ['auth', 'registration'],
+      });
+      return handleErrorResponse(
+        res,
+        403,
+        pending
+          ? 'Tu solicitud de registro está pendiente de aprobación por un administrador'
+          : 'Tu solicitud de registro fue rechazada'
+      );
+    }
+
+    if (!user.isActive || user.deletedAt) {
       await logActivity({
         req,
         action: 'AUTH_LOGIN_FAIL',
@@ -76,54 +334,132 @@ export const login = async (req, res) => {
       return handleErrorResponse(res, 403, 'Usuario desactivado');
     }
 
-    const ok = await user.matchPassword(password);
-    if (!ok) {
+    // Bloqueada: ni siquiera se verifica la contraseña
+    if (isLocked(user)) {
+      return respondLocked(req, res, user);
+    }
+
+    // Cuenta creada por SSO sin contraseña local
+    if (!user.password) {
       await logActivity({
         req,
         action: 'AUTH_LOGIN_FAIL',
         entity: 'USER',
         entityId: user._id,
-        statusCode: 401,
+        statusCode: 403,
         success: false,
-        error: 'Credenciales inválidas',
-        tags: ['auth'],
+        error: 'Cuenta sólo SSO',
+        tags: ['auth', 'sso'],
       });
-      return handleErrorResponse(res, 401, 'Credenciales inválidas');
+      return handleErrorResponse(res, 403, 'Esta cuenta inicia sesión con Microsoft (SSO)');
     }
 
-    user.lastLoginAt = new Date();
-    await user.save();
+    const ok = await user.matchPassword(password);
+    if (!ok) {
+      return failLogin(req, res, user, {
+        action: 'AUTH_LOGIN_FAIL',
+        statusCode: 401,
+        error: 'Credenciales inválidas',
+      });
+    }
 
-    const token = await generateJWT(user._id);
+    // Paso 2: verificación en dos pasos
+    if (user.twoFactor?.enabled) {
+      return await respondTwoFactorChallenge(req, res, user);
+    }
 
+    return await completeLogin(req, res, user);
+  } catch (err) {
+    console.error('Error al iniciar sesión:', err);
     await logActivity({
       req,
-      action: 'AUTH_LOGIN',
+      action: 'AUTH_LOGIN_FAIL',
       entity: 'USER',
-      entityId: user._id,
-      statusCode: 200,
-      success: true,
-      message: 'Inicio de sesión exitoso',
+      statusCode: 500,
+      success: false,
+      error: err?.message || 'Error inesperado',
       tags: ['auth'],
     });
+    return handleErrorResponse(res, 500, 'Error al iniciar sesión', err.message);
+  }
+};
 
-    return res.status(200).json({
-      success: true,
-      message: 'Inicio de sesión exitoso',
-      user: { ...sanitizeUser(user.toJSON()), token },
+/**
+ * POST /auth/login/2fa
+ * Body: { challengeToken, code } o { challengeToken, recoveryCode }.
+ * Completa el login de cuentas con 2FA activo.
+ */
+export const loginTwoFactor = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+
+  const fail = async (statusCode, error, entityId) => {
+    await logActivity({
+      req,
+      action: 'AUTH_LOGIN_2FA_FAIL',
+      entity: 'USER',
+      entityId,
+      statusCode,
+      success: false,
+      error,
+      tags: ['auth', '2fa'],
     });
+    return handleErrorResponse(res, statusCode, error);
+  };
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return fail(400, 'challengeToken y code (o recoveryCode) son obligatorios');
+  }
+
+  try {
+    let payload;
+    try {
+      payload = await verifyJWT(challengeToken, { typ: TOKEN_TYP.TWO_FACTOR_CHALLENGE });
+    } catch {
+      return fail(401, 'Desafío inválido o expirado; inicia sesión nuevamente');
+    }
+
+    const user = await User.findById(payload.uid)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user || !user.isActive || user.deletedAt || !user.twoFactor?.enabled) {
+      return fail(401, 'Desafío inválido o expirado; inicia sesión nuevamente', payload.uid);
+    }
+    if (isLocked(user)) {
+      return respondLocked(req, res, user, { tags: ['2fa'] });
+    }
+
+    const failCode = (error) =>
+      failLogin(req, res, user, { action: 'AUTH_LOGIN_2FA_FAIL', statusCode: 401, error, tags: ['2fa'] });
+
+    let method = 'totp';
+    if (code) {
+      const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, {
+        afterStep: user.twoFactor.lastUsedStep ?? -1,
+      });
+      if (step === null) return failCode('Código de verificación inválido');
+      user.twoFactor.lastUsedStep = step;
+    } else {
+      const hashes = user.twoFactor.recoveryCodes || [];
+      const idx = hashes.indexOf(hashRecoveryCode(recoveryCode));
+      if (idx === -1) return failCode('Código de recuperación inválido');
+      hashes.splice(idx, 1);
+      user.twoFactor.recoveryCodes = hashes;
+      method = 'recovery';
+    }
+
+    const sso = payload.sso === true;
+    return await completeLogin(req, res, user, { tags: ['2fa', method, ...(sso ? ['sso'] : [])], sso });
   } catch (err) {
-    console.error('Error al iniciar sesión:', err);
+    console.error('Error en /auth/login/2fa:', err);
     await logActivity({
       req,
-      action: 'AUTH_LOGIN_FAIL',
+      action: 'AUTH_LOGIN_2FA_FAIL',
       entity: 'USER',
       statusCode: 500,
       success: false,
       error: err?.message || 'Error inesperado',
-      tags: ['auth'],
+      tags: ['auth', '2fa'],
     });
-    return handleErrorResponse(res, 500, 'Error al iniciar sesión', err.message);
+    return handleErrorResponse(res, 500, 'Error al verificar código', err.message);
   }
 };
 
@@ -175,7 +511,11 @@ export const me = async (req, res) => {
 
     return res.status(200).json({
       success: true,
+      mustChangePassword: isPasswordExpired(user, await getPasswordPolicy()),
       user: sanitizeUser(user),
+      ...(req.user.impersonator
+        ? { impersonation: { ...req.user.impersonation, impersonator: req.user.impersonator } }
+        : {}),
     });
   } catch (err) {
     console.error('Error en /auth/me:', err);
@@ -191,3 +531,358 @@ export const me = async (req, res) => {
     return handleErrorResponse(res, 500, 'Error al obtener perfil', err.message);
   }
 };
+
+/**
+ * POST /auth/refresh
+ * Body: { refreshToken }. Rota el refresh token y devuelve un access token nuevo.
+ */
+export const refresh = async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    await logActivity({
+      req,
+      action: 'AUTH_REFRESH_FAIL',
+      entity: 'SESSION',
+      statusCode: 400,
+      success: false,
+      error: 'refreshToken faltante',
+      tags: ['auth'],
+    });
+    return handleErrorResponse(res, 400, 'refreshToken es obligatorio');
+  }
+
+  try {
+    const { session, user, token, refreshToken: nextRefreshToken, refreshExpiresAt } =
+      await rotateSession(refreshToken, req);
+
+    // Sin validateJWT en esta ruta: atribuye el movimiento al dueño de la sesión
+    req.user = { id: String(user._id), email: user.email, nombre: user.nombre, roles: user.roles };
+
+    await logActivity({
+      req,
+      action: 'AUTH_REFRESH',
+      entity: 'SESSION',
+      entityId: session._id,
+      statusCode: 200,
+      success: true,
+      message: 'Token renovado',
+      tags: ['auth'],
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token renovado',
+      token,
+      refreshToken: nextRefreshToken,
+      refreshExpiresAt,
+    });
+  } catch (err) {
+    const status = err?.status || 500;
+    if (status === 500) console.error('Error en /auth/refresh:', err);
+    await logActivity({
+      req,
+      action: 'AUTH_REFRESH_FAIL',
+      entity: 'SESSION',
+      statusCode: status,
+      success: false,
+      error: err?.message || 'Error inesperado',
+      tags: ['auth'],
+    });
+    return handleErrorResponse(res, status, status === 500 ? 'Error al renovar token' : err.message);
+  }
+};
+
+/**
+ * POST /auth/logout
+ * Requiere validateJWT. Revoca la sesión del token actual.
+ */
+export const logout = async (req, res) => {
+  try {
+    const sid = req.user?.sessionId;
+    const revoked = sid ? await revokeSession(sid, 'Logout') : false;
+
+    await logActivity({
+      req,
+      action: 'AUTH_LOGOUT',
+      entity: 'SESSION',
+      entityId: sid,
+      statusCode: 200,
+      success: true,
+      message: revoked ? 'Sesión cerrada' : 'Token sin sesión activa',
+      tags: ['auth'],
+    });
+
+    return res.status(200).json({ success: true, message: 'Sesión cerrada' });
+  } catch (err) {
+    console.error('Error en /auth/logout:', err);
+    await logActivity({
+      req,
+      action: 'AUTH_LOGOUT_FAIL',
+      entity: 'SESSION',
+      statusCode: 500,
+      success: false,
+      error: err?.message || 'Error inesperado',
+      tags: ['auth'],
+    });
+    return handleErrorResponse(res, 500, 'Error al cerrar sesión', err.message);
+  }
+};
+
+/**
+ * POST /auth/logout-all
+ * Requiere validateJWT. Revoca todas las sesiones del usuario (todos los dispositivos).
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    const uid = req.user?.id;
+    const count = await revokeUserSessions(uid, 'Logout en todos los dispositivos');
+
+    await logActivity({
+      req,
+      action: 'AUTH_LOGOUT_ALL',
+      entity: 'USER',
+      entityId: uid,
+      statusCode: 200,
+      success: true,
+      message: `Sesiones revocadas: ${count}`,
+      tags: ['auth'],
+    });
+
+    return res.status(200).json({ success: true, message: 'Sesiones cerradas', revokedCount: count });
+  } catch (err) {
+    console.error('Error en /auth/logout-all:', err);
+    await logActivity({
+      req,
+      action: 'AUTH_LOGOUT_ALL_FAIL',
+      entity: 'USER',
+      entityId: req.user?.id,
+      statusCode: 500,
+      success: false,
+      error: err?.message || 'Error inesperado',
+      tags: ['auth'],
+    });
+    return handleErrorResponse(res, 500, 'Error al cerrar sesiones', err.message);
+  }
+};
+
+/**
+ * POST /auth/password/forgot
+ * Body: { email }. Envía un código de un solo uso si la cuenta existe y está activa.
+ * Responde igual exista o no el correo (no revela cuentas).
+ */
+export const forgotPassword = async (req, res) => {
+  const genericMessage = 'Si el correo está registrado, recibirás un código para restablecer tu contraseña';
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    await logActivity({
+      req,
+      action: 'AUTH_PWD_RESET_REQUEST_FAIL',
+      entity: 'USER',
+      statusCode: 400,
+      success: false,
+      error: 'Datos inválidos',
+      tags: ['auth'],
+    });
+    return handleErrorResponse(res, 400, 'Datos inválidos', errors.array());
+  }
+
+  const email = String(req.body.email || '').trim().toLowerCase();
+
+  try {
+    const user = await User.findOne({ email })
+      .collation({ locale: 'en', strength: 2 })
+      .select('email nombre isActive deletedAt')
+      .lean();
+    if (!user || !user.isActive || user.deletedAt) {
+      await logActivity({
+        req,
+        action: 'AUTH_PWD_RESET_REQUEST_FAIL',
+        entity: 'USER',
+        entityId: user?._id,
+        statusCode: 200,
+        success: false,
+        error: user ? 'Usuario desactivado' : 'Usuario no encontrado',
+        tags: ['auth'],
+      });
+      return res.status(200).json({ success: true, message: genericMessage });
+    }
+
+    // Un solo código vigente por usuario
+    await PasswordReset.updateMany(
+      { user: user._id, usedAt: null, invalidatedAt: null },
+      { $set: { invalidatedAt: new Date() } }
+    );
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + RESET_CODE_MINUTES * 60000);
+
+    const reset = await PasswordReset.create({
+      user: user._id,
+      codeHash: hashResetCode(user._id, code),
+      expiresAt,
+      ip: ipFromReq(req),
+      userAgent: req.headers?.['user-agent'] || null,
+    });
+
+    const mail = await sendPasswordResetCode({ to: user.email, code, nombre: user.nombre, expiresAt });
+
+    await logActivity({
+      req,
+      action: mail?.success ? 'AUTH_PWD_RESET_REQUEST' : 'AUTH_PWD_RESET_REQUEST_FAIL',
+      entity: 'USER',
+      entityId: user._id,
+      statusCode: 200,
+      success: !!mail?.success,
+      message: mail?.success ? `Código enviado (solicitud ${reset._id})` : undefined,
+      error: mail?.success ? undefined : `No se pudo enviar el correo: ${mail?.error || 'desconocido'}`,
+      tags: ['auth'],
+    });
+
+    return res.status(200).json({ success: true, message: genericMessage });
+  } catch (err) {
+    console.error('Error en /auth/password/forgot:', err);
+    await logActivity({
+      req,
+      action: 'AUTH_PWD_RESET_REQUEST_FAIL',
+      entity: 'USER',
+      statusCode: 500,
+      success: false,
+      error: err?.message || 'Error inesperado',
+      tags: ['auth'],
+    });
+    return handleErrorResponse(res, 500, 'Error al solicitar restablecimiento', err.message);
+  }
+};
+
+/**
+ * POST /auth/password/reset
+ * Body: { email, code, newPassword }. Canjea el código y revoca todas las sesiones.
+ */
+export const resetPassword = async (req, res) => {
+  const invalidCode = 'Código inválido o expirado';
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    await logActivity({
+      req,
+      action: 'AUTH_PWD_RESET_FAIL',
+      entity: 'USER',
+      statusCode: 400,
+      success: false,
+      error: 'Datos inválidos',
+      tags: ['auth'],
+    });
+    return handleErrorResponse(res, 400, 'Datos inválidos', errors.array());
+  }
+
+  const { code, newPassword } = req.body;
+  const email = String(req.body.email || '').trim().toLowerCase();
+
+  try {
+    const user = await User.findOne({ email })
+      .collation({ locale: 'en', strength: 2 })
+      .select('+password +passwordHistory');
+    const reset = user
+      ? await PasswordReset.findOne({
+          user: user._id,
+          usedAt: null,
+          invalidatedAt: null,
+          expiresAt: { $gt: new Date() },
+        })
+          .sort('-createdAt')
+          .select('+codeHash')
+      : null;
+
+    if (!user || !user.isActive || user.deletedAt || !reset) {
+      await logActivity({
+        req,
+        action: 'AUTH_PWD_RESET_FAIL',
+        entity: 'USER',
+        entityId: user?._id,
+        statusCode: 400,
+        success: false,
+        error: !user ? 'Usuario no encontrado' : !user.isActive ? 'Usuario desactivado' : 'Sin código vigente',
+        tags: ['auth'],
+      });
+      return handleErrorResponse(res, 400, invalidCode);
+    }
+
+    if (!sameHash(reset.codeHash, hashResetCode(user._id, code))) {
+      reset.attempts += 1;
+      if (reset.attempts >= RESET_MAX_ATTEMPTS) reset.invalidatedAt = new Date();
+      await reset.save();
+
+      await logActivity({
+        req,
+        action: 'AUTH_PWD_RESET_FAIL',
+        entity: 'USER',
+        entityId: user._id,
+        statusCode: 400,
+        success: false,
+        error: `Código incorrecto (intento ${reset.attempts}/${RESET_MAX_ATTEMPTS})`,
+        tags: ['auth'],
+      });
+      return handleErrorResponse(res, 400, invalidCode);
+    }
+
+    // Se valida antes de consumir el código: el usuario puede reintentar con otra contraseña
+    try {
+      await assertPasswordAllowed(user, newPassword);
+    } catch (policyErr) {
+      if (!policyErr.status) throw policyErr;
+      await logActivity({
+        req,
+        action: 'AUTH_PWD_RESET_FAIL',
+        entity: 'USER',
+        entityId: user._id,
+        statusCode: policyErr.status,
+        success: false,
+        error: 'Contraseña fuera de política',
+        tags: ['auth'],
+      });
+      return handleErrorResponse(res, policyErr.status, policyErr.message, policyErr.details);
+    }
+
+    // Marca el código como usado antes de cambiar la contraseña (un solo uso aunque haya carreras)
+    const claimed = await PasswordReset.updateOne(
+      { _id: reset._id, usedAt: null, invalidatedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return handleErrorResponse(res, 400, invalidCode);
+    }
+
+    await user.setPassword(newPassword);
+    // Quien demuestra acceso al correo recupera la cuenta aunque estuviera bloqueada
+    clearFailedLogins(user);
+    await user.save();
+
+    const revokedCount = await invalidateUserTokens(user, 'Restablecimiento de contraseña');
+
+    await logActivity({
+      req,
+      action: 'AUTH_PWD_RESET',
+      entity: 'USER',
+      entityId: user._id,
+      statusCode: 200,
+      success: true,
+      message: `Contraseña restablecida; sesiones revocadas: ${revokedCount}`,
+      tags: ['auth'],
+    });
+
+    return res.status(200).json({ success: true, message: 'Contraseña restablecida. Inicia sesión nuevamente.' });
+  } catch (err) {
+    console.error('Error en /auth/password/reset:', err);
+    await logActivity({
+      req,
+      action: 'AUTH_PWD_RESET_FAIL',
+      entity: 'USER',
+      statusCode: 500,
+      success: false,
+      error: err?.message || 'Error inesperado',
+      tags: ['auth'],
+    });
+    return handleErrorResponse(res, 500, 'Error al restablecer contraseña', err.message);
+  }
+};
@@ -1,12 +1,86 @@
 // src/routes/auth.routes.js
 import { Router } from 'express';
-import { login, me } from './auth.controller.js';
-import { loginValidator } from '../middlewares/auth-validators.js';
-import { validateJWT } from '../middlewares/validate-jwt.js';
+import {
+  register, login, loginTwoFactor, me, refresh, logout, logoutAll,
+  forgotPassword, resetPassword,
+} from './auth.controller.js';
+import {
+  getTwoFactorStatus, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes,
+} from './twoFactor.controller.js';
+import { getPolicy, updatePolicy } from './securityPolicy.controller.js';
+import { oidcLogin, oidcCallback, oidcExchange } from './oidc.controller.js';
+import { startImpersonation, stopImpersonation, listImpersonations } from './impersonation.controller.js';
+import { listMySessions, revokeMySession } from './session.controller.js';
+import { myPermissions } from '../permission/permission.controller.js';
+import { getInvitationByToken, acceptInvitation } from '../user/invitation.controller.js';
+import {
+  registerValidator,
+  loginValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator,
+} from '../middlewares/auth-validators.js';
+import {
+  passwordForgotLimiter,
+  passwordResetLimiter,
+  twoFactorLoginLimiter,
+  registerLimiter,
+  refreshLimiter,
+} from '../middlewares/rate-limit-validator.js';
+import { validateJWT, allowTwoFactorEnrollment, allowDuringImpersonation } from '../middlewares/validate-jwt.js';
+import { requireDeptAndRole } from '../middlewares/authorize-dept-role.js';
 
 const router = Router();
 
+// Autoregistro: la cuenta queda pendiente de aprobación (ver /users/registrations)
+router.post('/register', registerLimiter, registerValidator, register);
+
 router.post('/login', loginValidator, login);
-router.get('/me', validateJWT, me);
+router.post('/login/2fa', twoFactorLoginLimiter, loginTwoFactor);
+
+// SSO (OIDC: Microsoft Entra ID u otro proveedor)
+router.get('/oidc/login', oidcLogin);
+router.get('/oidc/callback', oidcCallback);
+router.post('/oidc/exchange', oidcExchange);
+
+// Accesibles también con la sesión restringida de enrolamiento 2FA
+const enrollOk = [allowTwoFactorEnrollment, validateJWT];
+
+router.get('/me', enrollOk, me);
+// Permisos efectivos (la UI oculta acciones no permitidas)
+router.get('/me/permissions', validateJWT, myPermissions);
+
+// Sesiones: renovación y cierre
+router.post('/refresh', refreshLimiter, refresh);
+router.post('/logout', allowDuringImpersonation, enrollOk, logout);
+router.post('/logout-all', validateJWT, logoutAll);
+
+// Dispositivos con sesión abierta
+router.get('/sessions', validateJWT, listMySessions);
+router.delete('/sessions/:sessionId', validateJWT, revokeMySession);
+
+// Restablecimiento de contraseña por código enviado al correo.
+// El validador va primero: el limitador cuenta sobre el correo ya normalizado
+router.post('/password/forgot', forgotPasswordValidator, passwordForgotLimiter, forgotPassword);
+router.post('/password/reset', resetPasswordValidator, passwordResetLimiter, resetPassword);
+
+// Activación de cuentas invitadas
+router.get('/invitation', getInvitationByToken);
+router.post('/invitation/accept', acceptInvitation);
+
+// Verificación en dos pasos (TOTP)
+router.get('/2fa', enrollOk, getTwoFactorStatus);
+router.post('/2fa/setup', enrollOk, setupTwoFactor);
+router.post('/2fa/enable', enrollOk, enableTwoFactor);
+router.post('/2fa/disable', validateJWT, disableTwoFactor);
+router.post('/2fa/recovery-codes', validateJWT, regenerateRecoveryCodes);
+
+// Suplantación ("actuar como") para soporte: token corto, sólo lectura salvo allowWrites
+router.get('/impersonation', validateJWT, requireDeptAndRole(['DESARROLLO'], ['ADMIN']), listImpersonations);
+router.post('/impersonation', validateJWT, requireDeptAndRole(['DESARROLLO'], ['ADMIN']), startImpersonation);
+router.post('/impersonation/stop', allowDuringImpersonation, validateJWT, stopImpersonation);
+
+// Política de seguridad (2FA por rol y reglas de contraseña)
+router.get('/security-policy', validateJWT, requireDeptAndRole(['DESARROLLO'], ['ADMIN']), getPolicy);
+router.put('/security-policy', validateJWT, requireDeptAndRole(['DESARROLLO'], ['ADMIN']), updatePolicy);
 
 export default router;
@@ -0,0 +1,157 @@
+// src/auth/impersonation.controller.js
+import mongoose from 'mongoose';
+import User from '../user/user.model.js';
+import Session from './session.model.js';
+import { issueImpersonationSession, revokeSession } from '../helpers/refresh-tokens.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const MAX_MINUTES = Math.max(1, parseInt(process.env.IMPERSONATION_MAX_MINUTES || '30', 10) || 30);
+const DEFAULT_MINUTES = Math.min(15, MAX_MINUTES);
+const TAGS = ['auth', 'impersonation'];
+
+const clampMinutes = (v) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? Math.min(Math.max(n, 1), MAX_MINUTES) : DEFAULT_MINUTES;
+};
+
+const sanitizeTarget = (u) => ({
+  id: u._id,
+  email: u.email,
+  nombre: u.nombre,
+  cargo: u.cargo,
+  departamento: u.departamento,
+  roles: u.roles,
+});
+
+/**
+ * POST /auth/impersonation
+ * Body: { userId, reason, allowWrites?, minutes? } (ADMIN).
+ * Devuelve un access token de corta duración (sin refresh) en el que el ADMIN actúa como `userId`.
+ * Por defecto es de sólo lectura; `allowWrites: true` habilita escrituras y queda auditado.
+ */
+export const startImpersonation = async (req, res) => {
+  const { userId, reason, allowWrites = false, minutes } = req.body || {};
+  const why = String(reason || '').trim();
+
+  if (req.user?.impersonator) {
+    return handleErrorResponse(res, 403, 'No se puede suplantar desde una sesión de suplantación');
+  }
+  if (!userId || !mongoose.isValidObjectId(userId)) {
+    return handleErrorResponse(res, 400, 'userId inválido');
+  }
+  if (why.length < 5) {
+    return handleErrorResponse(res, 400, 'Indica el motivo de la suplantación (mínimo 5 caracteres)');
+  }
+  if (String(userId) === String(req.user.id)) {
+    return handleErrorResponse(res, 400, 'No puedes suplantarte a ti mismo');
+  }
+
+  try {
+    const [target, admin] = await Promise.all([
+      User.findById(userId),
+      User.findById(req.user.id).select('tokenVersion').lean(),
+    ]);
+    if (!target) {
+      await logActivity({ req, action: 'AUTH_IMPERSONATE_FAIL', entity: 'USER', entityId: userId, statusCode: 404, success: false, error: 'No encontrado', tags: TAGS });
+      return handleErrorResponse(res, 404, 'Usuario no encontrado');
+    }
+    if (!target.isActive || target.deletedAt || target.pendingInvitation) {
+      await logActivity({ req, action: 'AUTH_IMPERSONATE_FAIL', entity: 'USER', entityId: userId, statusCode: 409, success: false, error: 'Usuario inactivo', tags: TAGS });
+      return handleErrorResponse(res, 409, 'Sólo se puede suplantar a usuarios activos');
+    }
+    // Suplantar a otro ADMIN no aporta al soporte y diluye la atribución
+    if ((target.roles || []).includes('ADMIN')) {
+      await logActivity({ req, action: 'AUTH_IMPERSONATE_FAIL', entity: 'USER', entityId: userId, statusCode: 403, success: false, error: 'Destino ADMIN', tags: TAGS });
+      return handleErrorResponse(res, 403, 'No se puede suplantar a otro administrador');
+    }
+
+    const { session, token, expiresAt } = await issueImpersonationSession(
+      target,
+      { id: req.user.id, sessionId: req.user.sessionId, tokenVersion: admin?.tokenVersion },
+      req,
+      { minutes: clampMinutes(minutes), reason: why, allowWrites: Boolean(allowWrites) }
+    );
+
+    await logActivity({
+      req,
+      action: 'AUTH_IMPERSONATE_START',
+      entity: 'USER',
+      entityId: target._id,
+      statusCode: 201,
+      success: true,
+      message: `Suplantación de ${target.email} (${allowWrites ? 'con escrituras' : 'sólo lectura'}) hasta ${expiresAt.toISOString()}: ${why}`,
+      tags: TAGS,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Suplantación iniciada',
+      token,
+      impersonation: {
+        sessionId: session._id,
+        allowWrites: session.allowWrites,
+        reason: why,
+        expiresAt,
+      },
+      user: sanitizeTarget(target),
+    });
+  } catch (err) {
+    console.error('Error en /auth/impersonation:', err);
+    await logActivity({ req, action: 'AUTH_IMPERSONATE_FAIL', entity: 'USER', entityId: userId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al iniciar la suplantación', err.message);
+  }
+};
+
+/**
+ * POST /auth/impersonation/stop
+ * Con el token de suplantación: termina la sesión de suplantación actual.
+ */
+export const stopImpersonation = async (req, res) => {
+  const sid = req.user?.impersonation?.sessionId;
+  if (!sid) return handleErrorResponse(res, 400, 'El token actual no es de suplantación');
+
+  try {
+    await revokeSession(sid, 'Fin de suplantación');
+    await logActivity({ req, action: 'AUTH_IMPERSONATE_STOP', entity: 'SESSION', entityId: sid, statusCode: 200, success: true, message: 'Suplantación terminada', tags: TAGS });
+    return res.status(200).json({ success: true, message: 'Suplantación terminada' });
+  } catch (err) {
+    console.error('Error en /auth/impersonation/stop:', err);
+    await logActivity({ req, action: 'AUTH_IMPERSONATE_STOP_FAIL', entity: 'SESSION', entityId: sid, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al terminar la suplantación', err.message);
+  }
+};
+
+/**
+ * GET /auth/impersonation
+ * Suplantaciones vigentes (ADMIN). ?mine=true sólo las iniciadas por el usuario actual.
+ */
+export const listImpersonations = async (req, res) => {
+  try {
+    const filter = { impersonatedBy: { $ne: null }, revokedAt: null, expiresAt: { $gt: new Date() } };
+    if (String(req.query.mine || '').toLowerCase() === 'true') filter.impersonatedBy = req.user.id;
+
+    const sessions = await Session.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('user', 'email nombre')
+      .populate('impersonatedBy', 'email nombre')
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      total: sessions.length,
+      impersonations: sessions.map((s) => ({
+        sessionId: s._id,
+        user: s.user ? { id: s.user._id, email: s.user.email, nombre: s.user.nombre } : null,
+        impersonatedBy: s.impersonatedBy ? { id: s.impersonatedBy._id, email: s.impersonatedBy.email, nombre: s.impersonatedBy.nombre } : null,
+        reason: s.impersonationReason,
+        allowWrites: s.allowWrites,
+        createdAt: s.createdAt,
+        expiresAt: s.expiresAt,
+      })),
+    });
+  } catch (err) {
+    console.error('Error en GET /auth/impersonation:', err);
+    return handleErrorResponse(res, 500, 'Error al listar suplantaciones', err.message);
+  }
+};
@@ -0,0 +1,270 @@
+// src/auth/oidc.controller.js
+import crypto from 'crypto';
+import User, { isRegistrationBlocked } from '../user/user.model.js';
+import OidcLogin from './oidcLogin.model.js';
+import { completeLogin, respondTwoFactorChallenge } from './auth.controller.js';
+import { invalidateUserTokens } from '../helpers/refresh-tokens.js';
+import {
+  isOidcEnabled,
+  createPkce,
+  buildAuthorizationUrl,
+  exchangeCode,
+  emailFromClaims,
+  mfaFromClaims,
+  provisioningFromClaims,
+  jitEnabled,
+  jitSyncEnabled,
+} from '../helpers/oidc.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity, ipFromReq } from '../movements/movement.controller.js';
+
+const LOGIN_TTL_MS = 10 * 60 * 1000; // del redirect al IdP hasta el callback
+const HANDOFF_TTL_MS = 60 * 1000;    // del callback al canje en el frontend
+const TAGS = ['auth', 'sso'];
+
+const trimSlash = (s) => String(s || '').trim().replace(/\/+$/, '');
+
+// Pantalla del frontend que recibe ?sso_code=... (o ?sso_error=...)
+const defaultRedirect = () =>
+  process.env.OIDC_POST_LOGIN_URL || `${trimSlash(process.env.APP_PUBLIC_URL)}/sso`;
+
+function allowedOrigins() {
+  const list = [process.env.APP_PUBLIC_URL, process.env.OIDC_POST_LOGIN_URL, ...String(process.env.CORS_ORIGIN || '').split(',')];
+  const origins = new Set();
+  for (const u of list) {
+    try {
+      if (u && u.trim()) origins.add(new URL(u.trim()).origin);
+    } catch {
+      // valor inválido: se ignora
+    }
+  }
+  return origins;
+}
+
+// Sólo se redirige a orígenes propios (evita open redirect con el código de intercambio)
+function safeRedirect(candidate) {
+  if (!candidate) return defaultRedirect();
+  try {
+    const url = new URL(String(candidate));
+    return allowedOrigins().has(url.origin) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function withParams(base, params) {
+  const url = new URL(base);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  return url.toString();
+}
+
+const hashHandoff = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+function ssoError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Busca (o crea por JIT) el usuario que corresponde a los claims del id_token
+ * y vincula la identidad SSO. No guarda: el callback guarda y, si cambiaron los roles
+ * (`rolesChanged`), recién entonces invalida los tokens emitidos.
+ * @returns {Promise<{ user, created: boolean, synced: boolean, rolesChanged: boolean }>}
+ */
+export async function resolveSsoUser(claims) {
+  const issuer = String(claims.iss);
+  const subject = String(claims.sub);
+  const email = emailFromClaims(claims);
+
+  let user = await User.findOne({ 'sso.issuer': issuer, 'sso.subject': subject });
+  // Sin vínculo previo sólo se enlaza (o se crea) la cuenta con un correo verificado
+  if (!user) {
+    if (!email) throw ssoError(403, 'El proveedor no envió un correo verificado para vincular la cuenta');
+    user = await User.findOne({ email });
+  }
+
+  // Un usuario ya vinculado no puede quedar tomado por otra identidad con el mismo correo
+  if (user?.sso?.subject && (user.sso.subject !== subject || user.sso.issuer !== issuer)) {
+    throw ssoError(403, 'La cuenta ya está vinculada a otra identidad del proveedor');
+  }
+
+  const provisioning = jitEnabled() ? await provisioningFromClaims(claims) : null;
+  let created = false;
+  let synced = false;
+  let rolesChanged = false;
+
+  if (!user) {
+    if (!provisioning?.departamento) {
+      throw ssoError(403, `No existe una cuenta para ${email}. Solicita acceso a un administrador.`);
+    }
+    const nombre = String(claims.name || email.split('@')[0]).trim().slice(0, 100);
+    user = new User({
+      email,
+      nombre: nombre.length >= 2 ? nombre : email,
+      departamento: provisioning.departamento,
+      roles: provisioning.roles.length ? provisioning.roles : ['LECTOR'],
+      isActive: true,
+    });
+    created = true;
+  } else {
+    if (user.pendingInvitation) {
+      throw ssoError(403, 'Cuenta pendiente de activación: usa el enlace de invitación enviado a tu correo');
+    }
+    if (isRegistrationBlocked(user)) {
+      throw ssoError(403, 'Tu solicitud de registro aún no ha sido aprobada');
+    }
+    if (!user.isActive || user.deletedAt) throw ssoError(403, 'Usuario desactivado');
+
+    // Re-sincroniza departamento/roles desde los grupos sólo en cuentas ya vinculadas
+    if (jitSyncEnabled() && provisioning && user.sso?.subject) {
+      const roles = provisioning.roles.length ? provisioning.roles : user.roles;
+      const departamento = provisioning.departamento || user.departamento;
+      rolesChanged = [...roles].sort().join(',') !== [...user.roles].sort().join(',');
+      if (rolesChanged || departamento !== user.departamento) {
+        user.roles = roles;
+        user.departamento = departamento;
+        synced = true;
+      }
+    }
+  }
+
+  if (!user.sso?.subject) user.sso = { issuer, subject, linkedAt: new Date() };
+  user.sso.lastLoginAt = new Date();
+
+  return { user, created, synced, rolesChanged };
+}
+
+/**
+ * GET /auth/oidc/login?redirectTo=<url del frontend>
+ * Redirige al proveedor (authorization code + PKCE). Con ?format=json devuelve { url }.
+ */
+export const oidcLogin = async (req, res) => {
+  if (!isOidcEnabled()) return handleErrorResponse(res, 404, 'Inicio de sesión SSO no configurado');
+
+  try {
+    const redirectTo = safeRedirect(req.query.redirectTo);
+    if (!redirectTo) return handleErrorResponse(res, 400, 'redirectTo no permitido');
+
+    const { state, nonce, codeVerifier, codeChallenge } = createPkce();
+    await OidcLogin.create({
+      state,
+      nonce,
+      codeVerifier,
+      redirectTo,
+      expiresAt: new Date(Date.now() + LOGIN_TTL_MS),
+      ip: ipFromReq(req),
+      userAgent: req.headers['user-agent'] || null,
+    });
+
+    const url = await buildAuthorizationUrl({ state, nonce, codeChallenge });
+    if (req.query.format === 'json') return res.status(200).json({ success: true, url });
+    return res.redirect(302, url);
+  } catch (err) {
+    console.error('Error en /auth/oidc/login:', err);
+    await logActivity({ req, action: 'AUTH_SSO_FAIL', entity: 'USER', statusCode: err.status || 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, err.status || 500, 'Error al iniciar sesión con SSO', err.message);
+  }
+};
+
+/**
+ * GET /auth/oidc/callback?code&state
+ * Canjea el code, valida el id_token y redirige al frontend con un código de
+ * intercambio de un solo uso (?sso_code=...) o con ?sso_error=...
+ */
+export const oidcCallback = async (req, res) => {
+  if (!isOidcEnabled()) return handleErrorResponse(res, 404, 'Inicio de sesión SSO no configurado');
+
+  const { code, state, error, error_description: errorDescription } = req.query;
+  if (!state) return handleErrorResponse(res, 400, 'state es obligatorio');
+
+  let attempt;
+  try {
+    // El state se consume aquí: un callback repetido no sirve
+    attempt = await OidcLogin.findOneAndUpdate(
+      { state: String(state), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    ).select('+nonce +codeVerifier');
+  } catch (err) {
+    console.error('Error en /auth/oidc/callback:', err);
+    return handleErrorResponse(res, 500, 'Error al procesar el inicio de sesión SSO', err.message);
+  }
+
+  if (!attempt) {
+    await logActivity({ req, action: 'AUTH_SSO_FAIL', entity: 'USER', statusCode: 400, success: false, error: 'state inválido o vencido', tags: TAGS });
+    return handleErrorResponse(res, 400, 'El inicio de sesión SSO venció o ya fue usado; vuelve a intentarlo');
+  }
+
+  const fail = async (status, message) => {
+    await logActivity({ req, action: 'AUTH_SSO_FAIL', entity: 'USER', statusCode: status, success: false, error: message, tags: TAGS });
+    return res.redirect(302, withParams(attempt.redirectTo, { sso_error: message }));
+  };
+
+  if (error) return fail(401, `El proveedor rechazó el inicio de sesión: ${errorDescription || error}`);
+  if (!code) return fail(400, 'El proveedor no devolvió el código de autorización');
+
+  try {
+    const claims = await exchangeCode({ code: String(code), codeVerifier: attempt.codeVerifier, nonce: attempt.nonce });
+    const { user, created, synced, rolesChanged } = await resolveSsoUser(claims);
+    await user.save();
+    if (rolesChanged) await invalidateUserTokens(user, 'Roles sincronizados desde SSO');
+
+    if (created) {
+      await logActivity({ req, action: 'USER_SSO_PROVISION', entity: 'USER', entityId: user._id, statusCode: 201, success: true, message: `Usuario creado por SSO (${user.departamento}; ${user.roles.join(', ')})`, tags: TAGS });
+    } else if (synced) {
+      await logActivity({ req, action: 'USER_SSO_SYNC', entity: 'USER', entityId: user._id, statusCode: 200, success: true, message: `Departamento/roles sincronizados por SSO (${user.departamento}; ${user.roles.join(', ')})`, tags: TAGS });
+    }
+
+    const handoff = crypto.randomBytes(32).toString('base64url');
+    attempt.user = user._id;
+    attempt.mfa = mfaFromClaims(claims);
+    attempt.handoffHash = hashHandoff(handoff);
+    attempt.expiresAt = new Date(Date.now() + HANDOFF_TTL_MS);
+    await attempt.save();
+
+    return res.redirect(302, withParams(attempt.redirectTo, { sso_code: handoff }));
+  } catch (err) {
+    if (err.status) return fail(err.status, err.message);
+    console.error('Error en /auth/oidc/callback:', err);
+    return fail(500, 'Error al procesar el inicio de sesión SSO');
+  }
+};
+
+/**
+ * POST /auth/oidc/exchange
+ * Body: { code } (el sso_code recibido en el frontend). Devuelve la sesión igual que /auth/login
+ * (o el desafío 2FA si la cuenta tiene 2FA y el proveedor no afirmó MFA).
+ */
+export const oidcExchange = async (req, res) => {
+  const { code } = req.body || {};
+  if (!code) return handleErrorResponse(res, 400, 'code es obligatorio');
+
+  try {
+    const attempt = await OidcLogin.findOneAndUpdate(
+      { handoffHash: hashHandoff(code), handedOffAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { handedOffAt: new Date() } },
+      { new: true }
+    );
+    if (!attempt?.user) {
+      await logActivity({ req, action: 'AUTH_SSO_FAIL', entity: 'USER', statusCode: 400, success: false, error: 'Código de intercambio inválido', tags: TAGS });
+      return handleErrorResponse(res, 400, 'Código inválido o vencido');
+    }
+
+    const user = await User.findById(attempt.user);
+    if (!user || !user.isActive || user.deletedAt || user.pendingInvitation || isRegistrationBlocked(user)) {
+      await logActivity({ req, action: 'AUTH_SSO_FAIL', entity: 'USER', entityId: attempt.user, statusCode: 403, success: false, error: 'Usuario no disponible', tags: TAGS });
+      return handleErrorResponse(res, 403, 'Usuario desactivado');
+    }
+
+    // Sin MFA afirmado por el proveedor, el TOTP local sigue siendo obligatorio
+    if (user.twoFactor?.enabled && !attempt.mfa) {
+      return await respondTwoFactorChallenge(req, res, user, { sso: true });
+    }
+    return await completeLogin(req, res, user, { tags: ['sso'], sso: true, mfa: attempt.mfa });
+  } catch (err) {
+    console.error('Error en /auth/oidc/exchange:', err);
+    await logActivity({ req, action: 'AUTH_SSO_FAIL', entity: 'USER', statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al iniciar sesión con SSO', err.message);
+  }
+};
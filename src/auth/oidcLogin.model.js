@@ -0,0 +1,39 @@
+// src/auth/oidcLogin.model.js
+import mongoose from 'mongoose';
+
+/**
+ * Intento de login SSO (OIDC).
+ *  1. /auth/oidc/login guarda state, nonce y code_verifier (PKCE).
+ *  2. /auth/oidc/callback lo consume (usedAt) y, si el usuario es válido, deja un
+ *     código de intercambio de un solo uso (sólo su hash) que viaja al frontend.
+ *  3. /auth/oidc/exchange canjea ese código por la sesión normal (handedOffAt).
+ */
+const OidcLoginSchema = new mongoose.Schema(
+  {
+    state:        { type: String, required: true, unique: true },
+    nonce:        { type: String, required: true, select: false },
+    codeVerifier: { type: String, required: true, select: false },
+    redirectTo:   { type: String, required: true },
+    usedAt:       { type: Date, default: null },
+
+    user:         { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    mfa:          { type: Boolean, default: false }, // el id_token afirma MFA (amr/acr)
+    handoffHash:  { type: String, select: false },
+    handedOffAt:  { type: Date, default: null },
+
+    expiresAt: { type: Date, required: true },
+    ip:        { type: String, default: null },
+    userAgent: { type: String, default: null },
+  },
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: false },
+    versionKey: false,
+  }
+);
+
+OidcLoginSchema.index({ handoffHash: 1 }, { sparse: true });
+// Limpieza automática una hora después del vencimiento
+OidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+const OidcLogin = mongoose.model('OidcLogin', OidcLoginSchema);
+export default OidcLogin;
@@ -0,0 +1,32 @@
+// src/auth/passwordReset.model.js
+import mongoose from 'mongoose';
+
+/**
+ * Código de un solo uso para restablecer contraseña.
+ * Sólo se guarda el hash (HMAC) del código; el código en claro viaja por correo.
+ */
+const PasswordResetSchema = new mongoose.Schema(
+  {
+    user:     { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    codeHash: { type: String, required: true, select: false },
+    attempts: { type: Number, default: 0 },
+
+    expiresAt:     { type: Date, required: true },
+    usedAt:        { type: Date, default: null },
+    invalidatedAt: { type: Date, default: null },
+
+    ip:        { type: String, default: null },
+    userAgent: { type: String, default: null },
+  },
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: false },
+    versionKey: false,
+  }
+);
+
+PasswordResetSchema.index({ user: 1, createdAt: -1 });
+// Limpieza automática un día después del vencimiento
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+const PasswordReset = mongoose.model('PasswordReset', PasswordResetSchema);
+export default PasswordReset;
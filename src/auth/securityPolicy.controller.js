@@ -0,0 +1,106 @@
+// src/auth/securityPolicy.controller.js
+import { ROLES } from '../user/user.model.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+import { getSecurityPolicy, updateSecurityPolicy } from '../helpers/security-policy.js';
+import { PASSWORD_POLICY_DEFAULTS } from '../helpers/password-policy.js';
+
+const PASSWORD_BOOL_KEYS = ['requireUppercase', 'requireLowercase', 'requireDigit', 'requireSymbol'];
+const PASSWORD_INT_KEYS = { minLength: [8, 128], historySize: [0, 24], maxAgeDays: [0, 3650] };
+
+const withPasswordDefaults = (policy) => ({
+  ...policy,
+  password: { ...PASSWORD_POLICY_DEFAULTS, ...(policy?.password || {}) },
+});
+
+/**
+ * Convierte el body `password` en un $set parcial ('password.minLength', ...).
+ * Devuelve { set, errors }.
+ */
+function parsePasswordPatch(input) {
+  const set = {};
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { set, errors: ['password debe ser un objeto'] };
+  }
+  for (const [key, value] of Object.entries(input)) {
+    if (PASSWORD_BOOL_KEYS.includes(key)) {
+      if (typeof value !== 'boolean') errors.push(`password.${key} debe ser booleano`);
+      else set[`password.${key}`] = value;
+    } else if (PASSWORD_INT_KEYS[key]) {
+      const [min, max] = PASSWORD_INT_KEYS[key];
+      if (!Number.isInteger(value) || value < min || value > max) errors.push(`password.${key} debe ser un entero entre ${min} y ${max}`);
+      else set[`password.${key}`] = value;
+    } else {
+      errors.push(`password.${key} no es configurable`);
+    }
+  }
+  return { set, errors };
+}
+
+/**
+ * GET /auth/security-policy
+ */
+export const getPolicy = async (_req, res) => {
+  try {
+    const policy = await getSecurityPolicy({ fresh: true });
+    return res.status(200).json({ success: true, policy: withPasswordDefaults(policy), availableRoles: ROLES });
+  } catch (err) {
+    console.error('Error en GET /auth/security-policy:', err);
+    return handleErrorResponse(res, 500, 'Error al obtener la política de seguridad', err.message);
+  }
+};
+
+/**
+ * PUT /auth/security-policy
+ * Body (todo opcional): {
+ *   twoFactorRequiredRoles: [ROLES],
+ *   password: { minLength, requireUppercase, requireLowercase, requireDigit, requireSymbol, historySize, maxAgeDays }
+ * }
+ */
+export const updatePolicy = async (req, res) => {
+  const { twoFactorRequiredRoles, password } = req.body || {};
+  const patch = {};
+  const errors = [];
+
+  if (twoFactorRequiredRoles !== undefined) {
+    if (!Array.isArray(twoFactorRequiredRoles)) {
+      errors.push('twoFactorRequiredRoles debe ser un arreglo');
+    } else {
+      const roles = [...new Set(twoFactorRequiredRoles.map((r) => String(r).trim().toUpperCase()))];
+      const invalid = roles.filter((r) => !ROLES.includes(r));
+      if (invalid.length) errors.push(`Roles inválidos: ${invalid.join(', ')}`);
+      else patch.twoFactorRequiredRoles = roles;
+    }
+  }
+
+  if (password !== undefined) {
+    const parsed = parsePasswordPatch(password);
+    errors.push(...parsed.errors);
+    Object.assign(patch, parsed.set);
+  }
+
+  if (!errors.length && !Object.keys(patch).length) {
+    errors.push('Nada que actualizar');
+  }
+  if (errors.length) {
+    await logActivity({ req, action: 'SECURITY_POLICY_UPDATE_FAIL', entity: 'SECURITY_POLICY', statusCode: 400, success: false, error: errors.join('; '), tags: ['auth', 'security-policy'] });
+    return handleErrorResponse(res, 400, errors.join('; '));
+  }
+
+  try {
+    const before = withPasswordDefaults(await getSecurityPolicy({ fresh: true }));
+    const policy = withPasswordDefaults(await updateSecurityPolicy(patch, req.user?.id || null));
+
+    await logActivity({
+      req, action: 'SECURITY_POLICY_UPDATE', entity: 'SECURITY_POLICY',
+      before, after: policy, statusCode: 200, success: true, tags: ['auth', 'security-policy'],
+    });
+
+    return res.status(200).json({ success: true, message: 'Política de seguridad actualizada', policy });
+  } catch (err) {
+    console.error('Error en PUT /auth/security-policy:', err);
+    await logActivity({ req, action: 'SECURITY_POLICY_UPDATE_FAIL', entity: 'SECURITY_POLICY', statusCode: 500, success: false, error: err?.message, tags: ['auth', 'security-policy'] });
+    return handleErrorResponse(res, 500, 'Error al actualizar la política de seguridad', err.message);
+  }
+};
@@ -0,0 +1,32 @@
+// src/auth/securityPolicy.model.js
+import mongoose from 'mongoose';
+import { ROLES } from '../user/user.model.js';
+
+/**
+ * Política de seguridad configurable por un ADMIN (documento único, key = 'default').
+ */
+const SecurityPolicySchema = new mongoose.Schema(
+  {
+    key: { type: String, default: 'default', unique: true },
+
+    // Roles que deben tener verificación en dos pasos (TOTP) activada
+    twoFactorRequiredRoles: { type: [String], enum: ROLES, default: [] },
+
+    // Reglas de contraseña (ver helpers/password-policy.js)
+    password: {
+      minLength:        { type: Number, min: 8, max: 128, default: 8 },
+      requireUppercase: { type: Boolean, default: true },
+      requireLowercase: { type: Boolean, default: true },
+      requireDigit:     { type: Boolean, default: true },
+      requireSymbol:    { type: Boolean, default: false },
+      historySize:      { type: Number, min: 0, max: 24, default: 5 },
+      maxAgeDays:       { type: Number, min: 0, max: 3650, default: 0 }, // 0 = no caduca
+    },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', SecurityPolicySchema);
+export default SecurityPolicy;
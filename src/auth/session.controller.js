@@ -0,0 +1,145 @@
+// src/auth/session.controller.js
+import mongoose from 'mongoose';
+import Session from './session.model.js';
+import User from '../user/user.model.js';
+import { revokeSession, revokeUserSessions } from '../helpers/refresh-tokens.js';
+import { describeUserAgent } from '../helpers/user-agent.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const TAGS = ['auth', 'session'];
+
+const activeFilter = (userId) => ({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+const sanitizeSession = (s, currentSessionId) => ({
+  id: s._id,
+  ip: s.ip,
+  userAgent: s.userAgent,
+  device: describeUserAgent(s.userAgent),
+  createdAt: s.createdAt,
+  lastSeenAt: s.lastUsedAt || s.createdAt,
+  expiresAt: s.expiresAt,
+  scope: s.scope || null,
+  current: Boolean(currentSessionId) && String(s._id) === String(currentSessionId),
+  ...(s.impersonatedBy ? { impersonatedBy: s.impersonatedBy, impersonationReason: s.impersonationReason } : {}),
+});
+
+/**
+ * Revoca `sessionId` si pertenece a `userId`; responde 404 si no.
+ */
+async function revokeOwned(req, res, userId, sessionId, { action, reason }) {
+  if (!mongoose.isValidObjectId(sessionId)) return handleErrorResponse(res, 400, 'ID de sesión inválido');
+
+  const owned = await Session.exists({ _id: sessionId, user: userId, revokedAt: null });
+  if (!owned) {
+    await logActivity({ req, action: `${action}_FAIL`, entity: 'SESSION', entityId: sessionId, statusCode: 404, success: false, error: 'Sesión no encontrada', tags: TAGS });
+    return handleErrorResponse(res, 404, 'Sesión no encontrada o ya cerrada');
+  }
+
+  await revokeSession(sessionId, reason);
+  await logActivity({ req, action, entity: 'SESSION', entityId: sessionId, statusCode: 200, success: true, message: `Sesión de ${userId} cerrada`, tags: TAGS });
+
+  return res.status(200).json({
+    success: true,
+    message: 'Sesión cerrada',
+    current: String(sessionId) === String(req.user?.sessionId),
+  });
+}
+
+/* ============================ Propio usuario ============================ */
+
+/**
+ * GET /auth/sessions
+ * Sesiones abiertas del usuario autenticado (dispositivo, IP, última actividad).
+ */
+export const listMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({ ...activeFilter(req.user.id), impersonatedBy: null })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+    return res.status(200).json({
+      success: true,
+      total: sessions.length,
+      sessions: sessions.map((s) => sanitizeSession(s, req.user.sessionId)),
+    });
+  } catch (err) {
+    console.error('Error en GET /auth/sessions:', err);
+    return handleErrorResponse(res, 500, 'Error al listar sesiones', err.message);
+  }
+};
+
+/**
+ * DELETE /auth/sessions/:sessionId
+ * Cierra una sesión propia (p.ej. un dispositivo perdido).
+ */
+export const revokeMySession = async (req, res) => {
+  try {
+    return await revokeOwned(req, res, req.user.id, req.params.sessionId, {
+      action: 'AUTH_SESSION_REVOKE',
+      reason: 'Cerrada por el usuario',
+    });
+  } catch (err) {
+    console.error('Error en DELETE /auth/sessions/:sessionId:', err);
+    return handleErrorResponse(res, 500, 'Error al cerrar la sesión', err.message);
+  }
+};
+
+/* ============================ Admin ============================ */
+
+/**
+ * GET /users/:userId/sessions
+ * Sesiones abiertas de cualquier usuario (incluye suplantaciones en curso).
+ */
+export const listUserSessions = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const exists = await User.exists({ _id: userId });
+    if (!exists) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+
+    const sessions = await Session.find(activeFilter(userId)).sort({ lastUsedAt: -1 }).lean();
+    return res.status(200).json({
+      success: true,
+      total: sessions.length,
+      sessions: sessions.map((s) => sanitizeSession(s, req.user.sessionId)),
+    });
+  } catch (err) {
+    console.error('Error en GET /users/:userId/sessions:', err);
+    return handleErrorResponse(res, 500, 'Error al listar sesiones', err.message);
+  }
+};
+
+/**
+ * DELETE /users/:userId/sessions/:sessionId
+ */
+export const revokeUserSession = async (req, res) => {
+  try {
+    return await revokeOwned(req, res, req.params.userId, req.params.sessionId, {
+      action: 'USER_SESSION_REVOKE',
+      reason: 'Cerrada por administrador',
+    });
+  } catch (err) {
+    console.error('Error en DELETE /users/:userId/sessions/:sessionId:', err);
+    return handleErrorResponse(res, 500, 'Error al cerrar la sesión', err.message);
+  }
+};
+
+/**
+ * DELETE /users/:userId/sessions
+ * Cierra todas las sesiones del usuario.
+ */
+export const revokeAllUserSessions = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const count = await revokeUserSessions(userId, 'Cerradas por administrador');
+    await logActivity({ req, action: 'USER_SESSIONS_REVOKE_ALL', entity: 'USER', entityId: userId, statusCode: 200, success: true, message: `Sesiones revocadas: ${count}`, tags: TAGS });
+    return res.status(200).json({ success: true, message: 'Sesiones cerradas', revokedCount: count });
+  } catch (err) {
+    console.error('Error en DELETE /users/:userId/sessions:', err);
+    await logActivity({ req, action: 'USER_SESSIONS_REVOKE_ALL_FAIL', entity: 'USER', entityId: userId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al cerrar sesiones', err.message);
+  }
+};
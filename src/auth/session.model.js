@@ -0,0 +1,57 @@
+// src/auth/session.model.js
+import mongoose from 'mongoose';
+
+/**
+ * Sesión de servidor (una por login).
+ * - El access token (JWT) lleva `sid` = _id de esta sesión.
+ * - El refresh token viaja como `<sid>.<secreto>`; aquí sólo se guarda el hash del secreto.
+ * - Cada /auth/refresh rota el secreto; los hashes anteriores se conservan para detectar reutilización.
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+    refreshTokenHash: { type: String, required: true, select: false },
+    rotatedHashes:    { type: [String], default: [], select: false },
+
+    ip:         { type: String, default: null }, // última IP vista (ipFromReq)
+    userAgent:  { type: String, default: null },
+    lastUsedAt: { type: Date }, // última actividad: refresh o uso del access token (ver touchSession)
+
+    // Alcance restringido del access token (p.ej. '2fa-enroll'); null = acceso completo
+    scope: { type: String, default: null },
+    // tokenVersion del usuario al crear la sesión; si cambia, la sesión ya no se puede renovar
+    tokenVersion: { type: Number, default: 0 },
+
+    // Suplantación (ver impersonation.controller.js): sesión sin refresh token, corta,
+    // cuyo access token lleva el claim `act` con el ADMIN real
+    impersonatedBy:      { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    impersonationReason: { type: String, trim: true, default: '' },
+    allowWrites:         { type: Boolean, default: false },
+
+    expiresAt:     { type: Date, required: true },
+    revokedAt:     { type: Date, default: null },
+    revokedReason: { type: String, trim: true, default: '' },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.refreshTokenHash;
+        delete ret.rotatedHashes;
+        return ret;
+      },
+    },
+  }
+);
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Mongo elimina sola las sesiones vencidas
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', SessionSchema);
+export default Session;
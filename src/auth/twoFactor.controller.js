@@ -0,0 +1,226 @@
+// src/auth/twoFactor.controller.js
+import User from '../user/user.model.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+import { issueSession, revokeSession } from '../helpers/refresh-tokens.js';
+import { TOKEN_SCOPES } from '../helpers/generate-jwt.js';
+import { getSecurityPolicy, requiresTwoFactor } from '../helpers/security-policy.js';
+import {
+  TOTP_ISSUER,
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  otpauthQrDataUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../helpers/totp.js';
+
+const RECOVERY_CODES = 10;
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Verifica un código TOTP contra el secreto activo y marca el paso como usado.
+ * Devuelve true/false (el caller debe guardar el documento).
+ */
+function consumeTotp(user, code) {
+  if (!user.twoFactor?.secret) return false;
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, {
+    afterStep: user.twoFactor.lastUsedStep ?? -1,
+  });
+  if (step === null) return false;
+  user.twoFactor.lastUsedStep = step;
+  return true;
+}
+
+/**
+ * GET /auth/2fa
+ * Estado de la verificación en dos pasos del usuario autenticado.
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('roles assignments twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes').lean();
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+
+    const policy = await getSecurityPolicy();
+
+    return res.status(200).json({
+      success: true,
+      twoFactor: {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        required: requiresTwoFactor(user, policy),
+        recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).length,
+      },
+    });
+  } catch (err) {
+    console.error('Error en GET /auth/2fa:', err);
+    return handleErrorResponse(res, 500, 'Error al obtener estado 2FA', err.message);
+  }
+};
+
+/**
+ * POST /auth/2fa/setup
+ * Genera un secreto pendiente y devuelve el URI otpauth + QR (data URL) para la app.
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+
+    if (user.twoFactor?.enabled) {
+      await logActivity({ req, action: 'AUTH_2FA_SETUP_FAIL', entity: 'USER', entityId: user._id, statusCode: 409, success: false, error: 'Ya activo', tags: ['auth', '2fa'] });
+      return handleErrorResponse(res, 409, 'La verificación en dos pasos ya está activa');
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUri({ secret, account: user.email });
+    const qrDataUrl = await otpauthQrDataUrl(otpauthUrl);
+
+    await logActivity({ req, action: 'AUTH_2FA_SETUP', entity: 'USER', entityId: user._id, statusCode: 200, success: true, message: 'Secreto 2FA generado', tags: ['auth', '2fa'] });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Escanea el código QR con tu app autenticadora y confirma con un código',
+      twoFactor: { issuer: TOTP_ISSUER, account: user.email, secret, otpauthUrl, qrDataUrl },
+    });
+  } catch (err) {
+    console.error('Error en /auth/2fa/setup:', err);
+    await logActivity({ req, action: 'AUTH_2FA_SETUP_FAIL', entity: 'USER', entityId: req.user?.id, statusCode: 500, success: false, error: err?.message, tags: ['auth', '2fa'] });
+    return handleErrorResponse(res, 500, 'Error al configurar 2FA', err.message);
+  }
+};
+
+/**
+ * POST /auth/2fa/enable
+ * Body: { code }. Confirma el secreto pendiente, activa 2FA y devuelve los códigos de recuperación.
+ * Si la sesión actual era de enrolamiento obligatorio, se reemplaza por una sesión completa.
+ */
+export const enableTwoFactor = async (req, res) => {
+  const { code } = req.body || {};
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+
+    if (user.twoFactor?.enabled) {
+      return handleErrorResponse(res, 409, 'La verificación en dos pasos ya está activa');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return handleErrorResponse(res, 400, 'Primero genera el código QR (POST /auth/2fa/setup)');
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      await logActivity({ req, action: 'AUTH_2FA_ENABLE_FAIL', entity: 'USER', entityId: user._id, statusCode: 400, success: false, error: 'Código inválido', tags: ['auth', '2fa'] });
+      return handleErrorResponse(res, 400, 'Código de verificación inválido');
+    }
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODES);
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    // La sesión de enrolamiento no debe seguir viva: se cambia por una completa
+    let tokens;
+    if (req.user.sessionScope === TOKEN_SCOPES.TWO_FACTOR_ENROLL) {
+      await revokeSession(req.user.sessionId, '2FA configurado');
+      const { token, refreshToken, refreshExpiresAt } = await issueSession(user, req);
+      tokens = { token, refreshToken, refreshExpiresAt };
+    }
+
+    await logActivity({ req, action: 'AUTH_2FA_ENABLE', entity: 'USER', entityId: user._id, statusCode: 200, success: true, message: '2FA activado', tags: ['auth', '2fa'] });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación; no se mostrarán de nuevo.',
+      recoveryCodes,
+      ...(tokens ? { tokens } : {}),
+    });
+  } catch (err) {
+    console.error('Error en /auth/2fa/enable:', err);
+    await logActivity({ req, action: 'AUTH_2FA_ENABLE_FAIL', entity: 'USER', entityId: req.user?.id, statusCode: 500, success: false, error: err?.message, tags: ['auth', '2fa'] });
+    return handleErrorResponse(res, 500, 'Error al activar 2FA', err.message);
+  }
+};
+
+/**
+ * POST /auth/2fa/disable
+ * Body: { password, code }. No permitido si la política lo exige para los roles del usuario.
+ */
+export const disableTwoFactor = async (req, res) => {
+  const { password, code } = req.body || {};
+  if (!password || !code) {
+    return handleErrorResponse(res, 400, 'password y code son obligatorios');
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select(`+password ${SECRET_FIELDS}`);
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+    if (!user.twoFactor?.enabled) {
+      return handleErrorResponse(res, 400, 'La verificación en dos pasos no está activa');
+    }
+
+    const policy = await getSecurityPolicy();
+    if (requiresTwoFactor(user, policy)) {
+      await logActivity({ req, action: 'AUTH_2FA_DISABLE_FAIL', entity: 'USER', entityId: user._id, statusCode: 403, success: false, error: 'Requerido por política', tags: ['auth', '2fa'] });
+      return handleErrorResponse(res, 403, 'La política de seguridad exige 2FA para tu rol');
+    }
+
+    const passOk = Boolean(user.password) && await user.matchPassword(password);
+    if (!passOk || !consumeTotp(user, code)) {
+      await logActivity({ req, action: 'AUTH_2FA_DISABLE_FAIL', entity: 'USER', entityId: user._id, statusCode: 401, success: false, error: 'Credenciales inválidas', tags: ['auth', '2fa'] });
+      return handleErrorResponse(res, 401, 'Contraseña o código inválidos');
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await logActivity({ req, action: 'AUTH_2FA_DISABLE', entity: 'USER', entityId: user._id, statusCode: 200, success: true, message: '2FA desactivado', tags: ['auth', '2fa'] });
+
+    return res.status(200).json({ success: true, message: 'Verificación en dos pasos desactivada' });
+  } catch (err) {
+    console.error('Error en /auth/2fa/disable:', err);
+    await logActivity({ req, action: 'AUTH_2FA_DISABLE_FAIL', entity: 'USER', entityId: req.user?.id, statusCode: 500, success: false, error: err?.message, tags: ['auth', '2fa'] });
+    return handleErrorResponse(res, 500, 'Error al desactivar 2FA', err.message);
+  }
+};
+
+/**
+ * POST /auth/2fa/recovery-codes
+ * Body: { code }. Reemplaza los códigos de recuperación (los anteriores dejan de servir).
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body || {};
+  try {
+    const user = await User.findById(req.user.id).select(SECRET_FIELDS);
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+    if (!user.twoFactor?.enabled) {
+      return handleErrorResponse(res, 400, 'La verificación en dos pasos no está activa');
+    }
+
+    if (!consumeTotp(user, code)) {
+      await logActivity({ req, action: 'AUTH_2FA_RECOVERY_FAIL', entity: 'USER', entityId: user._id, statusCode: 401, success: false, error: 'Código inválido', tags: ['auth', '2fa'] });
+      return handleErrorResponse(res, 401, 'Código de verificación inválido');
+    }
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODES);
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    await logActivity({ req, action: 'AUTH_2FA_RECOVERY_REGENERATE', entity: 'USER', entityId: user._id, statusCode: 200, success: true, tags: ['auth', '2fa'] });
+
+    return res.status(200).json({ success: true, message: 'Códigos de recuperación regenerados', recoveryCodes });
+  } catch (err) {
+    console.error('Error en /auth/2fa/recovery-codes:', err);
+    await logActivity({ req, action: 'AUTH_2FA_RECOVERY_FAIL', entity: 'USER', entityId: req.user?.id, statusCode: 500, success: false, error: err?.message, tags: ['auth', '2fa'] });
+    return handleErrorResponse(res, 500, 'Error al regenerar códigos', err.message);
+  }
+};
@@ -0,0 +1,20 @@
+// src/auth/wellKnown.routes.js
+import { Router } from 'express';
+import { getJwks } from '../helpers/jwt-keys.js';
+
+const router = Router();
+
+// Llaves públicas para que otras aplicaciones verifiquen los JWT de DIGECUR (por `kid`).
+// Deben exigir iss=JWT_ISSUER y aud=JWT_AUDIENCE: los tokens de desafío 2FA, invitación, suplantación
+// o de alcance restringido (enrolamiento 2FA) llevan otra audiencia.
+router.get('/jwks.json', (_req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.status(200).json(getJwks());
+  } catch (err) {
+    console.error('Error en /.well-known/jwks.json:', err);
+    return res.status(500).json({ success: false, message: 'Llaves no disponibles' });
+  }
+});
+
+export default router;
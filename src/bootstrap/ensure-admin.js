@@ -1,29 +1,40 @@
 // src/bootstrap/ensure-admin.js
-import User, { DEPARTAMENTOS } from '../user/user.model.js';
+import crypto from 'crypto';
+import User from '../user/user.model.js';
+import { checkPasswordRules, getPasswordPolicy } from '../helpers/password-policy.js';
 
 const ADMIN_ROLES = ['ADMIN'];
-const MIN_PWD = 8;
 
-// Genera un password fuerte si el que viene es corto
-function validDefaultPassword() {
+// Cumple cualquier combinación de clases exigida por la política
+function generatedPassword(minLength) {
+  const body = crypto.randomBytes(Math.max(minLength, 16)).toString('base64url').replace(/[-_]/g, '');
+  return `Ad#${body}9z`;
+}
+
+// DEFAULT_ADMIN_PASSWORD si cumple la política; si no, uno generado
+function validDefaultPassword(rules, ctx) {
   const fromEnv = process.env.DEFAULT_ADMIN_PASSWORD || '';
-  if (fromEnv.length >= MIN_PWD) return fromEnv;
-  // fallback seguro
-  return 'Admin#' + Math.random().toString(36).slice(2, 10) + '2025';
+  const errors = fromEnv ? checkPasswordRules(fromEnv, rules, ctx) : ['vacía'];
+  if (!errors.length) return { password: fromEnv, fromEnv: true };
+  if (fromEnv) {
+    console.warn(`[Auth] DEFAULT_ADMIN_PASSWORD no cumple la política de contraseñas: ${errors.join('; ')}`);
+  }
+  return { password: generatedPassword(rules.minLength), fromEnv: false };
 }
 
 export async function ensureDefaultAdmin() {
   const email = process.env.DEFAULT_ADMIN_EMAIL || 'admin@digecur.local';
   const nombre = process.env.DEFAULT_ADMIN_NAME || 'ADMIN DIGECUR AMAGANA';
   const cargo = 'ADMINISTRADOR PAGE';
-  const defaultDept = 'DESAROLLO';
+  const defaultDept = 'DESARROLLO';
 
   const resetPassword =
     String(process.env.RESET_DEFAULT_ADMIN_PASSWORD || 'false').toLowerCase() === 'true';
-  const password = validDefaultPassword();
+  const rules = await getPasswordPolicy();
+  const { password, fromEnv } = validDefaultPassword(rules, { email, nombre });
 
   // ¿Existe ya?
-  let user = await User.findOne({ email }).select('+password');
+  let user = await User.findOne({ email }).select('+password +passwordHistory');
   if (!user) {
     user = new User({
       email,
@@ -36,8 +47,8 @@ export async function ensureDefaultAdmin() {
     });
     await user.save();
     console.log(`[Auth] ADMIN por defecto creado: ${email}`);
-    if ((process.env.DEFAULT_ADMIN_PASSWORD || '').length < MIN_PWD) {
-      console.warn('[Auth] La contraseña auto-generada cumple mínimo 8 caracteres. Define DEFAULT_ADMIN_PASSWORD en .env para personalizarla.');
+    if (!fromEnv) {
+      console.warn('[Auth] Se generó una contraseña aleatoria para el ADMIN. Define DEFAULT_ADMIN_PASSWORD en .env (cumpliendo la política) o usa /auth/password/forgot.');
     }
     return;
   }
@@ -55,10 +66,10 @@ export async function ensureDefaultAdmin() {
   if (!user.cargo) user.cargo = cargo;
 
   // 🔐 Solo resetea password si lo pides
-  if (resetPassword && process.env.DEFAULT_ADMIN_PASSWORD && process.env.DEFAULT_ADMIN_PASSWORD.length >= MIN_PWD) {
-    await user.setPassword(process.env.DEFAULT_ADMIN_PASSWORD);
+  if (resetPassword && fromEnv) {
+    await user.setPassword(password);
   } else if (resetPassword) {
-    console.warn('[Auth] RESET_DEFAULT_ADMIN_PASSWORD=true pero DEFAULT_ADMIN_PASSWORD no cumple mínimo de 8 caracteres. Se ignora el reset.');
+    console.warn('[Auth] RESET_DEFAULT_ADMIN_PASSWORD=true pero DEFAULT_ADMIN_PASSWORD no cumple la política de contraseñas. Se ignora el reset.');
   }
 
   await user.save();
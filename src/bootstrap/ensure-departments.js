@@ -0,0 +1,38 @@
+// src/bootstrap/ensure-departments.js
+import Department, { DEFAULT_DEPARTMENTS } from '../department/department.model.js';
+import { invalidateDepartmentCatalog } from '../helpers/departments.js';
+import { renameDepartmentReferences } from '../helpers/department-references.js';
+
+/**
+ * Siembra el organigrama inicial si la colección está vacía y migra los
+ * documentos que aún guardan un alias (p.ej. 'DESAROLLO') al código vigente.
+ */
+export async function ensureDepartments() {
+  const count = await Department.estimatedDocumentCount();
+  if (!count) {
+    const ids = new Map();
+    // DEFAULT_DEPARTMENTS va de padres a hijos
+    for (const [i, d] of DEFAULT_DEPARTMENTS.entries()) {
+      const doc = await Department.create({
+        code: d.code,
+        nombre: d.nombre,
+        tipo: d.tipo || 'DEPARTAMENTO',
+        parent: d.parent ? ids.get(d.parent) : null,
+        aliases: d.aliases || [],
+        orden: i,
+      });
+      ids.set(d.code, doc._id);
+    }
+    console.log(`[Departments] Organigrama inicial creado (${DEFAULT_DEPARTMENTS.length} unidades)`);
+  }
+
+  const withAliases = await Department.find({ 'aliases.0': { $exists: true } }).select('code aliases').lean();
+  for (const d of withAliases) {
+    const moved = await renameDepartmentReferences(d.aliases, d.code);
+    if (moved.users || moved.correspondencia) {
+      console.log(`[Departments] ${d.aliases.join(', ')} -> ${d.code}: ${moved.users} usuarios, ${moved.correspondencia} correspondencias`);
+    }
+  }
+
+  invalidateDepartmentCatalog();
+}
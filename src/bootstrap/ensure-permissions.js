@@ -0,0 +1,20 @@
+// src/bootstrap/ensure-permissions.js
+import Permission, { DEFAULT_PERMISSIONS } from '../permission/permission.model.js';
+import { invalidatePermissions } from '../helpers/permissions.js';
+
+/**
+ * Crea los permisos definidos en el código que aún no existen, con sus concesiones
+ * iniciales. Los existentes conservan sus concesiones; sólo se actualiza la descripción.
+ */
+export async function ensurePermissions() {
+  const ops = DEFAULT_PERMISSIONS.map((p) => ({
+    updateOne: {
+      filter: { key: p.key },
+      update: { $set: { description: p.description }, $setOnInsert: { grants: p.grants } },
+      upsert: true,
+    },
+  }));
+  const result = await Permission.bulkWrite(ops, { ordered: false });
+  if (result.upsertedCount) console.log(`[Permissions] Permisos nuevos sembrados: ${result.upsertedCount}`);
+  invalidatePermissions();
+}
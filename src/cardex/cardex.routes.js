@@ -1,7 +1,7 @@
 // src/cardex/cardex.routes.js
 import { Router } from 'express';
 import { validateJWT } from '../middlewares/validate-jwt.js';
-import { requireDeptAndRole } from '../middlewares/authorize-dept-role.js';
+import { requirePermission } from '../middlewares/require-permission.js';
 import {
   createCardex, getAllCardex, getCardexById,
   updateCardex, deleteCardex,
@@ -9,23 +9,13 @@ import {
 
 const router = Router();
 
-/**
- * Autorización Cardex:
- * - Departamentos habilitados: área de materiales (operativo), dirección (jefatura) y desarrollo (superadmin).
- * - Roles habilitados: operativos y jefaturas.
- *
- * Ajusta a tu organigrama si lo necesitas.
- */
-const CARDEX_DEPTS = ['AREA DE MATERIALES EDUCATIVOS', 'DIRECCION', 'DESAROLLO'];
-const CARDEX_ROLES = ['ADMIN', 'DIRECTOR', 'JEFE', 'TECNICO', 'ASISTENTE'];
-const canUseCardex = requireDeptAndRole(CARDEX_DEPTS, CARDEX_ROLES);
+// Autorización Cardex: permisos cardex.* (ver permission.model.js, administrables en /permissions)
 
+// Crear
+router.post('/', validateJWT, requirePermission('cardex.create'), createCardex);
 
-// Crear (requiere dept + rol)
-router.post('/', validateJWT, canUseCardex, createCardex);
-
-// Actualizar (requiere dept + rol)
-router.put('/:cardexId', validateJWT, canUseCardex, updateCardex);
+// Actualizar
+router.put('/:cardexId', validateJWT, requirePermission('cardex.update'), updateCardex);
 
 
 
@@ -35,7 +25,7 @@ router.get('/:cardexId', validateJWT, getCardexById);
 
 
 
-router.delete('/:cardexId', validateJWT, canUseCardex, deleteCardex);
+router.delete('/:cardexId', validateJWT, requirePermission('cardex.delete'), deleteCardex);
 
 
 export default router;
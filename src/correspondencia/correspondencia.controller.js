@@ -1,12 +1,12 @@
 // src/correspondencia/correspondencia.controller.js
 import mongoose from 'mongoose';
-import Correspondencia, {
-  CORR_ESTADOS,
-  DEPTS_SIN_SUBDIRECTOR,
-  SUBDIRS,
-  SUBDIR_MAP, // puede venir vacío / desalineado: añadimos fallback abajo
-} from './correspondencia.model.js';
+import Correspondencia, { CORR_ESTADOS } from './correspondencia.model.js';
 import User from '../user/user.model.js';
+import { getDepartmentCatalog } from '../helpers/departments.js';
+import { delegatorsFor, onBehalfLabel } from '../helpers/delegations.js';
+import { identitiesOf } from '../helpers/assignments.js';
+import { actorUserId, actorServiceAccountId } from '../helpers/api-keys.js';
+import { CORR_USER_FIELDS, openCorrespondenciaFilter } from '../helpers/user-holdings.js';
 import { handleErrorResponse } from '../helpers/handleResponse.js';
 import { logActivity } from '../movements/movement.controller.js';
 
@@ -42,20 +42,53 @@ const toPlainItem = (docOrObj) => {
   return o;
 };
 
-const pushHist = (doc, { action, fromState, toState, notes, actor }) => {
+const pushHist = (doc, { action, fromState, toState, notes, actor, onBehalfOf = null }) => {
   doc.historial.push({
     at: now(),
     action,
     fromState,
     toState,
     notes: notes || '',
-    actorUserId: actor?.id || actor?._id || null,
+    actorUserId: actorUserId(actor),
+    ...(actorServiceAccountId(actor) ? { actorServiceAccountId: actorServiceAccountId(actor) } : {}),
     actorDept: actor?.departamento || null,
     actorRole:
       (Array.isArray(actor?.roles) ? actor.roles[0] : actor?.role) || null,
+    ...(onBehalfOf
+      ? { onBehalfOfUserId: onBehalfOf.id, onBehalfOfLabel: onBehalfLabel(actor, onBehalfOf) }
+      : {}),
   });
 };
 
+const upRoles = (u) =>
+  Array.isArray(u?.roles) ? u.roles.map((r) => String(r || '').toUpperCase().trim()) : [];
+
+// ¿El expediente está en la bandeja de `u`? (persona asignada, o depto + rol en algún cargo vigente)
+const ownsInbox = (u, doc) => {
+  if (doc.ownerUserId) return String(doc.ownerUserId) === String(u?.id || u?._id || '');
+  return identitiesOf(u).some((m) => doc.ownerDept === m.departamento && upRoles(m).includes(doc.ownerRole));
+};
+
+/**
+ * Quién actúa y, si es por delegación, en nombre de quién.
+ * - Con req.delegators (el permiso llegó por delegación, ver require-permission)
+ *   el expediente debe estar en la bandeja de alguno de ellos; si no, null (403).
+ * - Sin ellos, si el expediente no es del usuario pero sí de alguien que delegó
+ *   en él, la transición queda registrada en nombre del titular.
+ * @returns {Promise<{ actor: object, onBehalfOf: object|null } | null>}
+ */
+const resolveActing = async (req, doc) => {
+  if (req.delegators?.length) {
+    const owner = req.delegators.find((d) => ownsInbox(d, doc));
+    return owner ? { actor: req.user, onBehalfOf: owner } : null;
+  }
+  if (!req.user || ownsInbox(req.user, doc)) return { actor: req.user, onBehalfOf: null };
+  const delegators = await delegatorsFor(req.user, 'correspondencia');
+  return { actor: req.user, onBehalfOf: delegators.find((d) => ownsInbox(d, doc)) || null };
+};
+
+const DELEGATION_DENIED = 'El expediente no está en la bandeja de quien te delegó';
+
 const consoleTransition = (label, { id, from, to, actor, extra = {} }) => {
   console.log(
     `[CORR:${label}] #${id} ${from} -> ${to} by ${
@@ -73,51 +106,6 @@ const normStr = (s = '') =>
     .toUpperCase()
     .trim();
 
-/** Alias para nombres de departamentos con variantes ortográficas */
-const aliasDept = (s = '') => {
-  const n = normStr(s);
-  // Sistema usa "DESAROLLO" (una sola R) en algunos lugares; homogenizamos a esa variante
-  if (n === 'DESARROLLO') return 'DESAROLLO';
-  return n;
-};
-
-const canonicalFromList = (value, list) => {
-  const n = normStr(value);
-  const found = (list || []).find((x) => normStr(x) === n);
-  return found || value;
-};
-
-/** Fallback interno por si el SUBDIR_MAP del modelo no está alineado */
-const SUBDIR_FALLBACK_MAP = {
-  'SUBDIRECCION EVALUACION CURRICULAR': ['PRIMARIA', 'EVALUACION', 'DESAROLLO'],
-  'SUBDIRECCION DISENO Y DESAROLLO CURRICULAR': [
-    'INICIAL Y PREPRIMARIA',
-    'BASICO',
-    'DIVERSIFICADO',
-  ],
-  // Nota: arriba normalizamos 'DISEÑO' -> 'DISENO' con normStr, así que la key queda sin tilde
-};
-
-/** Mapa normalizado (keys sin acentos/mayúsculas; values pasados por aliasDept) */
-const buildSubdirMapNorm = () => {
-  const merged = {};
-
-  const add = (k, arr = []) => {
-    if (!k) return;
-    const K = normStr(k);
-    const set = new Set(merged[K] || []);
-    arr.forEach((d) => set.add(aliasDept(d)));
-    merged[K] = Array.from(set);
-  };
-
-  // 1) Modelo
-  Object.entries(SUBDIR_MAP || {}).forEach(([k, arr]) => add(k, arr));
-  // 2) Fallback (se fusiona, no reemplaza)
-  Object.entries(SUBDIR_FALLBACK_MAP).forEach(([k, arr]) => add(k, arr));
-
-  return merged;
-};
-
 /* ============================== Creates & Reads ============================== */
 
 // Recepción crea registro
@@ -156,7 +144,8 @@ export const createCorrespondencia = async (req, res) => {
       estado: CORR_ESTADOS.EN_RECEPCION,
       ownerDept: 'AREA ADMINISTRATIVA',
       ownerRole: 'ASISTENTE',
-      createdBy: req.user?.id || null,
+      createdBy: actorUserId(req.user),
+      createdByServiceAccount: actorServiceAccountId(req.user),
       historial: [],
     });
 
@@ -223,6 +212,40 @@ export const getCorrespondenciaById = async (req, res) => {
   }
 };
 
+/**
+ * Restricción de bandeja según el rol de `u` (req.user o un delegante) en una membresía
+ * (ver identitiesOf). null = sin restricción (asistente y roles sin bandeja propia).
+ * `delegated`: la bandeja de un Jefe ausente incluye también lo pendiente de recibir.
+ */
+const inboxScope = (u, { ownerDept, ownerRole, defaultStates, delegated = false }) => {
+  const roles = upRoles(u);
+  if (roles.includes('ASISTENTE')) return null; // Asistente: ve TODO
+  if (roles.includes('DIRECTOR')) return { ownerDept: ownerDept || 'DIRECCION' };
+  if (roles.includes('JEFE')) {
+    const scope = { ownerDept: ownerDept || String(u?.departamento || ''), ownerRole: ownerRole || 'JEFE' };
+    if (defaultStates) {
+      scope.estado = {
+        $in: [
+          ...(delegated ? [CORR_ESTADOS.EN_DEPARTAMENTO_POR_RECIBIR] : []),
+          CORR_ESTADOS.RECIBIDO_EN_DEPARTAMENTO,
+          CORR_ESTADOS.RESUELTO_POR_TECNICO,
+        ],
+      };
+    }
+    return scope;
+  }
+  if (roles.includes('TECNICO') || roles.includes('TENICO')) {
+    const scope = { ownerRole: ownerRole || 'TECNICO', ownerUserId: u?.id };
+    if (defaultStates) {
+      scope.estado = {
+        $in: [CORR_ESTADOS.ASIGNADO_A_TECNICO, CORR_ESTADOS.EN_TRABAJO_TECNICO],
+      };
+    }
+    return scope;
+  }
+  return null; // Otros roles: sin restricciones extra
+};
+
 // Listado con filtros básicos + restricciones por rol
 export const listCorrespondencia = async (req, res) => {
   try {
@@ -238,7 +261,8 @@ export const listCorrespondencia = async (req, res) => {
       String(req.query.anyState || '').toLowerCase()
     );
     const estadoRaw = String(req.query.estado || '').trim();
-    const ownerDept = String(req.query.ownerDept || req.query.department || '').trim();
+    const ownerDeptRaw = String(req.query.ownerDept || req.query.department || '').trim();
+    const ownerDept = ownerDeptRaw ? (await getDepartmentCatalog()).resolve(ownerDeptRaw) || ownerDeptRaw : '';
     const ownerRole = String(req.query.ownerRole || '').trim();
     const ownerUserId = String(req.query.ownerUserId || '').trim();
     const createdBy = String(req.query.createdBy || '').trim();
@@ -250,16 +274,7 @@ export const listCorrespondencia = async (req, res) => {
     const dateTo = req.query.dateTo ? new Date(req.query.dateTo) : null;
 
     // --------- Contexto del usuario ----------
-    const roles = Array.isArray(req.user?.roles)
-      ? req.user.roles.map((r) => String(r).toUpperCase().trim())
-      : [];
-    const myDept = String(req.user?.departamento || '');
-    const myId = req.user?.id;
-    const isAssistant = roles.includes('ASISTENTE');
-    const isDirector = roles.includes('DIRECTOR');
-    const isJefe = roles.includes('JEFE');
-    const isTec = roles.includes('TECNICO') || roles.includes('TENICO');
-    const isAdminLike = roles.includes('ADMIN') || roles.includes('DESAROLLADOR'); // super-roles
+    const isAdminLike = upRoles(req.user).some((r) => ['ADMIN', 'DESAROLLADOR'].includes(r)); // super-roles
 
     // --------- Filtro base ----------
     const filter = {};
@@ -296,32 +311,26 @@ export const listCorrespondencia = async (req, res) => {
       ? estadoRaw.split(',').map((s) => s.trim()).filter(Boolean)
       : null;
 
+    // Bandeja de cada cargo vigente del usuario más la de quienes delegaron en él (ver inboxScope)
+    let delegations = [];
     if (!isAdminLike) {
-      if (isAssistant) {
-        // Asistente: ve TODO
-      } else if (isDirector) {
-        filter.ownerDept = ownerDept || 'DIRECCION';
-      } else if (isJefe) {
-        filter.ownerDept = ownerDept || myDept;
-        filter.ownerRole = ownerRole || 'JEFE';
-        if (!anyState && !userSetEstado) {
-          filter.estado = {
-            $in: [
-              CORR_ESTADOS.RECIBIDO_EN_DEPARTAMENTO,
-              CORR_ESTADOS.RESUELTO_POR_TECNICO,
-            ],
-          };
+      const scopeOpts = { ownerDept, ownerRole, defaultStates: !anyState && !userSetEstado };
+      const own = identitiesOf(req.user).map((m) => inboxScope(m, scopeOpts));
+      if (!own.includes(null)) {
+        const delegators = await delegatorsFor(req.user, 'correspondencia');
+        const scopes = [
+          ...own,
+          ...delegators.flatMap((d) => identitiesOf(d).map((m) => inboxScope(m, { ...scopeOpts, delegated: true }))),
+        ];
+        delegations = delegators.map((d) => ({ id: d.id, nombre: d.nombre, email: d.email, endsAt: d.endsAt }));
+
+        if (scopes.some((sc) => sc === null)) {
+          // Algún delegante ve todo: sin restricción extra
+        } else if (scopes.length === 1) {
+          Object.assign(filter, scopes[0]);
+        } else {
+          filter.$and = [{ $or: scopes }];
         }
-      } else if (isTec) {
-        filter.ownerRole = ownerRole || 'TECNICO';
-        filter.ownerUserId = myId;
-        if (!anyState && !userSetEstado) {
-          filter.estado = {
-            $in: [CORR_ESTADOS.ASIGNADO_A_TECNICO, CORR_ESTADOS.EN_TRABAJO_TECNICO],
-          };
-        }
-      } else {
-        // Otros roles: sin restricciones extra
       }
     }
 
@@ -345,6 +354,7 @@ export const listCorrespondencia = async (req, res) => {
       success: true,
       pagination: { page, limit, total, pages: Math.ceil(total / limit) || 1 },
       items,
+      delegations,
     });
   } catch (err) {
     console.error('listCorrespondencia error:', err);
@@ -360,6 +370,9 @@ export const recepcionEnviarADireccion = async (req, res) => {
     const doc = await Correspondencia.findById(req.params.id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
 
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
+
     const from = doc.estado;
     doc.estado = CORR_ESTADOS.EN_DIRECCION_POR_INSTRUIR;
     doc.ownerDept = 'DIRECCION';
@@ -370,7 +383,7 @@ export const recepcionEnviarADireccion = async (req, res) => {
       action: 'RECEPCION->DIRECCION',
       fromState: from,
       toState: doc.estado,
-      actor: req.user,
+      ...acting,
       notes: 'Envío a Dirección para instrucciones',
     });
     await doc.save();
@@ -409,6 +422,9 @@ export const direccionInstruirYEnviar = async (req, res) => {
     const doc = await Correspondencia.findById(req.params.id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
 
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
+
     if (
       doc.estado !== CORR_ESTADOS.EN_DIRECCION_POR_INSTRUIR &&
       doc.estado !== CORR_ESTADOS.EN_DIRECCION_POR_REASIGNAR
@@ -420,12 +436,14 @@ export const direccionInstruirYEnviar = async (req, res) => {
 
     const from = doc.estado;
 
+    const catalog = await getDepartmentCatalog();
+
     if (roleDestino === 'SUBDIRECTOR') {
-      const subdirsNorm = (SUBDIRS || []).map(normStr);
-      if (!subdirsNorm.includes(normStr(subdireccion))) {
+      // Subdirección activa del organigrama (por código, alias o nombre)
+      const canonical = catalog.resolve(subdireccion);
+      if (!canonical || !catalog.subdirecciones().includes(canonical)) {
         return handleErrorResponse(res, 400, 'Subdirección inválida');
       }
-      const canonical = canonicalFromList(subdireccion, SUBDIRS);
 
       doc.destinoTipo = 'SUBDIRECCION';
       doc.destinoSubdireccion = canonical;
@@ -435,23 +453,21 @@ export const direccionInstruirYEnviar = async (req, res) => {
       doc.ownerRole = 'SUBDIRECTOR';
       doc.ownerUserId = null;
     } else if (roleDestino === 'JEFE') {
-      const deptNorm = aliasDept(departamento);
-      const inSinSubdir = (DEPTS_SIN_SUBDIRECTOR || [])
-        .map(aliasDept)
-        .includes(deptNorm);
-      const inSubdir = Object.values(SUBDIR_MAP || {})
-        .flat()
-        .map(aliasDept)
-        .includes(deptNorm);
-      if (!inSinSubdir && !inSubdir) {
+      // Jefatura activa: dependa o no de una subdirección
+      const canonical = catalog.resolve(departamento);
+      const jefaturas = [
+        ...catalog.sinSubdirector(),
+        ...catalog.subdirecciones().flatMap((s) => catalog.childrenOf(s)),
+      ];
+      if (!canonical || !jefaturas.includes(canonical)) {
         return handleErrorResponse(res, 400, 'Departamento inválido');
       }
 
       doc.destinoTipo = 'DEPARTAMENTO';
       doc.destinoSubdireccion = null;
-      doc.destinoDepartamento = departamento;
+      doc.destinoDepartamento = canonical;
       doc.estado = CORR_ESTADOS.EN_DEPARTAMENTO_POR_RECIBIR;
-      doc.ownerDept = departamento;
+      doc.ownerDept = canonical;
       doc.ownerRole = 'JEFE';
       doc.ownerUserId = null;
     } else {
@@ -466,7 +482,7 @@ export const direccionInstruirYEnviar = async (req, res) => {
       action: 'DIR_INSTRUYE_ENVIA',
       fromState: from,
       toState: doc.estado,
-      actor: req.user,
+      ...acting,
       notes: `Destino: ${
         roleDestino === 'SUBDIRECTOR' ? subdireccion : departamento
       }`,
@@ -507,6 +523,9 @@ export const subdireccionAceptar = async (req, res) => {
   try {
     const doc = await Correspondencia.findById(req.params.id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
+
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
     if (doc.estado !== CORR_ESTADOS.EN_SUBDIRECCION_POR_RECIBIR) {
       return handleErrorResponse(res, 400, 'No está pendiente en Subdirección');
     }
@@ -519,7 +538,7 @@ export const subdireccionAceptar = async (req, res) => {
       action: 'SUBDIR_ACEPTAR',
       fromState: from,
       toState: doc.estado,
-      actor: req.user,
+      ...acting,
     });
     await doc.save();
 
@@ -544,18 +563,21 @@ export const subdireccionAceptar = async (req, res) => {
 // SUBDIRECTOR asigna JEFE (sin validar dept; usa dept del jefe) + auto-aceptación
 export const subdireccionAsignarJefe = async (req, res) => {
   try {
-    const { jefeUserId } = req.body; // departamento ya no es necesario
+    const { jefeUserId } = req.body; // departamento sólo si el jefe tiene más de una jefatura
     const { id } = req.params;
 
     const doc = await Correspondencia.findById(id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
 
-    // Auto-aceptación si el doc está "por recibir" y quien llama es SUBDIRECTOR
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
+
+    // Auto-aceptación si el doc está "por recibir" y quien llama (o su delegante) es SUBDIRECTOR
     const estadoActual = String(doc.estado || '');
-    const rolesCaller = Array.isArray(req.user?.roles)
-      ? req.user.roles.map((r) => normStr(r))
-      : [];
-    const isCallerSubdirector = rolesCaller.includes('SUBDIRECTOR');
+    const caller = acting.onBehalfOf || req.user;
+    const isCallerSubdirector = identitiesOf(caller).some((m) =>
+      (Array.isArray(m?.roles) ? m.roles.map((r) => normStr(r)) : []).includes('SUBDIRECTOR')
+    );
 
     if (estadoActual === CORR_ESTADOS.EN_SUBDIRECCION_POR_RECIBIR && isCallerSubdirector) {
       const fromAuto = doc.estado;
@@ -565,7 +587,7 @@ export const subdireccionAsignarJefe = async (req, res) => {
         action: 'SUBDIR_ACEPTAR_IMPLICITO',
         fromState: fromAuto,
         toState: doc.estado,
-        actor: req.user,
+        ...acting,
         notes: 'Auto-aceptado por Subdirección al asignar a Jefatura',
       });
       await doc.save();
@@ -585,8 +607,14 @@ export const subdireccionAsignarJefe = async (req, res) => {
     const jefe = await User.findById(jefeUserId).lean();
     if (!jefe) return handleErrorResponse(res, 404, 'Jefe no encontrado');
 
-    // Usar SIEMPRE el departamento del jefe (ignora req.body.departamento)
-    const deptJefe = String(jefe.departamento || '').trim();
+    // Departamento del jefe; si además es Jefe (p.ej. interino) en otro departamento,
+    // req.body.departamento elige cuál de sus jefaturas recibe el expediente
+    const catalog = await getDepartmentCatalog();
+    const wanted = req.body.departamento ? catalog.resolve(req.body.departamento) : null;
+    const jefaturas = identitiesOf(jefe)
+      .filter((m) => upRoles(m).includes('JEFE'))
+      .map((m) => String(m.departamento || '').trim());
+    const deptJefe = wanted && jefaturas.includes(wanted) ? wanted : String(jefe.departamento || '').trim();
 
     // Transición a Jefatura
     const from = doc.estado;
@@ -601,7 +629,7 @@ export const subdireccionAsignarJefe = async (req, res) => {
       action: 'SUBDIR_ASIGNA_JEFE',
       fromState: from,
       toState: doc.estado,
-      actor: req.user,
+      ...acting,
       notes: `Dept (auto): ${deptJefe}; Jefe: ${doc.jefeAsignadoLabel}`,
     });
     await doc.save();
@@ -630,6 +658,9 @@ export const jefeAceptar = async (req, res) => {
   try {
     const doc = await Correspondencia.findById(req.params.id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
+
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
     if (doc.estado !== CORR_ESTADOS.EN_DEPARTAMENTO_POR_RECIBIR) {
       return handleErrorResponse(res, 400, 'No está pendiente en Jefatura');
     }
@@ -641,7 +672,7 @@ export const jefeAceptar = async (req, res) => {
       action: 'JEFE_ACEPTAR',
       fromState: from,
       toState: doc.estado,
-      actor: req.user,
+      ...acting,
     });
     await doc.save();
 
@@ -678,12 +709,15 @@ export const jefeAsignarTecnico = async (req, res) => {
     const doc = await Correspondencia.findById(id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
 
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
+
     // --- Contexto del llamador (sin crashear si faltan campos) ---
-    const myId = String(req.user?.id || req.user?._id || '');
-    const rolesRaw = Array.isArray(req.user?.roles) ? req.user.roles : [];
-    const roles = rolesRaw.map(r => String(r || '').toUpperCase().trim());
-    const isSuper = roles.includes('ADMIN') || roles.includes('DESAROLLADOR');
-    const isJefe  = roles.includes('JEFE');
+    // Con delegación vigente, el Jefe es quien delegó (el expediente está en su bandeja)
+    const jefe = acting.onBehalfOf || req.user;
+    const myId = String(jefe?.id || jefe?._id || '');
+    const isSuper = upRoles(req.user).some((r) => ['ADMIN', 'DESAROLLADOR'].includes(r));
+    const isJefe  = identitiesOf(jefe).some((m) => upRoles(m).includes('JEFE'));
 
     // --- Auto-aceptación si está "por recibir" y el llamador es el Jefe dueño ---
     if (
@@ -699,7 +733,7 @@ export const jefeAsignarTecnico = async (req, res) => {
         action: 'JEFE_ACEPTAR_IMPLICITO',
         fromState: fromAuto,
         toState: doc.estado,
-        actor: req.user,
+        ...acting,
         notes: 'Auto-aceptado por Jefatura al asignar técnico',
       });
       await doc.save();
@@ -742,7 +776,7 @@ export const jefeAsignarTecnico = async (req, res) => {
       action: 'JEFE_ASIGNA_TECNICO',
       fromState: from,
       toState: doc.estado,
-      actor: req.user,
+      ...acting,
       notes: `Técnico: ${doc.tecnicoAsignadoLabel}`,
     });
     await doc.save();
@@ -771,6 +805,9 @@ export const tecnicoStart = async (req, res) => {
   try {
     const doc = await Correspondencia.findById(req.params.id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
+
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
     if (doc.estado !== CORR_ESTADOS.ASIGNADO_A_TECNICO) {
       return handleErrorResponse(res, 400, 'No está asignado a técnico');
     }
@@ -781,7 +818,7 @@ export const tecnicoStart = async (req, res) => {
       action: 'TEC_START',
       fromState: from,
       toState: doc.estado,
-      actor: req.user,
+      ...acting,
     });
     await doc.save();
 
@@ -807,6 +844,9 @@ export const tecnicoResolver = async (req, res) => {
     const { notas } = req.body;
     const doc = await Correspondencia.findById(req.params.id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
+
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
     if (doc.estado !== CORR_ESTADOS.EN_TRABAJO_TECNICO) {
       return handleErrorResponse(res, 400, 'No está en trabajo técnico');
     }
@@ -816,7 +856,7 @@ export const tecnicoResolver = async (req, res) => {
     doc.ownerRole = 'JEFE'; // vuelve a Jefatura para revisión
     doc.ownerUserId = doc.jefeAsignadoId || null;
 
-    pushHist(doc, { action: 'TEC_RESUELVE', fromState: from, toState: doc.estado, actor: req.user, notes: notas });
+    pushHist(doc, { action: 'TEC_RESUELVE', fromState: from, toState: doc.estado, ...acting, notes: notas });
     await doc.save();
 
     consoleTransition('TEC->JEFE', {
@@ -843,6 +883,9 @@ export const jefeDevolverArriba = async (req, res) => {
     const { notas } = req.body;
     const doc = await Correspondencia.findById(req.params.id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
+
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
     if (doc.estado !== CORR_ESTADOS.RESUELTO_POR_TECNICO) {
       return handleErrorResponse(res, 400, 'No está resuelto por técnico');
     }
@@ -864,7 +907,7 @@ export const jefeDevolverArriba = async (req, res) => {
       action: 'JEFE_DEVUELVE_ARRIBA',
       fromState: from,
       toState: doc.estado,
-      actor: req.user,
+      ...acting,
       notes: notas, // <— FIX
     });
     await doc.save();
@@ -894,6 +937,9 @@ export const subdirDevolverADireccion = async (req, res) => {
     const { notas } = req.body;
     const doc = await Correspondencia.findById(req.params.id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
+
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
     if (doc.estado !== CORR_ESTADOS.EN_SUBDIRECCION_REVISION) {
       return handleErrorResponse(res, 400, 'No está en revisión de subdirección');
     }
@@ -904,7 +950,7 @@ export const subdirDevolverADireccion = async (req, res) => {
     doc.ownerRole = 'DIRECTOR';
     doc.ownerUserId = null;
 
-    pushHist(doc, { action: 'SUBDIR->DIR', fromState: from, toState: doc.estado, actor: req.user, notes });
+    pushHist(doc, { action: 'SUBDIR->DIR', fromState: from, toState: doc.estado, ...acting, notes });
     await doc.save();
 
     consoleTransition('SUBDIR->DIR', {
@@ -931,6 +977,9 @@ export const direccionRemitirArchivo = async (req, res) => {
     const { notas } = req.body;
     const doc = await Correspondencia.findById(req.params.id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
+
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
     if (doc.estado !== CORR_ESTADOS.EN_DIRECCION_REVISION_FINAL) {
       return handleErrorResponse(res, 400, 'No está en revisión final de Dirección');
     }
@@ -941,7 +990,7 @@ export const direccionRemitirArchivo = async (req, res) => {
     doc.ownerRole = 'ASISTENTE';
     doc.ownerUserId = null;
 
-    pushHist(doc, { action: 'DIR->RECEP_ARCH', fromState: from, toState: doc.estado, actor: req.user, notes });
+    pushHist(doc, { action: 'DIR->RECEP_ARCH', fromState: from, toState: doc.estado, ...acting, notes });
     await doc.save();
 
     consoleTransition('DIR->RECEP', {
@@ -968,6 +1017,9 @@ export const recepcionArchivar = async (req, res) => {
     const { notas } = req.body;
     const doc = await Correspondencia.findById(req.params.id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
+
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
     if (doc.estado !== CORR_ESTADOS.EN_RECEPCION_PARA_ARCHIVO) {
       return handleErrorResponse(res, 400, 'No está para archivo');
     }
@@ -976,7 +1028,7 @@ export const recepcionArchivar = async (req, res) => {
     doc.estado = CORR_ESTADOS.ARCHIVADO;
     doc.ownerRole = 'ASISTENTE';
 
-    pushHist(doc, { action: 'RECEP_ARCHIVAR', fromState: from, toState: doc.estado, actor: req.user, notes });
+    pushHist(doc, { action: 'RECEP_ARCHIVAR', fromState: from, toState: doc.estado, ...acting, notes });
     await doc.save();
 
     consoleTransition('ARCHIVO', {
@@ -998,17 +1050,12 @@ export const recepcionArchivar = async (req, res) => {
 // Recepción (sólo Asistente AA) -> Dirección
 export const recepcionAAEnviarADireccion = async (req, res) => {
   try {
-    const roles = Array.isArray(req.user?.roles)
-      ? req.user.roles.map((r) => String(r || '').toUpperCase().trim())
-      : [];
-    const dept = String(req.user?.departamento || '')
-      .toUpperCase()
-      .trim();
-
-    const isAsistente = roles.includes('ASISTENTE');
-    const isAreaAdmin = dept === 'AREA ADMINISTRATIVA';
+    // La asistente AA, o quien la cubre por delegación
+    const isAsistenteAA = (u) => identitiesOf(u).some((m) =>
+      upRoles(m).includes('ASISTENTE') &&
+      String(m?.departamento || '').toUpperCase().trim() === 'AREA ADMINISTRATIVA');
 
-    if (!isAsistente || !isAreaAdmin) {
+    if (!(req.delegators?.length ? req.delegators : [req.user]).some(isAsistenteAA)) {
       return handleErrorResponse(
         res,
         403,
@@ -1020,6 +1067,9 @@ export const recepcionAAEnviarADireccion = async (req, res) => {
     const doc = await Correspondencia.findById(id);
     if (!doc) return handleErrorResponse(res, 404, 'No encontrado');
 
+    const acting = await resolveActing(req, doc);
+    if (!acting) return handleErrorResponse(res, 403, DELEGATION_DENIED);
+
     if (doc.estado !== CORR_ESTADOS.EN_RECEPCION) {
       return handleErrorResponse(res, 400, 'El expediente no está en Recepción');
     }
@@ -1038,7 +1088,7 @@ export const recepcionAAEnviarADireccion = async (req, res) => {
       action: 'AA_ASISTENTE_ENVIA_DIRECCION',
       fromState: from,
       toState: doc.estado,
-      actor: req.user,
+      ...acting,
       notes:
         'Asignado desde Recepción (Área Administrativa) hacia Dirección para instrucción',
     });
@@ -1066,3 +1116,39 @@ export const recepcionAAEnviarADireccion = async (req, res) => {
     return handleErrorResponse(res, 500, 'Error en transición', err?.message);
   }
 };
+
+/* ============================== Baja de usuarios ============================== */
+
+/**
+ * Traspasa a `toUser` los expedientes abiertos en los que figura `fromUser`
+ * (responsable, jefe o técnico asignado). Lo usa la baja de usuarios
+ * (user/offboarding.controller.js); deja constancia en el historial.
+ * @returns {Promise<object[]>} expedientes reasignados ({ id, regExpediente, estado, fields })
+ */
+export const reassignOpenCorrespondencia = async (fromUser, toUser, actor) => {
+  const fromId = String(fromUser._id || fromUser.id);
+  const fromLabel = fromUser.nombre || fromUser.email;
+  const toLabel = toUser.nombre || toUser.email;
+
+  const docs = await Correspondencia.find(openCorrespondenciaFilter(fromUser._id || fromUser.id));
+  const out = [];
+  for (const doc of docs) {
+    const fields = CORR_USER_FIELDS.filter((f) => String(doc[f] || '') === fromId);
+    fields.forEach((f) => { doc[f] = toUser._id; });
+    if (fields.includes('jefeAsignadoId')) doc.jefeAsignadoLabel = toLabel;
+    if (fields.includes('tecnicoAsignadoId')) doc.tecnicoAsignadoLabel = toLabel;
+
+    pushHist(doc, {
+      action: 'REASIGNACION_BAJA',
+      fromState: doc.estado,
+      toState: doc.estado,
+      actor,
+      notes: `Baja de ${fromLabel}: reasignado a ${toLabel}`,
+    });
+    await doc.save();
+
+    consoleTransition('REASIGNA', { id: doc._id, from: doc.estado, to: doc.estado, actor, extra: { fromId, toId: String(toUser._id) } });
+    out.push({ id: String(doc._id), regExpediente: doc.regExpediente, estado: doc.estado, fields });
+  }
+  return out;
+};
@@ -1,6 +1,7 @@
 // src/correspondencia/correspondencia.model.js
 import mongoose from 'mongoose';
-import { DEPARTAMENTOS, ROLES } from '../user/user.model.js';
+import { ROLES } from '../user/user.model.js';
+import { departmentCodeValidator } from '../helpers/departments.js';
 
 /* === Estados EXACTOS que usa el controller === */
 export const CORR_ESTADOS = Object.freeze({
@@ -28,29 +29,10 @@ export const CORR_ESTADOS = Object.freeze({
   EN_RECEPCION_CORRECCION: 'EN_RECEPCION_CORRECCION',
 });
 
-/* === Subdirecciones válidas (coinciden con lo que usas) === */
-export const SUBDIRS = Object.freeze([
-  'SUBDIRECCION EVALUACION CURRICULAR',
-  'SUBDIRECCION DISEÑO Y DESAROLLO CURRICULAR',
-]);
-
-/* === Departamentos que NO pasan por subdirección === */
-export const DEPTS_SIN_SUBDIRECTOR = Object.freeze([
-  'AREA FINANCIERA',
-  'AREA DE MATERIALES EDUCATIVOS',
-  'AREA ADMINISTRATIVA',
-]);
-
-/* === Mapa subdirección -> departamentos (jefaturas) === */
-// OJO: en tu catálogo usas "DESAROLLO" (una sola R) y así debe quedar aquí.
-export const SUBDIR_MAP = Object.freeze({
-  'SUBDIRECCION EVALUACION CURRICULAR': ['PRIMARIA', 'EVALUACION', 'DESAROLLO'],
-  'SUBDIRECCION DISEÑO Y DESAROLLO CURRICULAR': [
-    'INICIAL Y PREPRIMARIA',
-    'BASICO',
-    'DIVERSIFICADO',
-  ],
-});
+/*
+ * Subdirecciones, departamentos y su jerarquía viven en la colección Department
+ * (ver helpers/departments.js); aquí sólo se valida que el código exista.
+ */
 
 /* === Historial de auditoría === */
 const HistEventSchema = new mongoose.Schema(
@@ -61,8 +43,13 @@ const HistEventSchema = new mongoose.Schema(
     toState: { type: String },
     notes: { type: String },
     actorUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    actorDept: { type: String, enum: DEPARTAMENTOS, required: false },
+    // Integraciones con API key: la cuenta de servicio (actorUserId queda vacío)
+    actorServiceAccountId: { type: mongoose.Schema.Types.ObjectId, ref: 'ServiceAccount' },
+    actorDept: { type: String, required: false }, // departamento al momento del evento
     actorRole: { type: String, enum: ROLES, required: false },
+    // Si el actor obró por delegación, titular de la bandeja (ver delegation.model.js)
+    onBehalfOfUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    onBehalfOfLabel: { type: String, required: false }, // "B en nombre de A"
   },
   { _id: false }
 );
@@ -94,8 +81,8 @@ const CorrespondenciaSchema = new mongoose.Schema(
       enum: ['SUBDIRECCION', 'DEPARTAMENTO', null],
       default: null,
     },
-    destinoSubdireccion: { type: String, enum: SUBDIRS.concat([null]) },
-    destinoDepartamento: { type: String, enum: DEPARTAMENTOS.concat([null]) },
+    destinoSubdireccion: { type: String, validate: departmentCodeValidator },
+    destinoDepartamento: { type: String, validate: departmentCodeValidator },
 
     // Asignaciones
     jefeAsignadoId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -112,7 +99,7 @@ const CorrespondenciaSchema = new mongoose.Schema(
     },
     ownerDept: {
       type: String,
-      enum: DEPARTAMENTOS,
+      validate: departmentCodeValidator,
       default: 'AREA ADMINISTRATIVA',
       index: true,
     },
@@ -137,6 +124,7 @@ const CorrespondenciaSchema = new mongoose.Schema(
 
     // Metas
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByServiceAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'ServiceAccount', default: null },
   },
   { timestamps: true, versionKey: false }
 );
@@ -1,6 +1,6 @@
 import { Router } from 'express';
-import { validateJWT } from '../middlewares/validate-jwt.js';
-import { requireDeptAndRole } from '../middlewares/authorize-dept-role.js';
+import { validateJWT, acceptApiKey } from '../middlewares/validate-jwt.js';
+import { requirePermission } from '../middlewares/require-permission.js';
 import {
   createCorrespondencia,
   getCorrespondenciaById,
@@ -20,21 +20,7 @@ import {
   recepcionAAEnviarADireccion
 } from './correspondencia.controller.js';
 
-const RECEPCION_DEPTS = ['AREA ADMINISTRATIVA', 'DESAROLLO'];
-const RECEPCION_ROLES = ['ASISTENTE', 'DESAROLLADOR', 'ADMIN'];
-
-const DIR_DEPTS = ['DIRECCION', 'DESAROLLO'];
-const DIR_ROLES = ['DIRECTOR', 'DESAROLLADOR', 'ADMIN'];
-
-const SUBDIR_DEPTS = [
-  'SUBDIRECCION EVALUACION CURRICULAR',
-  'SUBDIRECCION DISEÑO Y DESAROLLO CURRICULAR',
-  'DESAROLLO'
-];
-const SUBDIR_ROLES = ['SUBDIRECTOR', 'DESAROLLADOR', 'ADMIN'];
-
-const JEFE_ROLES = ['JEFE', 'DESAROLLADOR', 'ADMIN'];
-const TEC_ROLES  = ['TECNICO', 'DESAROLLADOR', 'ADMIN'];
+// Permisos correspondencia.* (ver permission.model.js, administrables en /permissions)
 
 const router = Router();
 
@@ -46,8 +32,9 @@ router.get('/inbox/:role', validateJWT, listCorrespondencia);
 // Crear (Recepción)
 router.post(
   '/',
+  acceptApiKey('correspondencia:write'),
   validateJWT,
-  requireDeptAndRole(RECEPCION_DEPTS, RECEPCION_ROLES),
+  requirePermission('correspondencia.create'),
   createCorrespondencia
 );
 
@@ -62,7 +49,7 @@ router.get('/:id', validateJWT, getCorrespondenciaById);
 router.post(
   '/:id/recepcion/enviar-a-direccion',
   validateJWT,
-  requireDeptAndRole(RECEPCION_DEPTS, RECEPCION_ROLES),
+  requirePermission('correspondencia.recepcion.send'),
   recepcionEnviarADireccion
 );
 
@@ -70,7 +57,7 @@ router.post(
 router.post(
   '/:id/direccion/instrucciones-y-enviar',
   validateJWT,
-  requireDeptAndRole(DIR_DEPTS, DIR_ROLES),
+  requirePermission('correspondencia.direccion.route'),
   direccionInstruirYEnviar
 );
 
@@ -78,7 +65,7 @@ router.post(
 router.post(
   '/:id/subdireccion/aceptar',
   validateJWT,
-  requireDeptAndRole(SUBDIR_DEPTS, SUBDIR_ROLES),
+  requirePermission('correspondencia.subdireccion.accept'),
   subdireccionAceptar
 );
 
@@ -86,7 +73,7 @@ router.post(
 router.post(
   '/:id/subdireccion/asignar-jefe',
   validateJWT,
-  requireDeptAndRole(SUBDIR_DEPTS, SUBDIR_ROLES),
+  requirePermission('correspondencia.subdireccion.assign'),
   subdireccionAsignarJefe
 );
 
@@ -94,7 +81,7 @@ router.post(
 router.post(
   '/:id/jefe/aceptar',
   validateJWT,
-  requireDeptAndRole([], JEFE_ROLES),
+  requirePermission('correspondencia.jefe.accept'),
   jefeAceptar
 );
 
@@ -130,7 +117,7 @@ router.post(
 router.post(
   '/:id/subdireccion/devolver-direccion',
   validateJWT,
-  requireDeptAndRole(SUBDIR_DEPTS, SUBDIR_ROLES),
+  requirePermission('correspondencia.subdireccion.return'),
   subdirDevolverADireccion
 );
 
@@ -138,7 +125,7 @@ router.post(
 router.post(
   '/:id/direccion/remitir-archivo',
   validateJWT,
-  requireDeptAndRole(DIR_DEPTS, DIR_ROLES),
+  requirePermission('correspondencia.direccion.archive'),
   direccionRemitirArchivo
 );
 
@@ -146,14 +133,14 @@ router.post(
 router.post(
   '/:id/recepcion/archivar',
   validateJWT,
-  requireDeptAndRole(RECEPCION_DEPTS, RECEPCION_ROLES),
+  requirePermission('correspondencia.archive'),
   recepcionArchivar
 );
 
 router.post(
   '/:id/recepcion/aa/enviar-a-direccion',
   validateJWT,
-  requireDeptAndRole(['AREA ADMINISTRATIVA'], ['ASISTENTE']),
+  requirePermission('correspondencia.recepcion.aa.send'),
   recepcionAAEnviarADireccion
 );
 
@@ -0,0 +1,217 @@
+// src/delegation/delegation.controller.js
+import mongoose from 'mongoose';
+import Delegation, { DELEGATION_MODULES, DELEGATION_MAX_DAYS } from './delegation.model.js';
+import User from '../user/user.model.js';
+import { activeDelegationFilter } from '../helpers/delegations.js';
+import { hasPermission } from '../helpers/permissions.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const TAGS = ['delegation'];
+const MANAGE_KEY = 'delegations.manage';
+
+const userRef = (u) => (u && u._id ? { id: u._id, nombre: u.nombre, email: u.email } : u || null);
+
+const sanitizeDelegation = (d, at = new Date()) => ({
+  id: d._id || d.id,
+  delegator: userRef(d.delegator),
+  delegate: userRef(d.delegate),
+  startsAt: d.startsAt,
+  endsAt: d.endsAt,
+  modules: d.modules?.length ? d.modules : [...DELEGATION_MODULES],
+  reason: d.reason || '',
+  active: !d.revokedAt && d.startsAt <= at && d.endsAt > at,
+  revokedAt: d.revokedAt || null,
+  createdBy: d.createdBy || null,
+  createdAt: d.createdAt,
+});
+
+function delegationError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const parseDate = (v, field) => {
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) throw delegationError(400, `${field} inválida`);
+  return d;
+};
+
+const parseModules = (v) => {
+  const list = (Array.isArray(v) ? v : String(v || '').split(','))
+    .map((m) => String(m).trim().toLowerCase())
+    .filter(Boolean);
+  const bad = list.filter((m) => !DELEGATION_MODULES.includes(m));
+  if (bad.length) throw delegationError(400, `Módulo inválido: ${bad.join(', ')} (${DELEGATION_MODULES.join(', ')})`);
+  // Todos los módulos = sin restricción
+  return list.length === DELEGATION_MODULES.length ? [] : [...new Set(list)];
+};
+
+const loadActiveUser = async (id, label) => {
+  if (!mongoose.isValidObjectId(id)) throw delegationError(400, `${label} inválido`);
+  const u = await User.findById(id).select('email nombre isActive deletedAt').lean();
+  // Una cuenta dada de baja (eliminación lógica) cuenta como inexistente
+  if (!u || u.deletedAt) throw delegationError(404, `${label} no encontrado`);
+  if (u.isActive === false) throw delegationError(409, `${label} está inactivo`);
+  return u;
+};
+
+/**
+ * POST /delegations
+ * Body: { delegateId, startsAt?, endsAt, modules?: ['correspondencia'|'inventory'], reason?, delegatorId? }
+ * Cada usuario delega su propia bandeja; con 'delegations.manage' se puede crear
+ * en nombre de otro (delegatorId).
+ */
+export const createDelegation = async (req, res) => {
+  const body = req.body || {};
+  const myId = String(req.user?.id || '');
+
+  try {
+    const delegatorId = String(body.delegatorId || myId);
+    if (delegatorId !== myId && !(await hasPermission(req.user, MANAGE_KEY))) {
+      throw delegationError(403, 'Sólo puedes delegar tu propia bandeja');
+    }
+
+    const [delegator, delegate] = await Promise.all([
+      loadActiveUser(delegatorId, 'Usuario que delega'),
+      loadActiveUser(body.delegateId, 'Usuario delegado'),
+    ]);
+    if (String(delegator._id) === String(delegate._id)) throw delegationError(400, 'No puedes delegar en ti mismo');
+
+    if (!body.endsAt) throw delegationError(400, 'endsAt es obligatorio');
+    const startsAt = body.startsAt ? parseDate(body.startsAt, 'startsAt') : new Date();
+    const endsAt = parseDate(body.endsAt, 'endsAt');
+    if (endsAt <= startsAt) throw delegationError(400, 'La fecha de fin debe ser posterior a la de inicio');
+    if (endsAt <= new Date()) throw delegationError(400, 'La fecha de fin ya pasó');
+    if (endsAt - startsAt > DELEGATION_MAX_DAYS * 86400000) {
+      throw delegationError(400, `Una delegación no puede durar más de ${DELEGATION_MAX_DAYS} días`);
+    }
+    const modules = parseModules(body.modules);
+
+    // Una sola delegación vigente por pareja en el mismo rango
+    const overlap = await Delegation.exists({
+      delegator: delegator._id,
+      delegate: delegate._id,
+      revokedAt: null,
+      startsAt: { $lt: endsAt },
+      endsAt: { $gt: startsAt },
+    });
+    if (overlap) throw delegationError(409, 'Ya existe una delegación a ese usuario en el mismo periodo');
+
+    const doc = await Delegation.create({
+      delegator: delegator._id,
+      delegate: delegate._id,
+      startsAt,
+      endsAt,
+      modules,
+      reason: body.reason,
+      createdBy: req.user?.id || null,
+    });
+    const out = sanitizeDelegation({ ...doc.toObject(), delegator, delegate });
+
+    await logActivity({
+      req, action: 'DELEGATION_CREATE', entity: 'DELEGATION', entityId: doc._id, after: out,
+      statusCode: 201, success: true,
+      message: `${delegator.nombre || delegator.email} delega en ${delegate.nombre || delegate.email}`, tags: TAGS,
+    });
+
+    return res.status(201).json({ success: true, message: 'Delegación creada', delegation: out });
+  } catch (err) {
+    const status = err.status || (err?.name === 'ValidationError' ? 400 : 500);
+    if (status === 500) console.error('Error al crear delegación:', err);
+    await logActivity({ req, action: 'DELEGATION_CREATE_FAIL', entity: 'DELEGATION', statusCode: status, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, status, status === 500 ? 'Error al crear delegación' : err.message, status === 500 ? err.message : undefined);
+  }
+};
+
+/**
+ * GET /delegations?direction=given|received&active=true
+ * Delegaciones hechas y recibidas por el usuario. Con 'delegations.manage',
+ * ?all=true lista las de todos (filtrables con ?userId=).
+ */
+export const listDelegations = async (req, res) => {
+  try {
+    const myId = req.user?.id;
+    const direction = String(req.query.direction || '').toLowerCase();
+    const onlyActive = ['1', 'true', 'yes'].includes(String(req.query.active || '').toLowerCase());
+    const all = ['1', 'true', 'yes'].includes(String(req.query.all || '').toLowerCase());
+
+    const filter = onlyActive ? activeDelegationFilter() : {};
+    let subject = myId;
+    if (all || req.query.userId) {
+      if (!(await hasPermission(req.user, MANAGE_KEY))) {
+        return handleErrorResponse(res, 403, 'No autorizado para ver delegaciones de otros usuarios');
+      }
+      subject = req.query.userId && mongoose.isValidObjectId(req.query.userId) ? req.query.userId : null;
+    }
+
+    if (subject) {
+      if (direction === 'given') filter.delegator = subject;
+      else if (direction === 'received') filter.delegate = subject;
+      else filter.$or = [{ delegator: subject }, { delegate: subject }];
+    }
+
+    const docs = await Delegation.find(filter)
+      .sort({ startsAt: -1 })
+      .populate('delegator', 'email nombre')
+      .populate('delegate', 'email nombre')
+      .lean();
+
+    const at = new Date();
+    return res.status(200).json({
+      success: true,
+      total: docs.length,
+      modules: DELEGATION_MODULES,
+      delegations: docs.map((d) => sanitizeDelegation(d, at)),
+    });
+  } catch (err) {
+    console.error('Error al listar delegaciones:', err);
+    return handleErrorResponse(res, 500, 'Error al listar delegaciones', err.message);
+  }
+};
+
+/**
+ * DELETE /delegations/:delegationId
+ * Revoca la delegación (queda en el historial). Pueden hacerlo quien delegó,
+ * quien la recibió, quien la creó o un administrador de delegaciones.
+ */
+export const revokeDelegation = async (req, res) => {
+  const { delegationId } = req.params;
+  if (!mongoose.isValidObjectId(delegationId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const doc = await Delegation.findById(delegationId);
+    if (!doc) {
+      await logActivity({ req, action: 'DELEGATION_REVOKE_FAIL', entity: 'DELEGATION', entityId: delegationId, statusCode: 404, success: false, error: 'No encontrada', tags: TAGS });
+      return handleErrorResponse(res, 404, 'Delegación no encontrada');
+    }
+
+    const myId = String(req.user?.id || '');
+    const involved = [doc.delegator, doc.delegate, doc.createdBy].some((u) => u && String(u) === myId);
+    if (!involved && !(await hasPermission(req.user, MANAGE_KEY))) {
+      return handleErrorResponse(res, 403, 'No autorizado para revocar esta delegación');
+    }
+
+    if (doc.revokedAt) {
+      return res.status(200).json({ success: true, message: 'La delegación ya estaba revocada', delegation: sanitizeDelegation(doc.toObject()), alreadyRevoked: true });
+    }
+
+    const before = sanitizeDelegation(doc.toObject());
+    doc.revokedAt = new Date();
+    doc.revokedBy = req.user?.id || null;
+    await doc.save();
+    const after = sanitizeDelegation(doc.toObject());
+
+    await logActivity({
+      req, action: 'DELEGATION_REVOKE', entity: 'DELEGATION', entityId: doc._id, before, after,
+      statusCode: 200, success: true, message: 'Delegación revocada', tags: TAGS,
+    });
+
+    return res.status(200).json({ success: true, message: 'Delegación revocada', delegation: after, alreadyRevoked: false });
+  } catch (err) {
+    console.error('Error al revocar delegación:', err);
+    await logActivity({ req, action: 'DELEGATION_REVOKE_FAIL', entity: 'DELEGATION', entityId: delegationId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al revocar delegación', err.message);
+  }
+};
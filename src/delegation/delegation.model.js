@@ -0,0 +1,70 @@
+// src/delegation/delegation.model.js
+import mongoose from 'mongoose';
+
+// Módulos cuyas bandejas se pueden delegar (vacío = todos)
+export const DELEGATION_MODULES = Object.freeze(['correspondencia', 'inventory']);
+
+// Permisos que se ejercen por delegación: transiciones de bandeja y aprobación de traslados.
+// Crear/editar/eliminar/importar bienes y registrar correspondencia nunca se delegan.
+export const DELEGABLE_PERMISSIONS = Object.freeze([
+  'correspondencia.recepcion.send',
+  'correspondencia.recepcion.aa.send',
+  'correspondencia.direccion.route',
+  'correspondencia.direccion.archive',
+  'correspondencia.subdireccion.accept',
+  'correspondencia.subdireccion.assign',
+  'correspondencia.subdireccion.return',
+  'correspondencia.jefe.accept',
+  'correspondencia.archive',
+  'inventory.transfer.review',
+]);
+
+// Duración máxima de una delegación (días)
+export const DELEGATION_MAX_DAYS = Math.max(1, parseInt(process.env.DELEGATION_MAX_DAYS || '90', 10) || 90);
+
+/**
+ * Delegación por ausencia: mientras esté vigente, `delegate` ve la bandeja de
+ * `delegator` y puede actuar en su nombre (ver helpers/delegations.js).
+ */
+const DelegationSchema = new mongoose.Schema(
+  {
+    delegator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    delegate: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    startsAt: { type: Date, required: [true, 'La fecha de inicio es obligatoria'] },
+    endsAt: { type: Date, required: [true, 'La fecha de fin es obligatoria'] },
+    modules: { type: [{ type: String, enum: DELEGATION_MODULES }], default: [] },
+    reason: { type: String, trim: true, maxlength: 300, default: '' },
+
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+  }
+);
+
+DelegationSchema.pre('validate', function (next) {
+  if (this.delegator && this.delegate && String(this.delegator) === String(this.delegate)) {
+    this.invalidate('delegate', 'No puedes delegar en ti mismo');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'La fecha de fin debe ser posterior a la de inicio');
+  }
+  this.modules = [...new Set(this.modules || [])];
+  next();
+});
+
+DelegationSchema.index({ delegate: 1, revokedAt: 1, endsAt: 1 });
+
+const Delegation = mongoose.model('Delegation', DelegationSchema);
+export default Delegation;
@@ -0,0 +1,13 @@
+// src/delegation/delegation.routes.js
+import { Router } from 'express';
+import { createDelegation, listDelegations, revokeDelegation } from './delegation.controller.js';
+import { validateJWT } from '../middlewares/validate-jwt.js';
+
+const router = Router();
+
+// Cada usuario gestiona sus delegaciones; 'delegations.manage' se valida en el controlador
+router.get('/', validateJWT, listDelegations);
+router.post('/', validateJWT, createDelegation);
+router.delete('/:delegationId', validateJWT, revokeDelegation);
+
+export default router;
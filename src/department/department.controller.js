@@ -0,0 +1,271 @@
+// src/department/department.controller.js
+import mongoose from 'mongoose';
+import Department, { DEPARTMENT_TYPES } from './department.model.js';
+import { getDepartmentCatalog, invalidateDepartmentCatalog, deptKey } from '../helpers/departments.js';
+import { renameDepartmentReferences, countDepartmentReferences } from '../helpers/department-references.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const TAGS = ['department'];
+
+const sanitizeDepartment = (d, catalog) => {
+  const parent = d.parent ? catalog?.departments.find((x) => String(x._id) === String(d.parent)) : null;
+  return {
+    id: d._id || d.id,
+    code: d.code,
+    nombre: d.nombre,
+    tipo: d.tipo,
+    parent: parent ? { id: parent._id, code: parent.code, nombre: parent.nombre } : (d.parent || null),
+    aliases: d.aliases || [],
+    orden: d.orden,
+    isActive: d.isActive,
+    createdAt: d.createdAt,
+    updatedAt: d.updatedAt,
+  };
+};
+
+function deptError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const cleanAliases = (v) =>
+  (Array.isArray(v) ? v : String(v || '').split(','))
+    .map((a) => String(a).trim().toUpperCase())
+    .filter(Boolean);
+
+/**
+ * Comprueba que el código y los alias no choquen con otra unidad (sin acentos ni mayúsculas)
+ * y que el padre exista sin formar ciclos. Lanza err.status 400/409.
+ * @returns {import('mongoose').Types.ObjectId|null} _id del padre
+ */
+function validateShape({ id = null, code, aliases, parent }, catalog) {
+  const others = catalog.departments.filter((d) => String(d._id) !== String(id));
+  const taken = new Map();
+  others.forEach((d) => [d.code, ...(d.aliases || [])].forEach((k) => taken.set(deptKey(k), d.code)));
+
+  for (const key of [code, ...aliases]) {
+    const owner = taken.get(deptKey(key));
+    if (owner) throw deptError(409, `"${key}" ya se usa en ${owner}`);
+  }
+
+  if (!parent) return null;
+  const parentDoc = mongoose.isValidObjectId(parent)
+    ? others.find((d) => String(d._id) === String(parent))
+    : others.find((d) => d.code === catalog.resolve(parent));
+  if (!parentDoc) throw deptError(400, 'Unidad superior no encontrada');
+  // El padre no puede ser la unidad ni uno de sus descendientes
+  if (id && catalog.ancestors(parentDoc.code).some((c) => String(catalog.get(c)?._id) === String(id))) {
+    throw deptError(400, 'La unidad superior no puede depender de esta unidad');
+  }
+  return parentDoc._id;
+}
+
+/**
+ * GET /departments?includeInactive=true&tree=true
+ * Organigrama. Por defecto lista plana de unidades activas; con tree=true, anidado.
+ */
+export const listDepartments = async (req, res) => {
+  try {
+    const includeInactive = String(req.query.includeInactive || '').toLowerCase() === 'true';
+    const catalog = await getDepartmentCatalog();
+    const docs = catalog.departments.filter((d) => includeInactive || d.isActive);
+    const flat = docs.map((d) => sanitizeDepartment(d, catalog));
+
+    if (String(req.query.tree || '').toLowerCase() !== 'true') {
+      return res.status(200).json({ success: true, total: flat.length, departments: flat });
+    }
+
+    const byParent = new Map();
+    flat.forEach((d) => {
+      const key = d.parent?.id ? String(d.parent.id) : 'root';
+      byParent.set(key, [...(byParent.get(key) || []), d]);
+    });
+    const nest = (d) => ({ ...d, children: (byParent.get(String(d.id)) || []).map(nest) });
+    // Unidades cuyo padre no se listó (p.ej. inactivo) quedan en la raíz
+    const ids = new Set(flat.map((d) => String(d.id)));
+    const roots = flat.filter((d) => !d.parent?.id || !ids.has(String(d.parent.id)));
+
+    return res.status(200).json({ success: true, total: flat.length, departments: roots.map(nest) });
+  } catch (err) {
+    console.error('Error al listar departamentos:', err);
+    return handleErrorResponse(res, 500, 'Error al listar departamentos', err.message);
+  }
+};
+
+/**
+ * GET /departments/:departmentId  (acepta _id o código/alias)
+ */
+export const getDepartment = async (req, res) => {
+  try {
+    const catalog = await getDepartmentCatalog();
+    const { departmentId } = req.params;
+    const doc = mongoose.isValidObjectId(departmentId)
+      ? catalog.departments.find((d) => String(d._id) === departmentId)
+      : catalog.get(catalog.resolve(departmentId));
+    if (!doc) return handleErrorResponse(res, 404, 'Departamento no encontrado');
+
+    return res.status(200).json({
+      success: true,
+      department: {
+        ...sanitizeDepartment(doc, catalog),
+        ancestors: catalog.ancestors(doc.code),
+        children: catalog.childrenOf(doc.code),
+      },
+    });
+  } catch (err) {
+    console.error('Error al obtener departamento:', err);
+    return handleErrorResponse(res, 500, 'Error al obtener departamento', err.message);
+  }
+};
+
+/**
+ * POST /departments
+ * Body: { code, nombre, tipo?, parent? (_id o código), aliases?, orden? }
+ */
+export const createDepartment = async (req, res) => {
+  const { code, nombre, tipo = 'DEPARTAMENTO', parent, orden } = req.body || {};
+  const codeUp = String(code || '').trim().toUpperCase();
+  if (!codeUp || !String(nombre || '').trim()) {
+    return handleErrorResponse(res, 400, 'code y nombre son obligatorios');
+  }
+  if (!DEPARTMENT_TYPES.includes(tipo)) {
+    return handleErrorResponse(res, 400, `tipo inválido (${DEPARTMENT_TYPES.join(', ')})`);
+  }
+
+  try {
+    const catalog = await getDepartmentCatalog({ fresh: true });
+    const aliases = cleanAliases(req.body?.aliases);
+    const parentId = validateShape({ code: codeUp, aliases, parent }, catalog);
+
+    const doc = await Department.create({
+      code: codeUp,
+      nombre,
+      tipo,
+      parent: parentId,
+      aliases,
+      orden: Number.isFinite(Number(orden)) ? Number(orden) : catalog.departments.length,
+      createdBy: req.user?.id || null,
+    });
+    invalidateDepartmentCatalog();
+
+    await logActivity({ req, action: 'DEPARTMENT_CREATE', entity: 'DEPARTMENT', entityId: doc._id, after: doc.toJSON(), statusCode: 201, success: true, message: `Departamento ${doc.code} creado`, tags: TAGS });
+
+    return res.status(201).json({ success: true, message: 'Departamento creado', department: sanitizeDepartment(doc.toObject(), catalog) });
+  } catch (err) {
+    const status = err.status || (err?.code === 11000 ? 409 : err?.name === 'ValidationError' ? 400 : 500);
+    if (status === 500) console.error('Error al crear departamento:', err);
+    await logActivity({ req, action: 'DEPARTMENT_CREATE_FAIL', entity: 'DEPARTMENT', statusCode: status, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, status, status === 500 ? 'Error al crear departamento' : err.message, status === 500 ? err.message : undefined);
+  }
+};
+
+/**
+ * PATCH /departments/:departmentId
+ * Body: { code?, nombre?, tipo?, parent?, aliases?, orden?, isActive? }
+ * Cambiar el código lo agrega a los alias y actualiza usuarios y correspondencia.
+ * No se puede desactivar una unidad con dependencias activas.
+ */
+export const updateDepartment = async (req, res) => {
+  const { departmentId } = req.params;
+  if (!mongoose.isValidObjectId(departmentId)) return handleErrorResponse(res, 400, 'ID inválido');
+  const body = req.body || {};
+
+  try {
+    const doc = await Department.findById(departmentId);
+    if (!doc) {
+      await logActivity({ req, action: 'DEPARTMENT_UPDATE_FAIL', entity: 'DEPARTMENT', entityId: departmentId, statusCode: 404, success: false, error: 'No encontrado', tags: TAGS });
+      return handleErrorResponse(res, 404, 'Departamento no encontrado');
+    }
+    const before = doc.toJSON();
+    const catalog = await getDepartmentCatalog({ fresh: true });
+
+    if (typeof body.tipo !== 'undefined' && !DEPARTMENT_TYPES.includes(body.tipo)) {
+      return handleErrorResponse(res, 400, `tipo inválido (${DEPARTMENT_TYPES.join(', ')})`);
+    }
+
+    const oldCode = doc.code;
+    const code = typeof body.code !== 'undefined' ? String(body.code).trim().toUpperCase() : oldCode;
+    if (!code) return handleErrorResponse(res, 400, 'code no puede quedar vacío');
+    let aliases = typeof body.aliases !== 'undefined' ? cleanAliases(body.aliases) : [...doc.aliases];
+    if (code !== oldCode) aliases = [...aliases, oldCode];
+
+    const parent = typeof body.parent !== 'undefined' ? body.parent : doc.parent;
+    const parentId = validateShape({ id: doc._id, code, aliases, parent }, catalog);
+
+    if (body.isActive === false && doc.isActive && catalog.childrenOf(doc.code).length) {
+      throw deptError(409, 'Desactiva o reubica primero las unidades que dependen de esta');
+    }
+
+    doc.code = code;
+    doc.aliases = aliases;
+    doc.parent = parentId;
+    if (typeof body.nombre !== 'undefined') doc.nombre = body.nombre;
+    if (typeof body.tipo !== 'undefined') doc.tipo = body.tipo;
+    if (typeof body.orden !== 'undefined' && Number.isFinite(Number(body.orden))) doc.orden = Number(body.orden);
+    if (typeof body.isActive !== 'undefined') doc.isActive = Boolean(body.isActive);
+    doc.updatedBy = req.user?.id || null;
+    await doc.save();
+    invalidateDepartmentCatalog();
+
+    const moved = code !== oldCode ? await renameDepartmentReferences([oldCode], code) : null;
+
+    await logActivity({
+      req, action: 'DEPARTMENT_UPDATE', entity: 'DEPARTMENT', entityId: doc._id,
+      before, after: doc.toJSON(), statusCode: 200, success: true, tags: TAGS,
+      message: moved
+        ? `Código ${oldCode} -> ${code} (${moved.users} usuarios, ${moved.correspondencia} correspondencias)`
+        : `Departamento ${code} actualizado`,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Departamento actualizado',
+      department: sanitizeDepartment(doc.toObject(), await getDepartmentCatalog()),
+      ...(moved ? { moved } : {}),
+    });
+  } catch (err) {
+    const status = err.status || (err?.code === 11000 ? 409 : err?.name === 'ValidationError' ? 400 : 500);
+    if (status === 500) console.error('Error al actualizar departamento:', err);
+    await logActivity({ req, action: 'DEPARTMENT_UPDATE_FAIL', entity: 'DEPARTMENT', entityId: departmentId, statusCode: status, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, status, status === 500 ? 'Error al actualizar departamento' : err.message, status === 500 ? err.message : undefined);
+  }
+};
+
+/**
+ * DELETE /departments/:departmentId
+ * Sólo unidades sin dependencias, usuarios ni correspondencia; si no, desactívala (isActive: false).
+ */
+export const deleteDepartment = async (req, res) => {
+  const { departmentId } = req.params;
+  if (!mongoose.isValidObjectId(departmentId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const doc = await Department.findById(departmentId);
+    if (!doc) return handleErrorResponse(res, 404, 'Departamento no encontrado');
+
+    const [children, refs] = await Promise.all([
+      Department.countDocuments({ parent: doc._id }),
+      countDepartmentReferences(doc.code),
+    ]);
+    if (children || refs.users || refs.correspondencia) {
+      await logActivity({ req, action: 'DEPARTMENT_DELETE_FAIL', entity: 'DEPARTMENT', entityId: departmentId, statusCode: 409, success: false, error: 'En uso', tags: TAGS });
+      return res.status(409).json({
+        success: false,
+        message: 'El departamento está en uso; desactívalo en lugar de eliminarlo',
+        inUse: { children, ...refs },
+      });
+    }
+
+    await doc.deleteOne();
+    invalidateDepartmentCatalog();
+
+    await logActivity({ req, action: 'DEPARTMENT_DELETE', entity: 'DEPARTMENT', entityId: departmentId, before: doc.toJSON(), statusCode: 200, success: true, message: `Departamento ${doc.code} eliminado`, tags: TAGS });
+    return res.status(200).json({ success: true, message: 'Departamento eliminado' });
+  } catch (err) {
+    console.error('Error al eliminar departamento:', err);
+    await logActivity({ req, action: 'DEPARTMENT_DELETE_FAIL', entity: 'DEPARTMENT', entityId: departmentId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al eliminar departamento', err.message);
+  }
+};
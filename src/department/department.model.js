@@ -0,0 +1,75 @@
+// src/department/department.model.js
+import mongoose from 'mongoose';
+
+// Nivel dentro del organigrama
+export const DEPARTMENT_TYPES = Object.freeze(['DIRECCION', 'SUBDIRECCION', 'AREA', 'DEPARTAMENTO']);
+
+/**
+ * Unidad del organigrama. `code` es el valor que se guarda en user.departamento,
+ * correspondencia.ownerDept, etc.; `aliases` son otras grafías aceptadas en la
+ * entrada (p.ej. códigos anteriores a un cambio de nombre).
+ */
+const DepartmentSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: [true, 'El código es obligatorio'], unique: true, uppercase: true, trim: true, maxlength: 120 },
+    nombre: { type: String, required: [true, 'El nombre es obligatorio'], trim: true, maxlength: 150 },
+    tipo: { type: String, enum: DEPARTMENT_TYPES, default: 'DEPARTAMENTO' },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', default: null, index: true },
+    aliases: { type: [String], default: [] },
+    orden: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+  }
+);
+
+DepartmentSchema.pre('validate', function (next) {
+  this.aliases = [...new Set((this.aliases || []).map((a) => String(a).trim().toUpperCase()).filter(Boolean))]
+    .filter((a) => a !== this.code);
+  next();
+});
+
+DepartmentSchema.index({ aliases: 1 });
+
+/**
+ * Organigrama inicial (ver bootstrap/ensure-departments.js). Sólo se inserta
+ * si la colección está vacía; después se administra con /departments.
+ */
+export const DEFAULT_DEPARTMENTS = Object.freeze([
+  { code: 'DIRECCION', nombre: 'Dirección', tipo: 'DIRECCION', parent: null },
+  { code: 'AREA FINANCIERA', nombre: 'Área Financiera', tipo: 'AREA', parent: 'DIRECCION' },
+  { code: 'AREA DE MATERIALES EDUCATIVOS', nombre: 'Área de Materiales Educativos', tipo: 'AREA', parent: 'DIRECCION' },
+  { code: 'AREA ADMINISTRATIVA', nombre: 'Área Administrativa', tipo: 'AREA', parent: 'DIRECCION' },
+
+  { code: 'SUBDIRECCION EVALUACION CURRICULAR', nombre: 'Subdirección de Evaluación Curricular', tipo: 'SUBDIRECCION', parent: 'DIRECCION' },
+  { code: 'PRIMARIA', nombre: 'Primaria', parent: 'SUBDIRECCION EVALUACION CURRICULAR' },
+  { code: 'EVALUACION', nombre: 'Evaluación', parent: 'SUBDIRECCION EVALUACION CURRICULAR' },
+  { code: 'DESARROLLO', nombre: 'Desarrollo', parent: 'SUBDIRECCION EVALUACION CURRICULAR', aliases: ['DESAROLLO'] },
+
+  {
+    code: 'SUBDIRECCION DISEÑO Y DESARROLLO CURRICULAR',
+    nombre: 'Subdirección de Diseño y Desarrollo Curricular',
+    tipo: 'SUBDIRECCION',
+    parent: 'DIRECCION',
+    aliases: ['SUBDIRECCION DISEÑO Y DESAROLLO CURRICULAR'],
+  },
+  { code: 'INICIAL Y PREPRIMARIA', nombre: 'Inicial y Preprimaria', parent: 'SUBDIRECCION DISEÑO Y DESARROLLO CURRICULAR' },
+  { code: 'BASICO', nombre: 'Básico', parent: 'SUBDIRECCION DISEÑO Y DESARROLLO CURRICULAR' },
+  { code: 'DIVERSIFICADO', nombre: 'Diversificado', parent: 'SUBDIRECCION DISEÑO Y DESARROLLO CURRICULAR' },
+]);
+
+const Department = mongoose.model('Department', DepartmentSchema);
+export default Department;
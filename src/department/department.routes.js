@@ -0,0 +1,25 @@
+// src/department/department.routes.js
+import { Router } from 'express';
+import {
+  listDepartments,
+  getDepartment,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+} from './department.controller.js';
+import { validateJWT } from '../middlewares/validate-jwt.js';
+import { requireDeptAndRole } from '../middlewares/authorize-dept-role.js';
+
+const router = Router();
+
+// El organigrama lo consulta cualquier usuario; sólo ADMIN lo modifica
+const adminGuard = [validateJWT, requireDeptAndRole(['DESARROLLO'], ['ADMIN'])];
+
+router.get('/', validateJWT, listDepartments);
+router.get('/:departmentId', validateJWT, getDepartment);
+
+router.post('/', ...adminGuard, createDepartment);
+router.patch('/:departmentId', ...adminGuard, updateDepartment);
+router.delete('/:departmentId', ...adminGuard, deleteDepartment);
+
+export default router;
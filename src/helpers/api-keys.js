@@ -0,0 +1,72 @@
+// src/helpers/api-keys.js
+import crypto from 'crypto';
+import ApiKey from '../serviceAccount/apiKey.model.js';
+import ServiceAccount from '../serviceAccount/serviceAccount.model.js';
+import { ipFromReq } from '../movements/movement.controller.js';
+
+const KEY_PREFIX = 'dgk';
+// lastUsedAt se escribe como mucho una vez por minuto por key
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** ¿El actor (req.user) es una cuenta de servicio autenticada con API key? */
+export const isServiceActor = (u) => u?.actorType === 'SERVICE';
+
+/** Id para campos `ref: 'User'`: null si el actor es una cuenta de servicio. */
+export const actorUserId = (u) => (isServiceActor(u) ? null : u?.id || u?._id || null);
+
+/** Id de la cuenta de servicio del actor (campos `ref: 'ServiceAccount'`), o null. */
+export const actorServiceAccountId = (u) => (isServiceActor(u) ? u.serviceAccountId || null : null);
+
+/** Genera una key nueva. `key` se muestra una sola vez; se guardan `prefix` y `keyHash`. */
+export function generateApiKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { key: `${KEY_PREFIX}_${prefix}_${secret}`, prefix, keyHash: hashSecret(secret) };
+}
+
+/** Lee la key de `X-API-Key` o `Authorization: ApiKey <key>`. */
+export function apiKeyFromReq(req) {
+  const header = req.header('x-api-key');
+  if (header) return String(header).trim();
+  const auth = req.header('authorization') || '';
+  const m = auth.match(/^ApiKey\s+(\S+)$/i);
+  return m ? m[1] : null;
+}
+
+/**
+ * Valida la key y devuelve { apiKey, serviceAccount }.
+ * Lanza Error con `status` 401 si no es válida, está revocada/vencida o la cuenta está inactiva.
+ */
+export async function authenticateApiKey(raw, req) {
+  const [kp, prefix, secret, ...rest] = String(raw || '').split('_');
+  if (kp !== KEY_PREFIX || !prefix || !secret || rest.length) throw httpError(401, 'API key inválida');
+
+  const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash').lean();
+  const a = Buffer.from(apiKey?.keyHash || '', 'hex');
+  const b = Buffer.from(hashSecret(secret), 'hex');
+  if (!apiKey || a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    throw httpError(401, 'API key inválida');
+  }
+  if (apiKey.revokedAt) throw httpError(401, 'API key revocada');
+  if (new Date(apiKey.expiresAt) <= new Date()) throw httpError(401, 'API key expirada');
+
+  const serviceAccount = await ServiceAccount.findById(apiKey.serviceAccount).lean();
+  if (!serviceAccount || !serviceAccount.isActive) throw httpError(401, 'Cuenta de servicio inactiva');
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt).getTime() > LAST_USED_THROTTLE_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(now), lastUsedIp: ipFromReq(req) } })
+      .catch((e) => console.error('[API KEY] No se pudo registrar uso:', e?.message || e));
+  }
+
+  delete apiKey.keyHash;
+  return { apiKey, serviceAccount };
+}
@@ -0,0 +1,50 @@
+// src/helpers/assignments.js
+// Cargos adicionales de un usuario (user.assignments): cada uno es una membresía
+// departamento + rol que se suma a la principal (departamento + roles).
+
+/** ¿El cargo está vigente en `at`? Sin fechas = indefinido. */
+export const isActiveAssignment = (a, at = new Date()) =>
+  Boolean(a) &&
+  (!a.startsAt || new Date(a.startsAt) <= at) &&
+  (!a.endsAt || new Date(a.endsAt) > at);
+
+/**
+ * Cargos vigentes con el departamento canonizado contra el organigrama
+ * (descarta los de departamentos que ya no existen). Forma de req.user.assignments.
+ */
+export const activeAssignments = (assignments, catalog, at = new Date()) =>
+  (assignments || [])
+    .filter((a) => isActiveAssignment(a, at))
+    .map((a) => ({
+      id: String(a._id || a.id || ''),
+      departamento: catalog.resolve(a.departamento || ''),
+      role: String(a.role || '').toUpperCase(),
+      startsAt: a.startsAt || null,
+      endsAt: a.endsAt || null,
+    }))
+    .filter((a) => a.departamento && a.role);
+
+/**
+ * La identidad `u` (req.user o un delegante) una vez por membresía: la principal tal cual
+ * y una copia por cargo vigente con { departamento, roles: [role], assignmentId }.
+ * Sirve para evaluar guardas y bandejas pensadas para un solo departamento.
+ */
+export const identitiesOf = (u) => {
+  if (!u) return [];
+  const extra = (u.assignments || [])
+    .filter((a) => isActiveAssignment(a))
+    .map((a) => ({ ...u, departamento: a.departamento, roles: [a.role], assignmentId: a.id || String(a._id || '') }));
+  return [u, ...extra];
+};
+
+/** Cargos guardados, para respuestas de la API (incluye vencidos y futuros). */
+export const formatAssignments = (assignments, at = new Date()) =>
+  (assignments || []).map((a) => ({
+    id: String(a._id || a.id || ''),
+    departamento: a.departamento,
+    role: a.role,
+    startsAt: a.startsAt || null,
+    endsAt: a.endsAt || null,
+    motivo: a.motivo || '',
+    active: isActiveAssignment(a, at),
+  }));
@@ -0,0 +1,63 @@
+// src/helpers/csv.js
+// CSV pensado para abrirse en Excel (configuración regional en español).
+
+// BOM UTF-8: sin él Excel interpreta el archivo como ANSI y rompe tildes y eñes
+export const CSV_BOM = '\uFEFF';
+
+/** Separador a partir de la query: `;` (Excel en español) o `,` (por defecto). */
+export function csvSeparator(value) {
+  const v = String(value || '').trim().toLowerCase();
+  return v === ';' || v === 'semicolon' || v === 'puntoycoma' ? ';' : ',';
+}
+
+/**
+ * Celda CSV escapada.
+ * - Neutraliza inyección de fórmulas (=, +, -, @, tab, CR al inicio) anteponiendo `'`.
+ * - Entrecomilla si contiene el separador, comillas o saltos de línea.
+ */
+export function csvCell(value, sep = ',') {
+  if (value === null || value === undefined) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return str.includes(sep) || /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export const csvLine = (cells, sep = ',') => `${cells.map((c) => csvCell(c, sep)).join(sep)}\r\n`;
+
+/**
+ * Parsea CSV (RFC 4180: comillas dobles, saltos de línea dentro de comillas, CRLF).
+ * Si no se indica separador se elige `;` o `,` según la primera línea.
+ * @returns {string[][]}
+ */
+export function parseCsv(text = '', sep) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const delimiter = sep || ((firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+
+  while (rows.length && rows[rows.length - 1].every((v) => !v.trim())) rows.pop();
+  return rows;
+}
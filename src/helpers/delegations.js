@@ -0,0 +1,49 @@
+// src/helpers/delegations.js
+import Delegation from '../delegation/delegation.model.js';
+import { getDepartmentCatalog } from './departments.js';
+import { activeAssignments } from './assignments.js';
+
+/** Filtro de delegaciones vigentes en `at` (no revocadas y dentro del rango). */
+export const activeDelegationFilter = (at = new Date()) => ({
+  revokedAt: null,
+  startsAt: { $lte: at },
+  endsAt: { $gt: at },
+});
+
+/**
+ * Usuarios que delegaron en `user` (req.user) para `module`, con la misma forma
+ * que req.user (id, email, nombre, departamento canónico, roles, assignments) más la delegación.
+ * @returns {Promise<object[]>}
+ */
+export async function delegatorsFor(user, module) {
+  const uid = user?.id || user?._id;
+  if (!uid) return [];
+
+  const docs = await Delegation.find({
+    ...activeDelegationFilter(),
+    delegate: uid,
+    $or: [{ modules: { $size: 0 } }, { modules: module }],
+  })
+    .populate('delegator', 'email nombre departamento roles assignments isActive deletedAt')
+    .lean();
+
+  const catalog = await getDepartmentCatalog();
+  const seen = new Set();
+  return docs
+    .filter((d) => d.delegator && d.delegator.isActive !== false && !d.delegator.deletedAt)
+    .filter((d) => !seen.has(String(d.delegator._id)) && seen.add(String(d.delegator._id)))
+    .map((d) => ({
+      id: String(d.delegator._id),
+      email: d.delegator.email,
+      nombre: d.delegator.nombre,
+      departamento: catalog.resolve(d.delegator.departamento || ''),
+      roles: (d.delegator.roles || []).map((r) => String(r).toUpperCase()),
+      assignments: activeAssignments(d.delegator.assignments, catalog),
+      delegationId: String(d._id),
+      endsAt: d.endsAt,
+    }));
+}
+
+/** Texto para historial y auditoría: "B en nombre de A". */
+export const onBehalfLabel = (actor, delegator) =>
+  `${actor?.nombre || actor?.email || actor?.id || '?'} en nombre de ${delegator?.nombre || delegator?.email || delegator?.id || '?'}`;
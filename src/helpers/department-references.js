@@ -0,0 +1,55 @@
+// src/helpers/department-references.js
+// Documentos que guardan códigos de departamento (ver helpers/departments.js).
+import User from '../user/user.model.js';
+import Correspondencia from '../correspondencia/correspondencia.model.js';
+
+const CORR_FIELDS = ['ownerDept', 'destinoDepartamento', 'destinoSubdireccion'];
+
+/**
+ * Reescribe a `to` los documentos que guardan alguno de los códigos `from`
+ * (cambio de código o alias heredados). No cambia updatedAt.
+ * @returns {Promise<{ users: number, correspondencia: number }>}
+ */
+export async function renameDepartmentReferences(from = [], to) {
+  const list = [...new Set(from)].filter((c) => c && c !== to);
+  if (!list.length || !to) return { users: 0, correspondencia: 0 };
+
+  const opts = { timestamps: false };
+  const users = await User.updateMany({ departamento: { $in: list } }, { $set: { departamento: to } }, opts);
+  await User.updateMany(
+    { 'assignments.departamento': { $in: list } },
+    { $set: { 'assignments.$[a].departamento': to } },
+    { ...opts, arrayFilters: [{ 'a.departamento': { $in: list } }] }
+  );
+
+  let correspondencia = 0;
+  for (const field of CORR_FIELDS) {
+    const r = await Correspondencia.updateMany({ [field]: { $in: list } }, { $set: { [field]: to } }, opts);
+    correspondencia += r.modifiedCount || 0;
+  }
+  await Correspondencia.updateMany(
+    { 'historial.actorDept': { $in: list } },
+    { $set: { 'historial.$[h].actorDept': to } },
+    { ...opts, arrayFilters: [{ 'h.actorDept': { $in: list } }] }
+  );
+
+  return { users: users.modifiedCount || 0, correspondencia };
+}
+
+/**
+ * Cuántos documentos vigentes apuntan a `code` (para impedir borrados).
+ * @returns {Promise<{ users: number, correspondencia: number }>}
+ */
+export async function countDepartmentReferences(code) {
+  const [users, correspondencia] = await Promise.all([
+    // Usuarios del departamento o con un cargo adicional no vencido en él
+    User.countDocuments({
+      $or: [
+        { departamento: code },
+        { assignments: { $elemMatch: { departamento: code, $or: [{ endsAt: null }, { endsAt: { $gt: new Date() } }] } } },
+      ],
+    }),
+    Correspondencia.countDocuments({ $or: CORR_FIELDS.map((f) => ({ [f]: code })) }),
+  ]);
+  return { users, correspondencia };
+}
@@ -0,0 +1,92 @@
+// src/helpers/departments.js
+import Department from '../department/department.model.js';
+
+const CACHE_MS = 30 * 1000;
+let _cache = null;
+let _cachedAt = 0;
+
+/** Clave de comparación: sin acentos, en mayúsculas y con espacios simples. */
+export const deptKey = (s = '') =>
+  String(s ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+function buildCatalog(docs) {
+  const byId = new Map(docs.map((d) => [String(d._id), d]));
+  const byCode = new Map(docs.map((d) => [d.code, d]));
+
+  // Entrada -> código. Prioridad: código, luego alias, luego nombre visible
+  const lookup = new Map();
+  const add = (key, code) => { if (key && !lookup.has(key)) lookup.set(key, code); };
+  docs.forEach((d) => add(deptKey(d.code), d.code));
+  docs.forEach((d) => (d.aliases || []).forEach((a) => add(deptKey(a), d.code)));
+  docs.forEach((d) => add(deptKey(d.nombre), d.code));
+
+  const parentOf = (d) => (d?.parent ? byId.get(String(d.parent)) || null : null);
+  const ancestors = (code) => {
+    const out = [];
+    let p = parentOf(byCode.get(code));
+    while (p && !out.includes(p.code)) {
+      out.push(p.code);
+      p = parentOf(p);
+    }
+    return out;
+  };
+  const underSubdir = (code) => ancestors(code).some((c) => byCode.get(c)?.tipo === 'SUBDIRECCION');
+  const active = docs.filter((d) => d.isActive);
+
+  return {
+    departments: docs,
+    /** Código que corresponde a un código, alias o nombre (o null). */
+    resolve: (value) => lookup.get(deptKey(value)) || null,
+    get: (code) => byCode.get(code) || null,
+    has: (code) => byCode.has(code),
+    isActive: (code) => Boolean(byCode.get(code)?.isActive),
+    activeCodes: () => active.map((d) => d.code),
+    ancestors,
+    childrenOf: (code) => active.filter((d) => parentOf(d)?.code === code).map((d) => d.code),
+    subdirecciones: () => active.filter((d) => d.tipo === 'SUBDIRECCION').map((d) => d.code),
+    // Áreas/departamentos que dependen directamente de Dirección (sin subdirector)
+    sinSubdirector: () => active
+      .filter((d) => !['DIRECCION', 'SUBDIRECCION'].includes(d.tipo) && !underSubdir(d.code))
+      .map((d) => d.code),
+  };
+}
+
+/** Catálogo de departamentos (cacheado unos segundos). */
+export async function getDepartmentCatalog({ fresh = false } = {}) {
+  if (!fresh && _cache && Date.now() - _cachedAt < CACHE_MS) return _cache;
+  const docs = await Department.find({}).sort({ orden: 1, code: 1 }).lean();
+  _cache = buildCatalog(docs);
+  _cachedAt = Date.now();
+  return _cache;
+}
+
+/** Descarta la caché tras un cambio en el organigrama. */
+export function invalidateDepartmentCatalog() {
+  _cache = null;
+  _cachedAt = 0;
+}
+
+/**
+ * Código activo que corresponde a `value` (código, alias o nombre), o null.
+ * Para validar entradas de usuarios y formularios.
+ */
+export async function resolveActiveDepartment(value) {
+  if (!value) return null;
+  const catalog = await getDepartmentCatalog();
+  const code = catalog.resolve(value);
+  return code && catalog.isActive(code) ? code : null;
+}
+
+/**
+ * Validador Mongoose para campos que guardan un código de departamento.
+ * Sólo exige que exista (activo o no) para no bloquear documentos antiguos.
+ */
+export const departmentCodeValidator = {
+  validator: async (v) => v == null || (await getDepartmentCatalog()).has(v),
+  message: (props) => `Departamento inválido: ${props.value}`,
+};
@@ -1,20 +1,99 @@
 // src/helpers/generate-jwt.js
 import jwt from 'jsonwebtoken';
+import { JWT_ISSUER, JWT_AUDIENCE, getSigningKey, getVerificationKey } from './jwt-keys.js';
 
-export const generateJWT = (uid = '') =>
+/** Valores del claim `typ` para tokens que NO son de acceso (validateJWT los rechaza). */
+export const TOKEN_TYP = Object.freeze({
+  TWO_FACTOR_CHALLENGE: '2fa',
+  INVITATION: 'invite',
+});
+
+/** Valores del claim `scope` para tokens de acceso restringidos. */
+export const TOKEN_SCOPES = Object.freeze({
+  TWO_FACTOR_ENROLL: '2fa-enroll',
+});
+
+// Audiencia según los claims: sólo los tokens de acceso completos llevan JWT_AUDIENCE.
+// Los de propósito especial (`typ`), los restringidos (`scope`) y los de suplantación (`act`)
+// llevan una propia, así otra aplicación que verifique con el JWKS y exija `aud` no los
+// toma por acceso completo.
+export const audienceOf = ({ typ, scope, act } = {}) => {
+  if (typ) return `${JWT_ISSUER}:${typ}`;
+  if (scope) return `${JWT_ISSUER}:${scope}`;
+  if (act) return `${JWT_ISSUER}:impersonation`;
+  return JWT_AUDIENCE;
+};
+
+// Lo que validateJWT acepta; ahí mismo se aplican las restricciones de `scope` y `act`
+const ACCESS_AUDIENCES = [
+  JWT_AUDIENCE,
+  audienceOf({ act: true }),
+  ...Object.values(TOKEN_SCOPES).map((scope) => audienceOf({ scope })),
+];
+
+/**
+ * Firma un token con la llave activa (cabecera `kid`) y el `aud` que corresponde a los claims (audienceOf).
+ * @param {String} uid     - ID del usuario
+ * @param {Object} claims  - Claims extra (p.ej. { sid } de la sesión)
+ * @param {Object} [opts]  - { expiresIn } (por defecto JWT_EXPIRES_IN o '1h')
+ */
+export const generateJWT = (uid = '', claims = {}, opts = {}) =>
   new Promise((resolve, reject) => {
-    const secret = process.env.JWT_SECRET;
-    if (!secret || !secret.trim()) {
-      return reject(new Error('JWT_SECRET no está definido'));
+    let key;
+    try {
+      key = getSigningKey();
+    } catch (err) {
+      return reject(err);
     }
 
-    const payload = { uid };
-    const expiresIn = process.env.JWT_EXPIRES_IN || '1h';
+    const payload = { ...claims, uid };
+    const expiresIn = opts.expiresIn || process.env.JWT_EXPIRES_IN || '1h';
+
+    jwt.sign(
+      payload,
+      key.privateKey,
+      { algorithm: key.alg, keyid: key.kid, issuer: JWT_ISSUER, audience: audienceOf(claims), expiresIn },
+      (err, token) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve(token);
+      }
+    );
+  });
+
+/**
+ * Verifica un token firmado con generateJWT y devuelve su payload.
+ * La llave se elige por `kid` y sólo se acepta su algoritmo.
+ * @param {String} token
+ * @param {Object} [opts] - { typ } exige ese valor en el claim `typ` (y su audiencia);
+ *                          sin `typ` sólo acepta tokens de acceso (completos o restringidos).
+ *                          En ambos casos `aud` debe ser el que corresponde a los claims.
+ */
+export const verifyJWT = (token = '', opts = {}) =>
+  new Promise((resolve, reject) => {
+    const getKey = (header, cb) => {
+      let key;
+      try {
+        key = getVerificationKey(header?.kid);
+      } catch (err) {
+        return cb(err);
+      }
+      if (!key || key.alg !== header?.alg) return cb(new Error('Llave de firma desconocida'));
+      return cb(null, key.publicKey);
+    };
 
-    jwt.sign(payload, secret, { expiresIn }, (err, token) => {
+    const audience = opts.typ ? audienceOf({ typ: opts.typ }) : ACCESS_AUDIENCES;
+    jwt.verify(String(token), getKey, { issuer: JWT_ISSUER, audience }, (err, payload) => {
       if (err) {
         return reject(err);
       }
-      resolve(token);
+      if (opts.typ && payload?.typ !== opts.typ) {
+        return reject(new Error('Tipo de token inválido'));
+      }
+      if (payload?.aud !== audienceOf(payload)) {
+        return reject(new Error('Audiencia del token inválida'));
+      }
+      resolve(payload);
     });
   });
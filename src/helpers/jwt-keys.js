@@ -0,0 +1,120 @@
+// src/helpers/jwt-keys.js
+// Llavero de firma JWT (RS256/ES256 con `kid`) para rotación de llaves y JWKS.
+//
+// Configuración (en orden de preferencia):
+//  - JWT_SIGNING_KEYS: JSON [{ "kid", "alg": "RS256"|"ES256", "privateKey": PEM, "publicKey"?: PEM }]
+//      · Firma la llave JWT_ACTIVE_KID (o la primera que tenga privateKey).
+//      · Las entradas con sólo publicKey siguen verificando (llaves retiradas durante la rotación).
+//  - JWT_PRIVATE_KEY (+ JWT_KEY_ID, JWT_ALG): una sola llave.
+//  - Sólo fuera de producción: HS256 con JWT_SECRET (los demás sistemas no pueden verificar esos tokens).
+// Los PEM pueden venir en una línea con "\n" escapados.
+import crypto from 'crypto';
+
+export const JWT_ISSUER = process.env.JWT_ISSUER || 'digecur';
+// `aud` de los tokens de acceso: las aplicaciones que verifican con el JWKS deben exigirlo
+export const JWT_AUDIENCE = process.env.JWT_AUDIENCE || `${JWT_ISSUER}-api`;
+
+const ASYMMETRIC_ALGS = new Set(['RS256', 'ES256']);
+const DEV_KID = 'dev-hs256';
+
+const pem = (v) => String(v || '').replace(/\\n/g, '\n').trim();
+
+function keyError(msg) {
+  return new Error(`[JWT] ${msg}`);
+}
+
+function buildKey({ kid, alg = 'RS256', privateKey, publicKey }) {
+  if (!kid) throw keyError('Cada llave necesita "kid"');
+  if (!ASYMMETRIC_ALGS.has(alg)) throw keyError(`Algoritmo no soportado para ${kid}: ${alg}`);
+  if (!privateKey && !publicKey) throw keyError(`La llave ${kid} no tiene privateKey ni publicKey`);
+
+  const priv = privateKey ? crypto.createPrivateKey(pem(privateKey)) : null;
+  const pub = publicKey ? crypto.createPublicKey(pem(publicKey)) : crypto.createPublicKey(priv);
+
+  const expectedType = alg === 'RS256' ? 'rsa' : 'ec';
+  if (pub.asymmetricKeyType !== expectedType) {
+    throw keyError(`La llave ${kid} no es ${expectedType.toUpperCase()} (alg ${alg})`);
+  }
+  if (alg === 'ES256' && pub.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+    throw keyError(`ES256 requiere curva P-256 (llave ${kid})`);
+  }
+  return { kid: String(kid), alg, privateKey: priv, publicKey: pub };
+}
+
+function readConfiguredKeys() {
+  if (process.env.JWT_SIGNING_KEYS) {
+    let list;
+    try {
+      list = JSON.parse(process.env.JWT_SIGNING_KEYS);
+    } catch {
+      throw keyError('JWT_SIGNING_KEYS no es JSON válido');
+    }
+    if (!Array.isArray(list) || !list.length) throw keyError('JWT_SIGNING_KEYS debe ser un arreglo no vacío');
+    return list.map(buildKey);
+  }
+  if (process.env.JWT_PRIVATE_KEY) {
+    return [buildKey({
+      kid: process.env.JWT_KEY_ID || 'default',
+      alg: process.env.JWT_ALG || 'RS256',
+      privateKey: process.env.JWT_PRIVATE_KEY,
+    })];
+  }
+  return [];
+}
+
+let _ring = null;
+
+/**
+ * Carga (una vez) y valida las llaves. Lanza si la configuración es inválida
+ * o si en producción no hay llaves asimétricas.
+ */
+export function loadKeyRing() {
+  if (_ring) return _ring;
+
+  const keys = readConfiguredKeys();
+  if (new Set(keys.map((k) => k.kid)).size !== keys.length) throw keyError('Hay "kid" repetidos');
+
+  if (keys.length) {
+    const activeKid = process.env.JWT_ACTIVE_KID;
+    const signer = activeKid
+      ? keys.find((k) => k.kid === activeKid)
+      : keys.find((k) => k.privateKey);
+    if (!signer) throw keyError(activeKid ? `JWT_ACTIVE_KID=${activeKid} no existe` : 'Ninguna llave tiene privateKey');
+    if (!signer.privateKey) throw keyError(`La llave activa ${signer.kid} no tiene privateKey`);
+
+    _ring = { mode: 'asymmetric', signer, byKid: new Map(keys.map((k) => [k.kid, k])) };
+    return _ring;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw keyError('En producción se requieren llaves asimétricas (JWT_SIGNING_KEYS o JWT_PRIVATE_KEY)');
+  }
+
+  const secret = process.env.JWT_SECRET;
+  if (!secret || !secret.trim()) throw keyError('Define JWT_SECRET (desarrollo) o JWT_SIGNING_KEYS');
+  console.warn('[JWT] Usando HS256 con JWT_SECRET (sólo desarrollo): otras aplicaciones no podrán verificar los tokens');
+
+  const devKey = { kid: DEV_KID, alg: 'HS256', privateKey: secret, publicKey: secret };
+  _ring = { mode: 'dev', signer: devKey, byKid: new Map([[DEV_KID, devKey]]) };
+  return _ring;
+}
+
+/** Llave con la que se firma ahora. */
+export const getSigningKey = () => loadKeyRing().signer;
+
+/** Llave para verificar un token según el `kid` de su cabecera (null si no se conoce). */
+export const getVerificationKey = (kid) => loadKeyRing().byKid.get(String(kid || '')) || null;
+
+/** JWKS público (vacío en modo desarrollo HS256). */
+export function getJwks() {
+  const ring = loadKeyRing();
+  if (ring.mode !== 'asymmetric') return { keys: [] };
+  return {
+    keys: [...ring.byKid.values()].map((k) => ({
+      ...k.publicKey.export({ format: 'jwk' }),
+      kid: k.kid,
+      alg: k.alg,
+      use: 'sig',
+    })),
+  };
+}
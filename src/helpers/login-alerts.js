@@ -0,0 +1,41 @@
+// src/helpers/login-alerts.js
+import Session from '../auth/session.model.js';
+import { sendNewLoginAlert } from './mailer.js';
+import { describeUserAgent, deviceKey } from './user-agent.js';
+
+const ALERTS_ENABLED = String(process.env.LOGIN_ALERTS_ENABLED || 'true').toLowerCase() !== 'false';
+// Sesiones previas que se comparan (las vencidas las borra el TTL de Session)
+const HISTORY_LIMIT = 50;
+
+/**
+ * Avisa por correo si `session` (recién creada en un login) viene de un dispositivo
+ * (navegador + sistema) o IP que no aparece en las sesiones anteriores del usuario.
+ * El primer login registrado no genera aviso.
+ * @returns {Promise<boolean>} true si se envió el aviso
+ */
+export async function notifyNewDeviceLogin(user, session) {
+  if (!ALERTS_ENABLED || !user?.email || !session) return false;
+
+  const previous = await Session.find({ user: user._id, _id: { $ne: session._id }, impersonatedBy: null })
+    .sort({ createdAt: -1 })
+    .limit(HISTORY_LIMIT)
+    .select('ip userAgent')
+    .lean();
+  if (!previous.length) return false;
+
+  const device = deviceKey(session.userAgent);
+  const newDevice = !previous.some((s) => deviceKey(s.userAgent) === device);
+  const newIp = Boolean(session.ip) && !previous.some((s) => s.ip === session.ip);
+  if (!newDevice && !newIp) return false;
+
+  const mail = await sendNewLoginAlert({
+    to: user.email,
+    nombre: user.nombre,
+    device: describeUserAgent(session.userAgent).label,
+    ip: session.ip,
+    when: session.createdAt,
+    newDevice,
+    newIp,
+  });
+  return Boolean(mail?.success);
+}
@@ -0,0 +1,64 @@
+// src/helpers/login-lockout.js
+// Bloqueo temporal por cuenta tras intentos fallidos de login (contraseña o 2FA).
+// A partir de LOGIN_MAX_FAILED fallos, cada fallo adicional duplica el bloqueo
+// (LOGIN_LOCK_BASE_MINUTES, 2x, 4x, ...) hasta LOGIN_LOCK_MAX_MINUTES.
+import User from '../user/user.model.js';
+
+const intEnv = (name, def) => Math.max(1, parseInt(process.env[name] || String(def), 10) || def);
+
+export const LOGIN_MAX_FAILED = intEnv('LOGIN_MAX_FAILED', 5);
+const LOCK_BASE_MINUTES = intEnv('LOGIN_LOCK_BASE_MINUTES', 5);
+const LOCK_MAX_MINUTES = intEnv('LOGIN_LOCK_MAX_MINUTES', 24 * 60);
+// Si pasa este tiempo sin fallos, el contador vuelve a empezar
+const FAIL_WINDOW_MINUTES = intEnv('LOGIN_FAIL_WINDOW_MINUTES', 24 * 60);
+
+/** ¿La cuenta está bloqueada ahora mismo? */
+export const isLocked = (user, now = Date.now()) =>
+  Boolean(user?.lockedUntil && new Date(user.lockedUntil).getTime() > now);
+
+/** Minutos de bloqueo que corresponden a `failures` fallos consecutivos (0 = sin bloqueo). */
+export function lockMinutesFor(failures) {
+  if (failures < LOGIN_MAX_FAILED) return 0;
+  const exp = Math.min(failures - LOGIN_MAX_FAILED, 20);
+  return Math.min(LOCK_BASE_MINUTES * 2 ** exp, LOCK_MAX_MINUTES);
+}
+
+/** Segundos restantes de bloqueo (para el header Retry-After). */
+export const retryAfterSeconds = (user, now = Date.now()) =>
+  isLocked(user, now) ? Math.ceil((new Date(user.lockedUntil).getTime() - now) / 1000) : 0;
+
+/**
+ * Suma un fallo de login y, si corresponde, bloquea la cuenta.
+ * @returns {Promise<{ failedLoginCount, lockedUntil }|null>}
+ */
+export async function registerFailedLogin(userId) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAIL_WINDOW_MINUTES * 60000);
+
+  // Reinicia el contador si el último fallo quedó fuera de la ventana
+  await User.updateOne(
+    { _id: userId, lastFailedLoginAt: { $lt: windowStart } },
+    { $set: { failedLoginCount: 0 } }
+  );
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginCount: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  ).select('failedLoginCount lockedUntil').lean();
+  if (!user) return null;
+
+  const minutes = lockMinutesFor(user.failedLoginCount);
+  if (!minutes) return { failedLoginCount: user.failedLoginCount, lockedUntil: user.lockedUntil || null };
+
+  const lockedUntil = new Date(now.getTime() + minutes * 60000);
+  await User.updateOne({ _id: userId }, { $set: { lockedUntil } });
+  return { failedLoginCount: user.failedLoginCount, lockedUntil };
+}
+
+/** Limpia contador y bloqueo en el documento (el caller guarda). */
+export function clearFailedLogins(user) {
+  user.failedLoginCount = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockedUntil = null;
+}
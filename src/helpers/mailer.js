@@ -180,6 +180,151 @@ function tplTransferApproved({ item = {}, toUser = {} }) {
   return { subject: 'Traslado aprobado', html, text };
 }
 
+function tplPasswordResetCode({ code, nombre, expiresAt }) {
+  const title = 'Restablecer contraseña';
+  const appUrl = APP_PUBLIC_URL ? `${APP_PUBLIC_URL}` : '';
+
+  const html = wrapHtml({
+    title,
+    content: `
+      <p>Hola${nombre ? ` ${escapeHtml(nombre)}` : ''}, recibimos una solicitud para restablecer tu contraseña.</p>
+
+      <p>Introduce este código en la pantalla de restablecimiento:</p>
+
+      <div style="${styles.code}">${escapeHtml(code || '')}</div>
+
+      ${expiresAt ? `<p style="${styles.meta}">Vence: ${new Date(expiresAt).toLocaleString('es-GT')}. Sólo puede usarse una vez.</p>` : ''}
+      <p style="${styles.meta}">Si no solicitaste este cambio, ignora este correo; tu contraseña no se modificará.</p>
+
+      ${
+        appUrl
+          ? `<p style="${styles.meta}">Accede al sistema: <a href="${appUrl}">${appUrl}</a></p>`
+          : ''
+      }
+    `,
+  });
+
+  const text =
+    `${title}\n\n` +
+    `Código: ${code || ''}\n` +
+    (expiresAt ? `Vence: ${new Date(expiresAt).toLocaleString('es-GT')} (un solo uso)\n` : '') +
+    `\nSi no solicitaste este cambio, ignora este correo.\n` +
+    (APP_PUBLIC_URL ? `\nSistema: ${APP_PUBLIC_URL}\n` : '');
+
+  return { subject: 'Código para restablecer tu contraseña', html, text };
+}
+
+function tplInvitation({ nombre, link, expiresAt, invitedBy = {} }) {
+  const title = 'Invitación al sistema';
+  const quien = invitedBy?.nombre || invitedBy?.email || '';
+
+  const html = wrapHtml({
+    title,
+    content: `
+      <p>Hola${nombre ? ` ${escapeHtml(nombre)}` : ''}, ${quien ? `<b>${escapeHtml(quien)}</b> te ha creado` : 'se te ha creado'} una cuenta en el sistema DIGECUR.</p>
+
+      <p>Para activarla, define tu contraseña desde el siguiente enlace:</p>
+
+      <p><a href="${link}" style="${styles.btn}">Activar mi cuenta</a></p>
+
+      ${expiresAt ? `<p style="${styles.meta}">El enlace vence: ${new Date(expiresAt).toLocaleString('es-GT')} y sólo puede usarse una vez.</p>` : ''}
+      <p style="${styles.meta}">Si no esperabas esta invitación, ignora este correo.</p>
+    `,
+  });
+
+  const text =
+    `${title}\n\n` +
+    `Activa tu cuenta definiendo tu contraseña en:\n${link}\n` +
+    (expiresAt ? `\nVence: ${new Date(expiresAt).toLocaleString('es-GT')} (un solo uso)\n` : '') +
+    `\nSi no esperabas esta invitación, ignora este correo.\n`;
+
+  return { subject: 'Activa tu cuenta DIGECUR', html, text };
+}
+
+function tplRegistrationApproved({ nombre, departamento, roles = [] }) {
+  const title = 'Solicitud de registro aprobada';
+  const appUrl = APP_PUBLIC_URL ? `${APP_PUBLIC_URL}` : '';
+
+  const html = wrapHtml({
+    title,
+    content: `
+      <p>Hola${nombre ? ` ${escapeHtml(nombre)}` : ''}, tu solicitud de acceso al sistema DIGECUR fue aprobada.</p>
+
+      <ul>
+        <li><b>Departamento:</b> ${escapeHtml(departamento || '—')}</li>
+        <li><b>Roles:</b> ${escapeHtml(roles.join(', ') || '—')}</li>
+      </ul>
+
+      <p>Ya puedes iniciar sesión con el correo y la contraseña que registraste.</p>
+
+      ${appUrl ? `<p><a href="${appUrl}" style="${styles.btn}">Ir al sistema</a></p>` : ''}
+    `,
+  });
+
+  const text =
+    `${title}\n\n` +
+    `Departamento: ${departamento || '—'}\n` +
+    `Roles: ${roles.join(', ') || '—'}\n` +
+    `\nYa puedes iniciar sesión con el correo y la contraseña que registraste.\n` +
+    (APP_PUBLIC_URL ? `\nSistema: ${APP_PUBLIC_URL}\n` : '');
+
+  return { subject: 'Tu cuenta DIGECUR fue aprobada', html, text };
+}
+
+function tplRegistrationRejected({ nombre, reason }) {
+  const title = 'Solicitud de registro rechazada';
+
+  const html = wrapHtml({
+    title,
+    content: `
+      <p>Hola${nombre ? ` ${escapeHtml(nombre)}` : ''}, tu solicitud de acceso al sistema DIGECUR no fue aprobada.</p>
+
+      ${reason ? `<p><b>Motivo:</b> ${escapeHtml(reason)}</p>` : ''}
+      <p style="${styles.meta}">Si crees que se trata de un error, comunícate con el área de Desarrollo.</p>
+    `,
+  });
+
+  const text =
+    `${title}\n\n` +
+    (reason ? `Motivo: ${reason}\n` : '') +
+    `\nSi crees que se trata de un error, comunícate con el área de Desarrollo.\n`;
+
+  return { subject: 'Tu solicitud de acceso DIGECUR', html, text };
+}
+
+function tplNewLoginAlert({ nombre, device, ip, when, newDevice, newIp }) {
+  const title = 'Nuevo inicio de sesión';
+  const appUrl = APP_PUBLIC_URL ? `${APP_PUBLIC_URL}` : '';
+  const motivo = [newDevice ? 'un dispositivo' : null, newIp ? 'una dirección IP' : null].filter(Boolean).join(' y ');
+  const fecha = new Date(when || Date.now()).toLocaleString('es-GT');
+
+  const html = wrapHtml({
+    title,
+    content: `
+      <p>Hola${nombre ? ` ${escapeHtml(nombre)}` : ''}, se inició sesión en tu cuenta desde ${escapeHtml(motivo || 'un dispositivo')} que no habíamos visto.</p>
+
+      <ul>
+        <li><b>Dispositivo:</b> ${escapeHtml(device || '—')}</li>
+        <li><b>IP:</b> ${escapeHtml(ip || '—')}</li>
+        <li><b>Fecha:</b> ${escapeHtml(fecha)}</li>
+      </ul>
+
+      <p style="${styles.meta}">Si fuiste tú, no necesitas hacer nada. Si no lo reconoces, cambia tu contraseña y cierra las sesiones abiertas desde tu perfil.</p>
+      ${appUrl ? `<p style="${styles.meta}">Accede al sistema: <a href="${appUrl}">${appUrl}</a></p>` : ''}
+    `,
+  });
+
+  const text =
+    `${title}\n\n` +
+    `Dispositivo: ${device || '—'}\n` +
+    `IP: ${ip || '—'}\n` +
+    `Fecha: ${fecha}\n` +
+    `\nSi no lo reconoces, cambia tu contraseña y cierra las sesiones abiertas.\n` +
+    (APP_PUBLIC_URL ? `\nSistema: ${APP_PUBLIC_URL}\n` : '');
+
+  return { subject: 'Nuevo inicio de sesión en tu cuenta DIGECUR', html, text };
+}
+
 function tplGeneric({ title = 'Notificación', message = '' }) {
   const html = wrapHtml({
     title,
@@ -245,18 +390,67 @@ async function sendTransferApproved({ to, item, toUser }) {
   return await sendMail({ to, subject, html, text });
 }
 
+async function sendPasswordResetCode({ to, code, nombre, expiresAt }) {
+  if (!to || !code) {
+    return { success: false, error: 'Missing "to" or "code"' };
+  }
+  const { subject, html, text } = tplPasswordResetCode({ code, nombre, expiresAt });
+  return await sendMail({ to, subject, html, text });
+}
+
+async function sendInvitation({ to, nombre, link, expiresAt, invitedBy }) {
+  if (!to || !link) {
+    return { success: false, error: 'Missing "to" or "link"' };
+  }
+  const { subject, html, text } = tplInvitation({ nombre, link, expiresAt, invitedBy });
+  return await sendMail({ to, subject, html, text });
+}
+
+async function sendRegistrationApproved({ to, nombre, departamento, roles }) {
+  if (!to) return { success: false, error: 'Missing "to"' };
+  const { subject, html, text } = tplRegistrationApproved({ nombre, departamento, roles });
+  return await sendMail({ to, subject, html, text });
+}
+
+async function sendRegistrationRejected({ to, nombre, reason }) {
+  if (!to) return { success: false, error: 'Missing "to"' };
+  const { subject, html, text } = tplRegistrationRejected({ nombre, reason });
+  return await sendMail({ to, subject, html, text });
+}
+
+async function sendNewLoginAlert({ to, nombre, device, ip, when, newDevice, newIp }) {
+  if (!to) return { success: false, error: 'Missing "to"' };
+  const { subject, html, text } = tplNewLoginAlert({ nombre, device, ip, when, newDevice, newIp });
+  return await sendMail({ to, subject, html, text });
+}
+
 async function sendGeneric({ to, title, message }) {
   if (!to) return { success: false, error: 'Missing "to"' };
   const { subject, html, text } = tplGeneric({ title, message });
   return await sendMail({ to, subject, html, text });
 }
 
-export { sendMail, sendInviteCode, sendTransferApproved, sendGeneric };
+export {
+  sendMail,
+  sendInviteCode,
+  sendTransferApproved,
+  sendPasswordResetCode,
+  sendInvitation,
+  sendRegistrationApproved,
+  sendRegistrationRejected,
+  sendNewLoginAlert,
+  sendGeneric,
+};
 
 /* ✅ Export default (para `import mailer from ...`) */
 export default {
   sendMail,
   sendInviteCode,
   sendTransferApproved,
+  sendPasswordResetCode,
+  sendInvitation,
+  sendRegistrationApproved,
+  sendRegistrationRejected,
+  sendNewLoginAlert,
   sendGeneric,
 };
\ No newline at end of file
@@ -0,0 +1,254 @@
+// src/helpers/oidc.js
+// Cliente OIDC mínimo (authorization code + PKCE) para Microsoft Entra ID u otro proveedor.
+// Usa discovery (/.well-known/openid-configuration) y JWKS del emisor; sin dependencias externas.
+//
+// Variables:
+//  OIDC_ISSUER          p.ej. https://login.microsoftonline.com/<tenant>/v2.0
+//  OIDC_CLIENT_ID       id de la aplicación registrada
+//  OIDC_CLIENT_SECRET   (opcional) si la app es cliente confidencial
+//  OIDC_REDIRECT_URI    URL pública de GET /digecur/v1/auth/oidc/callback
+//  OIDC_SCOPES          por defecto "openid profile email"
+//  OIDC_GROUPS_CLAIM    claim con los grupos (por defecto "groups")
+//  OIDC_GROUP_MAP       JSON para aprovisionamiento JIT (ver groupRules)
+//  OIDC_JIT_SYNC        "true" para re-aplicar departamento/roles en cada login SSO
+//  OIDC_POST_LOGIN_URL  pantalla del frontend que recibe ?sso_code= (por defecto APP_PUBLIC_URL/sso)
+//  OIDC_MFA_ACR_VALUES  (opcional) valores de `acr` que el proveedor usa para MFA, separados por coma
+//
+// Fuera de producción el emisor puede ser http, así que sirve cualquier proveedor
+// OIDC local de pruebas, p.ej. `docker run -p 8080:8080 ghcr.io/navikt/mock-oauth2-server`
+// con OIDC_ISSUER=http://localhost:8080/default. test/auth/oidc.test.js levanta uno en
+// proceso (discovery, JWKS y token endpoint) y recorre el flujo completo con `npm test`.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { ROLES } from '../user/user.model.js';
+import { resolveActiveDepartment } from './departments.js';
+
+const CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const env = (k, d = '') => String(process.env[k] ?? d).trim();
+
+export const isOidcEnabled = () => Boolean(env('OIDC_ISSUER') && env('OIDC_CLIENT_ID') && env('OIDC_REDIRECT_URI'));
+
+function oidcError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function fetchJson(url, init) {
+  const r = await fetch(url, { ...init, signal: AbortSignal.timeout(10000) });
+  const body = await r.json().catch(() => null);
+  if (!r.ok) {
+    const detail = body?.error_description || body?.error || r.statusText;
+    throw oidcError(502, `Proveedor OIDC respondió ${r.status}: ${detail}`);
+  }
+  return body;
+}
+
+/* ============================ Discovery / JWKS ============================ */
+let _discovery = null;
+let _discoveryAt = 0;
+
+export async function getDiscovery() {
+  if (_discovery && Date.now() - _discoveryAt < CACHE_MS) return _discovery;
+  const issuer = env('OIDC_ISSUER').replace(/\/+$/, '');
+  if (process.env.NODE_ENV === 'production' && !issuer.startsWith('https://')) {
+    throw oidcError(500, 'OIDC_ISSUER debe usar https en producción');
+  }
+  const doc = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  for (const k of ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!doc?.[k]) throw oidcError(502, `Discovery OIDC sin ${k}`);
+  }
+  _discovery = doc;
+  _discoveryAt = Date.now();
+  return doc;
+}
+
+let _jwks = new Map();
+let _jwksAt = 0;
+
+async function loadJwks(force = false) {
+  if (!force && _jwks.size && Date.now() - _jwksAt < CACHE_MS) return _jwks;
+  const { jwks_uri } = await getDiscovery();
+  const { keys = [] } = await fetchJson(jwks_uri);
+  const map = new Map();
+  for (const jwk of keys) {
+    if (jwk.use && jwk.use !== 'sig') continue;
+    try {
+      map.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch {
+      // llave no soportada: se ignora
+    }
+  }
+  _jwks = map;
+  _jwksAt = Date.now();
+  return map;
+}
+
+// Rotación del lado del IdP: si el kid no está en caché se recarga una vez
+async function keyForKid(kid) {
+  let keys = await loadJwks();
+  if (!keys.has(kid || '')) keys = await loadJwks(true);
+  return keys.get(kid || '') || null;
+}
+
+/* ============================ PKCE / URL ============================ */
+const randomUrlSafe = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+export function createPkce() {
+  const codeVerifier = randomUrlSafe(48);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge, state: randomUrlSafe(24), nonce: randomUrlSafe(24) };
+}
+
+export async function buildAuthorizationUrl({ state, nonce, codeChallenge }) {
+  const { authorization_endpoint } = await getDiscovery();
+  const url = new URL(authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: env('OIDC_CLIENT_ID'),
+    redirect_uri: env('OIDC_REDIRECT_URI'),
+    scope: env('OIDC_SCOPES', 'openid profile email'),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+  return url.toString();
+}
+
+/* ============================ Token ============================ */
+
+/** Canjea el code por tokens y devuelve los claims verificados del id_token. */
+export async function exchangeCode({ code, codeVerifier, nonce }) {
+  const { token_endpoint } = await getDiscovery();
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: env('OIDC_REDIRECT_URI'),
+    client_id: env('OIDC_CLIENT_ID'),
+    code_verifier: codeVerifier,
+  });
+  if (env('OIDC_CLIENT_SECRET')) form.set('client_secret', env('OIDC_CLIENT_SECRET'));
+
+  const tokens = await fetchJson(token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: form.toString(),
+  });
+  if (!tokens?.id_token) throw oidcError(502, 'El proveedor no devolvió id_token');
+
+  return verifyIdToken(tokens.id_token, { nonce });
+}
+
+export async function verifyIdToken(idToken, { nonce }) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header) throw oidcError(401, 'id_token ilegible');
+
+  const key = await keyForKid(decoded.header.kid);
+  if (!key) throw oidcError(401, 'id_token firmado con una llave desconocida');
+
+  const { issuer } = await getDiscovery();
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGS,
+      issuer,
+      audience: env('OIDC_CLIENT_ID'),
+      clockTolerance: 60,
+    });
+  } catch (e) {
+    throw oidcError(401, `id_token inválido: ${e.message}`);
+  }
+  if (!nonce || claims.nonce !== nonce) throw oidcError(401, 'nonce inválido');
+  return claims;
+}
+
+/* ============================ Identidad / JIT ============================ */
+
+const isTrue = (v) => v === true || v === 'true' || v === 1 || v === '1';
+
+/**
+ * Email normalizado sólo si el proveedor lo da por verificado: claim `email` con
+ * email_verified (o xms_edov en Entra, dominio verificado por el tenant).
+ * preferred_username/UPN no sirven: el usuario del tenant puede ponerlos a su gusto.
+ */
+export function emailFromClaims(claims = {}) {
+  if (!isTrue(claims.email_verified) && !isTrue(claims.xms_edov)) return null;
+  const email = String(claims.email || '').trim().toLowerCase();
+  return /^\S+@\S+\.\S+$/.test(email) ? email : null;
+}
+
+/** ¿El proveedor afirma que hubo MFA? amr con "mfa" (RFC 8176) o un acr de OIDC_MFA_ACR_VALUES. */
+export function mfaFromClaims(claims = {}) {
+  const amr = Array.isArray(claims.amr) ? claims.amr.map(String) : [];
+  if (amr.includes('mfa')) return true;
+  const acrValues = env('OIDC_MFA_ACR_VALUES').split(',').map((s) => s.trim()).filter(Boolean);
+  return Boolean(claims.acr) && acrValues.includes(String(claims.acr));
+}
+
+/**
+ * Reglas de OIDC_GROUP_MAP:
+ *   [{ "group": "<id u nombre del grupo>", "departamento": "DESARROLLO", "roles": ["ADMIN"] }, ...]
+ * Se ignoran roles fuera del enum; el departamento se resuelve contra el organigrama al aplicarla.
+ * Un valor inválido se reporta una sola vez (al arrancar, ver checkOidcConfig) y equivale a sin reglas.
+ */
+function parseGroupRules(raw) {
+  if (!raw) return [];
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch {
+    console.error('[OIDC] OIDC_GROUP_MAP no es JSON válido: aprovisionamiento JIT desactivado');
+    return [];
+  }
+  if (!Array.isArray(list)) {
+    console.error('[OIDC] OIDC_GROUP_MAP debe ser un arreglo: aprovisionamiento JIT desactivado');
+    return [];
+  }
+  return list
+    .filter((r) => r && r.group)
+    .map((r) => ({
+      group: String(r.group),
+      departamento: r.departamento ? String(r.departamento) : null,
+      roles: (Array.isArray(r.roles) ? r.roles : []).filter((x) => ROLES.includes(x)),
+    }));
+}
+
+let _rules = { raw: '', list: [] };
+
+function groupRules() {
+  const raw = env('OIDC_GROUP_MAP');
+  if (raw !== _rules.raw) _rules = { raw, list: parseGroupRules(raw) };
+  return _rules.list;
+}
+
+/** Valida la configuración SSO al arrancar (reporta un OIDC_GROUP_MAP inválido una vez). */
+export function checkOidcConfig() {
+  if (isOidcEnabled()) groupRules();
+}
+
+/**
+ * Departamento y roles a partir de los grupos del token.
+ * Departamento: la primera regla que coincida y cuyo departamento exista y esté activo.
+ * Roles: unión de las reglas que coincidan.
+ * @returns {Promise<{ departamento, roles }|null>} null si ninguna regla aplica
+ */
+export async function provisioningFromClaims(claims = {}) {
+  const claimName = env('OIDC_GROUPS_CLAIM', 'groups');
+  const groups = new Set((Array.isArray(claims[claimName]) ? claims[claimName] : []).map(String));
+  const matches = groupRules().filter((r) => groups.has(r.group));
+  if (!matches.length) return null;
+
+  let departamento = null;
+  for (const r of matches) {
+    departamento = await resolveActiveDepartment(r.departamento);
+    if (departamento) break;
+  }
+  const roles = [...new Set(matches.flatMap((r) => r.roles))];
+  return { departamento, roles };
+}
+
+export const jitSyncEnabled = () => env('OIDC_JIT_SYNC', 'false').toLowerCase() === 'true';
+export const jitEnabled = () => groupRules().length > 0;
@@ -0,0 +1,94 @@
+// src/helpers/password-policy.js
+// Reglas de contraseña configurables (SecurityPolicy.password) + historial + caducidad.
+import { getSecurityPolicy } from './security-policy.js';
+
+export const PASSWORD_POLICY_DEFAULTS = Object.freeze({
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireDigit: true,
+  requireSymbol: false,
+  historySize: 5,   // contraseñas anteriores (incluida la actual) que no se pueden reutilizar
+  maxAgeDays: 0,    // 0 = no caduca
+});
+
+// Lista corta de contraseñas comunes (se comparan en minúsculas y sin dígitos/símbolos finales)
+const BANNED = new Set([
+  'password', 'contraseña', 'contrasena', 'qwerty', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm',
+  'abc123', 'abcdef', 'abcdefgh', 'iloveyou', 'admin', 'administrador', 'administrator',
+  'welcome', 'bienvenido', 'letmein', 'monkey', 'dragon', 'football', 'futbol', 'baseball',
+  'master', 'superman', 'batman', 'princess', 'sunshine', 'shadow', 'trustno', 'secret',
+  'secreto', 'changeme', 'cambiar', 'cambiame', 'guatemala', 'mineduc', 'digecur',
+  'usuario', 'user', 'root', 'test', 'prueba', 'default', 'temporal', 'hola', 'holamundo',
+  'teamo', 'tequiero', 'passw0rd', 'p@ssw0rd', 'p@ssword', 'pa$$word',
+  '12345678', '123456789', '1234567890', '11111111', '00000000', '87654321', '12341234',
+]);
+
+const stripDecorations = (s) => s.toLowerCase().replace(/[\d\W_]+$/u, '').replace(/^[\d\W_]+/u, '');
+
+/** Política de contraseñas vigente (defaults + lo guardado por el ADMIN). */
+export async function getPasswordPolicy() {
+  const policy = await getSecurityPolicy();
+  return { ...PASSWORD_POLICY_DEFAULTS, ...(policy?.password || {}) };
+}
+
+/**
+ * Valida una contraseña en claro contra las reglas (sin historial).
+ * @param {Object} [ctx] - { email, nombre } para rechazar contraseñas basadas en datos del usuario
+ * @returns {string[]} errores (vacío = válida)
+ */
+export function checkPasswordRules(plain, rules = PASSWORD_POLICY_DEFAULTS, ctx = {}) {
+  const pwd = String(plain ?? '');
+  const errors = [];
+
+  if (pwd.length < rules.minLength) errors.push(`Debe tener al menos ${rules.minLength} caracteres`);
+  if (pwd.length > 128) errors.push('Debe tener como máximo 128 caracteres');
+  if (rules.requireUppercase && !/\p{Lu}/u.test(pwd)) errors.push('Debe incluir una letra mayúscula');
+  if (rules.requireLowercase && !/\p{Ll}/u.test(pwd)) errors.push('Debe incluir una letra minúscula');
+  if (rules.requireDigit && !/\d/.test(pwd)) errors.push('Debe incluir un número');
+  if (rules.requireSymbol && !/[^\p{L}\d]/u.test(pwd)) errors.push('Debe incluir un símbolo');
+
+  const lower = pwd.toLowerCase();
+  if (BANNED.has(lower) || BANNED.has(stripDecorations(pwd)) || /^(.)\1+$/.test(pwd)) {
+    errors.push('Es una contraseña demasiado común');
+  }
+
+  const local = String(ctx.email || '').split('@')[0].toLowerCase();
+  if (local.length >= 4 && lower.includes(local)) errors.push('No debe contener tu correo');
+  const nameParts = String(ctx.nombre || '').toLowerCase().split(/\s+/).filter((p) => p.length >= 4);
+  if (nameParts.some((p) => lower.includes(p))) errors.push('No debe contener tu nombre');
+
+  return errors;
+}
+
+function policyError(errors) {
+  const err = new Error(`La contraseña no cumple la política: ${errors.join('; ')}`);
+  err.status = 400;
+  err.details = errors;
+  return err;
+}
+
+/**
+ * Comprueba reglas + historial antes de asignar `plain` a `user`.
+ * `user` debe venir con `+password +passwordHistory` si ya existe.
+ * Lanza Error con `status = 400` y `details` si no cumple.
+ */
+export async function assertPasswordAllowed(user, plain) {
+  const rules = await getPasswordPolicy();
+  const errors = checkPasswordRules(plain, rules, { email: user?.email, nombre: user?.nombre });
+  if (errors.length) throw policyError(errors);
+
+  if (rules.historySize > 0 && user?.password && typeof user.matchesRecentPassword === 'function') {
+    if (await user.matchesRecentPassword(plain, rules.historySize)) {
+      throw policyError([`No puedes reutilizar ninguna de tus últimas ${rules.historySize} contraseñas`]);
+    }
+  }
+}
+
+/** ¿La contraseña del usuario superó `maxAgeDays`? */
+export function isPasswordExpired(user, rules = PASSWORD_POLICY_DEFAULTS, now = Date.now()) {
+  if (!rules?.maxAgeDays) return false;
+  const changedAt = user?.lastPasswordChangeAt || user?.createdAt;
+  if (!changedAt) return true;
+  return now - new Date(changedAt).getTime() > rules.maxAgeDays * 86400000;
+}
@@ -0,0 +1,72 @@
+// src/helpers/permissions.js
+import Permission from '../permission/permission.model.js';
+import { getDepartmentCatalog } from './departments.js';
+import { identitiesOf } from './assignments.js';
+
+const CACHE_MS = 30 * 1000;
+let _cache = null;
+let _cachedAt = 0;
+
+const up = (s) => String(s || '').trim().toUpperCase();
+
+/** Permisos y concesiones vigentes, por key (cacheados unos segundos). */
+export async function getPermissionMap({ fresh = false } = {}) {
+  if (!fresh && _cache && Date.now() - _cachedAt < CACHE_MS) return _cache;
+  const docs = await Permission.find({}).sort({ key: 1 }).lean();
+  _cache = new Map(docs.map((p) => [p.key, p]));
+  _cachedAt = Date.now();
+  return _cache;
+}
+
+/** Descarta la caché tras editar concesiones. */
+export function invalidatePermissions() {
+  _cache = null;
+  _cachedAt = 0;
+}
+
+// Departamento (código canónico, ver validate-jwt) y roles de una membresía contra una concesión
+function membershipMatches(grant, user, catalog) {
+  const deps = grant.departamentos || [];
+  const dept = user?.departamento ? catalog.resolve(user.departamento) : null;
+  const deptOk = deps.includes('*') || (Boolean(dept) && deps.some((d) => catalog.resolve(d) === dept));
+
+  const allowed = (grant.roles || []).map(up);
+  const roles = (Array.isArray(user?.roles) ? user.roles : []).map(up);
+  const roleOk = allowed.includes('*') || roles.some((r) => allowed.includes(r));
+
+  return deptOk && roleOk;
+}
+
+// La principal o cualquiera de los cargos adicionales vigentes
+const grantMatches = (grant, user, catalog) =>
+  identitiesOf(user).some((m) => membershipMatches(grant, m, catalog));
+
+/**
+ * ¿Alguna de `grants` alcanza a `user`? Misma regla que hasPermission (principal y
+ * cargos vigentes), para evaluar concesiones antes de guardarlas.
+ * @returns {boolean}
+ */
+export const grantsAllow = (grants, user, catalog) =>
+  (grants || []).some((g) => grantMatches(g, user, catalog));
+
+/**
+ * Keys de los permisos que tiene `user` (req.user).
+ * @returns {Promise<string[]>}
+ */
+export async function permissionsOf(user) {
+  const [perms, catalog] = await Promise.all([getPermissionMap(), getDepartmentCatalog()]);
+  return [...perms.values()]
+    .filter((p) => (p.grants || []).some((g) => grantMatches(g, user, catalog)))
+    .map((p) => p.key);
+}
+
+/**
+ * ¿`user` tiene el permiso `key`? null si el permiso no existe.
+ * @returns {Promise<boolean|null>}
+ */
+export async function hasPermission(user, key) {
+  const [perms, catalog] = await Promise.all([getPermissionMap(), getDepartmentCatalog()]);
+  const perm = perms.get(key);
+  if (!perm) return null;
+  return (perm.grants || []).some((g) => grantMatches(g, user, catalog));
+}
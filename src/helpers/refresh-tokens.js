@@ -0,0 +1,198 @@
+// src/helpers/refresh-tokens.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../auth/session.model.js';
+import User from '../user/user.model.js';
+import { generateJWT } from './generate-jwt.js';
+import { ipFromReq } from '../movements/movement.controller.js';
+
+const REFRESH_DAYS = Math.max(1, parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS || '30', 10) || 30);
+const MAX_ROTATED_HASHES = 20;
+// lastUsedAt ("visto por última vez") se escribe como mucho una vez por minuto por sesión
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+export const hashToken = (plain = '') =>
+  crypto.createHash('sha256').update(String(plain)).digest('hex');
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// "<sid>.<secreto>" -> { sid, secret }
+function splitRefreshToken(refreshToken = '') {
+  const [sid, secret, ...rest] = String(refreshToken).trim().split('.');
+  if (!sid || !secret || rest.length || !mongoose.isValidObjectId(sid)) return null;
+  return { sid, secret };
+}
+
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const accessClaims = (session) => ({
+  sid: String(session._id),
+  tv: session.tokenVersion || 0,
+  ...(session.scope ? { scope: session.scope } : {}),
+});
+
+/**
+ * Crea una sesión para el usuario y devuelve el par de tokens.
+ * @param {Object} [opts] - { scope } alcance restringido (ver TOKEN_SCOPES)
+ * @returns {Promise<{ session, token, refreshToken, refreshExpiresAt }>}
+ */
+export async function issueSession(user, req, { scope = null } = {}) {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    ip: ipFromReq(req),
+    userAgent: req?.headers?.['user-agent'] || null,
+    lastUsedAt: new Date(),
+    scope,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + REFRESH_DAYS * 86400000),
+  });
+
+  const token = await generateJWT(user._id, accessClaims(session));
+
+  return {
+    session,
+    token,
+    refreshToken: `${session._id}.${secret}`,
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Crea una sesión de suplantación: `admin` (req.user) actúa como `target`.
+ * No tiene refresh token (el secreto no se entrega) y vence a los `minutes`.
+ * El access token lleva `act` = { uid, sid, tv } del ADMIN real; validateJWT lo revalida en cada request.
+ * @returns {Promise<{ session, token, expiresAt }>}
+ */
+export async function issueImpersonationSession(target, admin, req, { minutes, reason = '', allowWrites = false }) {
+  const session = await Session.create({
+    user: target._id,
+    refreshTokenHash: hashToken(newSecret()),
+    ip: ipFromReq(req),
+    userAgent: req?.headers?.['user-agent'] || null,
+    lastUsedAt: new Date(),
+    tokenVersion: target.tokenVersion || 0,
+    impersonatedBy: admin.id,
+    impersonationReason: reason,
+    allowWrites,
+    expiresAt: new Date(Date.now() + minutes * 60000),
+  });
+
+  const act = { uid: String(admin.id), sid: admin.sessionId || null, tv: admin.tokenVersion || 0 };
+  const token = await generateJWT(target._id, { ...accessClaims(session), act }, { expiresIn: `${minutes}m` });
+
+  return { session, token, expiresAt: session.expiresAt };
+}
+
+/**
+ * Rota el refresh token: invalida el secreto presentado y emite uno nuevo.
+ * Si se presenta un secreto ya rotado (reutilización) se revoca la sesión completa.
+ * Lanza Error con `status` (401/403) si no procede.
+ */
+export async function rotateSession(refreshToken, req) {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) throw httpError(401, 'Refresh token inválido');
+
+  const presentedHash = hashToken(parts.secret);
+  const secret = newSecret();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { _id: parts.sid, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: now,
+        ip: ipFromReq(req),
+        userAgent: req?.headers?.['user-agent'] || null,
+      },
+      $push: { rotatedHashes: { $each: [presentedHash], $slice: -MAX_ROTATED_HASHES } },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ _id: parts.sid, rotatedHashes: presentedHash, revokedAt: null })
+      .select('_id')
+      .lean();
+    if (reused) {
+      await revokeSession(parts.sid, 'Reutilización de refresh token');
+      throw httpError(401, 'Refresh token reutilizado: sesión revocada');
+    }
+    throw httpError(401, 'Refresh token inválido, revocado o expirado');
+  }
+
+  const user = await User.findById(session.user).select('email nombre roles isActive deletedAt tokenVersion').lean();
+  if (!user) {
+    await revokeSession(session._id, 'Usuario no encontrado');
+    throw httpError(401, 'Usuario no encontrado');
+  }
+  if (!user.isActive || user.deletedAt) {
+    await revokeSession(session._id, 'Usuario desactivado');
+    throw httpError(403, 'Usuario desactivado');
+  }
+  if ((session.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+    await revokeSession(session._id, 'Credenciales actualizadas');
+    throw httpError(401, 'Tus credenciales cambiaron; inicia sesión nuevamente');
+  }
+
+  const token = await generateJWT(user._id, accessClaims(session));
+
+  return {
+    session,
+    user,
+    token,
+    refreshToken: `${session._id}.${secret}`,
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Marca la sesión como vista (IP y hora) al usarse su access token.
+ * `session` es el documento ya leído en validateJWT; no bloquea la request.
+ */
+export function touchSession(session, req) {
+  const now = Date.now();
+  if (session?.lastUsedAt && now - new Date(session.lastUsedAt).getTime() <= LAST_SEEN_THROTTLE_MS) return;
+  Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date(now), ip: ipFromReq(req) } })
+    .catch((e) => console.error('[SESSION] No se pudo registrar actividad:', e?.message || e));
+}
+
+/** Revoca una sesión concreta. Devuelve true si estaba activa. */
+export async function revokeSession(sessionId, reason = '') {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+  const r = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return r.modifiedCount > 0;
+}
+
+/** Revoca todas las sesiones activas del usuario (o de varios, si se pasa un array). Devuelve cuántas se revocaron. */
+export async function revokeUserSessions(userId, reason = '') {
+  const r = await Session.updateMany(
+    { user: Array.isArray(userId) ? { $in: userId } : userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return r.modifiedCount;
+}
+
+/**
+ * Invalida todo lo emitido para el usuario: incrementa `tokenVersion` (los access
+ * tokens vigentes dejan de valer en validateJWT) y revoca sus sesiones.
+ * Si se pasa el documento, se le asigna la versión nueva para poder emitir una sesión a continuación.
+ * @returns {Promise<number>} sesiones revocadas
+ */
+export async function invalidateUserTokens(userOrId, reason = '') {
+  const id = userOrId?._id ?? userOrId;
+  const updated = await User.findByIdAndUpdate(id, { $inc: { tokenVersion: 1 } }, { new: true })
+    .select('tokenVersion')
+    .lean();
+  if (updated && userOrId?._id) userOrId.tokenVersion = updated.tokenVersion;
+  return revokeUserSessions(id, reason);
+}
@@ -0,0 +1,40 @@
+// src/helpers/secrets.js
+// Secretos simétricos propios de cada uso (no se reutiliza la llave de firma JWT):
+//  - TWO_FACTOR_ENC_KEY:    cifrado AES-GCM del secreto TOTP en reposo.
+//  - PASSWORD_RESET_SECRET: HMAC de los códigos de restablecimiento de contraseña.
+// En producción son obligatorios (ver assertAppSecrets en configs/server.js).
+// Fuera de producción, si faltan, se usa JWT_SECRET con un aviso.
+// Nota: los secretos 2FA ya guardados se cifraron con la llave vigente; al migrar
+// define TWO_FACTOR_ENC_KEY con ese mismo valor o los usuarios deberán re-enrolarse.
+
+export const APP_SECRETS = Object.freeze({
+  TWO_FACTOR_ENC: 'TWO_FACTOR_ENC_KEY',
+  PASSWORD_RESET: 'PASSWORD_RESET_SECRET',
+});
+
+const warned = new Set();
+
+function secretError(msg) {
+  return new Error(`[SECRETS] ${msg}`);
+}
+
+/** Valor del secreto `name` (variable de entorno). Lanza si no hay ninguno utilizable. */
+export function getSecret(name) {
+  const value = process.env[name];
+  if (value && value.trim()) return value;
+
+  if (process.env.NODE_ENV === 'production') throw secretError(`Define ${name}`);
+
+  const dev = process.env.JWT_SECRET;
+  if (!dev || !dev.trim()) throw secretError(`Define ${name} (o JWT_SECRET en desarrollo)`);
+  if (!warned.has(name)) {
+    warned.add(name);
+    console.warn(`[SECRETS] ${name} no definido: usando JWT_SECRET (sólo desarrollo)`);
+  }
+  return dev;
+}
+
+/** Falla rápido al arrancar si falta algún secreto (en producción no hay respaldo). */
+export function assertAppSecrets() {
+  Object.values(APP_SECRETS).forEach(getSecret);
+}
@@ -0,0 +1,45 @@
+// src/helpers/security-policy.js
+import SecurityPolicy from '../auth/securityPolicy.model.js';
+import { isActiveAssignment } from './assignments.js';
+
+const CACHE_MS = 30 * 1000;
+let _cache = null;
+let _cachedAt = 0;
+
+const toPlain = (doc) => ({
+  twoFactorRequiredRoles: Array.isArray(doc?.twoFactorRequiredRoles) ? doc.twoFactorRequiredRoles : [],
+  password: doc?.password || {},
+  updatedBy: doc?.updatedBy || null,
+  updatedAt: doc?.updatedAt || null,
+});
+
+/** Devuelve la política vigente (cacheada unos segundos). */
+export async function getSecurityPolicy({ fresh = false } = {}) {
+  if (!fresh && _cache && Date.now() - _cachedAt < CACHE_MS) return _cache;
+  const doc = await SecurityPolicy.findOne({ key: 'default' }).lean();
+  _cache = toPlain(doc);
+  _cachedAt = Date.now();
+  return _cache;
+}
+
+/** Actualiza (o crea) la política y refresca la caché. */
+export async function updateSecurityPolicy(patch = {}, updatedBy = null) {
+  const doc = await SecurityPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $set: { ...patch, updatedBy } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+  _cache = toPlain(doc);
+  _cachedAt = Date.now();
+  return _cache;
+}
+
+/** ¿Alguno de los roles del usuario (principales o de cargos adicionales vigentes) exige 2FA? */
+export function requiresTwoFactor(user, policy) {
+  const required = new Set((policy?.twoFactorRequiredRoles || []).map(String));
+  const roles = [
+    ...(Array.isArray(user?.roles) ? user.roles : []),
+    ...(user?.assignments || []).filter((a) => isActiveAssignment(a)).map((a) => a.role),
+  ].map(String);
+  return roles.some((r) => required.has(r));
+}
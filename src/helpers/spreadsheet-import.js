@@ -0,0 +1,59 @@
+// src/helpers/spreadsheet-import.js
+// Lectura de hojas (.csv / .xlsx) para importaciones masivas y reporte de resultado por fila.
+import { parseCsv, csvLine, CSV_BOM } from './csv.js';
+import { readXlsx, buildXlsx, XLSX_MIME } from './xlsx.js';
+import { spreadsheetType } from '../middlewares/upload-spreadsheet.js';
+
+const norm = (s) => String(s ?? '').trim();
+
+/** Encabezado comparable: minúsculas, sin tildes, sólo letras. */
+export const headerKey = (s) => norm(s).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z]/g, '');
+
+function importError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Filas del archivo subido como objetos { row, <campo>: texto } (row = número de fila en la hoja).
+ * `aliases` mapea encabezados (ver headerKey) a campos; las columnas desconocidas se ignoran.
+ * Errores de formato, columnas obligatorias faltantes o exceso de filas => err.status 400.
+ */
+export function readSheetRows(file, { aliases, required = [], maxRows }) {
+  let table;
+  try {
+    table = spreadsheetType(file) === 'xlsx' ? readXlsx(file.buffer, { maxRows }) : parseCsv(file.buffer.toString('utf8'));
+  } catch (e) {
+    throw importError(400, `No se pudo leer el archivo: ${e.message}`);
+  }
+  if (table.length < 2) throw importError(400, 'El archivo no tiene filas de datos');
+
+  const fields = table[0].map((h) => aliases[headerKey(h)] || null);
+  for (const field of required) {
+    if (!fields.includes(field)) throw importError(400, `Falta la columna obligatoria "${field}"`);
+  }
+
+  const rows = [];
+  table.slice(1).forEach((cells, i) => {
+    if (cells.every((c) => !norm(c))) return; // fila vacía
+    const row = { row: i + 2 };
+    fields.forEach((f, c) => { if (f) row[f] = norm(cells[c]); });
+    rows.push(row);
+  });
+  if (maxRows && rows.length > maxRows) throw importError(400, `Máximo ${maxRows} filas por archivo (hay ${rows.length})`);
+  return rows;
+}
+
+/** Envía el resultado por fila como descarga .csv o .xlsx (`name`_AAAA-MM-DD). */
+export function sendImportReport(res, { name, headers, rows, format, sep }) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', XLSX_MIME);
+    res.setHeader('Content-Disposition', `attachment; filename="${name}_${stamp}.xlsx"`);
+    return res.status(200).send(buildXlsx({ sheetName: 'Resultado', headers, rows }));
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}_${stamp}.csv"`);
+  return res.status(200).send(CSV_BOM + [headers, ...rows].map((r) => csvLine(r, sep)).join(''));
+}
@@ -0,0 +1,131 @@
+// src/helpers/totp.js
+// TOTP (RFC 6238, HMAC-SHA1, 30 s, 6 dígitos) compatible con Google Authenticator,
+// Microsoft Authenticator, Authy, etc. Sin dependencias externas salvo `qrcode`.
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { getSecret, APP_SECRETS } from './secrets.js';
+
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export const TOTP_ISSUER = process.env.TWO_FACTOR_ISSUER || 'DIGECUR';
+
+/* ============================ Base32 ============================ */
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str = '') {
+  const clean = String(str).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = B32.indexOf(ch);
+    if (idx === -1) throw new Error('Secreto base32 inválido');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/* ============================ TOTP ============================ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (at = Date.now()) => Math.floor(at / 1000 / STEP_SECONDS);
+
+function hotp(secretB32, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const h = crypto.createHmac('sha1', base32Decode(secretB32)).update(msg).digest();
+  const offset = h[h.length - 1] & 0xf;
+  const bin = (h.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(bin).padStart(DIGITS, '0');
+}
+
+export const totp = (secretB32, at = Date.now()) => hotp(secretB32, currentStep(at));
+
+/**
+ * Verifica un código con tolerancia de ±`window` pasos.
+ * Devuelve el paso aceptado (para impedir reutilización) o null.
+ * @param {number} [afterStep] - último paso ya usado; códigos de ese paso o anteriores se rechazan
+ */
+export function verifyTotp(secretB32, code, { window = 1, afterStep = -1, at = Date.now() } = {}) {
+  const c = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(c)) return null;
+  const now = currentStep(at);
+  for (let step = now - window; step <= now + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = hotp(secretB32, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(c))) return step;
+  }
+  return null;
+}
+
+export function buildOtpauthUri({ secret, account, issuer = TOTP_ISSUER }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export const otpauthQrDataUrl = (uri) => QRCode.toDataURL(uri, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+/* ==================== Cifrado del secreto en reposo ==================== */
+const encKey = () =>
+  crypto
+    .createHash('sha256')
+    .update(getSecret(APP_SECRETS.TWO_FACTOR_ENC))
+    .digest();
+
+export function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encKey(), iv);
+  const ct = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ['v1', iv.toString('base64url'), tag.toString('base64url'), ct.toString('base64url')].join(':');
+}
+
+export function decryptSecret(stored = '') {
+  const [v, iv, tag, ct] = String(stored).split(':');
+  if (v !== 'v1' || !iv || !tag || !ct) throw new Error('Secreto 2FA con formato desconocido');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ct, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+/* ======================= Códigos de recuperación ======================= */
+const normRecovery = (code = '') => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normRecovery(code)).digest('hex');
+
+/** Genera `n` códigos tipo "ABCD-EFGH" (se muestran una sola vez). */
+export function generateRecoveryCodes(n = 10) {
+  return Array.from({ length: n }, () => {
+    const raw = base32Encode(crypto.randomBytes(5)); // 8 caracteres
+    return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+  });
+}
@@ -0,0 +1,44 @@
+// src/helpers/user-agent.js
+// Descripción legible del dispositivo a partir del User-Agent (sin dependencias;
+// cubre los navegadores y sistemas habituales, el resto queda como "Desconocido").
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/],
+  ['Postman', /PostmanRuntime\/([\d.]+)/],
+  ['curl', /curl\/([\d.]+)/],
+];
+
+const SYSTEMS = [
+  ['Windows', /Windows NT/],
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * @param {string} ua
+ * @returns {{ browser: string, os: string, mobile: boolean, label: string }}
+ */
+export function describeUserAgent(ua = '') {
+  const s = String(ua || '');
+  const b = BROWSERS.find(([, rx]) => rx.test(s));
+  const o = SYSTEMS.find(([, rx]) => rx.test(s));
+  const browser = b ? b[0] : 'Desconocido';
+  const os = o ? o[0] : 'Desconocido';
+  const mobile = /Mobi|Android|iPhone|iPad/.test(s);
+  const label = b || o ? `${browser} en ${os}` : (s ? s.slice(0, 60) : 'Dispositivo desconocido');
+  return { browser, os, mobile, label };
+}
+
+/** Huella gruesa del dispositivo (navegador + sistema) para detectar accesos nuevos. */
+export const deviceKey = (ua = '') => {
+  const { browser, os } = describeUserAgent(ua);
+  return `${browser}|${os}`;
+};
@@ -0,0 +1,80 @@
+// src/helpers/user-holdings.js
+// Lo que un usuario tiene a su cargo: bienes, traslados pendientes, expedientes abiertos y delegaciones.
+import mongoose from 'mongoose';
+import InventoryItem from '../Inventory/item.model.js';
+import TransferRequest from '../Inventory/transferRequest.model.js';
+import Correspondencia, { CORR_ESTADOS } from '../correspondencia/correspondencia.model.js';
+import Delegation from '../delegation/delegation.model.js';
+
+// Campos de correspondencia que apuntan a una persona
+export const CORR_USER_FIELDS = Object.freeze(['ownerUserId', 'tecnicoAsignadoId', 'jefeAsignadoId']);
+
+export const openCorrespondenciaFilter = (uid) => ({
+  estado: { $ne: CORR_ESTADOS.ARCHIVADO },
+  $or: CORR_USER_FIELDS.map((f) => ({ [f]: uid })),
+});
+
+/**
+ * Pendientes del usuario. `blocking` cuenta lo que impide eliminarlo (bienes,
+ * traslados pendientes y expedientes abiertos); las delegaciones se revocan solas.
+ */
+export async function getUserHoldings(userId) {
+  const uid = new mongoose.Types.ObjectId(String(userId));
+
+  const [inventory, transfers, correspondencia, delegations] = await Promise.all([
+    InventoryItem.find({ responsableId: uid })
+      .select('noBien nombreBien numeroTarjeta isActive')
+      .sort({ noBien: 1 })
+      .lean(),
+    TransferRequest.find({ status: 'PENDING', $or: [{ fromUser: uid }, { toUser: uid }] })
+      .select('item fromUser toUser motivo createdAt')
+      .populate('item', 'noBien nombreBien')
+      .populate('fromUser', 'email nombre')
+      .populate('toUser', 'email nombre')
+      .lean(),
+    Correspondencia.find(openCorrespondenciaFilter(uid))
+      .select('regExpediente estado ownerDept ownerRole ownerUserId jefeAsignadoId tecnicoAsignadoId updatedAt')
+      .sort({ updatedAt: -1 })
+      .lean(),
+    Delegation.find({ revokedAt: null, endsAt: { $gt: new Date() }, $or: [{ delegator: uid }, { delegate: uid }] })
+      .select('delegator delegate startsAt endsAt modules')
+      .lean(),
+  ]);
+
+  return {
+    inventory,
+    transfers,
+    correspondencia,
+    delegations,
+    blocking: inventory.length + transfers.length + correspondencia.length,
+  };
+}
+
+const idOf = (ref) => String(ref?._id || ref || '');
+
+/**
+ * Qué hacer con los pendientes del usuario que se da de baja (sin escribir nada):
+ *  - toTransfer: bienes a su cargo sin un traslado pendiente que ya los saque de él.
+ *  - retarget:   traslados pendientes HACIA él; pasan al sucesor.
+ *  - reject:     traslados pendientes del sucesor hacia él; no tiene sentido redirigirlos.
+ */
+export function planHandover(holdings, userId, successorId) {
+  const uid = String(userId);
+  const sid = String(successorId);
+  const outgoing = new Set(holdings.transfers.filter((t) => idOf(t.fromUser) === uid).map((t) => idOf(t.item)));
+  const incoming = holdings.transfers.filter((t) => idOf(t.toUser) === uid);
+  return {
+    toTransfer: holdings.inventory.filter((it) => !outgoing.has(String(it._id))),
+    retarget: incoming.filter((t) => idOf(t.fromUser) !== sid),
+    reject: incoming.filter((t) => idOf(t.fromUser) === sid),
+  };
+}
+
+/** Revoca las delegaciones vigentes o futuras en las que participa el usuario. */
+export async function revokeUserDelegations(userId, revokedBy = null) {
+  const r = await Delegation.updateMany(
+    { revokedAt: null, endsAt: { $gt: new Date() }, $or: [{ delegator: userId }, { delegate: userId }] },
+    { $set: { revokedAt: new Date(), revokedBy } }
+  );
+  return r.modifiedCount || 0;
+}
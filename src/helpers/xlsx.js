@@ -0,0 +1,341 @@
+// src/helpers/xlsx.js
+// Lectura y escritura mínimas de .xlsx (una hoja, celdas de texto/número/fecha/booleano) sin
+// dependencias: el paquete OOXML es un ZIP que se arma/lee con zlib.
+import zlib from 'zlib';
+
+/* ============================ ZIP ============================ */
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Fecha/hora en formato DOS (cabeceras ZIP)
+function dosDateTime(d = new Date()) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+/** @param {Array<{ name: string, data: Buffer|string }>} files */
+function zip(files) {
+  const { time, date } = dosDateTime();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = Buffer.from(f.name, 'utf8');
+    const raw = Buffer.isBuffer(f.data) ? f.data : Buffer.from(f.data, 'utf8');
+    const body = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);          // versión mínima
+    local.writeUInt16LE(0x0800, 6);      // nombres en UTF-8
+    local.writeUInt16LE(8, 8);           // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/* ============================ Hoja ============================ */
+
+const xmlEscape = (s) =>
+  String(s)
+    // caracteres de control no permitidos en XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function columnName(i) {
+  let n = i + 1;
+  let s = '';
+  while (n > 0) {
+    const m = (n - 1) % 26;
+    s = String.fromCharCode(65 + m) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+// Excel cuenta días desde 1899-12-30
+const excelDate = (d) => d.getTime() / 86400000 + 25569;
+
+function cellXml(value, ref) {
+  if (value === null || value === undefined || value === '') return '';
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? '' : `<c r="${ref}" s="1"><v>${excelDate(value)}</v></c>`;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  // inlineStr: el texto nunca se evalúa como fórmula
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}
+
+function sheetXml(headers, rows) {
+  const lines = [headers, ...rows].map((cells, r) => {
+    const xml = cells.map((v, c) => cellXml(v, `${columnName(c)}${r + 1}`)).join('');
+    return `<row r="${r + 1}">${xml}</row>`;
+  });
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${lines.join('')}</sheetData>` +
+    '</worksheet>'
+  );
+}
+
+/**
+ * Genera un libro .xlsx con una hoja.
+ * @param {Object} opt
+ *  - sheetName: nombre de la hoja (máx. 31 caracteres)
+ *  - headers: string[]
+ *  - rows: Array<Array<string|number|boolean|Date|null>>
+ * @returns {Buffer}
+ */
+export function buildXlsx({ sheetName = 'Hoja1', headers = [], rows = [] } = {}) {
+  const name = xmlEscape(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Hoja1');
+
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      // Estilo 1: fecha y hora (dd/mm/yyyy hh:mm)
+      name: 'xl/styles.xml',
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<numFmts count="1"><numFmt numFmtId="164" formatCode="dd/mm/yyyy hh:mm"/></numFmts>' +
+        '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+        '</styleSheet>',
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheetXml(headers, rows) },
+  ]);
+}
+
+export const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/* ============================ Lectura ============================ */
+
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024; // protección contra "zip bombs"
+export const XLSX_MAX_COLUMNS = 16384;     // XFD, última columna de Excel
+const MAX_CELLS = 2_000_000;               // celdas de la tabla densa que se devuelve
+
+function unzip(buffer) {
+  // Fin del directorio central: se busca desde el final (puede haber comentario)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('El archivo no es un .xlsx válido');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let p = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(p) !== 0x02014b50) throw new Error('Directorio ZIP dañado');
+    const method = buffer.readUInt16LE(p + 10);
+    const compressedSize = buffer.readUInt32LE(p + 20);
+    const nameLen = buffer.readUInt16LE(p + 28);
+    const extraLen = buffer.readUInt16LE(p + 30);
+    const commentLen = buffer.readUInt16LE(p + 32);
+    const localOffset = buffer.readUInt32LE(p + 42);
+    const name = buffer.toString('utf8', p + 46, p + 46 + nameLen);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    entries.set(name, { method, data: buffer.subarray(dataStart, dataStart + compressedSize) });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+
+  return (name) => {
+    const e = entries.get(name);
+    if (!e) return null;
+    if (e.method === 0) return e.data.toString('utf8');
+    if (e.method === 8) return zlib.inflateRawSync(e.data, { maxOutputLength: MAX_ENTRY_BYTES }).toString('utf8');
+    throw new Error(`Compresión ZIP no soportada (${e.method})`);
+  };
+}
+
+const xmlUnescape = (s = '') =>
+  s.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[\da-fA-F]+);/g, (_m, e) => {
+    switch (e) {
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'amp': return '&';
+      case 'quot': return '"';
+      case 'apos': return "'";
+      default: return String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    }
+  });
+
+// Concatena los <t> (texto enriquecido trae varios runs)
+const textOf = (xml = '') => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => xmlUnescape(m[1])).join('');
+
+const attr = (attrs, name) => attrs.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+function columnIndex(ref = '') {
+  const letters = ref.match(/^[A-Z]+/)?.[0] || '';
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// Ruta de la primera hoja según workbook.xml + sus relaciones
+function firstSheetPath(read) {
+  const workbook = read('xl/workbook.xml') || '';
+  const rid = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  const rels = read('xl/_rels/workbook.xml.rels') || '';
+  const target = rid && rels.match(new RegExp(`<Relationship\\b[^>]*Id="${rid}"[^>]*Target="([^"]+)"`))?.[1]
+    || rid && rels.match(new RegExp(`<Relationship\\b[^>]*Target="([^"]+)"[^>]*Id="${rid}"`))?.[1];
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Lee la primera hoja de un .xlsx.
+ * Los valores se devuelven como texto (números tal como los guarda Excel; booleanos "TRUE"/"FALSE").
+ * Los índices `r` de filas y celdas vienen del archivo: se validan antes de reservar memoria
+ * (una sola fila con r="3000000" no debe producir 3 millones de filas).
+ * @param {Buffer} buffer
+ * @param {Object} [opts] - { maxRows } filas de datos admitidas (además del encabezado)
+ * @returns {string[][]} filas (sin filas vacías al final)
+ */
+export function readXlsx(buffer, { maxRows = Infinity } = {}) {
+  const read = unzip(buffer);
+  const sheet = read(firstSheetPath(read));
+  if (!sheet) throw new Error('El libro no contiene hojas');
+
+  const shared = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => textOf(m[1]));
+
+  const rowLimit = maxRows + 1; // encabezado + datos
+  const rows = new Map(); // índice -> { width, cells } dispersas; la tabla densa se arma al final
+  let nextRow = 0;
+  let lastRow = -1;
+  let cellCount = 0;
+  for (const rm of sheet.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+    const rowIdx = (parseInt(attr(rm[1], 'r'), 10) || nextRow + 1) - 1;
+    if (rowIdx < 0 || rowIdx >= rowLimit) throw new Error(`La hoja supera el máximo de ${maxRows} filas (fila ${rowIdx + 1})`);
+    nextRow = rowIdx + 1;
+    lastRow = Math.max(lastRow, rowIdx);
+    const cells = [];
+    let width = 0;
+    for (const cm of rm[2].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cm[1];
+      const body = cm[2] || '';
+      const type = attr(attrs, 't');
+      const ref = columnIndex(attr(attrs, 'r') || '');
+      const col = ref >= 0 ? ref : width;
+      if (col >= XLSX_MAX_COLUMNS) throw new Error(`Columna fuera de rango en la fila ${rowIdx + 1}`);
+      width = Math.max(width, col + 1);
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = '';
+      if (type === 's') value = shared[parseInt(raw, 10)] ?? '';
+      else if (type === 'inlineStr') value = textOf(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = xmlUnescape(raw);
+      cells.push([col, value]);
+    }
+    cellCount += width;
+    if (cellCount > MAX_CELLS) throw new Error('La hoja tiene demasiadas celdas');
+    rows.set(rowIdx, { width, cells });
+  }
+
+  const out = Array.from({ length: lastRow + 1 }, () => []);
+  for (const [idx, { width, cells }] of rows) {
+    const dense = new Array(width).fill('');
+    for (const [col, value] of cells) dense[col] = value;
+    out[idx] = dense;
+  }
+  while (out.length && out[out.length - 1].every((v) => !String(v).trim())) out.pop();
+  return out;
+}
@@ -1,5 +1,6 @@
 // src/middlewares/auth-validators.js
 import { body } from 'express-validator';
+import { resolveActiveDepartment } from '../helpers/departments.js';
 
 // Validador para registro
 export const registerValidator = [
@@ -14,7 +15,11 @@ export const registerValidator = [
     .isLength({ min: 2 }).withMessage('El nombre es muy corto'),
   body('departamento')
     .isString().withMessage('Departamento inválido')
-    .notEmpty().withMessage('El departamento es obligatorio'),
+    .notEmpty().withMessage('El departamento es obligatorio')
+    .bail()
+    // Acepta código, alias o nombre y lo deja como código del organigrama
+    .customSanitizer(async (v) => (await resolveActiveDepartment(v)) || null)
+    .notEmpty().withMessage('Departamento inválido'),
   body('cargo')
     .optional()
     .isString().withMessage('Cargo inválido')
@@ -26,3 +31,20 @@ export const loginValidator = [
   body('email').isEmail().withMessage('Correo inválido').normalizeEmail(),
   body('password').isString().withMessage('Contraseña inválida'),
 ];
+
+// Validador para solicitar código de restablecimiento
+export const forgotPasswordValidator = [
+  body('email').isEmail().withMessage('Correo inválido').normalizeEmail(),
+];
+
+// Validador para canjear el código y fijar nueva contraseña
+export const resetPasswordValidator = [
+  body('email').isEmail().withMessage('Correo inválido').normalizeEmail(),
+  body('code')
+    .isString().withMessage('Código inválido')
+    .trim()
+    .matches(/^\d{6}$/).withMessage('El código debe tener 6 dígitos'),
+  body('newPassword')
+    .isString().withMessage('Contraseña inválida')
+    .isLength({ min: 8 }).withMessage('La contraseña debe tener al menos 8 caracteres'),
+];
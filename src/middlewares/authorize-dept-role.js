@@ -1,14 +1,19 @@
 // src/middlewares/authorize-dept-role.js
-import { DEPARTAMENTOS, ROLES } from '../user/user.model.js';
+import { ROLES } from '../user/user.model.js';
+import { getDepartmentCatalog } from '../helpers/departments.js';
+import { identitiesOf } from '../helpers/assignments.js';
 
 const norm = (s) => String(s || '').trim().toUpperCase();
 const normList = (arr) => (arr || []).flat().map(norm).filter(Boolean);
 const uniq = (a) => [...new Set(a)];
 
-// Mapas canónicos (case-insensitive)
-const CANON_DEPS = new Map(DEPARTAMENTOS.map((d) => [norm(d), d]));
+// Roles canónicos (case-insensitive); los departamentos se resuelven contra la colección Department
 const CANON_ROLES = new Map(ROLES.map((r) => [norm(r), r]));
 
+// Cuenta de servicio cuya API key ya pasó el scope exigido por la ruta (ver acceptApiKey)
+export const isScopedService = (req) =>
+  req.user?.actorType === 'SERVICE' && req.apiKeyScopeVerified === true;
+
 // Normaliza listas permitidas contra canónicos; soporta '*'
 function canonAllow(list, mapAll) {
   const upper = normList(list);
@@ -17,21 +22,30 @@ function canonAllow(list, mapAll) {
   return uniq(canon);
 }
 
+// Igual para departamentos, por código, alias o nombre (un cambio de código no rompe las rutas)
+function canonAllowDeps(list, catalog) {
+  const upper = normList(list);
+  if (upper.includes('*')) return ['*'];
+  return uniq(upper.map((k) => catalog.resolve(k)).filter(Boolean));
+}
+
 /**
  * Requiere que el usuario pertenezca a ALGUNO de los departamentos permitidos
- * Y tenga ALGUNO de los roles permitidos. Ambos deben cumplirse.
+ * Y tenga ALGUNO de los roles permitidos. Ambos deben cumplirse en la misma
+ * membresía: la principal o alguno de sus cargos adicionales vigentes.
  *
  * Uso: requireDeptAndRole(['DIRECCION', 'AREA ADMINISTRATIVA'], ['DIRECTOR','JEFE'])
  *      // '*' en depts o roles permite cualquiera de ese lado.
  */
 export const requireDeptAndRole = (allowedDepts = [], allowedRoles = []) => {
-  const allowDeps = canonAllow(allowedDepts, CANON_DEPS);   // e.g., ['DIRECCION', ...] o ['*']
   const allowRoles = canonAllow(allowedRoles, CANON_ROLES); // e.g., ['DIRECTOR', ...] o ['*']
 
   // Seguridad: si algún lado quedó vacío (mal config) => bloquear
   const misconfigured = (arr) => Array.isArray(arr) && arr.length === 0;
 
-  return (req, res, next) => {
+  return async (req, res, next) => {
+    if (isScopedService(req)) return next();
+
     const u = req.user || req.usuario;
     if (!u) {
       return res.status(401).json({
@@ -40,6 +54,14 @@ export const requireDeptAndRole = (allowedDepts = [], allowedRoles = []) => {
       });
     }
 
+    let catalog;
+    try {
+      catalog = await getDepartmentCatalog();
+    } catch (err) {
+      return next(err);
+    }
+    const allowDeps = canonAllowDeps(allowedDepts, catalog); // e.g., ['DIRECCION', ...] o ['*']
+
     if (misconfigured(allowDeps) || misconfigured(allowRoles)) {
       return res.status(500).json({
         success: false,
@@ -48,19 +70,22 @@ export const requireDeptAndRole = (allowedDepts = [], allowedRoles = []) => {
       });
     }
 
-    const userDeptKey = norm(u.departamento || u.department || '');
-    const userDept = CANON_DEPS.get(userDeptKey); // puede quedar undefined si viene fuera del enum
-    const userRoles = normList(Array.isArray(u.roles) ? u.roles : (u.role ? [u.role] : []));
-    const userRolesCanon = uniq(userRoles.map((r) => CANON_ROLES.get(r)).filter(Boolean));
+    const memberOk = (m) => {
+      const dept = catalog.resolve(norm(m.departamento || m.department || '')); // null si no existe en el organigrama
+      const roles = uniq(normList(Array.isArray(m.roles) ? m.roles : (m.role ? [m.role] : []))
+        .map((r) => CANON_ROLES.get(r))
+        .filter(Boolean));
 
-    const deptOk =
-      allowDeps.includes('*') || (userDept && allowDeps.includes(userDept));
-    const roleOk =
-      allowRoles.includes('*') ||
-      (userRolesCanon.length > 0 &&
-        userRolesCanon.some((r) => allowRoles.includes(r)));
+      const deptOk = allowDeps.includes('*') || (dept && allowDeps.includes(dept));
+      const roleOk =
+        allowRoles.includes('*') ||
+        (roles.length > 0 && roles.some((r) => allowRoles.includes(r)));
+      return Boolean(deptOk && roleOk);
+    };
 
-    if (!deptOk || !roleOk) {
+    if (!identitiesOf(u).some(memberOk)) {
+      const userDept = catalog.resolve(norm(u.departamento || u.department || ''));
+      const userRolesCanon = uniq(normList(Array.isArray(u.roles) ? u.roles : (u.role ? [u.role] : [])).map((r) => CANON_ROLES.get(r)).filter(Boolean));
       return res.status(403).json({
         success: false,
         message:
@@ -72,6 +97,7 @@ export const requireDeptAndRole = (allowedDepts = [], allowedRoles = []) => {
         youHave: {
           departamento: userDept || u.departamento || null,
           roles: userRolesCanon.length ? userRolesCanon : u.roles || [],
+          assignments: (u.assignments || []).map((a) => ({ departamento: a.departamento, role: a.role })),
         },
       });
     }
@@ -20,6 +20,21 @@ const fileFilter = (req, file, cb) => {
 export const uploadDepartmentImage = multer({ storage, fileFilter }).single('image');
 export const uploadNewsImage = multer({ storage, fileFilter }).single('image');
 
+// Foto de perfil: campo 'avatar'; errores de carga -> 400
+const AVATAR_MAX_MB = Number(process.env.MAX_AVATAR_MB || '5');
+const avatarUploader = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: AVATAR_MAX_MB * 1024 * 1024, files: 1 },
+}).single('avatar');
+
+export const uploadUserAvatar = (req, res, next) =>
+  avatarUploader(req, res, (err) => {
+    if (!err) return next();
+    const message = err.code === 'LIMIT_FILE_SIZE' ? `La imagen supera ${AVATAR_MAX_MB} MB` : err.message;
+    return res.status(400).json({ success: false, message });
+  });
+
 // --- 2) Helper para streaming a Cloudinary ---
 const bufferToStream = buffer => {
   const s = new Readable();
@@ -28,27 +43,46 @@ const bufferToStream = buffer => {
   return s;
 };
 
-// --- 3) Upload simplificado y seguro ---
-export const uploadToCloudinary = async (req, folder = 'profile-pictures') => {
-  const file = req.file;
-  if (!file?.buffer) {
-    throw new Error('No se subió ningún archivo');
-  }
-  const buffer = file.buffer;
-  const originalName = file.originalname;
+const streamToCloudinary = (buffer, options) =>
+  new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      { resource_type: 'image', ...options },
+      (err, result) => {
+        if (err) {
+          console.error('Error al subir a Cloudinary:', err);
+          return reject(new Error('Error al subir imagen'));
+        }
+        resolve(result);
+      }
+    );
+    bufferToStream(buffer).pipe(uploadStream);
+  });
 
-  // 3.1 Verificar magic bytes
+// Magic bytes + metadata con sharp; devuelve el tipo detectado
+const assertImageBuffer = async (buffer, allowed = null) => {
   const type = await fileTypeFromBuffer(buffer);
-  if (!type || !type.mime.startsWith('image/')) {
+  if (!type || !type.mime.startsWith('image/') || (allowed && !allowed.includes(type.mime))) {
     throw new Error('El archivo no es una imagen válida');
   }
-
-  // 3.2 Verificar metadata con sharp
   try {
     await sharp(buffer).metadata();
   } catch {
     throw new Error('No se pudo procesar como imagen');
   }
+  return type;
+};
+
+// --- 3) Upload simplificado y seguro ---
+export const uploadToCloudinary = async (req, folder = 'profile-pictures') => {
+  const file = req.file;
+  if (!file?.buffer) {
+    throw new Error('No se subió ningún archivo');
+  }
+  const buffer = file.buffer;
+  const originalName = file.originalname;
+
+  // 3.1 Verificar magic bytes y 3.2 metadata con sharp
+  const type = await assertImageBuffer(buffer);
 
   // 3.3 Comprimir manteniendo resolución
   let processed;
@@ -67,18 +101,51 @@ export const uploadToCloudinary = async (req, folder = 'profile-pictures') => {
   }
 
   // 3.4 Subir a Cloudinary
-  return new Promise((resolve, reject) => {
-    const publicId = `${folder}/${path.parse(originalName).name}-${Date.now()}`;
-    const uploadStream = cloudinary.uploader.upload_stream(
-      { folder, public_id: publicId, resource_type: 'image' },
-      (err, result) => {
-        if (err) {
-          console.error('Error al subir a Cloudinary:', err);
-          return reject(new Error('Error al subir imagen'));
-        }
-        resolve(result.secure_url);
-      }
-    );
-    bufferToStream(processed).pipe(uploadStream);
-  });
+  const publicId = `${folder}/${path.parse(originalName).name}-${Date.now()}`;
+  const result = await streamToCloudinary(processed, { folder, public_id: publicId });
+  return result.secure_url;
+};
+
+// --- 4) Fotos de perfil: recorte cuadrado en varios tamaños ---
+export const AVATAR_SIZES = Object.freeze([512, 256, 128, 64]);
+const AVATAR_MIMES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Valida la imagen de req.file, la recorta al centro de interés en cuadrado y
+ * sube un WebP por cada tamaño de AVATAR_SIZES.
+ * @returns {Promise<{ size: number, url: string, publicId: string }[]>}
+ */
+export const uploadAvatarToCloudinary = async (req, userId) => {
+  const buffer = req.file?.buffer;
+  if (!buffer) throw new Error('No se subió ningún archivo');
+  await assertImageBuffer(buffer, AVATAR_MIMES);
+
+  const folder = `profile-pictures/${userId}`;
+  const stamp = Date.now();
+  const variants = [];
+  try {
+    for (const size of AVATAR_SIZES) {
+      const processed = await sharp(buffer)
+        .rotate() // respeta la orientación EXIF
+        .resize(size, size, { fit: 'cover', position: 'attention' })
+        .webp({ quality: 80 })
+        .toBuffer();
+      const result = await streamToCloudinary(processed, { folder, public_id: `${stamp}-${size}` });
+      variants.push({ size, url: result.secure_url, publicId: result.public_id });
+    }
+  } catch (err) {
+    await deleteFromCloudinary(variants.map((v) => v.publicId));
+    throw err;
+  }
+  return variants;
+};
+
+/** Borra imágenes de Cloudinary sin interrumpir el flujo si alguna falla. */
+export const deleteFromCloudinary = async (publicIds = []) => {
+  const results = await Promise.allSettled(
+    publicIds.filter(Boolean).map((id) => cloudinary.uploader.destroy(id, { resource_type: 'image' }))
+  );
+  results
+    .filter((r) => r.status === 'rejected')
+    .forEach((r) => console.error('Error al borrar de Cloudinary:', r.reason?.message || r.reason));
 };
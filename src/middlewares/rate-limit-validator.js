@@ -1,8 +1,78 @@
 import rateLimit from "express-rate-limit";
+import { logActivity } from "../movements/movement.controller.js";
 
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 9999999999999999999999999999999999999999999999999999999999999999999999999999999,
 })
 
-export default apiLimiter
\ No newline at end of file
+// Clave por correo (no por IP): frena el abuso contra una misma cuenta desde varias IPs.
+// Debe montarse tras el validador que normaliza el correo (variantes de mayúsculas o
+// puntos de un mismo buzón cuentan como la misma clave)
+const emailKey = (req) => String(req.body?.email || "").trim().toLowerCase() || `ip:${req.ip}`;
+
+// Reto 2FA: la clave es el challengeToken (un intento de login concreto)
+const challengeKey = (req) => String(req.body?.challengeToken || "").slice(-43) || `ip:${req.ip}`;
+
+const byEmailLimiter = ({ windowMs, max, action, keyGenerator = emailKey }) => rateLimit({
+    windowMs,
+    max,
+    keyGenerator,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: async (req, res) => {
+        await logActivity({
+            req,
+            action,
+            entity: "USER",
+            statusCode: 429,
+            success: false,
+            error: "Límite de solicitudes excedido",
+            tags: ["auth", "rate-limit"],
+        });
+        return res.status(429).json({
+            success: false,
+            message: "Demasiadas solicitudes. Intenta de nuevo más tarde.",
+        });
+    },
+});
+
+// POST /auth/password/forgot: pocos envíos de código por correo
+export const passwordForgotLimiter = byEmailLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: Number(process.env.PASSWORD_RESET_MAX_REQUESTS || 3),
+    action: "AUTH_PWD_RESET_REQUEST_LIMITED",
+});
+
+// POST /auth/password/reset: intentos de canje por correo
+export const passwordResetLimiter = byEmailLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    action: "AUTH_PWD_RESET_LIMITED",
+});
+
+// POST /auth/login/2fa: pocos códigos por reto antes de tener que volver a iniciar sesión
+export const twoFactorLoginLimiter = byEmailLimiter({
+    windowMs: 5 * 60 * 1000,
+    max: 5,
+    action: "AUTH_LOGIN_2FA_LIMITED",
+    keyGenerator: challengeKey,
+});
+
+// POST /auth/register: solicitudes de cuenta por IP (el correo cambia en cada intento de abuso)
+export const registerLimiter = byEmailLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: Number(process.env.REGISTER_MAX_REQUESTS || 5),
+    action: "AUTH_REGISTER_LIMITED",
+    keyGenerator: (req) => `ip:${req.ip}`,
+});
+
+// POST /auth/refresh: renovaciones por IP (un refreshToken robado o adivinado no se prueba sin freno)
+export const refreshLimiter = byEmailLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: Number(process.env.REFRESH_MAX_REQUESTS || 60),
+    action: "AUTH_REFRESH_LIMITED",
+    keyGenerator: (req) => `ip:${req.ip}`,
+});
+
+export default apiLimiter
@@ -0,0 +1,73 @@
+// src/middlewares/require-permission.js
+import { isScopedService } from './authorize-dept-role.js';
+import { hasPermission } from '../helpers/permissions.js';
+import { delegatorsFor } from '../helpers/delegations.js';
+import { DELEGABLE_PERMISSIONS } from '../delegation/delegation.model.js';
+
+/**
+ * Requiere ALGUNO de los permisos indicados (concesiones en la colección Permission).
+ *
+ * Uso: requirePermission('inventory.item.update')
+ *      requirePermission('mural.update', 'mural.publish')
+ *
+ * Para los permisos de DELEGABLE_PERMISSIONS (bandejas y aprobaciones) también basta
+ * con que lo tenga alguien que delegó en el usuario; esos delegantes quedan en
+ * req.delegators para que el controlador verifique que el registro es de su bandeja.
+ */
+export const requirePermission = (...keys) => {
+  const wanted = keys.flat().filter(Boolean);
+
+  return async (req, res, next) => {
+    if (isScopedService(req)) return next();
+
+    const u = req.user || req.usuario;
+    if (!u) {
+      return res.status(401).json({
+        success: false,
+        message: 'No autenticado (token faltante o inválido)',
+      });
+    }
+
+    try {
+      const results = await Promise.all(wanted.map((k) => hasPermission(u, k)));
+
+      // Un permiso que no existe es un error de configuración, no un 403
+      const unknown = wanted.filter((_k, i) => results[i] === null);
+      if (!wanted.length || unknown.length === wanted.length) {
+        return res.status(500).json({
+          success: false,
+          message: `Autorización mal configurada: permiso desconocido (${unknown.join(', ') || 'ninguno'}).`,
+        });
+      }
+
+      if (results.some((r) => r === true)) return next();
+
+      const delegable = wanted.filter((k) => DELEGABLE_PERMISSIONS.includes(k));
+      const modules = [...new Set(delegable.map((k) => k.split('.')[0]))];
+      if (modules.length) {
+        const delegators = (await Promise.all(modules.map((m) => delegatorsFor(u, m)))).flat();
+        const allowed = [];
+        for (const d of delegators) {
+          const own = await Promise.all(delegable.map((k) => hasPermission(d, k)));
+          if (own.some((r) => r === true) && !allowed.some((a) => a.id === d.id)) allowed.push(d);
+        }
+        if (allowed.length) {
+          req.delegators = allowed;
+          return next();
+        }
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado: no tienes el permiso requerido.',
+        needed: { permissions: wanted },
+        youHave: {
+          departamento: u.departamento || null,
+          roles: u.roles || [],
+        },
+      });
+    } catch (err) {
+      return next(err);
+    }
+  };
+};
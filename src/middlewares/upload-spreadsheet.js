@@ -0,0 +1,31 @@
+// src/middlewares/upload-spreadsheet.js
+import multer from 'multer';
+import path from 'path';
+
+const MAX_MB = Number(process.env.MAX_SPREADSHEET_MB || '5');
+const ALLOWED_EXT = new Set(['.csv', '.xlsx']);
+
+// Los navegadores mandan MIME poco fiables para CSV: se decide por extensión
+const fileFilter = (_req, file, cb) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (!ALLOWED_EXT.has(ext)) return cb(new Error('Sólo se aceptan archivos .csv o .xlsx'), false);
+  cb(null, true);
+};
+
+const uploader = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: MAX_MB * 1024 * 1024, files: 1 },
+}).single('file');
+
+/** Campo `file` (multipart) con un .csv o .xlsx; errores de carga -> 400. */
+export const uploadSpreadsheet = (req, res, next) =>
+  uploader(req, res, (err) => {
+    if (!err) return next();
+    const message = err.code === 'LIMIT_FILE_SIZE' ? `El archivo supera ${MAX_MB} MB` : err.message;
+    return res.status(400).json({ success: false, message });
+  });
+
+/** 'csv' | 'xlsx' según la extensión del archivo subido. */
+export const spreadsheetType = (file) =>
+  path.extname(file?.originalname || '').toLowerCase() === '.xlsx' ? 'xlsx' : 'csv';
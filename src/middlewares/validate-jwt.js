@@ -1,23 +1,46 @@
 // src/middlewares/validate-jwt.js
-import jwt from 'jsonwebtoken';
-import User, { DEPARTAMENTOS, ROLES } from '../user/user.model.js';
+import User, { ROLES } from '../user/user.model.js';
+import Session from '../auth/session.model.js';
+import { TOKEN_SCOPES, verifyJWT } from '../helpers/generate-jwt.js';
+import { apiKeyFromReq, authenticateApiKey } from '../helpers/api-keys.js';
+import { touchSession } from '../helpers/refresh-tokens.js';
+import { getDepartmentCatalog } from '../helpers/departments.js';
+import { activeAssignments } from '../helpers/assignments.js';
 
 const norm = (s) => String(s || '').trim().toUpperCase();
 const uniq = (a) => [...new Set(a)];
 
-// Mapas canónicos (case-insensitive) a partir de tus enums
-const CANON_DEPS  = new Map(DEPARTAMENTOS.map((d) => [norm(d), d]));
+// Roles canónicos (case-insensitive) a partir del enum
 const CANON_ROLES = new Map(ROLES.map((r) => [norm(r), r]));
 
 /**
  * Valida el JWT y adjunta en req.user:
  *  - id, email, nombre, cargo
- *  - departamento (valor canónico del enum DEPARTAMENTOS)
+ *  - departamento (código canónico de la colección Department)
  *  - roles (array de valores canónicos del enum ROLES)
+ *  - assignments (cargos adicionales vigentes: { id, departamento, role, startsAt, endsAt })
  *  - isActive
+ *  - sessionId (si el token pertenece a una sesión con refresh token)
+ *
+ * Rechaza tokens cuya sesión fue revocada (logout / logout-all) o expiró,
+ * tokens emitidos antes del último cambio de contraseña/roles o desactivación
+ * (claim `tv` distinto de user.tokenVersion), tokens que no son de acceso
+ * (claim `typ`, p.ej. desafío 2FA) y tokens de enrolamiento 2FA fuera de las
+ * rutas marcadas con allowTwoFactorEnrollment.
+ *
+ * En rutas marcadas con acceptApiKey(...scopes) también acepta API keys de
+ * cuentas de servicio (req.user.actorType = 'SERVICE').
+ *
+ * Tokens de suplantación (claim `act`): req.user es el usuario suplantado y
+ * req.user.impersonator el ADMIN real, que debe seguir activo, con rol ADMIN y
+ * con su propia sesión viva. Sólo lectura salvo que la sesión permita escrituras
+ * o la ruta esté marcada con allowDuringImpersonation.
  */
 export const validateJWT = async (req, res, next) => {
   try {
+    const rawApiKey = apiKeyFromReq(req);
+    if (rawApiKey) return await authenticateService(req, res, next, rawApiKey);
+
     const authHeader = req.header('Authorization') || req.header('authorization') || '';
     const bearerToken = authHeader.replace(/^Bearer\s+/i, '');
     const token = bearerToken || req.header('x-token') || '';
@@ -26,40 +49,78 @@ export const validateJWT = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'Token no proporcionado' });
     }
 
-    // Acepta SECRET en distintas vars por compatibilidad
-    const secret =
-      process.env.JWT_SECRET ||
-      process.env.JWT_PRIVATE_KEY ||
-      process.env.JWT_PUBLIC_KEY ||
-      'dev-secret';
-
+    // Firma verificada contra el llavero (kid) de helpers/jwt-keys.js
     let payload;
     try {
-      payload = jwt.verify(token, secret);
+      payload = await verifyJWT(token);
     } catch (e) {
       return res.status(401).json({ success: false, message: 'Token inválido o expirado' });
     }
 
+    // Tokens de propósito especial (desafío 2FA, etc.) no sirven como acceso
+    if (payload.typ) {
+      return res.status(401).json({ success: false, message: 'Token no válido para esta operación' });
+    }
+
     const uid = payload.uid || payload.id || payload._id || payload.sub;
     if (!uid) {
       return res.status(401).json({ success: false, message: 'Token sin uid' });
     }
 
+    // Sesión de servidor: revocable antes de que expire el access token
+    const sid = payload.sid ? String(payload.sid) : null;
+    let session = null;
+    if (sid) {
+      session = await Session.findById(sid).select('user revokedAt expiresAt lastUsedAt impersonatedBy allowWrites').lean();
+      if (!isLiveSession(session, uid)) {
+        return res.status(401).json({ success: false, message: 'Sesión revocada o expirada' });
+      }
+    }
+
+    // Suplantación: el token y la sesión deben coincidir en el ADMIN real
+    let impersonator = null;
+    if (payload.act || session?.impersonatedBy) {
+      const actUid = payload.act?.uid;
+      if (!session || !actUid || String(session.impersonatedBy) !== String(actUid)) {
+        return res.status(401).json({ success: false, message: 'Token de suplantación inválido' });
+      }
+      impersonator = await loadImpersonator(payload.act);
+      if (!impersonator) {
+        return res.status(401).json({ success: false, message: 'La suplantación ya no es válida' });
+      }
+      if (!session.allowWrites && !SAFE_METHODS.has(req.method) && !req.allowDuringImpersonation) {
+        return res.status(403).json({ success: false, message: 'Sesión de suplantación de sólo lectura', impersonation: true });
+      }
+    }
+
+    // Sesión restringida: sólo puede completar el enrolamiento 2FA exigido por la política
+    if (payload.scope === TOKEN_SCOPES.TWO_FACTOR_ENROLL && !req.allowTwoFactorEnrollment) {
+      return res.status(403).json({
+        success: false,
+        message: 'Debes configurar la verificación en dos pasos para continuar',
+        twoFactorSetupRequired: true,
+      });
+    }
+
     // Traer usuario y campos necesarios
     const user = await User.findById(uid)
-      .select('email nombre cargo departamento roles isActive createdAt updatedAt')
+      .select('email nombre cargo departamento roles assignments isActive deletedAt tokenVersion createdAt updatedAt')
       .lean();
 
     if (!user) {
       return res.status(401).json({ success: false, message: 'Usuario no encontrado' });
     }
-    if (user.isActive === false) {
+    // Baja lógica: aunque algo la hubiera reactivado, no tiene acceso
+    if (user.isActive === false || user.deletedAt) {
       return res.status(403).json({ success: false, message: 'Usuario inactivo' });
     }
+    if ((payload.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ success: false, message: 'Token revocado: tus credenciales cambiaron, inicia sesión nuevamente' });
+    }
 
-    // Canonizar departamento contra enum
-    const depKey = norm(user.departamento || user.department || '');
-    const departamentoCanon = CANON_DEPS.get(depKey) || null;
+    // Canonizar departamento contra el organigrama (acepta alias)
+    const catalog = await getDepartmentCatalog();
+    const departamentoCanon = catalog.resolve(user.departamento || user.department || '');
 
     // Canonizar roles contra enum (descarta desconocidos)
     const rolesRaw = Array.isArray(user.roles) ? user.roles : (user.role ? [user.role] : []);
@@ -76,16 +137,28 @@ export const validateJWT = async (req, res, next) => {
       email: user.email || null,
       nombre: user.nombre || null,
       cargo: user.cargo || '',
-      departamento: departamentoCanon, // null si no coincide con enum
+      departamento: departamentoCanon, // null si no existe en el organigrama
       roles: rolesCanon,               // [] si no coincide con enum
+      assignments: activeAssignments(user.assignments, catalog),
       isActive: Boolean(user.isActive),
       createdAt: user.createdAt || null,
       updatedAt: user.updatedAt || null,
+      sessionId: sid,
+      sessionScope: payload.scope || null,
+      actorType: 'USER',
+      ...(impersonator
+        ? {
+            impersonator,
+            impersonation: { sessionId: sid, allowWrites: Boolean(session.allowWrites), expiresAt: session.expiresAt },
+          }
+        : {}),
     };
 
     // Compatibilidad con middlewares previos
     req.usuario = req.user;
 
+    if (session) touchSession(session, req);
+
     return next();
   } catch (err) {
     console.error('validateJWT error:', err);
@@ -93,4 +166,100 @@ export const validateJWT = async (req, res, next) => {
   }
 };
 
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function isLiveSession(session, uid) {
+  return Boolean(
+    session &&
+    !session.revokedAt &&
+    new Date(session.expiresAt) > new Date() &&
+    String(session.user) === String(uid)
+  );
+}
+
+/**
+ * ADMIN real de un token de suplantación (claim `act`), o null si ya no puede suplantar:
+ * desactivado, sin rol ADMIN, credenciales cambiadas o su propia sesión cerrada.
+ */
+async function loadImpersonator(act = {}) {
+  const admin = await User.findById(act.uid).select('email nombre roles isActive deletedAt tokenVersion').lean();
+  if (!admin || admin.isActive === false || admin.deletedAt) return null;
+  if (!(admin.roles || []).map(norm).includes('ADMIN')) return null;
+  if ((act.tv || 0) !== (admin.tokenVersion || 0)) return null;
+  if (act.sid) {
+    const adminSession = await Session.findById(act.sid).select('user revokedAt expiresAt').lean();
+    if (!isLiveSession(adminSession, admin._id)) return null;
+  }
+  return { id: String(admin._id), email: admin.email || null, nombre: admin.nombre || null, roles: admin.roles || [] };
+}
+
+async function authenticateService(req, res, next, rawApiKey) {
+  const required = req.acceptApiKeyScopes;
+  if (!required) {
+    return res.status(401).json({ success: false, message: 'Esta ruta no acepta API keys' });
+  }
+
+  let auth;
+  try {
+    auth = await authenticateApiKey(rawApiKey, req);
+  } catch (err) {
+    if (!err.status) throw err;
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+
+  const { apiKey, serviceAccount } = auth;
+  const missing = required.filter((s) => !apiKey.scopes.includes(s));
+  if (missing.length) {
+    return res.status(403).json({ success: false, message: 'La API key no tiene el scope requerido', needed: missing });
+  }
+
+  req.user = {
+    id: String(serviceAccount._id),
+    email: null,
+    nombre: serviceAccount.nombre,
+    cargo: '',
+    departamento: null,
+    roles: [],
+    isActive: true,
+    actorType: 'SERVICE',
+    serviceAccountId: String(serviceAccount._id),
+    apiKeyId: String(apiKey._id),
+    scopes: apiKey.scopes,
+  };
+  req.usuario = req.user;
+  // Las guardas de dept/rol dejan pasar a la cuenta de servicio: el scope ya se verificó
+  req.apiKeyScopeVerified = true;
+
+  return next();
+}
+
+/**
+ * Habilita API keys en la ruta, exigiendo todos los scopes indicados.
+ * Debe ir ANTES de validateJWT.
+ *
+ * Uso: router.get('/', acceptApiKey('inventory:read'), validateJWT, ...)
+ */
+export const acceptApiKey = (...scopes) => (req, _res, next) => {
+  req.acceptApiKeyScopes = scopes.flat();
+  return next();
+};
+
+/**
+ * Marca la ruta como utilizable con un token de enrolamiento 2FA.
+ * Debe ir ANTES de validateJWT.
+ */
+export const allowTwoFactorEnrollment = (req, _res, next) => {
+  req.allowTwoFactorEnrollment = true;
+  return next();
+};
+
+/**
+ * Permite la ruta (aunque escriba) con un token de suplantación de sólo lectura,
+ * p.ej. para terminar la suplantación. Debe ir ANTES de validateJWT.
+ */
+export const allowDuringImpersonation = (req, _res, next) => {
+  req.allowDuringImpersonation = true;
+  return next();
+};
+
 export default validateJWT;
@@ -1,4 +1,5 @@
 // src/middlewares/validate-roles.js
+import { isScopedService } from './authorize-dept-role.js';
 
 // Normaliza lista de roles (mayúsculas, sin vacíos)
 const normalizeRoles = (arr) =>
@@ -12,6 +13,8 @@ export const hasRoles = (...allowed) => {
   const required = normalizeRoles(allowed);
 
   return (req, res, next) => {
+    if (isScopedService(req)) return next();
+
     const u = req.user || req.usuario; // compatibilidad con middlewares previos
 
     if (!u) {
@@ -21,8 +24,9 @@ export const hasRoles = (...allowed) => {
       });
     }
 
+    // Roles principales más los de cargos adicionales vigentes (ver helpers/assignments.js)
     const userRolesRaw = Array.isArray(u.roles) ? u.roles : (u.role ? [u.role] : []);
-    const userRoles = normalizeRoles(userRolesRaw);
+    const userRoles = normalizeRoles([...userRolesRaw, ...(u.assignments || []).map((a) => a.role)]);
 
     // Si no se exigieron roles, basta con estar autenticado
     if (required.length === 0) return next();
@@ -59,7 +63,7 @@ export const requireRolesAll = (...allowed) => {
     }
 
     const userRolesRaw = Array.isArray(u.roles) ? u.roles : (u.role ? [u.role] : []);
-    const userRoles = normalizeRoles(userRolesRaw);
+    const userRoles = normalizeRoles([...userRolesRaw, ...(u.assignments || []).map((a) => a.role)]);
 
     if (required.length === 0) return next();
 
@@ -1,8 +1,7 @@
 // src/audit/audit.routes.js
 import { Router } from 'express';
-import { validateJWT } from '../middlewares/validate-jwt.js';
+import { validateJWT, acceptApiKey } from '../middlewares/validate-jwt.js';
 import { hasRoles } from '../middlewares/validate-roles.js';
-import { ROLES } from '../user/user.model.js';
 
 import {
   listMovements,         // GET /search
@@ -15,25 +14,27 @@ import {
 const router = Router();
 
 // Solo ADMIN o DIRECTOR
-const guard = [validateJWT, hasRoles(ROLES.ADMIN, ROLES.DIRECTOR)];
+const guard = [validateJWT, hasRoles('ADMIN', 'DIRECTOR')];
+// Lectura: además, cuentas de servicio con scope audit:read
+const readGuard = [acceptApiKey('audit:read'), ...guard];
 
 /**
  * GET /digecur/v1/audit/search
  * Lista con filtros + paginación
  */
-router.get('/search', ...guard, listMovements);
+router.get('/search', ...readGuard, listMovements);
 
 /**
  * GET /digecur/v1/audit/stats
  * Estadísticas básicas
  */
-router.get('/stats', ...guard, statsMovements);
+router.get('/stats', ...readGuard, statsMovements);
 
 /**
  * GET /digecur/v1/audit/export
  * Exporta a CSV (según filtros)
  */
-router.get('/export', ...guard, exportMovementsCsv);
+router.get('/export', ...readGuard, exportMovementsCsv);
 
 /**
  * POST /digecur/v1/audit/purge
@@ -49,6 +50,6 @@ router.post('/purge', ...guard, (req, res, next) => {
  * GET /digecur/v1/audit/:id
  * Detalle de un registro
  */
-router.get('/:id', ...guard, getMovementById);
+router.get('/:id', ...readGuard, getMovementById);
 
 export default router;
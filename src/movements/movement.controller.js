@@ -3,25 +3,47 @@ import Movement from './movement.model.js';
 
 /* ============================ Utils ============================ */
 
+// Se comparan en minúsculas (ver redact)
 const SENSITIVE_KEYS = new Set([
   'password', 'currentPassword', 'newPassword',
-  'token', 'accessToken', 'idToken',
+  'token', 'accessToken', 'idToken', 'refreshToken', 'codeHash',
+  'challengeToken', 'recoveryCode', 'recoveryCodes',
   'authorization', 'auth', 'secret', 'apikey', 'apiKey'
-]);
+].map((k) => k.toLowerCase()));
 
-function redact(value) {
+// `code` es un código de un solo uso sólo en query strings (callback OIDC) y en el body de /auth
+// (reset, 2FA, canje SSO); en el resto (p.ej. Department.code) es un dato más de la bitácora.
+const REQUEST_SENSITIVE_KEYS = new Set([...SENSITIVE_KEYS, 'code']);
+
+const isAuthPath = (url = '') => /\/auth(\/|$)/.test(String(url).split('?')[0]);
+
+function redact(value, keys = SENSITIVE_KEYS) {
   if (value === null || value === undefined) return value;
-  if (Array.isArray(value)) return value.map(redact);
+  if (Array.isArray(value)) return value.map((v) => redact(v, keys));
   if (typeof value === 'object') {
     const out = {};
     for (const [k, v] of Object.entries(value)) {
-      out[k] = SENSITIVE_KEYS.has(String(k).toLowerCase()) ? '[REDACTED]' : redact(v);
+      out[k] = keys.has(String(k).toLowerCase()) ? '[REDACTED]' : redact(v, keys);
     }
     return out;
   }
   return value;
 }
 
+// Query string con los parámetros sensibles redactados (p.ej. ?token= de un enlace)
+function redactUrl(url) {
+  if (!url) return url;
+  const i = url.indexOf('?');
+  if (i < 0) return url;
+  const qs = url.slice(i + 1).split('&').map((pair) => {
+    const [rawKey] = pair.split('=');
+    let key = rawKey;
+    try { key = decodeURIComponent(rawKey.replace(/\+/g, ' ')); } catch { /* clave mal codificada: se compara tal cual */ }
+    return REQUEST_SENSITIVE_KEYS.has(key.toLowerCase()) ? `${rawKey}=[REDACTED]` : pair;
+  });
+  return `${url.slice(0, i)}?${qs.join('&')}`;
+}
+
 function shallowDiff(a = {}, b = {}) {
   const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
   const diff = {};
@@ -44,7 +66,19 @@ function userFromReq(req = {}) {
   return { id: id ? String(id) : null, email, nombre, roles };
 }
 
-function ipFromReq(req = {}) {
+// Admin que suplanta (ver impersonation.controller.js); undefined si no hay suplantación
+function actorFromReq(req = {}) {
+  const a = req.user?.impersonator;
+  if (!a) return undefined;
+  return {
+    id: a.id ? String(a.id) : null,
+    email: a.email || null,
+    nombre: a.nombre || null,
+    roles: Array.isArray(a.roles) ? a.roles.map(String) : [],
+  };
+}
+
+export function ipFromReq(req = {}) {
   return (req.headers?.['x-forwarded-for']?.split(',')[0]?.trim())
       || req.socket?.remoteAddress
       || req.ip
@@ -74,17 +108,21 @@ export async function logActivity(opt = {}) {
   } = opt;
 
   try {
+    const url = req?.originalUrl || req?.url;
+    const bodyKeys = isAuthPath(url) ? REQUEST_SENSITIVE_KEYS : SENSITIVE_KEYS;
     const doc = {
       action,
       entity,
       entityId: entityId ? String(entityId) : null,
+      actorType: req?.user ? (req.user.actorType || 'USER') : 'ANONYMOUS',
       user: userFromReq(req),
+      actor: actorFromReq(req),
       request: {
         method: req?.method,
-        path: req?.originalUrl || req?.url,
-        query: redact(req?.query || {}),
-        body: redact(req?.body || {}),
-        params: redact(req?.params || {}),
+        path: redactUrl(url),
+        query: redact(req?.query || {}, REQUEST_SENSITIVE_KEYS),
+        body: redact(req?.body || {}, bodyKeys),
+        params: redact(req?.params || {}, bodyKeys),
         ip: ipFromReq(req),
         userAgent: req?.headers?.['user-agent'] || null,
       },
@@ -95,9 +133,12 @@ export async function logActivity(opt = {}) {
         error: error ? String(error).slice(0, 500) : undefined,
       },
       changes: (before || after)
-        ? { before: redact(before), after: redact(after), diff: shallowDiff(before, after) }
+        ? { before: redact(before), after: redact(after), diff: redact(shallowDiff(before, after)) }
         : undefined,
-      tags: Array.isArray(tags) ? tags.filter(Boolean).map(String) : [],
+      tags: [
+        ...(Array.isArray(tags) ? tags.filter(Boolean).map(String) : []),
+        ...(req?.user?.impersonator ? ['impersonation'] : []),
+      ],
     };
 
     await Movement.create(doc);
@@ -125,7 +166,7 @@ export const auditMiddleware = (opts = {}) => (req, res, next) => {
         action: 'HTTP_REQUEST',
         statusCode,
         success: ok,
-        message: `${req.method} ${req.originalUrl} (${Date.now() - startedAt}ms)`,
+        message: `${req.method} ${redactUrl(req.originalUrl)} (${Date.now() - startedAt}ms)`,
       });
     } catch (e) {
       console.error('[AUDIT] finish-hook error:', e?.message || e);
@@ -162,6 +203,8 @@ export const listMovements = async (req, res) => {
       dateFrom,
       dateTo,
       tag,
+      actorType,
+      actorId,
     } = req.query;
 
     const filter = {};
@@ -169,6 +212,8 @@ export const listMovements = async (req, res) => {
     if (entity)   filter.entity = String(entity);
     if (entityId) filter.entityId = String(entityId);
     if (userId)   filter['user.id'] = String(userId);
+    if (actorType) filter.actorType = String(actorType).toUpperCase();
+    if (actorId)  filter['actor.id'] = String(actorId);
     if (email)    filter['user.email'] = new RegExp(String(email).trim(), 'i');
     if (typeof success !== 'undefined') {
       const v = typeof success === 'string' ? success.toLowerCase() === 'true' : !!success;
@@ -286,7 +331,7 @@ export const exportMovementsCsv = async (req, res) => {
   try {
     // Reusa build de filtros (simplemente llama a listMovements internamente sería ineficiente).
     const {
-      action, entity, entityId, userId, email, success, statusCode, q, dateFrom, dateTo, tag, sort = '-createdAt',
+      action, entity, entityId, userId, email, success, statusCode, q, dateFrom, dateTo, tag, actorType, actorId, sort = '-createdAt',
       limit = '20000' // límite alto para export
     } = req.query;
 
@@ -295,6 +340,8 @@ export const exportMovementsCsv = async (req, res) => {
     if (entity)   filter.entity = String(entity);
     if (entityId) filter.entityId = String(entityId);
     if (userId)   filter['user.id'] = String(userId);
+    if (actorType) filter.actorType = String(actorType).toUpperCase();
+    if (actorId)  filter['actor.id'] = String(actorId);
     if (email)    filter['user.email'] = new RegExp(String(email).trim(), 'i');
     if (typeof success !== 'undefined') {
       const v = typeof success === 'string' ? success.toLowerCase() === 'true' : !!success;
@@ -330,6 +377,7 @@ export const exportMovementsCsv = async (req, res) => {
     const headers = [
       'id',
       'createdAt',
+      'actorType',
       'action',
       'entity',
       'entityId',
@@ -337,6 +385,8 @@ export const exportMovementsCsv = async (req, res) => {
       'userEmail',
       'userNombre',
       'roles',
+      'actorId',
+      'actorEmail',
       'method',
       'path',
       'statusCode',
@@ -351,6 +401,7 @@ export const exportMovementsCsv = async (req, res) => {
     const rows = docs.map((d) => [
       d._id,
       d.createdAt?.toISOString?.() || d.createdAt,
+      d.actorType || '',
       d.action || '',
       d.entity || '',
       d.entityId || '',
@@ -358,6 +409,8 @@ export const exportMovementsCsv = async (req, res) => {
       d.user?.email || '',
       d.user?.nombre || '',
       Array.isArray(d.user?.roles) ? d.user.roles.join('|') : '',
+      d.actor?.id || '',
+      d.actor?.email || '',
       d.request?.method || '',
       d.request?.path || '',
       typeof d.response?.statusCode === 'number' ? String(d.response.statusCode) : '',
@@ -7,6 +7,9 @@ const MovementSchema = new mongoose.Schema(
     entity:   { type: String, default: null, index: true },    
     entityId: { type: String, default: null, index: true },
 
+    // Quién actuó: usuario humano, cuenta de servicio (API key) o sin autenticar
+    actorType: { type: String, enum: ['USER', 'SERVICE', 'ANONYMOUS'], default: 'ANONYMOUS', index: true },
+
     user: {
       id:    { type: String, default: null, index: true },
       email: { type: String, default: null, index: true },
@@ -14,6 +17,14 @@ const MovementSchema = new mongoose.Schema(
       roles: [{ type: String }],
     },
 
+    // Identidad real cuando `user` es una identidad suplantada por un ADMIN; null en el resto
+    actor: {
+      id:    { type: String, default: null, index: true },
+      email: { type: String, default: null },
+      nombre:{ type: String, default: null },
+      roles: [{ type: String }],
+    },
+
     request: {
       method:    { type: String },
       path:      { type: String, index: true },
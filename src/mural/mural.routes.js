@@ -1,6 +1,6 @@
 import { Router } from 'express';
 import { validateJWT } from '../middlewares/validate-jwt.js';
-import { requireDeptAndRole } from '../middlewares/authorize-dept-role.js';
+import { requirePermission } from '../middlewares/require-permission.js';
 import { uploadNewsImage } from '../middlewares/multer-uploads.js';
 
 import {
@@ -15,33 +15,26 @@ import {
 
 const router = Router();
 
-/**
- * Autorización Mural:
- * - Ajusta los departamentos/roles según tu organigrama.
- *   Incluyo Comunicación Social, Dirección, Desarrollo y Materiales, por si aplica.
- */
-const MURAL_DEPTS = ['COMUNICACION SOCIAL', 'DIRECCION', 'DESAROLLO', 'AREA DE MATERIALES EDUCATIVOS'];
-const MURAL_ROLES = ['ADMIN', 'DIRECTOR', 'JEFE', 'TECNICO', 'ASISTENTE'];
-const canUseMural = requireDeptAndRole(MURAL_DEPTS, MURAL_ROLES);
+// Autorización Mural: permisos mural.* (ver permission.model.js, administrables en /permissions)
 
 /* ======================================
    CRUD + acciones rápidas
 ====================================== */
 // Crear (con imagen principal opcional)
-router.post('/', validateJWT, canUseMural, uploadNewsImage, createMural);
+router.post('/', validateJWT, requirePermission('mural.create'), uploadNewsImage, createMural);
 
 // Actualizar (con posible nueva imagen principal)
-router.put('/:muralId', validateJWT, canUseMural, uploadNewsImage, updateMural);
+router.put('/:muralId', validateJWT, requirePermission('mural.update'), uploadNewsImage, updateMural);
 
 // Listar / Obtener (solo requiere estar autenticado)
 router.get('/', getAllMurals);
 router.get('/:muralId', validateJWT, getMuralById);
 
 // Acciones rápidas
-router.patch('/:muralId/publish', validateJWT, canUseMural, publishMural);
-router.patch('/:muralId/archive', validateJWT, canUseMural, archiveMural);
+router.patch('/:muralId/publish', validateJWT, requirePermission('mural.publish'), publishMural);
+router.patch('/:muralId/archive', validateJWT, requirePermission('mural.publish'), archiveMural);
 
 // Eliminar
-router.delete('/:muralId', validateJWT, canUseMural, deleteMural);
+router.delete('/:muralId', validateJWT, requirePermission('mural.delete'), deleteMural);
 
 export default router;
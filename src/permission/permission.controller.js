@@ -0,0 +1,127 @@
+// src/permission/permission.controller.js
+import Permission from './permission.model.js';
+import { ROLES } from '../user/user.model.js';
+import { getPermissionMap, grantsAllow, invalidatePermissions, permissionsOf } from '../helpers/permissions.js';
+import { getDepartmentCatalog } from '../helpers/departments.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const TAGS = ['permission'];
+const MANAGE_KEY = 'permissions.manage';
+
+const sanitizePermission = (p) => ({
+  key: p.key,
+  description: p.description,
+  grants: (p.grants || []).map((g) => ({ departamentos: g.departamentos, roles: g.roles })),
+  updatedBy: p.updatedBy || null,
+  updatedAt: p.updatedAt || null,
+});
+
+/**
+ * Normaliza las concesiones recibidas: departamentos a código (o '*'), roles del enum (o '*').
+ * @returns {{ grants?: object[], error?: string }}
+ */
+function normalizeGrants(input, catalog) {
+  if (!Array.isArray(input)) return { error: 'grants debe ser un arreglo' };
+  const grants = [];
+  for (const [i, g] of input.entries()) {
+    const deps = Array.isArray(g?.departamentos) ? g.departamentos : [];
+    const roles = Array.isArray(g?.roles) ? g.roles.map((r) => String(r).trim().toUpperCase()) : [];
+    if (!deps.length || !roles.length) return { error: `grants[${i}]: departamentos y roles son obligatorios` };
+
+    const codes = deps.map((d) => (String(d).trim() === '*' ? '*' : catalog.resolve(d)));
+    const badDeps = deps.filter((_d, j) => !codes[j]);
+    if (badDeps.length) return { error: `grants[${i}]: departamento inválido: ${badDeps.join(', ')}` };
+
+    const badRoles = roles.filter((r) => r !== '*' && !ROLES.includes(r));
+    if (badRoles.length) return { error: `grants[${i}]: rol inválido: ${badRoles.join(', ')}` };
+
+    grants.push({
+      departamentos: codes.includes('*') ? ['*'] : [...new Set(codes)],
+      roles: roles.includes('*') ? ['*'] : [...new Set(roles)],
+    });
+  }
+  return { grants };
+}
+
+/**
+ * GET /auth/me/permissions
+ * Permisos del usuario autenticado (para mostrar u ocultar acciones en la UI).
+ */
+export const myPermissions = async (req, res) => {
+  try {
+    const permissions = await permissionsOf(req.user);
+    return res.status(200).json({
+      success: true,
+      departamento: req.user.departamento || null,
+      roles: req.user.roles || [],
+      permissions,
+    });
+  } catch (err) {
+    console.error('Error en GET /auth/me/permissions:', err);
+    return handleErrorResponse(res, 500, 'Error al obtener permisos', err.message);
+  }
+};
+
+/**
+ * GET /permissions
+ * Catálogo de permisos con sus concesiones.
+ */
+export const listPermissions = async (_req, res) => {
+  try {
+    const perms = await getPermissionMap({ fresh: true });
+    return res.status(200).json({
+      success: true,
+      total: perms.size,
+      permissions: [...perms.values()].map(sanitizePermission),
+      roles: ROLES,
+    });
+  } catch (err) {
+    console.error('Error al listar permisos:', err);
+    return handleErrorResponse(res, 500, 'Error al listar permisos', err.message);
+  }
+};
+
+/**
+ * PUT /permissions/:key
+ * Body: { grants: [{ departamentos: ['DIRECCION' | '*', ...], roles: ['JEFE' | '*', ...] }] }
+ * Reemplaza las concesiones del permiso. Un arreglo vacío lo deja sin concesiones.
+ */
+export const updatePermissionGrants = async (req, res) => {
+  const { key } = req.params;
+
+  try {
+    const doc = await Permission.findOne({ key });
+    if (!doc) {
+      await logActivity({ req, action: 'PERMISSION_UPDATE_FAIL', entity: 'PERMISSION', entityId: key, statusCode: 404, success: false, error: 'No encontrado', tags: TAGS });
+      return handleErrorResponse(res, 404, 'Permiso no encontrado');
+    }
+
+    const catalog = await getDepartmentCatalog();
+    const { grants, error } = normalizeGrants(req.body?.grants, catalog);
+    if (error) return handleErrorResponse(res, 400, error);
+
+    // Quien administra permisos no puede quitarse a sí mismo el acceso (incluye sus cargos adicionales)
+    if (key === MANAGE_KEY && !grantsAllow(grants, req.user, catalog)) {
+      return handleErrorResponse(res, 409, 'El cambio te dejaría sin acceso para administrar permisos');
+    }
+
+    const before = sanitizePermission(doc.toObject());
+    doc.grants = grants;
+    doc.updatedBy = req.user?.id || null;
+    await doc.save();
+    invalidatePermissions();
+
+    await logActivity({
+      req, action: 'PERMISSION_UPDATE', entity: 'PERMISSION', entityId: key,
+      before, after: sanitizePermission(doc.toObject()),
+      statusCode: 200, success: true, message: `Concesiones de ${key}: ${grants.length}`, tags: TAGS,
+    });
+
+    return res.status(200).json({ success: true, message: 'Permiso actualizado', permission: sanitizePermission(doc.toObject()) });
+  } catch (err) {
+    console.error('Error al actualizar permiso:', err);
+    await logActivity({ req, action: 'PERMISSION_UPDATE_FAIL', entity: 'PERMISSION', entityId: key, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al actualizar permiso', err.message);
+  }
+};
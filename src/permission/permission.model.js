@@ -0,0 +1,79 @@
+// src/permission/permission.model.js
+import mongoose from 'mongoose';
+
+/**
+ * Concesión: quien tenga ALGUNO de los roles y pertenezca a ALGUNO de los
+ * departamentos (códigos de Department; '*' = cualquiera) obtiene el permiso.
+ */
+const GrantSchema = new mongoose.Schema(
+  {
+    departamentos: { type: [String], default: ['*'] },
+    roles: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+/**
+ * Permiso con nombre (p.ej. 'inventory.item.update') y sus concesiones.
+ * Los nombres los define el código (DEFAULT_PERMISSIONS); las concesiones se
+ * administran desde /permissions.
+ */
+const PermissionSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    description: { type: String, trim: true, default: '' },
+    grants: { type: [GrantSchema], default: [] },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+const INV = { departamentos: ['AREA FINANCIERA', 'DIRECCION', 'DESARROLLO'], roles: ['ADMIN', 'DIRECTOR', 'JEFE', 'TECNICO'] };
+const CARDEX = { departamentos: ['AREA DE MATERIALES EDUCATIVOS', 'DIRECCION', 'DESARROLLO'], roles: ['ADMIN', 'DIRECTOR', 'JEFE', 'TECNICO', 'ASISTENTE'] };
+const MURAL = { departamentos: ['DIRECCION', 'DESARROLLO', 'AREA DE MATERIALES EDUCATIVOS'], roles: ['ADMIN', 'DIRECTOR', 'JEFE', 'TECNICO', 'ASISTENTE'] };
+const RECEPCION = { departamentos: ['AREA ADMINISTRATIVA', 'DESARROLLO'], roles: ['ASISTENTE', 'DESAROLLADOR', 'ADMIN'] };
+const DIR = { departamentos: ['DIRECCION', 'DESARROLLO'], roles: ['DIRECTOR', 'DESAROLLADOR', 'ADMIN'] };
+const SUBDIR = {
+  departamentos: ['SUBDIRECCION EVALUACION CURRICULAR', 'SUBDIRECCION DISEÑO Y DESARROLLO CURRICULAR', 'DESARROLLO'],
+  roles: ['SUBDIRECTOR', 'DESAROLLADOR', 'ADMIN'],
+};
+const SYSADMIN = { departamentos: ['DESARROLLO'], roles: ['ADMIN'] };
+
+/**
+ * Permisos conocidos y sus concesiones iniciales (las que antes estaban fijas en
+ * las rutas). Sólo se siembran si el permiso aún no existe (bootstrap/ensure-permissions.js).
+ */
+export const DEFAULT_PERMISSIONS = Object.freeze([
+  { key: 'inventory.item.create', description: 'Crear bienes de inventario', grants: [INV] },
+  { key: 'inventory.item.import', description: 'Importar bienes desde CSV/XLSX', grants: [INV] },
+  { key: 'inventory.item.update', description: 'Editar bienes y activarlos/desactivarlos', grants: [INV] },
+  { key: 'inventory.item.delete', description: 'Eliminar bienes de inventario', grants: [INV] },
+  { key: 'inventory.transfer.sign', description: 'Subir el documento firmado de un traslado', grants: [INV] },
+  { key: 'inventory.transfer.review', description: 'Aprobar o rechazar traslados', grants: [INV] },
+
+  { key: 'cardex.create', description: 'Crear registros de cardex', grants: [CARDEX] },
+  { key: 'cardex.update', description: 'Editar registros de cardex', grants: [CARDEX] },
+  { key: 'cardex.delete', description: 'Eliminar registros de cardex', grants: [CARDEX] },
+
+  { key: 'mural.create', description: 'Crear publicaciones del mural', grants: [MURAL] },
+  { key: 'mural.update', description: 'Editar publicaciones del mural', grants: [MURAL] },
+  { key: 'mural.publish', description: 'Publicar o archivar publicaciones del mural', grants: [MURAL] },
+  { key: 'mural.delete', description: 'Eliminar publicaciones del mural', grants: [MURAL] },
+
+  { key: 'correspondencia.create', description: 'Registrar correspondencia (recepción)', grants: [RECEPCION] },
+  { key: 'correspondencia.recepcion.send', description: 'Enviar correspondencia de recepción a Dirección', grants: [RECEPCION] },
+  { key: 'correspondencia.recepcion.aa.send', description: 'Envío a Dirección por la asistente del Área Administrativa', grants: [{ departamentos: ['AREA ADMINISTRATIVA'], roles: ['ASISTENTE'] }] },
+  { key: 'correspondencia.direccion.route', description: 'Instruir y enviar a subdirección o jefatura', grants: [DIR] },
+  { key: 'correspondencia.direccion.archive', description: 'Remitir a recepción para archivo', grants: [DIR] },
+  { key: 'correspondencia.subdireccion.accept', description: 'Aceptar correspondencia en subdirección', grants: [SUBDIR] },
+  { key: 'correspondencia.subdireccion.assign', description: 'Asignar jefatura desde subdirección', grants: [SUBDIR] },
+  { key: 'correspondencia.subdireccion.return', description: 'Devolver a Dirección para revisión final', grants: [SUBDIR] },
+  { key: 'correspondencia.jefe.accept', description: 'Aceptar correspondencia en la jefatura', grants: [{ departamentos: ['*'], roles: ['JEFE', 'DESAROLLADOR', 'ADMIN'] }] },
+  { key: 'correspondencia.archive', description: 'Archivar correspondencia (recepción)', grants: [RECEPCION] },
+
+  { key: 'permissions.manage', description: 'Administrar permisos y concesiones', grants: [SYSADMIN] },
+  { key: 'delegations.manage', description: 'Administrar delegaciones de cualquier usuario', grants: [SYSADMIN] },
+]);
+
+const Permission = mongoose.model('Permission', PermissionSchema);
+export default Permission;
@@ -0,0 +1,14 @@
+// src/permission/permission.routes.js
+import { Router } from 'express';
+import { listPermissions, updatePermissionGrants } from './permission.controller.js';
+import { validateJWT } from '../middlewares/validate-jwt.js';
+import { requirePermission } from '../middlewares/require-permission.js';
+
+const router = Router();
+
+const guard = [validateJWT, requirePermission('permissions.manage')];
+
+router.get('/', ...guard, listPermissions);
+router.put('/:key', ...guard, updatePermissionGrants);
+
+export default router;
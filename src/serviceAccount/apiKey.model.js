@@ -0,0 +1,56 @@
+// src/serviceAccount/apiKey.model.js
+import mongoose from 'mongoose';
+
+/** Alcances que puede tener una API key (recurso:acción). */
+export const API_SCOPES = Object.freeze([
+  'inventory:read',
+  'inventory:write',
+  'correspondencia:write',
+  'audit:read',
+]);
+
+/**
+ * API key de una cuenta de servicio.
+ * La key viaja como `dgk_<prefix>_<secreto>`; aquí sólo se guarda el hash del secreto.
+ */
+const ApiKeySchema = new mongoose.Schema(
+  {
+    serviceAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'ServiceAccount', required: true, index: true },
+    name: { type: String, trim: true, maxlength: 100, default: '' },
+
+    prefix:  { type: String, required: true, unique: true },
+    keyHash: { type: String, required: true, select: false },
+
+    scopes: {
+      type: [String],
+      enum: API_SCOPES,
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length > 0,
+        message: 'Debe existir al menos un scope',
+      },
+    },
+
+    expiresAt:  { type: Date, required: true },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: null },
+
+    revokedAt: { type: Date, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.keyHash;
+        return ret;
+      },
+    },
+  }
+);
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+export default ApiKey;
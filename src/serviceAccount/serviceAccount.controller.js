@@ -0,0 +1,226 @@
+// src/serviceAccount/serviceAccount.controller.js
+import mongoose from 'mongoose';
+import ServiceAccount from './serviceAccount.model.js';
+import ApiKey, { API_SCOPES } from './apiKey.model.js';
+import { generateApiKey } from '../helpers/api-keys.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const DEFAULT_KEY_DAYS = 90;
+const MAX_KEY_DAYS = 365;
+
+const TAGS = ['service-account'];
+
+/* ============================ Cuentas ============================ */
+
+/**
+ * POST /service-accounts
+ * Body: { nombre, descripcion? }
+ */
+export const createServiceAccount = async (req, res) => {
+  const { nombre, descripcion } = req.body || {};
+  if (!nombre || !String(nombre).trim()) {
+    return handleErrorResponse(res, 400, 'nombre es obligatorio');
+  }
+
+  try {
+    const sa = await ServiceAccount.create({ nombre, descripcion, createdBy: req.user?.id || null });
+
+    await logActivity({ req, action: 'SERVICE_ACCOUNT_CREATE', entity: 'SERVICE_ACCOUNT', entityId: sa._id, after: sa.toJSON(), statusCode: 201, success: true, tags: TAGS });
+
+    return res.status(201).json({ success: true, message: 'Cuenta de servicio creada', serviceAccount: sa.toJSON() });
+  } catch (err) {
+    if (err?.code === 11000) {
+      await logActivity({ req, action: 'SERVICE_ACCOUNT_CREATE_FAIL', entity: 'SERVICE_ACCOUNT', statusCode: 400, success: false, error: 'Duplicado: nombre', tags: TAGS });
+      return handleErrorResponse(res, 400, 'Ya existe una cuenta de servicio con ese nombre');
+    }
+    if (err?.name === 'ValidationError') {
+      return handleErrorResponse(res, 400, err.message);
+    }
+    console.error('Error al crear cuenta de servicio:', err);
+    await logActivity({ req, action: 'SERVICE_ACCOUNT_CREATE_FAIL', entity: 'SERVICE_ACCOUNT', statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al crear cuenta de servicio', err.message);
+  }
+};
+
+/**
+ * GET /service-accounts
+ * Lista cuentas con el número de keys vigentes.
+ */
+export const listServiceAccounts = async (_req, res) => {
+  try {
+    const [accounts, counts] = await Promise.all([
+      ServiceAccount.find().sort('nombre').lean(),
+      ApiKey.aggregate([
+        { $match: { revokedAt: null, expiresAt: { $gt: new Date() } } },
+        { $group: { _id: '$serviceAccount', count: { $sum: 1 } } },
+      ]),
+    ]);
+    const byId = new Map(counts.map((c) => [String(c._id), c.count]));
+
+    return res.status(200).json({
+      success: true,
+      total: accounts.length,
+      serviceAccounts: accounts.map(({ _id, ...a }) => ({ id: _id, ...a, activeKeys: byId.get(String(_id)) || 0 })),
+      availableScopes: API_SCOPES,
+    });
+  } catch (err) {
+    console.error('Error al listar cuentas de servicio:', err);
+    return handleErrorResponse(res, 500, 'Error al listar cuentas de servicio', err.message);
+  }
+};
+
+/**
+ * GET /service-accounts/:serviceAccountId
+ * Detalle + keys (sin secreto).
+ */
+export const getServiceAccountById = async (req, res) => {
+  const { serviceAccountId } = req.params;
+  if (!mongoose.isValidObjectId(serviceAccountId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const sa = await ServiceAccount.findById(serviceAccountId);
+    if (!sa) return handleErrorResponse(res, 404, 'Cuenta de servicio no encontrada');
+
+    const keys = await ApiKey.find({ serviceAccount: sa._id }).sort('-createdAt');
+
+    return res.status(200).json({
+      success: true,
+      serviceAccount: sa.toJSON(),
+      apiKeys: keys.map((k) => k.toJSON()),
+    });
+  } catch (err) {
+    console.error('Error al obtener cuenta de servicio:', err);
+    return handleErrorResponse(res, 500, 'Error al obtener cuenta de servicio', err.message);
+  }
+};
+
+/**
+ * PATCH /service-accounts/:serviceAccountId
+ * Body: { nombre?, descripcion?, isActive? }. Desactivar la cuenta bloquea todas sus keys.
+ */
+export const updateServiceAccount = async (req, res) => {
+  const { serviceAccountId } = req.params;
+  const { nombre, descripcion, isActive } = req.body || {};
+  if (!mongoose.isValidObjectId(serviceAccountId)) return handleErrorResponse(res, 400, 'ID inválido');
+  if (typeof isActive !== 'undefined' && typeof isActive !== 'boolean') {
+    return handleErrorResponse(res, 400, 'isActive debe ser boolean');
+  }
+
+  try {
+    const sa = await ServiceAccount.findById(serviceAccountId);
+    if (!sa) {
+      await logActivity({ req, action: 'SERVICE_ACCOUNT_UPDATE_FAIL', entity: 'SERVICE_ACCOUNT', entityId: serviceAccountId, statusCode: 404, success: false, error: 'No encontrada', tags: TAGS });
+      return handleErrorResponse(res, 404, 'Cuenta de servicio no encontrada');
+    }
+
+    const before = sa.toJSON();
+    if (typeof nombre !== 'undefined') sa.nombre = nombre;
+    if (typeof descripcion !== 'undefined') sa.descripcion = descripcion;
+    if (typeof isActive !== 'undefined') sa.isActive = isActive;
+    await sa.save();
+
+    await logActivity({ req, action: 'SERVICE_ACCOUNT_UPDATE', entity: 'SERVICE_ACCOUNT', entityId: sa._id, before, after: sa.toJSON(), statusCode: 200, success: true, tags: TAGS });
+
+    return res.status(200).json({ success: true, message: 'Cuenta de servicio actualizada', serviceAccount: sa.toJSON() });
+  } catch (err) {
+    if (err?.code === 11000) return handleErrorResponse(res, 400, 'Ya existe una cuenta de servicio con ese nombre');
+    if (err?.name === 'ValidationError') return handleErrorResponse(res, 400, err.message);
+    console.error('Error al actualizar cuenta de servicio:', err);
+    await logActivity({ req, action: 'SERVICE_ACCOUNT_UPDATE_FAIL', entity: 'SERVICE_ACCOUNT', entityId: serviceAccountId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al actualizar cuenta de servicio', err.message);
+  }
+};
+
+/* ============================ API keys ============================ */
+
+/**
+ * POST /service-accounts/:serviceAccountId/keys
+ * Body: { name?, scopes: [API_SCOPES], expiresInDays? (1..365, def. 90) }
+ * La key en claro sólo se devuelve en esta respuesta.
+ */
+export const createApiKey = async (req, res) => {
+  const { serviceAccountId } = req.params;
+  const { name = '', scopes, expiresInDays = DEFAULT_KEY_DAYS } = req.body || {};
+  if (!mongoose.isValidObjectId(serviceAccountId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return handleErrorResponse(res, 400, 'scopes debe ser un arreglo no vacío');
+  }
+  const cleanScopes = [...new Set(scopes.map((s) => String(s).trim()))];
+  const invalid = cleanScopes.filter((s) => !API_SCOPES.includes(s));
+  if (invalid.length) {
+    return handleErrorResponse(res, 400, `Scopes inválidos: ${invalid.join(', ')}`);
+  }
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_KEY_DAYS) {
+    return handleErrorResponse(res, 400, `expiresInDays debe ser un entero entre 1 y ${MAX_KEY_DAYS}`);
+  }
+
+  try {
+    const sa = await ServiceAccount.findById(serviceAccountId).lean();
+    if (!sa) {
+      await logActivity({ req, action: 'API_KEY_CREATE_FAIL', entity: 'SERVICE_ACCOUNT', entityId: serviceAccountId, statusCode: 404, success: false, error: 'No encontrada', tags: TAGS });
+      return handleErrorResponse(res, 404, 'Cuenta de servicio no encontrada');
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      serviceAccount: sa._id,
+      name,
+      prefix,
+      keyHash,
+      scopes: cleanScopes,
+      expiresAt: new Date(Date.now() + days * 86400000),
+      createdBy: req.user?.id || null,
+    });
+
+    await logActivity({
+      req, action: 'API_KEY_CREATE', entity: 'API_KEY', entityId: apiKey._id,
+      after: apiKey.toJSON(), statusCode: 201, success: true,
+      message: `Key ${prefix} para ${sa.nombre} (${cleanScopes.join(', ')})`, tags: TAGS,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'API key creada. Guárdala ahora: no se volverá a mostrar.',
+      key,
+      apiKey: apiKey.toJSON(),
+    });
+  } catch (err) {
+    console.error('Error al crear API key:', err);
+    await logActivity({ req, action: 'API_KEY_CREATE_FAIL', entity: 'SERVICE_ACCOUNT', entityId: serviceAccountId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al crear API key', err.message);
+  }
+};
+
+/**
+ * DELETE /service-accounts/:serviceAccountId/keys/:keyId
+ * Revoca la key (queda registrada para auditoría).
+ */
+export const revokeApiKey = async (req, res) => {
+  const { serviceAccountId, keyId } = req.params;
+  if (!mongoose.isValidObjectId(serviceAccountId) || !mongoose.isValidObjectId(keyId)) {
+    return handleErrorResponse(res, 400, 'ID inválido');
+  }
+
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, serviceAccount: serviceAccountId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!apiKey) {
+      await logActivity({ req, action: 'API_KEY_REVOKE_FAIL', entity: 'API_KEY', entityId: keyId, statusCode: 404, success: false, error: 'No encontrada o ya revocada', tags: TAGS });
+      return handleErrorResponse(res, 404, 'API key no encontrada o ya revocada');
+    }
+
+    await logActivity({ req, action: 'API_KEY_REVOKE', entity: 'API_KEY', entityId: apiKey._id, statusCode: 200, success: true, message: `Key ${apiKey.prefix} revocada`, tags: TAGS });
+
+    return res.status(200).json({ success: true, message: 'API key revocada', apiKey: apiKey.toJSON() });
+  } catch (err) {
+    console.error('Error al revocar API key:', err);
+    await logActivity({ req, action: 'API_KEY_REVOKE_FAIL', entity: 'API_KEY', entityId: keyId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al revocar API key', err.message);
+  }
+};
@@ -0,0 +1,38 @@
+// src/serviceAccount/serviceAccount.model.js
+import mongoose from 'mongoose';
+
+/**
+ * Cuenta de servicio para integraciones (scripts de sincronización, otros sistemas).
+ * No inicia sesión: se autentica con API keys (ver apiKey.model.js).
+ */
+const ServiceAccountSchema = new mongoose.Schema(
+  {
+    nombre: {
+      type: String,
+      required: [true, 'El nombre es obligatorio'],
+      trim: true,
+      minlength: [3, 'El nombre es muy corto'],
+      maxlength: [100, 'El nombre es muy largo'],
+    },
+    descripcion: { type: String, trim: true, maxlength: 500, default: '' },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+  }
+);
+
+ServiceAccountSchema.index({ nombre: 1 }, { unique: true, collation: { locale: 'es', strength: 2 } });
+
+const ServiceAccount = mongoose.model('ServiceAccount', ServiceAccountSchema);
+export default ServiceAccount;
@@ -0,0 +1,27 @@
+// src/serviceAccount/serviceAccount.routes.js
+import { Router } from 'express';
+import {
+  createServiceAccount,
+  listServiceAccounts,
+  getServiceAccountById,
+  updateServiceAccount,
+  createApiKey,
+  revokeApiKey,
+} from './serviceAccount.controller.js';
+import { validateJWT } from '../middlewares/validate-jwt.js';
+import { requireDeptAndRole } from '../middlewares/authorize-dept-role.js';
+
+const router = Router();
+
+// Sólo administradores de sistemas gestionan integraciones
+const guard = [validateJWT, requireDeptAndRole(['DESARROLLO'], ['ADMIN'])];
+
+router.post('/', ...guard, createServiceAccount);
+router.get('/', ...guard, listServiceAccounts);
+router.get('/:serviceAccountId', ...guard, getServiceAccountById);
+router.patch('/:serviceAccountId', ...guard, updateServiceAccount);
+
+router.post('/:serviceAccountId/keys', ...guard, createApiKey);
+router.delete('/:serviceAccountId/keys/:keyId', ...guard, revokeApiKey);
+
+export default router;
@@ -0,0 +1,209 @@
+// src/user/assignment.controller.js
+import mongoose from 'mongoose';
+import User, { ASSIGNMENT_ROLES } from './user.model.js';
+import { resolveActiveDepartment } from '../helpers/departments.js';
+import { formatAssignments, isActiveAssignment } from '../helpers/assignments.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const TAGS = ['user', 'assignments'];
+
+// undefined = no viene; null/'' = sin fecha; Date inválida => error 400
+function parseDateInput(value, field) {
+  if (typeof value === 'undefined') return undefined;
+  if (value === null || value === '') return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    const err = new Error(`${field} inválido`);
+    err.status = 400;
+    throw err;
+  }
+  return d;
+}
+
+// Rangos [startsAt, endsAt) con null = abierto
+const overlaps = (a, b) =>
+  (!a.endsAt || !b.startsAt || b.startsAt < a.endsAt) &&
+  (!b.endsAt || !a.startsAt || a.startsAt < b.endsAt);
+
+/** Motivo por el que `candidate` no puede convivir con los cargos de `user`, o null. */
+function conflictOf(user, candidate) {
+  if (user.departamento === candidate.departamento && (user.roles || []).includes(candidate.role)) {
+    return `${candidate.role} en ${candidate.departamento} ya es su cargo principal`;
+  }
+  const clash = (user.assignments || []).find((a) =>
+    String(a._id) !== String(candidate._id || '') &&
+    a.departamento === candidate.departamento &&
+    a.role === candidate.role &&
+    overlaps(a, candidate));
+  return clash ? `Ya tiene el cargo ${candidate.role} en ${candidate.departamento} en ese periodo` : null;
+}
+
+/**
+ * GET /users/:userId/assignments?active=true
+ * Cargos adicionales del usuario (vigentes, futuros y vencidos).
+ */
+export const listUserAssignments = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const user = await User.findById(userId).select('email nombre departamento roles assignments').lean();
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+
+    const onlyActive = ['1', 'true', 'yes'].includes(String(req.query.active || '').toLowerCase());
+    const items = formatAssignments(user.assignments).filter((a) => !onlyActive || a.active);
+
+    return res.status(200).json({
+      success: true,
+      primary: { departamento: user.departamento, roles: user.roles },
+      total: items.length,
+      items,
+    });
+  } catch (err) {
+    console.error('Error al listar cargos adicionales:', err);
+    return handleErrorResponse(res, 500, 'Error al listar cargos adicionales', err.message);
+  }
+};
+
+/**
+ * POST /users/:userId/assignments
+ * Body: { departamento, role, startsAt?, endsAt?, motivo? }
+ * Agrega un cargo adicional (p.ej. JEFE interino en otro departamento).
+ */
+export const addUserAssignment = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  const { departamento, motivo } = req.body || {};
+  const role = String(req.body?.role || '').trim().toUpperCase();
+  if (!ASSIGNMENT_ROLES.includes(role)) {
+    return handleErrorResponse(res, 400, `Rol inválido. Permitidos: ${ASSIGNMENT_ROLES.join(', ')}`);
+  }
+
+  try {
+    const startsAt = parseDateInput(req.body?.startsAt, 'startsAt') ?? null;
+    const endsAt = parseDateInput(req.body?.endsAt, 'endsAt') ?? null;
+    if (endsAt && endsAt <= new Date()) return handleErrorResponse(res, 400, 'La fecha de fin ya pasó');
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      return handleErrorResponse(res, 400, 'La fecha de fin debe ser posterior a la de inicio');
+    }
+
+    const dept = await resolveActiveDepartment(departamento);
+    if (!dept) return handleErrorResponse(res, 400, `Departamento inválido: ${departamento}`);
+
+    const user = await User.findById(userId);
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+
+    const candidate = { departamento: dept, role, startsAt, endsAt };
+    const conflict = conflictOf(user, candidate);
+    if (conflict) {
+      await logActivity({ req, action: 'USER_ASSIGNMENT_ADD_FAIL', entity: 'USER', entityId: user.id, statusCode: 409, success: false, error: conflict, tags: TAGS });
+      return handleErrorResponse(res, 409, conflict);
+    }
+
+    user.assignments.push({
+      ...candidate,
+      motivo: String(motivo || '').slice(0, 300),
+      createdBy: req.user?.id || null,
+    });
+    await user.save();
+    const [added] = formatAssignments(user.assignments.slice(-1));
+
+    await logActivity({
+      req, action: 'USER_ASSIGNMENT_ADD', entity: 'USER', entityId: user.id,
+      after: added, statusCode: 201, success: true,
+      message: `Cargo adicional ${role} en ${dept}`, tags: TAGS,
+    });
+
+    return res.status(201).json({ success: true, message: 'Cargo adicional agregado', assignment: added });
+  } catch (err) {
+    if (err.status) return handleErrorResponse(res, err.status, err.message);
+    if (err.name === 'ValidationError') return handleErrorResponse(res, 400, 'Datos inválidos', err.message);
+    console.error('Error al agregar cargo adicional:', err);
+    await logActivity({ req, action: 'USER_ASSIGNMENT_ADD_FAIL', entity: 'USER', entityId: userId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al agregar cargo adicional', err.message);
+  }
+};
+
+/**
+ * PATCH /users/:userId/assignments/:assignmentId
+ * Body: { startsAt?, endsAt?, motivo? }  (p.ej. prorrogar o terminar antes un interinato)
+ */
+export const updateUserAssignment = async (req, res) => {
+  const { userId, assignmentId } = req.params;
+  if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(assignmentId)) {
+    return handleErrorResponse(res, 400, 'ID inválido');
+  }
+
+  try {
+    const startsAt = parseDateInput(req.body?.startsAt, 'startsAt');
+    const endsAt = parseDateInput(req.body?.endsAt, 'endsAt');
+
+    const user = await User.findById(userId);
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+    const a = user.assignments.id(assignmentId);
+    if (!a) return handleErrorResponse(res, 404, 'Cargo adicional no encontrado');
+
+    const [before] = formatAssignments([a]);
+    if (typeof startsAt !== 'undefined') a.startsAt = startsAt;
+    if (typeof endsAt !== 'undefined') a.endsAt = endsAt;
+    if (typeof req.body?.motivo !== 'undefined') a.motivo = String(req.body.motivo || '').slice(0, 300);
+
+    if (a.startsAt && a.endsAt && a.endsAt <= a.startsAt) {
+      return handleErrorResponse(res, 400, 'La fecha de fin debe ser posterior a la de inicio');
+    }
+    const conflict = conflictOf(user, a);
+    if (conflict) return handleErrorResponse(res, 409, conflict);
+
+    await user.save();
+    const [after] = formatAssignments([a]);
+
+    await logActivity({
+      req, action: 'USER_ASSIGNMENT_UPDATE', entity: 'USER', entityId: user.id,
+      before, after, statusCode: 200, success: true,
+      message: `Cargo adicional ${a.role} en ${a.departamento} actualizado`, tags: TAGS,
+    });
+
+    return res.status(200).json({ success: true, message: 'Cargo adicional actualizado', assignment: after });
+  } catch (err) {
+    if (err.status) return handleErrorResponse(res, err.status, err.message);
+    if (err.name === 'ValidationError') return handleErrorResponse(res, 400, 'Datos inválidos', err.message);
+    console.error('Error al actualizar cargo adicional:', err);
+    return handleErrorResponse(res, 500, 'Error al actualizar cargo adicional', err.message);
+  }
+};
+
+/**
+ * DELETE /users/:userId/assignments/:assignmentId
+ * Quita el cargo adicional; queda registrado en la bitácora.
+ */
+export const removeUserAssignment = async (req, res) => {
+  const { userId, assignmentId } = req.params;
+  if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(assignmentId)) {
+    return handleErrorResponse(res, 400, 'ID inválido');
+  }
+
+  try {
+    const user = await User.findById(userId);
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+    const a = user.assignments.id(assignmentId);
+    if (!a) return handleErrorResponse(res, 404, 'Cargo adicional no encontrado');
+
+    const [before] = formatAssignments([a]);
+    const wasActive = isActiveAssignment(a);
+    a.deleteOne();
+    await user.save();
+
+    await logActivity({
+      req, action: 'USER_ASSIGNMENT_REMOVE', entity: 'USER', entityId: user.id,
+      before, statusCode: 200, success: true,
+      message: `Cargo adicional ${before.role} en ${before.departamento} retirado`, tags: TAGS,
+    });
+
+    return res.status(200).json({ success: true, message: 'Cargo adicional retirado', removed: before, wasActive });
+  } catch (err) {
+    console.error('Error al retirar cargo adicional:', err);
+    return handleErrorResponse(res, 500, 'Error al retirar cargo adicional', err.message);
+  }
+};
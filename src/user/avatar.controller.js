@@ -0,0 +1,97 @@
+// src/user/avatar.controller.js
+import mongoose from 'mongoose';
+import User, { avatarUrlOf } from './user.model.js';
+import { uploadAvatarToCloudinary, deleteFromCloudinary } from '../middlewares/multer-uploads.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const TAGS = ['user', 'avatar'];
+
+const sanitizeAvatar = (u) => ({
+  avatarUrl: avatarUrlOf(u),
+  sizes: Object.fromEntries((u?.avatar?.variants || []).map((v) => [v.size, v.url])),
+  updatedAt: u?.avatar?.updatedAt || null,
+});
+
+const publicIdsOf = (u) => (u?.avatar?.variants || []).map((v) => v.publicId);
+
+/**
+ * PUT /users/:userId/avatar   (multipart, campo `avatar`: JPEG, PNG o WebP)
+ * Sube la foto recortada en cuadrado en varios tamaños y borra la anterior.
+ */
+export const updateUserAvatar = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) return handleErrorResponse(res, 400, 'ID inválido');
+  if (!req.file) return handleErrorResponse(res, 400, 'Debes adjuntar una imagen en el campo avatar');
+
+  let variants = [];
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      await logActivity({ req, action: 'USER_AVATAR_FAIL', entity: 'USER', entityId: userId, statusCode: 404, success: false, error: 'No encontrado', tags: TAGS });
+      return handleErrorResponse(res, 404, 'Usuario no encontrado');
+    }
+
+    try {
+      variants = await uploadAvatarToCloudinary(req, user.id);
+    } catch (err) {
+      await logActivity({ req, action: 'USER_AVATAR_FAIL', entity: 'USER', entityId: userId, statusCode: 400, success: false, error: err?.message, tags: TAGS });
+      return handleErrorResponse(res, 400, err.message);
+    }
+
+    const previous = publicIdsOf(user);
+    user.avatar = { variants, updatedAt: new Date() };
+    await user.save();
+    variants = [];
+
+    // La foto anterior se borra sólo cuando la nueva ya quedó guardada
+    await deleteFromCloudinary(previous);
+
+    await logActivity({
+      req, action: 'USER_AVATAR_UPDATE', entity: 'USER', entityId: user.id,
+      statusCode: 200, success: true, message: 'Foto de perfil actualizada', tags: TAGS,
+    });
+
+    return res.status(200).json({ success: true, message: 'Foto de perfil actualizada', ...sanitizeAvatar(user) });
+  } catch (err) {
+    // Si no se pudo guardar, no dejar imágenes huérfanas
+    await deleteFromCloudinary(variants.map((v) => v.publicId));
+    console.error('Error al actualizar foto de perfil:', err);
+    await logActivity({ req, action: 'USER_AVATAR_FAIL', entity: 'USER', entityId: userId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al actualizar foto de perfil', err.message);
+  }
+};
+
+/**
+ * DELETE /users/:userId/avatar
+ * Quita la foto de perfil y borra sus imágenes.
+ */
+export const deleteUserAvatar = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const user = await User.findById(userId);
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+
+    const previous = publicIdsOf(user);
+    if (!previous.length) {
+      return res.status(200).json({ success: true, message: 'El usuario no tiene foto de perfil', ...sanitizeAvatar(user) });
+    }
+
+    user.avatar = undefined;
+    await user.save();
+    await deleteFromCloudinary(previous);
+
+    await logActivity({
+      req, action: 'USER_AVATAR_DELETE', entity: 'USER', entityId: user.id,
+      statusCode: 200, success: true, message: 'Foto de perfil eliminada', tags: TAGS,
+    });
+
+    return res.status(200).json({ success: true, message: 'Foto de perfil eliminada', ...sanitizeAvatar(user) });
+  } catch (err) {
+    console.error('Error al eliminar foto de perfil:', err);
+    await logActivity({ req, action: 'USER_AVATAR_FAIL', entity: 'USER', entityId: userId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al eliminar foto de perfil', err.message);
+  }
+};
@@ -0,0 +1,166 @@
+// src/user/import.controller.js
+import User, { ROLES } from './user.model.js';
+import { issueInvitation } from './invitation.controller.js';
+import { emailExists } from '../helpers/db-validators.js';
+import { checkPasswordRules, getPasswordPolicy } from '../helpers/password-policy.js';
+import { csvSeparator } from '../helpers/csv.js';
+import { readSheetRows, sendImportReport } from '../helpers/spreadsheet-import.js';
+import { getDepartmentCatalog } from '../helpers/departments.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const MAX_ROWS = Math.max(1, parseInt(process.env.USER_IMPORT_MAX_ROWS || '1000', 10) || 1000);
+const TAGS = ['user', 'import'];
+
+const norm = (s) => String(s ?? '').trim();
+
+// Encabezados aceptados (sin tildes ni espacios) -> campo
+const HEADER_ALIASES = {
+  email: 'email', correo: 'email', correoelectronico: 'email',
+  nombre: 'nombre', nombrecompleto: 'nombre', name: 'nombre',
+  cargo: 'cargo', puesto: 'cargo',
+  departamento: 'departamento', area: 'departamento',
+  roles: 'roles', rol: 'roles',
+  password: 'password', contrasena: 'password',
+};
+
+// Roles canónicos sin distinguir mayúsculas (como validate-jwt)
+const CANON_ROLES = new Map(ROLES.map((r) => [r.toUpperCase(), r]));
+
+/** Filas del archivo como objetos { row, email, nombre, ... } (row = número de fila en la hoja). */
+const readRows = (file) =>
+  readSheetRows(file, { aliases: HEADER_ALIASES, required: ['email', 'nombre', 'departamento'], maxRows: MAX_ROWS });
+
+/** Valida cada fila (datos, enums, duplicados en el archivo y en la base). Muta `row`. */
+async function validateRows(rows, { mode }) {
+  const rules = mode === 'create' ? await getPasswordPolicy() : null;
+  const catalog = await getDepartmentCatalog();
+  const seen = new Map();
+
+  for (const row of rows) {
+    const errors = [];
+    const email = row.email.toLowerCase();
+
+    if (!/^\S+@\S+\.\S+$/.test(email)) errors.push('Correo inválido');
+    else if (seen.has(email)) errors.push(`Correo repetido en la fila ${seen.get(email)}`);
+    else {
+      seen.set(email, row.row);
+      try {
+        await emailExists(email);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+
+    if (row.nombre.length < 2 || row.nombre.length > 100) errors.push('Nombre inválido (2 a 100 caracteres)');
+    if ((row.cargo || '').length > 120) errors.push('Cargo muy largo (máx. 120)');
+
+    const code = catalog.resolve(row.departamento);
+    const departamento = code && catalog.isActive(code) ? code : null;
+    if (!departamento) errors.push(`Departamento inválido: ${row.departamento || '(vacío)'}`);
+
+    const rawRoles = (row.roles || '').split(/[,;|]/).map(norm).filter(Boolean);
+    const roles = rawRoles.map((r) => CANON_ROLES.get(r.toUpperCase()));
+    const badRoles = rawRoles.filter((_r, i) => !roles[i]);
+    if (badRoles.length) errors.push(`Rol inválido: ${badRoles.join(', ')}`);
+
+    if (mode === 'create') {
+      if (!row.password) errors.push('Contraseña obligatoria en modo create');
+      else errors.push(...checkPasswordRules(row.password, rules, { email, nombre: row.nombre }));
+    }
+
+    Object.assign(row, {
+      email,
+      departamento: departamento || row.departamento,
+      roles: roles.filter(Boolean).length ? [...new Set(roles.filter(Boolean))] : ['LECTOR'],
+      errors,
+      status: errors.length ? 'ERROR' : 'VALID',
+    });
+  }
+}
+
+const REPORT_HEADERS = ['Fila', 'Correo', 'Nombre', 'Cargo', 'Departamento', 'Roles', 'Estado', 'Detalle', 'ID'];
+const reportRow = (r) => [
+  r.row, r.email, r.nombre, r.cargo || '', r.departamento, (r.roles || []).join(', '),
+  r.status, (r.errors || []).join('; '), r.id ? String(r.id) : '',
+];
+
+const sendReport = (res, rows, format, sep) =>
+  sendImportReport(res, { name: 'importacion_usuarios', headers: REPORT_HEADERS, rows: rows.map(reportRow), format, sep });
+
+/**
+ * POST /users/import?dryRun=true|false&mode=invite|create&report=json|csv|xlsx&sep=;
+ * multipart: file (.csv o .xlsx). Columnas: email, nombre, departamento, cargo?, roles?, password? (sólo create).
+ *
+ * - dryRun (por defecto true): sólo valida y devuelve el resultado por fila.
+ * - mode=invite (por defecto): crea las cuentas sin contraseña y envía la invitación.
+ *   mode=create: crea cuentas activas con la contraseña de la fila.
+ * Las filas con errores se omiten en la ejecución real; el resto se procesa.
+ * `report=csv|xlsx` devuelve el resultado como archivo descargable.
+ */
+export const importUsers = async (req, res) => {
+  const dryRun = String(req.query.dryRun ?? 'true').toLowerCase() !== 'false';
+  const mode = String(req.query.mode || 'invite').toLowerCase();
+  const report = String(req.query.report || 'json').toLowerCase();
+
+  if (!['invite', 'create'].includes(mode)) return handleErrorResponse(res, 400, 'mode inválido (invite, create)');
+  if (!['json', 'csv', 'xlsx'].includes(report)) return handleErrorResponse(res, 400, 'report inválido (json, csv, xlsx)');
+  if (!req.file?.buffer) return handleErrorResponse(res, 400, 'Adjunta el archivo en el campo "file"');
+
+  try {
+    const rows = readRows(req.file);
+    await validateRows(rows, { mode });
+
+    if (!dryRun) {
+      for (const row of rows.filter((r) => r.status === 'VALID')) {
+        try {
+          const base = { email: row.email, nombre: row.nombre, cargo: row.cargo || '', departamento: row.departamento, roles: row.roles };
+          if (mode === 'create') {
+            const user = await User.create({ ...base, password: row.password, isActive: true });
+            Object.assign(row, { id: user._id, status: 'CREATED' });
+          } else {
+            const user = await User.create({ ...base, isActive: false, pendingInvitation: true });
+            const { mail } = await issueInvitation(user, req);
+            Object.assign(row, { id: user._id, status: 'INVITED' });
+            if (!mail?.success) row.errors.push('Invitación creada, pero no se pudo enviar el correo');
+          }
+        } catch (e) {
+          row.status = 'FAILED';
+          row.errors.push(e?.code === 11000 ? 'El email ya está en uso' : e.message);
+        }
+      }
+    }
+
+    // La contraseña no sale en la respuesta ni en el reporte
+    rows.forEach((r) => { delete r.password; });
+
+    const summary = rows.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), { total: rows.length });
+
+    await logActivity({
+      req, action: dryRun ? 'USER_IMPORT_DRY_RUN' : 'USER_IMPORT',
+      statusCode: 200, success: true, tags: TAGS,
+      message: `${req.file.originalname} (${mode}): ${JSON.stringify(summary)}`,
+    });
+
+    if (report !== 'json') return sendReport(res, rows, report, csvSeparator(req.query.sep));
+
+    return res.status(200).json({
+      success: true,
+      message: dryRun ? 'Validación completada (sin cambios)' : 'Importación completada',
+      dryRun,
+      mode,
+      summary,
+      rows: rows.map(({ row, email, nombre, cargo, departamento, roles, status, errors, id }) => ({
+        row, email, nombre, cargo: cargo || '', departamento, roles, status, errors, ...(id ? { id } : {}),
+      })),
+    });
+  } catch (err) {
+    if (err.status) {
+      await logActivity({ req, action: 'USER_IMPORT_FAIL', statusCode: err.status, success: false, error: err.message, tags: TAGS });
+      return handleErrorResponse(res, err.status, err.message);
+    }
+    console.error('Error al importar usuarios:', err);
+    await logActivity({ req, action: 'USER_IMPORT_FAIL', statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al importar usuarios', err.message);
+  }
+};
@@ -0,0 +1,375 @@
+// src/user/invitation.controller.js
+import mongoose from 'mongoose';
+import User, { ROLES } from './user.model.js';
+import Invitation, { invitationStatus } from './invitation.model.js';
+import { generateJWT, verifyJWT, TOKEN_TYP } from '../helpers/generate-jwt.js';
+import { assertPasswordAllowed } from '../helpers/password-policy.js';
+import { sendInvitation } from '../helpers/mailer.js';
+import { resolveActiveDepartment } from '../helpers/departments.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const INVITATION_DAYS = Math.max(1, parseInt(process.env.INVITATION_EXPIRES_DAYS || '7', 10) || 7);
+const TAGS = ['user', 'invitation'];
+
+// Pantalla del frontend que recibe #token=... (fragmento: no llega a servidores ni a la bitácora)
+const acceptUrl = () =>
+  process.env.INVITATION_ACCEPT_URL ||
+  `${String(process.env.APP_PUBLIC_URL || '').replace(/\/+$/, '')}/activar-cuenta`;
+
+const sanitizeInvitation = (inv) => {
+  if (!inv) return null;
+  const user = inv.user && typeof inv.user === 'object' && inv.user.email ? inv.user : null;
+  const invitedBy = inv.invitedBy && typeof inv.invitedBy === 'object' && inv.invitedBy.email ? inv.invitedBy : null;
+  return {
+    id: inv._id || inv.id,
+    email: inv.email,
+    status: invitationStatus(inv),
+    expiresAt: inv.expiresAt,
+    usedAt: inv.usedAt,
+    revokedAt: inv.revokedAt,
+    revokedReason: inv.revokedReason || '',
+    user: user ? { id: user._id, nombre: user.nombre, email: user.email } : inv.user,
+    invitedBy: invitedBy ? { id: invitedBy._id, nombre: invitedBy.nombre, email: invitedBy.email } : inv.invitedBy,
+    replaces: inv.replaces || null,
+    createdAt: inv.createdAt,
+  };
+};
+
+/**
+ * Crea la invitación, firma el enlace y envía el correo.
+ * @returns {Promise<{ invitation, mail }>}
+ */
+export async function issueInvitation(user, req, { replaces = null } = {}) {
+  const expiresAt = new Date(Date.now() + INVITATION_DAYS * 86400000);
+  const invitation = await Invitation.create({
+    user: user._id,
+    email: user.email,
+    expiresAt,
+    invitedBy: req.user?.id || null,
+    replaces,
+  });
+
+  const token = await generateJWT(
+    user._id,
+    { typ: TOKEN_TYP.INVITATION, inv: String(invitation._id) },
+    { expiresIn: `${INVITATION_DAYS}d` }
+  );
+  const link = `${acceptUrl()}#token=${encodeURIComponent(token)}`;
+
+  const mail = await sendInvitation({
+    to: user.email,
+    nombre: user.nombre,
+    link,
+    expiresAt,
+    invitedBy: { nombre: req.user?.nombre, email: req.user?.email },
+  });
+
+  return { invitation, mail };
+}
+
+/** Revoca las invitaciones vigentes del usuario (p.ej. al eliminarlo). @returns {Promise<number>} */
+export async function revokeUserInvitations(userId, reason) {
+  const r = await Invitation.updateMany(
+    { user: userId, usedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return r.modifiedCount || 0;
+}
+
+/* ============================ Admin ============================ */
+
+/**
+ * POST /users/invite
+ * Body: { email, nombre, departamento, cargo?, roles? }
+ * Crea el usuario inactivo (sin contraseña) y le envía el enlace de activación.
+ */
+export const inviteUser = async (req, res) => {
+  const { email, nombre, cargo, departamento, roles } = req.body || {};
+  if (!email || !nombre || !departamento) {
+    await logActivity({ req, action: 'USER_INVITE_FAIL', statusCode: 400, success: false, error: 'Faltan campos obligatorios', tags: TAGS });
+    return handleErrorResponse(res, 400, 'email, nombre y departamento son obligatorios');
+  }
+  if (Array.isArray(roles)) {
+    const invalid = roles.filter((r) => !ROLES.includes(r));
+    if (invalid.length) return handleErrorResponse(res, 400, `Rol inválido: ${invalid.join(', ')}`);
+  }
+
+  try {
+    const dept = await resolveActiveDepartment(departamento);
+    if (!dept) return handleErrorResponse(res, 400, `Departamento inválido: ${departamento}`);
+
+    const existing = await User.findOne({ email }).collation({ locale: 'en', strength: 2 }).lean();
+    if (existing) {
+      const msg = existing.pendingInvitation
+        ? 'El usuario ya tiene una invitación; usa reenviar'
+        : 'El email ya está en uso';
+      await logActivity({ req, action: 'USER_INVITE_FAIL', entity: 'USER', entityId: existing._id, statusCode: 409, success: false, error: msg, tags: TAGS });
+      return handleErrorResponse(res, 409, msg);
+    }
+
+    const user = await User.create({
+      email, nombre, cargo, departamento: dept,
+      roles: Array.isArray(roles) && roles.length ? roles : undefined,
+      isActive: false,
+      pendingInvitation: true,
+    });
+
+    const { invitation, mail } = await issueInvitation(user, req);
+
+    await logActivity({
+      req, action: 'USER_INVITE', entity: 'USER', entityId: user._id,
+      statusCode: 201, success: true, tags: TAGS,
+      message: `Invitación enviada a ${user.email}${mail?.success ? '' : ' (correo no enviado)'}`,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: mail?.success ? 'Invitación enviada' : 'Invitación creada, pero no se pudo enviar el correo',
+      mailSent: Boolean(mail?.success),
+      invitation: sanitizeInvitation(invitation.toObject()),
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      await logActivity({ req, action: 'USER_INVITE_FAIL', statusCode: 409, success: false, error: 'Duplicado: email', tags: TAGS });
+      return handleErrorResponse(res, 409, 'El email ya está en uso');
+    }
+    if (err?.name === 'ValidationError') {
+      return handleErrorResponse(res, 400, err.message);
+    }
+    console.error('Error al invitar usuario:', err);
+    await logActivity({ req, action: 'USER_INVITE_FAIL', statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al invitar usuario', err.message);
+  }
+};
+
+/**
+ * GET /users/invitations?status=PENDING|EXPIRED|ACCEPTED|REVOKED&email=&page=&limit=
+ */
+export const listInvitations = async (req, res) => {
+  try {
+    const { status, email, page = '1', limit = '20' } = req.query;
+    const now = new Date();
+    const filter = {};
+
+    switch (String(status || '').toUpperCase()) {
+      case 'ACCEPTED': filter.usedAt = { $ne: null }; break;
+      case 'REVOKED':  Object.assign(filter, { usedAt: null, revokedAt: { $ne: null } }); break;
+      case 'EXPIRED':  Object.assign(filter, { usedAt: null, revokedAt: null, expiresAt: { $lte: now } }); break;
+      case 'PENDING':  Object.assign(filter, { usedAt: null, revokedAt: null, expiresAt: { $gt: now } }); break;
+      case '': break;
+      default: return handleErrorResponse(res, 400, 'status inválido (PENDING, EXPIRED, ACCEPTED, REVOKED)');
+    }
+    if (email && String(email).trim()) {
+      filter.email = new RegExp(String(email).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    const p = Math.max(parseInt(page, 10) || 1, 1);
+    const l = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [total, docs] = await Promise.all([
+      Invitation.countDocuments(filter),
+      Invitation.find(filter)
+        .sort('-createdAt')
+        .skip((p - 1) * l)
+        .limit(l)
+        .populate('user', 'nombre email')
+        .populate('invitedBy', 'nombre email')
+        .lean(),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      pagination: { page: p, limit: l, total, pages: Math.ceil(total / l) || 1 },
+      invitations: docs.map(sanitizeInvitation),
+    });
+  } catch (err) {
+    console.error('Error al listar invitaciones:', err);
+    return handleErrorResponse(res, 500, 'Error al listar invitaciones', err.message);
+  }
+};
+
+/**
+ * POST /users/invitations/:invitationId/resend
+ * Anula la invitación (si seguía pendiente) y envía una nueva con otro enlace.
+ */
+export const resendInvitation = async (req, res) => {
+  const { invitationId } = req.params;
+  if (!mongoose.isValidObjectId(invitationId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const prev = await Invitation.findById(invitationId);
+    if (!prev) {
+      await logActivity({ req, action: 'USER_INVITE_RESEND_FAIL', entity: 'INVITATION', entityId: invitationId, statusCode: 404, success: false, error: 'No encontrada', tags: TAGS });
+      return handleErrorResponse(res, 404, 'Invitación no encontrada');
+    }
+
+    const user = await User.findById(prev.user);
+    if (!user || !user.pendingInvitation) {
+      await logActivity({ req, action: 'USER_INVITE_RESEND_FAIL', entity: 'INVITATION', entityId: invitationId, statusCode: 409, success: false, error: 'Usuario ya activado o eliminado', tags: TAGS });
+      return handleErrorResponse(res, 409, 'El usuario ya activó su cuenta o no existe');
+    }
+
+    if (!prev.usedAt && !prev.revokedAt) {
+      prev.revokedAt = new Date();
+      prev.revokedReason = 'Reenviada';
+      await prev.save();
+    }
+
+    const { invitation, mail } = await issueInvitation(user, req, { replaces: prev._id });
+
+    await logActivity({
+      req, action: 'USER_INVITE_RESEND', entity: 'USER', entityId: user._id,
+      statusCode: 201, success: true, tags: TAGS,
+      message: `Invitación reenviada a ${user.email}${mail?.success ? '' : ' (correo no enviado)'}`,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: mail?.success ? 'Invitación reenviada' : 'Invitación creada, pero no se pudo enviar el correo',
+      mailSent: Boolean(mail?.success),
+      invitation: sanitizeInvitation(invitation.toObject()),
+    });
+  } catch (err) {
+    console.error('Error al reenviar invitación:', err);
+    await logActivity({ req, action: 'USER_INVITE_RESEND_FAIL', entity: 'INVITATION', entityId: invitationId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al reenviar invitación', err.message);
+  }
+};
+
+/**
+ * DELETE /users/invitations/:invitationId
+ * Revoca una invitación pendiente (el enlace deja de funcionar).
+ */
+export const revokeInvitation = async (req, res) => {
+  const { invitationId } = req.params;
+  if (!mongoose.isValidObjectId(invitationId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const inv = await Invitation.findOneAndUpdate(
+      { _id: invitationId, usedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'Revocada por administrador' } },
+      { new: true }
+    ).lean();
+    if (!inv) {
+      await logActivity({ req, action: 'USER_INVITE_REVOKE_FAIL', entity: 'INVITATION', entityId: invitationId, statusCode: 404, success: false, error: 'No encontrada o ya cerrada', tags: TAGS });
+      return handleErrorResponse(res, 404, 'Invitación no encontrada, ya aceptada o ya revocada');
+    }
+
+    await logActivity({ req, action: 'USER_INVITE_REVOKE', entity: 'INVITATION', entityId: inv._id, statusCode: 200, success: true, message: `Invitación de ${inv.email} revocada`, tags: TAGS });
+
+    return res.status(200).json({ success: true, message: 'Invitación revocada', invitation: sanitizeInvitation(inv) });
+  } catch (err) {
+    console.error('Error al revocar invitación:', err);
+    await logActivity({ req, action: 'USER_INVITE_REVOKE_FAIL', entity: 'INVITATION', entityId: invitationId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al revocar invitación', err.message);
+  }
+};
+
+/* ============================ Público (invitado) ============================ */
+
+const INVALID_LINK = 'El enlace de invitación es inválido o expiró';
+
+/**
+ * Valida token + invitación vigente + usuario pendiente.
+ * @returns {Promise<{ invitation, user }|null>}
+ */
+async function loadPendingInvitation(token, { withPassword = false } = {}) {
+  let payload;
+  try {
+    payload = await verifyJWT(token, { typ: TOKEN_TYP.INVITATION });
+  } catch {
+    return null;
+  }
+  if (!mongoose.isValidObjectId(payload.inv)) return null;
+
+  const invitation = await Invitation.findById(payload.inv).lean();
+  if (!invitation || invitationStatus(invitation) !== 'PENDING') return null;
+  if (String(invitation.user) !== String(payload.uid)) return null;
+
+  const user = await User.findById(payload.uid).select(withPassword ? '+password +passwordHistory' : '');
+  if (!user || !user.pendingInvitation || user.deletedAt) return null;
+
+  return { invitation, user };
+}
+
+/**
+ * GET /auth/invitation   (header X-Invitation-Token)
+ * Datos para la pantalla de activación. El token nunca va en la URL (quedaría en logs y bitácora).
+ */
+export const getInvitationByToken = async (req, res) => {
+  try {
+    const found = await loadPendingInvitation(req.header('x-invitation-token'));
+    if (!found) return handleErrorResponse(res, 400, INVALID_LINK);
+
+    return res.status(200).json({
+      success: true,
+      invitation: {
+        email: found.user.email,
+        nombre: found.user.nombre,
+        expiresAt: found.invitation.expiresAt,
+      },
+    });
+  } catch (err) {
+    console.error('Error en GET /auth/invitation:', err);
+    return handleErrorResponse(res, 500, 'Error al validar invitación', err.message);
+  }
+};
+
+/**
+ * POST /auth/invitation/accept
+ * Body: { token, password }. Define la contraseña y activa la cuenta (un solo uso).
+ */
+export const acceptInvitation = async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) {
+    return handleErrorResponse(res, 400, 'token y password son obligatorios');
+  }
+
+  try {
+    const found = await loadPendingInvitation(token, { withPassword: true });
+    if (!found) {
+      await logActivity({ req, action: 'USER_INVITE_ACCEPT_FAIL', entity: 'INVITATION', statusCode: 400, success: false, error: 'Enlace inválido o expirado', tags: TAGS });
+      return handleErrorResponse(res, 400, INVALID_LINK);
+    }
+    const { invitation, user } = found;
+
+    try {
+      await assertPasswordAllowed(user, password);
+    } catch (policyErr) {
+      if (!policyErr.status) throw policyErr;
+      await logActivity({ req, action: 'USER_INVITE_ACCEPT_FAIL', entity: 'USER', entityId: user._id, statusCode: policyErr.status, success: false, error: 'Contraseña fuera de política', tags: TAGS });
+      return handleErrorResponse(res, policyErr.status, policyErr.message, policyErr.details);
+    }
+
+    // Uso único aunque lleguen dos peticiones a la vez
+    const usedAt = new Date();
+    const claimed = await Invitation.updateOne(
+      { _id: invitation._id, usedAt: null, revokedAt: null },
+      { $set: { usedAt } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return handleErrorResponse(res, 400, INVALID_LINK);
+    }
+
+    try {
+      await user.setPassword(password);
+      user.pendingInvitation = false;
+      user.isActive = true;
+      await user.save();
+    } catch (saveErr) {
+      // Sin transacción (Mongo puede correr sin réplica): si no se activó la cuenta, el enlace sigue sirviendo
+      await Invitation.updateOne({ _id: invitation._id, usedAt }, { $set: { usedAt: null } })
+        .catch((e) => console.error('[Invitation] No se pudo liberar el enlace:', e?.message || e));
+      throw saveErr;
+    }
+
+    await logActivity({ req, action: 'USER_INVITE_ACCEPT', entity: 'USER', entityId: user._id, statusCode: 200, success: true, message: 'Cuenta activada', tags: TAGS });
+
+    return res.status(200).json({ success: true, message: 'Cuenta activada. Ya puedes iniciar sesión.' });
+  } catch (err) {
+    console.error('Error al aceptar invitación:', err);
+    await logActivity({ req, action: 'USER_INVITE_ACCEPT_FAIL', entity: 'INVITATION', statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al activar la cuenta', err.message);
+  }
+};
@@ -0,0 +1,50 @@
+// src/user/invitation.model.js
+import mongoose from 'mongoose';
+
+/**
+ * Invitación de alta: el usuario invitado define su propia contraseña.
+ * El enlace lleva un JWT firmado (typ 'invite', claim `inv` = _id de esta invitación);
+ * aquí se controla el uso único (usedAt) y la revocación.
+ */
+const InvitationSchema = new mongoose.Schema(
+  {
+    user:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    email: { type: String, required: true, lowercase: true, trim: true, index: true },
+
+    expiresAt: { type: Date, required: true },
+    usedAt:    { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, trim: true, default: '' },
+
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Reenvío: la invitación nueva apunta a la que reemplaza
+    replaces: { type: mongoose.Schema.Types.ObjectId, ref: 'Invitation', default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_doc, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        return ret;
+      },
+    },
+  }
+);
+
+/** Estado derivado: ACCEPTED | REVOKED | EXPIRED | PENDING */
+export function invitationStatus(inv, now = new Date()) {
+  if (inv?.usedAt) return 'ACCEPTED';
+  if (inv?.revokedAt) return 'REVOKED';
+  if (new Date(inv?.expiresAt) <= now) return 'EXPIRED';
+  return 'PENDING';
+}
+
+InvitationSchema.virtual('status').get(function () {
+  return invitationStatus(this);
+});
+
+const Invitation = mongoose.model('Invitation', InvitationSchema);
+export default Invitation;
@@ -0,0 +1,160 @@
+// src/user/offboarding.controller.js
+import mongoose from 'mongoose';
+import User, { isRegistrationBlocked } from './user.model.js';
+import TransferRequest from '../Inventory/transferRequest.model.js';
+import { reassignOpenCorrespondencia } from '../correspondencia/correspondencia.controller.js';
+import { getUserHoldings, planHandover, revokeUserDelegations } from '../helpers/user-holdings.js';
+import { invalidateUserTokens } from '../helpers/refresh-tokens.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const TAGS = ['user', 'offboarding'];
+
+const userRef = (u) => (u ? { id: u._id, nombre: u.nombre, email: u.email, departamento: u.departamento } : null);
+
+const summarize = (h) => ({
+  inventory: h.inventory.length,
+  transfers: h.transfers.length,
+  correspondencia: h.correspondencia.length,
+  delegations: h.delegations.length,
+  blocking: h.blocking,
+  canDelete: h.blocking === 0,
+});
+
+// Motivo por el que `successor` no puede recibir los pendientes, o null
+function successorProblem(successor) {
+  if (!successor || successor.isActive === false || successor.deletedAt) return 'El sucesor no existe o está inactivo';
+  if (successor.pendingInvitation) return 'El sucesor aún no activa su cuenta (invitación pendiente)';
+  if (isRegistrationBlocked(successor)) return 'El sucesor tiene el registro pendiente de aprobación o rechazado';
+  return null;
+}
+
+/**
+ * GET /users/:userId/offboarding
+ * Todo lo que el usuario tiene a su cargo y si ya se puede eliminar.
+ */
+export const getUserOffboarding = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const user = await User.findById(userId).select('email nombre departamento isActive deletedAt').lean();
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+
+    const holdings = await getUserHoldings(user._id);
+    return res.status(200).json({
+      success: true,
+      user: { ...userRef(user), isActive: user.isActive, deletedAt: user.deletedAt || null },
+      summary: summarize(holdings),
+      ...holdings,
+    });
+  } catch (err) {
+    console.error('Error al obtener pendientes del usuario:', err);
+    return handleErrorResponse(res, 500, 'Error al obtener pendientes del usuario', err.message);
+  }
+};
+
+/**
+ * POST /users/:userId/offboarding
+ * Body: { successorId, motivo?, deactivate?: true }
+ * - Bienes: crea una solicitud de traslado al sucesor por cada bien sin una pendiente
+ *   (se aprueban por el flujo normal, con documento firmado).
+ * - Traslados pendientes hacia el usuario: pasan al sucesor (los que vienen del propio
+ *   sucesor se rechazan), así ninguno termina entregando bienes a la cuenta dada de baja.
+ * - Correspondencia abierta: se reasigna al sucesor en el acto.
+ * - Delegaciones: se revocan. Por defecto también desactiva la cuenta.
+ */
+export const offboardUser = async (req, res) => {
+  const { userId } = req.params;
+  const { successorId, motivo } = req.body || {};
+  const deactivate = req.body?.deactivate !== false;
+  if (!mongoose.isValidObjectId(userId)) return handleErrorResponse(res, 400, 'ID inválido');
+  if (!mongoose.isValidObjectId(successorId)) return handleErrorResponse(res, 400, 'successorId es obligatorio');
+  if (String(userId) === String(successorId)) return handleErrorResponse(res, 400, 'El sucesor debe ser otro usuario');
+
+  try {
+    const [user, successor] = await Promise.all([User.findById(userId), User.findById(successorId).lean()]);
+    if (!user) {
+      await logActivity({ req, action: 'USER_OFFBOARD_FAIL', entity: 'USER', entityId: userId, statusCode: 404, success: false, error: 'No encontrado', tags: TAGS });
+      return handleErrorResponse(res, 404, 'Usuario no encontrado');
+    }
+    const problem = successorProblem(successor);
+    if (problem) {
+      await logActivity({ req, action: 'USER_OFFBOARD_FAIL', entity: 'USER', entityId: userId, statusCode: 409, success: false, error: `Sucesor inválido: ${problem}`, tags: TAGS });
+      return handleErrorResponse(res, 409, problem);
+    }
+
+    const holdings = await getUserHoldings(user._id);
+    const plan = planHandover(holdings, user._id, successor._id);
+    const label = user.nombre || user.email;
+
+    // Bienes: una solicitud de traslado por bien, salvo que ya haya una pendiente
+    const { toTransfer } = plan;
+    const transfers = toTransfer.length
+      ? await TransferRequest.insertMany(toTransfer.map((it) => ({
+        item: it._id,
+        fromUser: user._id,
+        toUser: successor._id,
+        motivo: String(motivo || `Baja de ${label}`).slice(0, 500),
+        status: 'PENDING',
+        createdBy: req.user?.id || null,
+      })))
+      : [];
+
+    // Traslados pendientes hacia el usuario
+    if (plan.retarget.length) {
+      await TransferRequest.updateMany(
+        { _id: { $in: plan.retarget.map((t) => t._id) }, status: 'PENDING' },
+        { $set: { toUser: successor._id } }
+      );
+    }
+    if (plan.reject.length) {
+      await TransferRequest.updateMany(
+        { _id: { $in: plan.reject.map((t) => t._id) }, status: 'PENDING' },
+        { $set: { status: 'REJECTED', rejectionReason: `Baja de ${label}: el sucesor ya es el responsable`, decidedBy: req.user?.id || null, decidedAt: new Date() } }
+      );
+    }
+
+    const correspondencia = await reassignOpenCorrespondencia(user, successor, req.user);
+    const delegationsRevoked = await revokeUserDelegations(user._id, req.user?.id || null);
+
+    const wasActive = user.isActive;
+    if (deactivate && wasActive) {
+      user.isActive = false;
+      await user.save();
+      await invalidateUserTokens(user, 'Baja de usuario');
+    }
+
+    const warnings = [];
+    if (correspondencia.length && successor.departamento !== user.departamento) {
+      warnings.push(`El sucesor pertenece a ${successor.departamento}: los expedientes conservan su departamento actual`);
+    }
+
+    const after = await getUserHoldings(user._id);
+    const result = {
+      successor: userRef(successor),
+      transfersCreated: transfers.map((t) => ({ id: t._id, item: t.item })),
+      transfersRetargeted: plan.retarget.map((t) => t._id),
+      transfersRejected: plan.reject.map((t) => t._id),
+      correspondenciaReassigned: correspondencia,
+      delegationsRevoked,
+      deactivated: deactivate && wasActive,
+      summary: summarize(after),
+      warnings,
+    };
+
+    await logActivity({
+      req, action: 'USER_OFFBOARD', entity: 'USER', entityId: user.id,
+      after: { ...result, correspondenciaReassigned: correspondencia.length },
+      statusCode: 200, success: true,
+      message: `Baja hacia ${successor.nombre || successor.email}: ${transfers.length} traslados, ${plan.retarget.length} redirigidos, ${plan.reject.length} rechazados, ${correspondencia.length} expedientes`,
+      tags: TAGS,
+    });
+
+    return res.status(200).json({ success: true, message: 'Baja en proceso', ...result });
+  } catch (err) {
+    console.error('Error en la baja de usuario:', err);
+    await logActivity({ req, action: 'USER_OFFBOARD_FAIL', entity: 'USER', entityId: userId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error en la baja de usuario', err.message);
+  }
+};
@@ -0,0 +1,190 @@
+// src/user/registration.controller.js
+import mongoose from 'mongoose';
+import User, { ROLES, REGISTRATION_STATUS } from './user.model.js';
+import { sendRegistrationApproved, sendRegistrationRejected } from '../helpers/mailer.js';
+import { resolveActiveDepartment } from '../helpers/departments.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+import { logActivity } from '../movements/movement.controller.js';
+
+const TAGS = ['user', 'registration'];
+
+const sanitizeRegistration = (u) => {
+  if (!u) return null;
+  const reviewer = u.registration?.reviewedBy && typeof u.registration.reviewedBy === 'object' && u.registration.reviewedBy.email
+    ? u.registration.reviewedBy
+    : null;
+  return {
+    id: u._id || u.id,
+    email: u.email,
+    nombre: u.nombre,
+    cargo: u.cargo,
+    departamento: u.departamento,
+    roles: u.roles,
+    status: u.registration?.status || null,
+    requestedAt: u.registration?.requestedAt || null,
+    reviewedAt: u.registration?.reviewedAt || null,
+    reviewedBy: reviewer
+      ? { id: reviewer._id, nombre: reviewer.nombre, email: reviewer.email }
+      : (u.registration?.reviewedBy || null),
+    rejectionReason: u.registration?.rejectionReason || '',
+  };
+};
+
+/**
+ * Carga la solicitud PENDING o responde el error (y devuelve null).
+ */
+async function loadPending(req, res, userId, failAction) {
+  if (!mongoose.isValidObjectId(userId)) {
+    handleErrorResponse(res, 400, 'ID inválido');
+    return null;
+  }
+  const user = await User.findById(userId);
+  if (!user || !user.registration?.status) {
+    await logActivity({ req, action: failAction, entity: 'USER', entityId: userId, statusCode: 404, success: false, error: 'Solicitud no encontrada', tags: TAGS });
+    handleErrorResponse(res, 404, 'Solicitud de registro no encontrada');
+    return null;
+  }
+  if (user.registration.status !== 'PENDING') {
+    await logActivity({ req, action: failAction, entity: 'USER', entityId: userId, statusCode: 409, success: false, error: `Solicitud ${user.registration.status}`, tags: TAGS });
+    handleErrorResponse(res, 409, 'La solicitud ya fue revisada');
+    return null;
+  }
+  return user;
+}
+
+/**
+ * GET /users/registrations?status=PENDING|APPROVED|REJECTED&departamento=&page=&limit=
+ * Bandeja de solicitudes de autoregistro (por defecto las pendientes, más antiguas primero).
+ */
+export const listRegistrations = async (req, res) => {
+  try {
+    const { status = 'PENDING', departamento, page = '1', limit = '20' } = req.query;
+    const st = String(status).toUpperCase();
+    if (!REGISTRATION_STATUS.includes(st)) {
+      return handleErrorResponse(res, 400, `status inválido (${REGISTRATION_STATUS.join(', ')})`);
+    }
+
+    const filter = { 'registration.status': st };
+    if (departamento) filter.departamento = String(departamento);
+
+    const p = Math.max(parseInt(page, 10) || 1, 1);
+    const l = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [total, docs] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .sort(st === 'PENDING' ? 'registration.requestedAt' : '-registration.reviewedAt')
+        .skip((p - 1) * l)
+        .limit(l)
+        .populate('registration.reviewedBy', 'nombre email')
+        .lean(),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      pagination: { page: p, limit: l, total, pages: Math.ceil(total / l) || 1 },
+      registrations: docs.map(sanitizeRegistration),
+    });
+  } catch (err) {
+    console.error('Error al listar solicitudes de registro:', err);
+    return handleErrorResponse(res, 500, 'Error al listar solicitudes de registro', err.message);
+  }
+};
+
+/**
+ * POST /users/registrations/:userId/approve
+ * Body: { roles, departamento? }. Asigna roles, confirma (o corrige) el departamento,
+ * activa la cuenta y avisa por correo.
+ */
+export const approveRegistration = async (req, res) => {
+  const { userId } = req.params;
+  const { roles, departamento } = req.body || {};
+
+  if (!Array.isArray(roles) || roles.length === 0) {
+    return handleErrorResponse(res, 400, 'roles debe ser un arreglo no vacío');
+  }
+  const invalid = roles.filter((r) => !ROLES.includes(r));
+  if (invalid.length) return handleErrorResponse(res, 400, `Rol inválido: ${invalid.join(', ')}`);
+
+  try {
+    const dept = departamento ? await resolveActiveDepartment(departamento) : null;
+    if (departamento && !dept) return handleErrorResponse(res, 400, `Departamento inválido: ${departamento}`);
+
+    const user = await loadPending(req, res, userId, 'USER_REGISTRATION_APPROVE_FAIL');
+    if (!user) return;
+
+    const before = sanitizeRegistration(user.toJSON());
+    user.roles = [...new Set(roles)];
+    if (dept) user.departamento = dept;
+    user.isActive = true;
+    user.registration.status = 'APPROVED';
+    user.registration.reviewedBy = req.user.id;
+    user.registration.reviewedAt = new Date();
+    await user.save();
+
+    const mail = await sendRegistrationApproved({
+      to: user.email,
+      nombre: user.nombre,
+      departamento: user.departamento,
+      roles: user.roles,
+    });
+
+    await logActivity({
+      req, action: 'USER_REGISTRATION_APPROVE', entity: 'USER', entityId: user._id,
+      before, after: sanitizeRegistration(user.toJSON()),
+      statusCode: 200, success: true, tags: TAGS,
+      message: `Registro aprobado (${user.departamento}; ${user.roles.join(', ')})${mail?.success ? '' : ' (correo no enviado)'}`,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Solicitud aprobada',
+      mailSent: Boolean(mail?.success),
+      registration: sanitizeRegistration(user.toJSON()),
+    });
+  } catch (err) {
+    console.error('Error al aprobar registro:', err);
+    await logActivity({ req, action: 'USER_REGISTRATION_APPROVE_FAIL', entity: 'USER', entityId: userId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al aprobar la solicitud', err.message);
+  }
+};
+
+/**
+ * POST /users/registrations/:userId/reject
+ * Body: { reason? }. La cuenta sigue inactiva; el solicitante puede volver a registrarse.
+ */
+export const rejectRegistration = async (req, res) => {
+  const { userId } = req.params;
+  const reason = String(req.body?.reason || '').trim().slice(0, 500);
+
+  try {
+    const user = await loadPending(req, res, userId, 'USER_REGISTRATION_REJECT_FAIL');
+    if (!user) return;
+
+    user.isActive = false;
+    user.registration.status = 'REJECTED';
+    user.registration.reviewedBy = req.user.id;
+    user.registration.reviewedAt = new Date();
+    user.registration.rejectionReason = reason;
+    await user.save();
+
+    const mail = await sendRegistrationRejected({ to: user.email, nombre: user.nombre, reason });
+
+    await logActivity({
+      req, action: 'USER_REGISTRATION_REJECT', entity: 'USER', entityId: user._id,
+      statusCode: 200, success: true, tags: TAGS,
+      message: `Registro rechazado${reason ? `: ${reason}` : ''}${mail?.success ? '' : ' (correo no enviado)'}`,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Solicitud rechazada',
+      mailSent: Boolean(mail?.success),
+      registration: sanitizeRegistration(user.toJSON()),
+    });
+  } catch (err) {
+    console.error('Error al rechazar registro:', err);
+    await logActivity({ req, action: 'USER_REGISTRATION_REJECT_FAIL', entity: 'USER', entityId: userId, statusCode: 500, success: false, error: err?.message, tags: TAGS });
+    return handleErrorResponse(res, 500, 'Error al rechazar la solicitud', err.message);
+  }
+};
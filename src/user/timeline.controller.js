@@ -0,0 +1,263 @@
+// src/user/timeline.controller.js
+import mongoose from 'mongoose';
+import User from './user.model.js';
+import Movement from '../movements/movement.model.js';
+import Correspondencia from '../correspondencia/correspondencia.model.js';
+import TransferRequest from '../Inventory/transferRequest.model.js';
+import Cardex from '../cardex/cardex.model.js';
+import Mural from '../mural/mural.model.js';
+import { handleErrorResponse } from '../helpers/handleResponse.js';
+
+export const TIMELINE_MODULES = Object.freeze(['audit', 'correspondencia', 'inventory', 'cardex', 'mural']);
+
+const TZ = 'America/Guatemala';
+const dayOf = (d) => new Intl.DateTimeFormat('en-CA', { timeZone: TZ }).format(d); // YYYY-MM-DD
+
+// Margen por fuente para eventos con el mismo milisegundo que el cursor
+const TIE_MARGIN = 20;
+
+/* ---------------------------- Cursor ---------------------------- */
+// Opaco: base64url de "<ISO>|<key>". Orden: at desc, key desc.
+const encodeCursor = (e) => Buffer.from(`${e.at.toISOString()}|${e.key}`).toString('base64url');
+
+function decodeCursor(raw) {
+  if (!raw) return null;
+  const [iso, key] = Buffer.from(String(raw), 'base64url').toString('utf8').split('|');
+  const at = new Date(iso);
+  if (!key || Number.isNaN(at.getTime())) {
+    const err = new Error('Cursor inválido');
+    err.status = 400;
+    throw err;
+  }
+  return { at, key };
+}
+
+const compareDesc = (a, b) =>
+  (b.at - a.at) || (a.key < b.key ? 1 : a.key > b.key ? -1 : 0);
+
+// Rango de fechas sobre `field`; un rango vacío no filtra
+const inRange = (field, range) => (Object.keys(range).length ? { [field]: range } : {});
+
+const isAfterCursor = (e, c) =>
+  !c || e.at < c.at || (e.at.getTime() === c.at.getTime() && e.key < c.key);
+
+function parseModules(raw) {
+  if (!raw) return [...TIMELINE_MODULES];
+  const list = String(raw).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+  const invalid = list.filter((m) => !TIMELINE_MODULES.includes(m));
+  if (invalid.length) {
+    const err = new Error(`Módulos no válidos: ${invalid.join(', ')}. Permitidos: ${TIMELINE_MODULES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return [...new Set(list)];
+}
+
+/* ---------------------------- Fuentes ---------------------------- */
+// Cada fuente devuelve eventos normalizados { at, key, module, action, entity, entityId, summary, ... }
+
+async function auditEvents(uid, range, n) {
+  const id = String(uid);
+  const rows = await Movement.find({ $or: [{ 'user.id': id }, { 'actor.id': id }], ...inRange('createdAt', range) })
+    .select('action entity entityId actor.id user.id response.statusCode response.success response.message request.method request.path createdAt')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(n)
+    .lean();
+
+  return rows.map((m) => ({
+    at: m.createdAt,
+    key: `audit:${m._id}`,
+    module: 'audit',
+    action: m.action,
+    entity: m.entity,
+    entityId: m.entityId,
+    summary: m.response?.message || `${m.request?.method || ''} ${m.request?.path || ''}`.trim(),
+    success: m.response?.success ?? null,
+    statusCode: m.response?.statusCode ?? null,
+    // Acción hecha con suplantación (actor distinto de user)
+    impersonated: Boolean(m.actor?.id) && m.actor.id !== m.user?.id,
+  }));
+}
+
+async function correspondenciaEvents(uid, range, n) {
+  const mine = { $or: [{ 'historial.actorUserId': uid }, { 'historial.onBehalfOfUserId': uid }] };
+  const rows = await Correspondencia.aggregate([
+    { $match: mine },
+    { $unwind: { path: '$historial', includeArrayIndex: 'idx' } },
+    { $match: { ...mine, ...inRange('historial.at', range) } },
+    { $sort: { 'historial.at': -1, _id: -1, idx: -1 } },
+    { $limit: n },
+    { $project: { regExpediente: 1, idx: 1, h: '$historial' } },
+  ]);
+
+  return rows.map((r) => ({
+    at: r.h.at,
+    key: `correspondencia:${r._id}:${String(r.idx).padStart(6, '0')}`,
+    module: 'correspondencia',
+    action: r.h.action,
+    entity: 'CORRESPONDENCIA',
+    entityId: String(r._id),
+    summary: [r.regExpediente, r.h.fromState && r.h.toState ? `${r.h.fromState} → ${r.h.toState}` : r.h.toState]
+      .filter(Boolean).join(' · '),
+    notes: r.h.notes || '',
+    onBehalfOf: r.h.onBehalfOfLabel || null,
+  }));
+}
+
+async function inventoryEvents(uid, range, n) {
+  const [created, decided] = await Promise.all([
+    // Solicitudes que registró el usuario; las anteriores a createdBy se atribuyen a fromUser
+    TransferRequest.find({
+      $or: [{ createdBy: uid }, { createdBy: { $exists: false }, fromUser: uid }],
+      ...inRange('createdAt', range),
+    })
+      .select('item toUser status motivo createdAt')
+      .populate('item', 'noBien nombreBien')
+      .populate('toUser', 'email nombre')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(n)
+      .lean(),
+    TransferRequest.find({ $or: [{ decidedBy: uid }, { decidedOnBehalfOf: uid }], decidedAt: { $ne: null, ...range } })
+      .select('item fromUser toUser status decidedBy decidedOnBehalfOf decidedAt rejectionReason')
+      .populate('item', 'noBien nombreBien')
+      .sort({ decidedAt: -1, _id: -1 })
+      .limit(n)
+      .lean(),
+  ]);
+
+  const itemLabel = (t) => [t.item?.noBien, t.item?.nombreBien].filter(Boolean).join(' - ');
+
+  return [
+    ...created.map((t) => ({
+      at: t.createdAt,
+      key: `inventory:${t._id}:1`,
+      module: 'inventory',
+      action: 'TRANSFER_REQUEST',
+      entity: 'TRANSFER_REQUEST',
+      entityId: String(t._id),
+      summary: `${itemLabel(t)} → ${t.toUser?.nombre || t.toUser?.email || ''}`.trim(),
+      status: t.status,
+    })),
+    ...decided.map((t) => ({
+      at: t.decidedAt,
+      key: `inventory:${t._id}:2`,
+      module: 'inventory',
+      action: t.status === 'APPROVED' ? 'TRANSFER_APPROVE' : 'TRANSFER_REJECT',
+      entity: 'TRANSFER_REQUEST',
+      entityId: String(t._id),
+      summary: t.status === 'REJECTED' && t.rejectionReason
+        ? `${itemLabel(t)} · ${t.rejectionReason}`
+        : itemLabel(t),
+      status: t.status,
+      onBehalfOf: t.decidedOnBehalfOf ? String(t.decidedOnBehalfOf) : null,
+    })),
+  ];
+}
+
+async function cardexEvents(uid, range, n) {
+  const rows = await Cardex.find({ uploadedBy: uid, ...inRange('createdAt', range) })
+    .select('titulo categoria createdAt')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(n)
+    .lean();
+
+  return rows.map((c) => ({
+    at: c.createdAt,
+    key: `cardex:${c._id}`,
+    module: 'cardex',
+    action: 'CARDEX_CREATE',
+    entity: 'CARDEX',
+    entityId: String(c._id),
+    summary: c.titulo,
+    categoria: c.categoria,
+  }));
+}
+
+async function muralEvents(uid, range, n) {
+  const rows = await Mural.find({ createdBy: uid, ...inRange('createdAt', range) })
+    .select('title status createdAt')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(n)
+    .lean();
+
+  return rows.map((m) => ({
+    at: m.createdAt,
+    key: `mural:${m._id}`,
+    module: 'mural',
+    action: 'MURAL_CREATE',
+    entity: 'MURAL',
+    entityId: String(m._id),
+    summary: m.title,
+    status: m.status,
+  }));
+}
+
+const SOURCES = {
+  audit: auditEvents,
+  correspondencia: correspondenciaEvents,
+  inventory: inventoryEvents,
+  cardex: cardexEvents,
+  mural: muralEvents,
+};
+
+/**
+ * GET /users/:userId/timeline
+ * Query: ?modules=audit,correspondencia,inventory,cardex,mural&limit=50&cursor=&from=&to=
+ * Bitácora del usuario (Movement) + eventos de dominio donde fue el actor,
+ * ordenados del más reciente al más antiguo y agrupados por día (hora de Guatemala).
+ * Paginación por cursor: enviar `nextCursor` para la página siguiente.
+ */
+export const getUserTimeline = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) return handleErrorResponse(res, 400, 'ID inválido');
+
+  try {
+    const modules = parseModules(req.query.modules ?? req.query.module);
+    const cursor = decodeCursor(req.query.cursor);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const range = {};
+    if (req.query.from) range.$gte = new Date(req.query.from);
+    if (req.query.to) range.$lte = new Date(req.query.to);
+    if (Object.values(range).some((d) => Number.isNaN(d.getTime()))) {
+      return handleErrorResponse(res, 400, 'Rango de fechas inválido');
+    }
+    if (cursor && (!range.$lte || cursor.at < range.$lte)) range.$lte = cursor.at;
+
+    const user = await User.findById(userId).select('email nombre departamento isActive deletedAt').lean();
+    if (!user) return handleErrorResponse(res, 404, 'Usuario no encontrado');
+
+    const uid = user._id;
+    const n = limit + 1 + (cursor ? TIE_MARGIN : 0);
+    const lists = await Promise.all(modules.map((m) => SOURCES[m](uid, range, n)));
+
+    const merged = lists.flat()
+      .filter((e) => e.at && isAfterCursor(e, cursor))
+      .sort(compareDesc);
+
+    const page = merged.slice(0, limit);
+    const hasMore = merged.length > limit;
+
+    const days = [];
+    for (const e of page) {
+      const date = dayOf(e.at);
+      if (days[days.length - 1]?.date !== date) days.push({ date, items: [] });
+      const { key, ...item } = e;
+      days[days.length - 1].items.push(item);
+    }
+
+    return res.status(200).json({
+      success: true,
+      user: { id: user._id, nombre: user.nombre, email: user.email, departamento: user.departamento, isActive: user.isActive, deletedAt: user.deletedAt || null },
+      modules,
+      count: page.length,
+      days,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    });
+  } catch (err) {
+    if (err.status) return handleErrorResponse(res, err.status, err.message);
+    console.error('Error al obtener la línea de tiempo del usuario:', err);
+    return handleErrorResponse(res, 500, 'Error al obtener la línea de tiempo del usuario', err.message);
+  }
+};
@@ -1,25 +1,7 @@
 // src/models/User.js
 import mongoose from 'mongoose';
 import argon2 from 'argon2';
-
-export const DEPARTAMENTOS = Object.freeze([
-  'DIRECCION',
-  'AREA FINANCIERA',
-  'AREA DE MATERIALES EDUCATIVOS',
-  'AREA ADMINISTRATIVA',
-
-  'SUBDIRECCION EVALUACION CURRICULAR',
-  'PRIMARIA',
-  'EVALUACION',
-  'DESAROLLO',
-
-  'SUBDIRECCION DISEÑO Y DESAROLLO CURRICULAR',
-  'INICIAL Y PREPRIMARIA',
-  'BASICO',
-  'DIVERSIFICADO',
-  
-  
-]);
+import { departmentCodeValidator } from '../helpers/departments.js';
 
 export const ROLES = Object.freeze([
   
@@ -37,6 +19,12 @@ export const ROLES = Object.freeze([
   'ADMIN',
 ]);
 
+// Roles que se pueden ejercer como cargo adicional (interinato, subdirección + departamento)
+export const ASSIGNMENT_ROLES = Object.freeze(['DIRECTOR', 'SUBDIRECTOR', 'JEFE', 'TECNICO', 'ASISTENTE']);
+
+// Estado de una cuenta creada por autoregistro (/auth/register)
+export const REGISTRATION_STATUS = Object.freeze(['PENDING', 'APPROVED', 'REJECTED']);
+
 const PEPPER = process.env.PASSWORD_PEPPER || '';
 const ARGON_OPTS = {
   type: argon2.argon2id,
@@ -45,10 +33,37 @@ const ARGON_OPTS = {
   parallelism: 1,
 };
 
+// Tope de hashes guardados; la política decide cuántos se comparan
+const PASSWORD_HISTORY_MAX = 24;
+
 function withPepper(plain) {
   return `${plain}${PEPPER}`;
 }
 
+// Cargo adicional: departamento + rol, con vigencia opcional (ver helpers/assignments.js)
+const AssignmentSchema = new mongoose.Schema(
+  {
+    departamento: {
+      type: String,
+      validate: departmentCodeValidator,
+      required: [true, 'El departamento es obligatorio'],
+    },
+    role: { type: String, enum: ASSIGNMENT_ROLES, required: [true, 'El rol es obligatorio'] },
+    startsAt: { type: Date, default: null }, // null = desde ya
+    endsAt: { type: Date, default: null },   // null = sin vencimiento
+    motivo: { type: String, trim: true, maxlength: 300, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AssignmentSchema.pre('validate', function (next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'La fecha de fin debe ser posterior a la de inicio');
+  }
+  next();
+});
+
 const UserSchema = new mongoose.Schema(
   {
     email: {
@@ -73,7 +88,8 @@ const UserSchema = new mongoose.Schema(
     },
     departamento: {
       type: String,
-      enum: DEPARTAMENTOS,
+      // Código de la colección Department (ver helpers/departments.js)
+      validate: departmentCodeValidator,
       required: [true, 'El departamento es obligatorio'],
     },
     roles: {
@@ -85,17 +101,66 @@ const UserSchema = new mongoose.Schema(
         message: 'Debe existir al menos un rol',
       },
     },
+    // Cargos adicionales (Jefe interino en otro departamento, etc.); cuentan para autorización y bandejas
+    assignments: { type: [AssignmentSchema], default: [] },
     // Seguridad
     password: {
       type: String,
-      required: [true, 'La contraseña es obligatoria'],
+      // Un usuario invitado no tiene contraseña hasta aceptar la invitación;
+      // uno creado por SSO (aprovisionamiento JIT) puede no tenerla nunca
+      required: [function () { return !this.pendingInvitation && !this.sso?.subject; }, 'La contraseña es obligatoria'],
       minlength: [8, 'La contraseña debe tener al menos 8 caracteres'],
       select: false,
     },
+    // Hashes anteriores (más reciente primero) para impedir reutilización
+    passwordHistory: { type: [String], select: false, default: undefined },
+    // Verificación en dos pasos (TOTP)
+    twoFactor: {
+      enabled:       { type: Boolean, default: false },
+      enabledAt:     { type: Date },
+      secret:        { type: String, select: false },   // cifrado (AES-GCM)
+      pendingSecret: { type: String, select: false },   // durante el enrolamiento
+      recoveryCodes: { type: [String], select: false }, // hashes SHA-256
+      lastUsedStep:  { type: Number, select: false },   // impide reutilizar un código
+    },
+    // Identidad vinculada del proveedor SSO (OIDC): iss + sub del id_token
+    sso: {
+      issuer:      { type: String },
+      subject:     { type: String },
+      linkedAt:    { type: Date },
+      lastLoginAt: { type: Date },
+    },
+    // Autoregistro: la cuenta queda inactiva hasta que un ADMIN la aprueba.
+    // Sin `status` para cuentas creadas por administrador, invitación o SSO.
+    registration: {
+      status:          { type: String, enum: REGISTRATION_STATUS },
+      requestedAt:     { type: Date },
+      reviewedBy:      { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reviewedAt:      { type: Date },
+      rejectionReason: { type: String, trim: true, maxlength: 500 },
+    },
+    // Foto de perfil: un recorte cuadrado por tamaño (ver uploadAvatarToCloudinary)
+    avatar: {
+      variants: {
+        type: [{ size: Number, url: String, publicId: String, _id: false }],
+        default: undefined,
+      },
+      updatedAt: { type: Date },
+    },
     // Estado & auditoría
     isActive: { type: Boolean, default: true },
+    // Baja lógica: oculto en listados y sin acceso; se puede restaurar (ver offboarding.controller.js)
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    pendingInvitation: { type: Boolean, default: false },
     lastLoginAt: { type: Date },
     lastPasswordChangeAt: { type: Date },
+    // Se incrementa al cambiar credenciales/roles o desactivar: invalida los JWT emitidos antes (claim `tv`)
+    tokenVersion: { type: Number, default: 0 },
+    // Bloqueo por intentos fallidos (ver helpers/login-lockout.js)
+    failedLoginCount: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date },
+    lockedUntil: { type: Date, default: null },
   },
   {
     timestamps: true,
@@ -106,6 +171,13 @@ const UserSchema = new mongoose.Schema(
         ret.id = ret._id;
         delete ret._id;
         delete ret.password;
+        delete ret.passwordHistory;
+        if (ret.twoFactor) {
+          delete ret.twoFactor.secret;
+          delete ret.twoFactor.pendingSecret;
+          delete ret.twoFactor.recoveryCodes;
+          delete ret.twoFactor.lastUsedStep;
+        }
         return ret;
       },
     },
@@ -118,6 +190,9 @@ UserSchema.index(
   { unique: true, collation: { locale: 'en', strength: 2 } }
 );
 
+UserSchema.index({ 'sso.issuer': 1, 'sso.subject': 1 }, { sparse: true });
+UserSchema.index({ 'registration.status': 1, 'registration.requestedAt': -1 }, { sparse: true });
+
 // Hash con Argon2 si cambia el password
 UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -130,12 +205,37 @@ UserSchema.pre('save', async function (next) {
   }
 });
 
+// ¿Autoregistro aún no aprobado? (PENDING o REJECTED no pueden iniciar sesión)
+export const isRegistrationBlocked = (u) =>
+  ['PENDING', 'REJECTED'].includes(u?.registration?.status);
+
+// URL de la foto de perfil: la variante más chica que cubra `size` (o la mayor disponible)
+export const avatarUrlOf = (u, size = 256) => {
+  const variants = [...(u?.avatar?.variants || [])].sort((a, b) => a.size - b.size);
+  if (!variants.length) return null;
+  return (variants.find((v) => v.size >= size) || variants[variants.length - 1]).url;
+};
+
 // Métodos de instancia
 UserSchema.methods.matchPassword = function (candidate) {
   return argon2.verify(this.password, withPepper(candidate));
 };
 
+// ¿`candidate` coincide con la contraseña actual o alguna de las `n - 1` anteriores?
+// Requiere haber seleccionado `+password +passwordHistory`.
+UserSchema.methods.matchesRecentPassword = async function (candidate, n = 1) {
+  const hashes = [this.password, ...(this.passwordHistory || [])].filter(Boolean).slice(0, n);
+  for (const hash of hashes) {
+    if (await argon2.verify(hash, withPepper(candidate)).catch(() => false)) return true;
+  }
+  return false;
+};
+
 UserSchema.methods.setPassword = async function (newPlainPassword) {
+  // Guarda el hash saliente en el historial (sólo si se cargó; si no, se pisaría lo guardado)
+  if (this.password && this.isSelected('passwordHistory') && !this.isModified('password')) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, PASSWORD_HISTORY_MAX);
+  }
   this.password = newPlainPassword;
   this.lastPasswordChangeAt = new Date();
 };
@@ -3,6 +3,7 @@ import { Router } from 'express';
 import {
   createUser,
   getAllUsers,
+  lookupUsers,
   getUserById,
   updateUser,
   updateUserRoles,
@@ -14,9 +15,40 @@ import {
   updateDepartmentAndCargo,
   getUsersStats,
   exportUsersCsv,
+  resetUserTwoFactor,
+  unlockUser,
+  restoreUser,
 } from './user.controller.js';
+import {
+  inviteUser,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+} from './invitation.controller.js';
+import { importUsers } from './import.controller.js';
+import { updateUserAvatar, deleteUserAvatar } from './avatar.controller.js';
+import { getUserOffboarding, offboardUser } from './offboarding.controller.js';
+import { getUserTimeline } from './timeline.controller.js';
+import {
+  listUserAssignments,
+  addUserAssignment,
+  updateUserAssignment,
+  removeUserAssignment,
+} from './assignment.controller.js';
+import {
+  listRegistrations,
+  approveRegistration,
+  rejectRegistration,
+} from './registration.controller.js';
+import {
+  listUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+} from '../auth/session.controller.js';
 import { validateJWT } from '../middlewares/validate-jwt.js';
 import { requireDeptAndRole, selfOrDeptAndRole } from '../middlewares/authorize-dept-role.js';
+import { uploadSpreadsheet } from '../middlewares/upload-spreadsheet.js';
+import { uploadUserAvatar } from '../middlewares/multer-uploads.js';
 
 const router = Router();
 
@@ -24,7 +56,7 @@ const router = Router();
  * Grupos de autorización sugeridos.
  * Ajusta estos arrays según tu organigrama real.
  */
-const ADMIN_DEPTS = ['DESAROLLO'];
+const ADMIN_DEPTS = ['DESARROLLO'];
 const ADMIN_ROLES = ['ADMIN'];
 
 // --- Admin-like (crear, listar, stats, exportar, bulk) ---
@@ -36,9 +68,22 @@ router.post(
 );
 
 router.get('/', validateJWT, getAllUsers);
+router.get('/lookup', validateJWT, lookupUsers);
 router.get('/stats', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), getUsersStats);
 router.get('/export', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), exportUsersCsv);
 router.post('/bulk/active', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), bulkSetActive);
+router.post('/import', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), uploadSpreadsheet, importUsers);
+
+// --- Invitaciones (el usuario define su propia contraseña) ---
+router.post('/invite', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), inviteUser);
+router.get('/invitations', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), listInvitations);
+router.post('/invitations/:invitationId/resend', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), resendInvitation);
+router.delete('/invitations/:invitationId', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), revokeInvitation);
+
+// --- Solicitudes de autoregistro (/auth/register) ---
+router.get('/registrations', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), listRegistrations);
+router.post('/registrations/:userId/approve', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), approveRegistration);
+router.post('/registrations/:userId/reject', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), rejectRegistration);
 
 // --- Movimientos internos ---
 router.patch(
@@ -59,6 +104,10 @@ router.put(
   updateUser
 );
 
+// Foto de perfil (campo multipart `avatar`)
+router.put('/:userId/avatar', validateJWT, selfOrDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), uploadUserAvatar, updateUserAvatar);
+router.delete('/:userId/avatar', validateJWT, selfOrDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), deleteUserAvatar);
+
 router.patch(
   '/:userId/password',
   validateJWT,
@@ -74,16 +123,44 @@ router.patch(
   updateUserRoles
 );
 
+// --- Cargos adicionales: interinatos, subdirección + departamento (admin-like) ---
+router.get('/:userId/assignments', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), listUserAssignments);
+router.post('/:userId/assignments', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), addUserAssignment);
+router.patch('/:userId/assignments/:assignmentId', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), updateUserAssignment);
+router.delete('/:userId/assignments/:assignmentId', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), removeUserAssignment);
+
 // --- Activación/Desactivación (admin-like) ---
 router.patch('/:userId/deactivate', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), deactivateUser);
 router.patch('/:userId/activate', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), activateUser);
+router.patch('/:userId/unlock', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), unlockUser);
 
-// --- Eliminación (solo DIRECTOR de DIRECCION/AREA ADMINISTRATIVA) ---
+// --- Sesiones abiertas (admin-like) ---
+router.get('/:userId/sessions', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), listUserSessions);
+router.delete('/:userId/sessions', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), revokeAllUserSessions);
+router.delete('/:userId/sessions/:sessionId', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), revokeUserSession);
+
+// --- Verificación en dos pasos (admin-like) ---
+router.patch('/:userId/2fa/reset', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), resetUserTwoFactor);
+
+// --- Línea de tiempo de actividad (admin-like) ---
+router.get('/:userId/timeline', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), getUserTimeline);
+
+// --- Baja: pendientes y traspaso a un sucesor (admin-like) ---
+router.get('/:userId/offboarding', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), getUserOffboarding);
+router.post('/:userId/offboarding', validateJWT, requireDeptAndRole(ADMIN_DEPTS, ADMIN_ROLES), offboardUser);
+
+// --- Eliminación lógica y restauración (solo DIRECTOR de DIRECCION/AREA ADMINISTRATIVA) ---
 router.delete(
   '/:userId',
   validateJWT,
   requireDeptAndRole(['DIRECCION', 'AREA ADMINISTRATIVA'], ['DIRECTOR']),
   deleteUser
 );
+router.patch(
+  '/:userId/restore',
+  validateJWT,
+  requireDeptAndRole(['DIRECCION', 'AREA ADMINISTRATIVA'], ['DIRECTOR']),
+  restoreUser
+);
 
 export default router;
@@ -0,0 +1,173 @@
+// test/auth/oidc.test.js
+// Proveedor OIDC de prueba en proceso (discovery + JWKS + token endpoint) para el flujo
+// authorization code + PKCE de helpers/oidc.js y la vinculación de cuentas de oidc.controller.js.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const CLIENT_ID = 'digecur-test-client';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = 'idp-1';
+
+let server;
+let issuer;
+// Lo que devolverá el próximo canje: { code, codeChallenge, claims }
+let pending = null;
+
+const signIdToken = (claims, { key = privateKey, kid = KID, aud = CLIENT_ID, iss = issuer } = {}) =>
+  jwt.sign({ sub: 'sub-1', ...claims }, key, { algorithm: 'RS256', keyid: kid, audience: aud, issuer: iss, expiresIn: '5m' });
+
+function startIssuer() {
+  server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (req.url === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+      });
+    }
+    if (req.url === '/jwks') {
+      return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+    }
+    if (req.url === '/token' && req.method === 'POST') {
+      let raw = '';
+      req.on('data', (c) => { raw += c; });
+      req.on('end', () => {
+        const form = new URLSearchParams(raw);
+        const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+        if (!pending || form.get('code') !== pending.code || challenge !== pending.codeChallenge || form.get('client_id') !== CLIENT_ID) {
+          return send(400, { error: 'invalid_grant' });
+        }
+        const idToken = signIdToken(pending.claims);
+        pending = null;
+        return send(200, { id_token: idToken, token_type: 'Bearer' });
+      });
+      return undefined;
+    }
+    return send(404, { error: 'not_found' });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+}
+
+let oidc;
+let resolveSsoUser;
+let User;
+
+before(async () => {
+  await startIssuer();
+  issuer = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    JWT_SECRET: 'test',
+    OIDC_ISSUER: issuer,
+    OIDC_CLIENT_ID: CLIENT_ID,
+    OIDC_REDIRECT_URI: 'http://localhost/digecur/v1/auth/oidc/callback',
+  });
+  delete process.env.OIDC_GROUP_MAP;
+  oidc = await import('../../src/helpers/oidc.js');
+  ({ resolveSsoUser } = await import('../../src/auth/oidc.controller.js'));
+  ({ default: User } = await import('../../src/user/user.model.js'));
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+/* ============================ Protocolo ============================ */
+
+test('authorization code + PKCE contra el proveedor de prueba', async () => {
+  assert.equal(oidc.isOidcEnabled(), true);
+  const { state, nonce, codeVerifier, codeChallenge } = oidc.createPkce();
+
+  const url = new URL(await oidc.buildAuthorizationUrl({ state, nonce, codeChallenge }));
+  assert.equal(url.origin + url.pathname, `${issuer}/authorize`);
+  assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+  assert.equal(url.searchParams.get('client_id'), CLIENT_ID);
+
+  pending = { code: 'abc', codeChallenge, claims: { nonce, email: 'ana@digecur.gob.gt', email_verified: true, amr: ['pwd', 'mfa'] } };
+  const claims = await oidc.exchangeCode({ code: 'abc', codeVerifier, nonce });
+  assert.equal(claims.sub, 'sub-1');
+  assert.equal(oidc.emailFromClaims(claims), 'ana@digecur.gob.gt');
+  assert.equal(oidc.mfaFromClaims(claims), true);
+});
+
+test('el canje falla con un code_verifier distinto', async () => {
+  const { nonce, codeChallenge } = oidc.createPkce();
+  pending = { code: 'abc', codeChallenge, claims: { nonce } };
+  await assert.rejects(oidc.exchangeCode({ code: 'abc', codeVerifier: 'otro', nonce }), (e) => e.status === 502);
+});
+
+test('verifyIdToken rechaza nonce, audiencia, emisor o llave incorrectos', async () => {
+  const nonce = 'n-1';
+  assert.equal((await oidc.verifyIdToken(signIdToken({ nonce }), { nonce })).nonce, nonce);
+
+  const reject = (token, re) => assert.rejects(oidc.verifyIdToken(token, { nonce }), (e) => e.status === 401 && re.test(e.message));
+  await reject(signIdToken({ nonce: 'otro' }), /nonce inválido/);
+  await reject(signIdToken({ nonce }, { aud: 'otra-app' }), /audience invalid/);
+  await reject(signIdToken({ nonce }, { iss: 'http://otro' }), /issuer invalid/);
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  await reject(signIdToken({ nonce }, { key: other }), /invalid signature/);
+  await reject(signIdToken({ nonce }, { key: other, kid: 'desconocida' }), /llave desconocida/);
+});
+
+test('emailFromClaims sólo acepta un correo verificado', () => {
+  assert.equal(oidc.emailFromClaims({ preferred_username: 'jefe@digecur.gob.gt' }), null);
+  assert.equal(oidc.emailFromClaims({ upn: 'jefe@digecur.gob.gt', email: 'jefe@digecur.gob.gt' }), null);
+  assert.equal(oidc.emailFromClaims({ email: 'Jefe@Digecur.gob.gt', email_verified: false }), null);
+  assert.equal(oidc.emailFromClaims({ email: 'Jefe@Digecur.gob.gt', email_verified: true }), 'jefe@digecur.gob.gt');
+  assert.equal(oidc.emailFromClaims({ email: 'jefe@digecur.gob.gt', xms_edov: true }), 'jefe@digecur.gob.gt');
+});
+
+/* ============================ Vinculación de cuentas ============================ */
+
+const newUser = (extra = {}) =>
+  new User({ email: 'ana@digecur.gob.gt', nombre: 'Ana', departamento: 'DESARROLLO', roles: ['LECTOR'], isActive: true, ...extra });
+
+// User.findOne simulado: primero por iss+sub, luego por email
+function withUsers(users, fn) {
+  const original = User.findOne;
+  User.findOne = async (q) =>
+    users.find((u) => (q.email ? u.email === q.email : u.sso?.issuer === q['sso.issuer'] && u.sso?.subject === q['sso.subject'])) || null;
+  return Promise.resolve(fn()).finally(() => { User.findOne = original; });
+}
+
+const claims = (extra = {}) => ({ iss: issuer, sub: 'sub-1', ...extra });
+
+test('resolveSsoUser: una cuenta ya vinculada entra por iss+sub aunque no venga correo', () =>
+  withUsers([newUser({ sso: { issuer, subject: 'sub-1' } })], async () => {
+    const { user, created, rolesChanged } = await resolveSsoUser(claims());
+    assert.equal(user.email, 'ana@digecur.gob.gt');
+    assert.equal(created, false);
+    assert.equal(rolesChanged, false);
+  }));
+
+test('resolveSsoUser: vincula por correo sólo si el proveedor lo verificó', () =>
+  withUsers([newUser()], async () => {
+    await assert.rejects(
+      resolveSsoUser(claims({ preferred_username: 'ana@digecur.gob.gt' })),
+      (e) => e.status === 403 && /correo verificado/.test(e.message)
+    );
+    const { user } = await resolveSsoUser(claims({ email: 'ana@digecur.gob.gt', email_verified: true }));
+    assert.equal(user.sso.issuer, issuer);
+    assert.equal(user.sso.subject, 'sub-1');
+  }));
+
+test('resolveSsoUser: no toma una cuenta vinculada a otra identidad', () =>
+  withUsers([newUser({ sso: { issuer, subject: 'otro-sub' } })], () =>
+    assert.rejects(
+      resolveSsoUser(claims({ email: 'ana@digecur.gob.gt', email_verified: true })),
+      (e) => e.status === 403 && /otra identidad/.test(e.message)
+    )));
+
+test('resolveSsoUser: sin cuenta ni reglas JIT, o con invitación pendiente, no entra', async () => {
+  await withUsers([], () =>
+    assert.rejects(resolveSsoUser(claims({ email: 'nuevo@digecur.gob.gt', email_verified: true })), /No existe una cuenta/));
+  await withUsers([newUser({ pendingInvitation: true })], () =>
+    assert.rejects(resolveSsoUser(claims({ email: 'ana@digecur.gob.gt', email_verified: true })), /pendiente de activación/));
+  await withUsers([newUser({ isActive: false })], () =>
+    assert.rejects(resolveSsoUser(claims({ email: 'ana@digecur.gob.gt', email_verified: true })), /desactivado/));
+});
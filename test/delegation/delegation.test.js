@@ -0,0 +1,73 @@
+// test/delegation/delegation.test.js
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+let createDelegation;
+let Delegation;
+let User;
+let Movement;
+let users;
+let created;
+
+const oid = () => new mongoose.Types.ObjectId();
+
+const query = (result) => {
+  const q = { then: (ok, ko) => Promise.resolve(result).then(ok, ko) };
+  for (const m of ['select', 'lean']) q[m] = () => q;
+  return q;
+};
+
+const mockRes = () => ({
+  statusCode: 0,
+  body: null,
+  status(c) { this.statusCode = c; return this; },
+  json(b) { this.body = b; return this; },
+});
+
+before(async () => {
+  process.env.JWT_SECRET = 'test';
+  ({ createDelegation } = await import('../../src/delegation/delegation.controller.js'));
+  ({ default: Delegation } = await import('../../src/delegation/delegation.model.js'));
+  ({ default: User } = await import('../../src/user/user.model.js'));
+  ({ default: Movement } = await import('../../src/movements/movement.model.js'));
+});
+
+beforeEach(() => {
+  const me = { _id: oid(), email: 'ana@digecur.gob.gt', nombre: 'Ana', isActive: true };
+  const delegate = { _id: oid(), email: 'beto@digecur.gob.gt', nombre: 'Beto', isActive: true };
+  users = { me, delegate };
+  created = null;
+  User.findById = (id) => query(Object.values(users).find((u) => String(u._id) === String(id)) || null);
+  Delegation.exists = async () => null;
+  Delegation.create = async (doc) => { created = doc; return { ...doc, _id: oid(), toObject() { return { ...doc }; } }; };
+  Movement.create = async () => ({});
+});
+
+const run = (body) => {
+  const res = mockRes();
+  const req = { body, user: { id: String(users.me._id), roles: ['JEFE'] }, headers: {}, method: 'POST' };
+  return createDelegation(req, res).then(() => res);
+};
+
+const tomorrow = () => new Date(Date.now() + 86400000).toISOString();
+
+test('createDelegation: delega la propia bandeja en un usuario activo', async () => {
+  const res = await run({ delegateId: String(users.delegate._id), endsAt: tomorrow(), modules: ['inventory'] });
+  assert.equal(res.statusCode, 201, JSON.stringify(res.body));
+  assert.equal(String(created.delegate), String(users.delegate._id));
+  assert.deepEqual(created.modules, ['inventory']);
+});
+
+test('createDelegation: un delegado dado de baja cuenta como inexistente', async () => {
+  users.delegate.deletedAt = new Date();
+  const res = await run({ delegateId: String(users.delegate._id), endsAt: tomorrow() });
+  assert.equal(res.statusCode, 404);
+  assert.equal(created, null);
+});
+
+test('createDelegation: rechaza delegados inactivos y delegar en uno mismo', async () => {
+  users.delegate.isActive = false;
+  assert.equal((await run({ delegateId: String(users.delegate._id), endsAt: tomorrow() })).statusCode, 409);
+  assert.equal((await run({ delegateId: String(users.me._id), endsAt: tomorrow() })).statusCode, 400);
+});
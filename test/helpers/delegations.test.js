@@ -0,0 +1,77 @@
+// test/helpers/delegations.test.js
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+let delegatorsFor;
+let activeDelegationFilter;
+let onBehalfLabel;
+let invalidateDepartmentCatalog;
+let Delegation;
+let Department;
+let found;
+
+const oid = () => new mongoose.Types.ObjectId();
+
+// Consulta encadenable (populate/sort/lean) que resuelve a `result`
+const query = (result) => {
+  const q = { then: (ok, ko) => Promise.resolve(result).then(ok, ko) };
+  for (const m of ['select', 'sort', 'populate', 'lean']) q[m] = () => q;
+  return q;
+};
+
+const delegation = (delegator) => ({ _id: oid(), delegator, endsAt: new Date(Date.now() + 86400000) });
+
+before(async () => {
+  ({ delegatorsFor, activeDelegationFilter, onBehalfLabel } = await import('../../src/helpers/delegations.js'));
+  ({ invalidateDepartmentCatalog } = await import('../../src/helpers/departments.js'));
+  ({ default: Delegation } = await import('../../src/delegation/delegation.model.js'));
+  ({ default: Department } = await import('../../src/department/department.model.js'));
+});
+
+beforeEach(() => {
+  found = { filter: null, docs: [] };
+  invalidateDepartmentCatalog();
+  Department.find = () => query([{ _id: oid(), code: 'INVENTARIO', nombre: 'Inventario', isActive: true }]);
+  Delegation.find = (filter) => { found.filter = filter; return query(found.docs); };
+});
+
+test('activeDelegationFilter: vigentes y no revocadas en la fecha dada', () => {
+  const at = new Date('2026-01-15T00:00:00Z');
+  assert.deepEqual(activeDelegationFilter(at), { revokedAt: null, startsAt: { $lte: at }, endsAt: { $gt: at } });
+});
+
+test('delegatorsFor: busca por delegado y módulo y devuelve la forma de req.user', async () => {
+  const ana = { _id: oid(), email: 'ana@digecur.gob.gt', nombre: 'Ana', departamento: 'inventario', roles: ['jefe'], isActive: true };
+  found.docs = [delegation(ana), delegation(ana)];
+  const uid = String(oid());
+
+  const out = await delegatorsFor({ id: uid }, 'inventory');
+
+  assert.equal(found.filter.delegate, uid);
+  assert.deepEqual(found.filter.$or, [{ modules: { $size: 0 } }, { modules: 'inventory' }]);
+  assert.equal(out.length, 1, 'un delegante con dos delegaciones cuenta una vez');
+  assert.equal(out[0].id, String(ana._id));
+  assert.equal(out[0].departamento, 'INVENTARIO');
+  assert.deepEqual(out[0].roles, ['JEFE']);
+  assert.equal(out[0].delegationId, String(found.docs[0]._id));
+});
+
+test('delegatorsFor: descarta delegantes inactivos, eliminados o inexistentes', async () => {
+  found.docs = [
+    delegation({ _id: oid(), email: 'inactivo@digecur.gob.gt', isActive: false }),
+    delegation({ _id: oid(), email: 'baja@digecur.gob.gt', isActive: true, deletedAt: new Date() }),
+    delegation(null),
+  ];
+  assert.deepEqual(await delegatorsFor({ id: String(oid()) }, 'correspondencia'), []);
+});
+
+test('delegatorsFor: sin usuario no consulta', async () => {
+  Delegation.find = () => { throw new Error('no debe consultar'); };
+  assert.deepEqual(await delegatorsFor(null, 'inventory'), []);
+});
+
+test('onBehalfLabel: usa nombre, correo o id', () => {
+  assert.equal(onBehalfLabel({ nombre: 'Beto' }, { email: 'ana@digecur.gob.gt' }), 'Beto en nombre de ana@digecur.gob.gt');
+  assert.equal(onBehalfLabel({ id: 'u1' }, null), 'u1 en nombre de ?');
+});
@@ -0,0 +1,77 @@
+// test/helpers/generate-jwt.test.js
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+let m;
+let signerPem;
+
+before(async () => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  signerPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  process.env.JWT_PRIVATE_KEY = signerPem;
+  process.env.JWT_KEY_ID = 'test';
+  process.env.JWT_ISSUER = 'digecur-test';
+  delete process.env.JWT_AUDIENCE;
+  m = await import('../../src/helpers/generate-jwt.js');
+});
+
+const claimsOf = (token) => jwt.decode(token);
+
+test('los tokens de acceso llevan kid, iss y aud=JWT_AUDIENCE', async () => {
+  const token = await m.generateJWT('u1', { sid: 's1', tv: 0 });
+  const { header } = jwt.decode(token, { complete: true });
+  assert.equal(header.kid, 'test');
+  assert.equal(header.alg, 'RS256');
+  assert.equal(claimsOf(token).iss, 'digecur-test');
+  assert.equal(claimsOf(token).aud, 'digecur-test-api');
+
+  const payload = await m.verifyJWT(token);
+  assert.equal(payload.uid, 'u1');
+  assert.equal(payload.sid, 's1');
+});
+
+test('desafío 2FA e invitación: audiencia propia, no sirven como acceso', async () => {
+  for (const typ of Object.values(m.TOKEN_TYP)) {
+    const token = await m.generateJWT('u1', { typ });
+    assert.equal(claimsOf(token).aud, `digecur-test:${typ}`);
+    assert.equal((await m.verifyJWT(token, { typ })).typ, typ);
+    await assert.rejects(m.verifyJWT(token), /audience invalid/);
+  }
+  const challenge = await m.generateJWT('u1', { typ: m.TOKEN_TYP.TWO_FACTOR_CHALLENGE });
+  await assert.rejects(m.verifyJWT(challenge, { typ: m.TOKEN_TYP.INVITATION }), /audience invalid/);
+});
+
+test('un token de acceso no se acepta donde se espera un tipo especial', async () => {
+  const token = await m.generateJWT('u1', { sid: 's1' });
+  await assert.rejects(m.verifyJWT(token, { typ: m.TOKEN_TYP.TWO_FACTOR_CHALLENGE }), /audience invalid/);
+});
+
+test('token de enrolamiento 2FA: audiencia restringida que validateJWT sí acepta', async () => {
+  const token = await m.generateJWT('u1', { sid: 's1', scope: m.TOKEN_SCOPES.TWO_FACTOR_ENROLL });
+  assert.equal(claimsOf(token).aud, 'digecur-test:2fa-enroll');
+  assert.equal((await m.verifyJWT(token)).scope, m.TOKEN_SCOPES.TWO_FACTOR_ENROLL);
+});
+
+test('token de suplantación: audiencia propia que validateJWT sí acepta', async () => {
+  const token = await m.generateJWT('u1', { sid: 's1', act: { uid: 'admin', sid: 's0', tv: 0 } });
+  assert.equal(claimsOf(token).aud, 'digecur-test:impersonation');
+  assert.equal((await m.verifyJWT(token)).act.uid, 'admin');
+});
+
+test('rechaza aud que no corresponde a los claims', async () => {
+  // Firmado con la llave correcta, pero un token restringido con la audiencia de acceso completo
+  const forged = jwt.sign({ uid: 'u1', scope: m.TOKEN_SCOPES.TWO_FACTOR_ENROLL }, signerPem, {
+    algorithm: 'RS256', keyid: 'test', issuer: 'digecur-test', audience: 'digecur-test-api',
+  });
+  await assert.rejects(m.verifyJWT(forged), /Audiencia del token inválida/);
+});
+
+test('rechaza kid desconocido, otro algoritmo y otro emisor', async () => {
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  const opts = { algorithm: 'RS256', issuer: 'digecur-test', audience: 'digecur-test-api' };
+  await assert.rejects(m.verifyJWT(jwt.sign({ uid: 'u1' }, other, { ...opts, keyid: 'otra' })), /Llave de firma desconocida/);
+  await assert.rejects(m.verifyJWT(jwt.sign({ uid: 'u1' }, 'x', { ...opts, algorithm: 'HS256', keyid: 'test' })), /Llave de firma desconocida/);
+  await assert.rejects(m.verifyJWT(jwt.sign({ uid: 'u1' }, signerPem, { ...opts, keyid: 'test', issuer: 'otro' })), /issuer invalid/);
+});
@@ -0,0 +1,84 @@
+// test/helpers/jwt-keys.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+const KEY_ENV = ['JWT_SIGNING_KEYS', 'JWT_PRIVATE_KEY', 'JWT_KEY_ID', 'JWT_ALG', 'JWT_ACTIVE_KID', 'JWT_SECRET', 'NODE_ENV'];
+
+const pemPair = (type, options) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+};
+const rsa = () => pemPair('rsa', { modulusLength: 2048 });
+const ec = () => pemPair('ec', { namedCurve: 'prime256v1' });
+
+// El llavero se carga una vez por módulo: cada caso importa una instancia nueva
+let n = 0;
+const freshKeys = () => import(`../../src/helpers/jwt-keys.js?case=${++n}`);
+
+beforeEach(() => {
+  for (const k of KEY_ENV) delete process.env[k];
+});
+
+test('JWT_SIGNING_KEYS: firma con JWT_ACTIVE_KID y publica todas las llaves sin la parte privada', async () => {
+  const old = rsa();
+  const current = ec();
+  process.env.JWT_SIGNING_KEYS = JSON.stringify([
+    { kid: 'old', alg: 'RS256', publicKey: old.publicKey },
+    { kid: 'new', alg: 'ES256', privateKey: current.privateKey.replace(/\n/g, '\\n') },
+  ]);
+  process.env.JWT_ACTIVE_KID = 'new';
+  const { getSigningKey, getVerificationKey, getJwks } = await freshKeys();
+
+  assert.equal(getSigningKey().kid, 'new');
+  assert.equal(getSigningKey().alg, 'ES256');
+  assert.equal(getVerificationKey('old').alg, 'RS256');
+  assert.equal(getVerificationKey('nope'), null);
+
+  const { keys } = getJwks();
+  assert.deepEqual(keys.map((k) => [k.kid, k.alg, k.use]), [['old', 'RS256', 'sig'], ['new', 'ES256', 'sig']]);
+  assert.ok(keys.every((k) => !('d' in k)));
+});
+
+test('JWT_PRIVATE_KEY: una sola llave con JWT_KEY_ID', async () => {
+  process.env.JWT_PRIVATE_KEY = rsa().privateKey;
+  process.env.JWT_KEY_ID = 'k1';
+  const { getSigningKey, getJwks } = await freshKeys();
+  assert.equal(getSigningKey().kid, 'k1');
+  assert.equal(getJwks().keys.length, 1);
+});
+
+test('rechaza configuraciones inválidas', async () => {
+  const { publicKey } = rsa();
+  process.env.JWT_SIGNING_KEYS = JSON.stringify([{ kid: 'a', alg: 'RS256', publicKey }]);
+  await assert.rejects(freshKeys().then((m) => m.loadKeyRing()), /Ninguna llave tiene privateKey/);
+
+  const k = rsa();
+  process.env.JWT_SIGNING_KEYS = JSON.stringify([{ kid: 'a', privateKey: k.privateKey }, { kid: 'a', publicKey: k.publicKey }]);
+  await assert.rejects(freshKeys().then((m) => m.loadKeyRing()), /kid" repetidos/);
+
+  process.env.JWT_SIGNING_KEYS = JSON.stringify([{ kid: 'a', alg: 'ES256', privateKey: k.privateKey }]);
+  await assert.rejects(freshKeys().then((m) => m.loadKeyRing()), /no es EC/);
+
+  process.env.JWT_SIGNING_KEYS = JSON.stringify([{ kid: 'a', alg: 'HS256', privateKey: 'x' }]);
+  await assert.rejects(freshKeys().then((m) => m.loadKeyRing()), /Algoritmo no soportado/);
+
+  process.env.JWT_SIGNING_KEYS = '{';
+  await assert.rejects(freshKeys().then((m) => m.loadKeyRing()), /no es JSON válido/);
+});
+
+test('en producción exige llaves asimétricas aunque haya JWT_SECRET', async () => {
+  process.env.NODE_ENV = 'production';
+  process.env.JWT_SECRET = 'secreto';
+  await assert.rejects(freshKeys().then((m) => m.loadKeyRing()), /se requieren llaves asimétricas/);
+});
+
+test('fuera de producción usa HS256 con JWT_SECRET y no publica llaves', async () => {
+  process.env.JWT_SECRET = 'secreto';
+  const { getSigningKey, getJwks } = await freshKeys();
+  assert.equal(getSigningKey().alg, 'HS256');
+  assert.deepEqual(getJwks(), { keys: [] });
+});
@@ -0,0 +1,63 @@
+// test/helpers/xlsx.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { buildXlsx, readXlsx } from '../../src/helpers/xlsx.js';
+
+// ZIP mínimo con una sola hoja (sin workbook.xml readXlsx usa xl/worksheets/sheet1.xml)
+function sheetZip(rowsXml) {
+  const name = Buffer.from('xl/worksheets/sheet1.xml');
+  const raw = Buffer.from(`<worksheet><sheetData>${rowsXml}</sheetData></worksheet>`);
+  const body = zlib.deflateRawSync(raw);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(body.length, 18);
+  local.writeUInt32LE(raw.length, 22);
+  local.writeUInt16LE(name.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(body.length, 20);
+  central.writeUInt32LE(raw.length, 24);
+  central.writeUInt16LE(name.length, 28);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length + name.length, 12);
+  end.writeUInt32LE(local.length + name.length + body.length, 16);
+
+  return Buffer.concat([local, name, body, central, name, end]);
+}
+
+const cell = (ref, v) => `<c r="${ref}" t="inlineStr"><is><t>${v}</t></is></c>`;
+
+test('readXlsx lee lo que escribe buildXlsx', () => {
+  const buf = buildXlsx({ headers: ['email', 'nombre'], rows: [['a@b.com', 'Ana'], ['c@d.com', 'Cé & <Co>']] });
+  assert.deepEqual(readXlsx(buf), [['email', 'nombre'], ['a@b.com', 'Ana'], ['c@d.com', 'Cé & <Co>']]);
+});
+
+test('readXlsx respeta filas y celdas dispersas', () => {
+  const buf = sheetZip(`<row r="1">${cell('A1', 'x')}${cell('C1', 'z')}</row><row r="3">${cell('B3', 'y')}</row>`);
+  assert.deepEqual(readXlsx(buf), [['x', '', 'z'], [], ['', 'y']]);
+});
+
+test('readXlsx rechaza un índice de fila mayor que maxRows + 1 sin reservar la tabla', () => {
+  const buf = sheetZip(`<row r="3000000">${cell('A3000000', 'x')}</row>`);
+  assert.throws(() => readXlsx(buf, { maxRows: 100 }), /máximo de 100 filas/);
+  assert.deepEqual(readXlsx(sheetZip(`<row r="101">${cell('A101', 'x')}</row>`), { maxRows: 100 }).length, 101);
+});
+
+test('readXlsx rechaza columnas más allá de XFD', () => {
+  assert.throws(() => readXlsx(sheetZip(`<row r="1">${cell('XFE1', 'x')}</row>`)), /Columna fuera de rango/);
+  assert.equal(readXlsx(sheetZip(`<row r="1">${cell('XFD1', 'x')}</row>`))[0].length, 16384);
+});
+
+test('readXlsx descarta las filas vacías del final', () => {
+  const buf = sheetZip(`<row r="1">${cell('A1', 'x')}</row><row r="2">${cell('A2', ' ')}</row>`);
+  assert.deepEqual(readXlsx(buf), [['x']]);
+});
@@ -0,0 +1,94 @@
+// test/permission/permission.test.js
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+let updatePermissionGrants;
+let invalidateDepartmentCatalog;
+let Permission;
+let Department;
+let Movement;
+let saved;
+
+const oid = () => new mongoose.Types.ObjectId();
+
+const query = (result) => {
+  const q = { then: (ok, ko) => Promise.resolve(result).then(ok, ko) };
+  for (const m of ['select', 'sort', 'lean']) q[m] = () => q;
+  return q;
+};
+
+const mockRes = () => ({
+  statusCode: 0,
+  body: null,
+  status(c) { this.statusCode = c; return this; },
+  json(b) { this.body = b; return this; },
+});
+
+before(async () => {
+  process.env.JWT_SECRET = 'test';
+  ({ updatePermissionGrants } = await import('../../src/permission/permission.controller.js'));
+  ({ invalidateDepartmentCatalog } = await import('../../src/helpers/departments.js'));
+  ({ default: Permission } = await import('../../src/permission/permission.model.js'));
+  ({ default: Department } = await import('../../src/department/department.model.js'));
+  ({ default: Movement } = await import('../../src/movements/movement.model.js'));
+});
+
+beforeEach(() => {
+  saved = false;
+  invalidateDepartmentCatalog();
+  Department.find = () => query([
+    { _id: oid(), code: 'DIRECCION', nombre: 'Dirección', isActive: true },
+    { _id: oid(), code: 'DESARROLLO', nombre: 'Desarrollo', isActive: true },
+  ]);
+  Permission.findOne = async ({ key }) => ({
+    key,
+    grants: [],
+    toObject() { return { key, grants: this.grants }; },
+    async save() { saved = true; },
+  });
+  Movement.create = async () => ({});
+});
+
+const run = (user, grants) => {
+  const res = mockRes();
+  const req = { params: { key: 'permissions.manage' }, body: { grants }, user, headers: {}, method: 'PUT' };
+  return updatePermissionGrants(req, res).then(() => res);
+};
+
+// Administrador de DIRECCION tal como lo dejaría un token antiguo (nombre visible y rol en minúsculas)
+const admin = () => ({ id: String(oid()), departamento: 'Dirección', roles: ['admin'] });
+
+test('updatePermissionGrants: conserva el acceso si la concesión alcanza al usuario (departamento y rol canonizados)', async () => {
+  const res = await run(admin(), [{ departamentos: ['DIRECCION'], roles: ['ADMIN'] }]);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.equal(saved, true);
+});
+
+test('updatePermissionGrants: rechaza quitarse el acceso a sí mismo', async () => {
+  const res = await run(admin(), [{ departamentos: ['DIRECCION'], roles: ['DIRECTOR'] }]);
+  assert.equal(res.statusCode, 409);
+  assert.equal(saved, false);
+});
+
+// Técnico en DESARROLLO con un cargo vigente de ADMIN en DIRECCION
+const withAssignment = () => ({
+  id: String(oid()),
+  departamento: 'DESARROLLO',
+  roles: ['TECNICO'],
+  assignments: [{ id: 'a1', departamento: 'DIRECCION', role: 'ADMIN', startsAt: null, endsAt: null }],
+});
+
+test('updatePermissionGrants: un cargo adicional vigente cuenta como acceso conservado', async () => {
+  const res = await run(withAssignment(), [{ departamentos: ['DIRECCION'], roles: ['ADMIN'] }]);
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+  assert.equal(saved, true);
+});
+
+test('updatePermissionGrants: un cargo vencido no conserva el acceso', async () => {
+  const user = withAssignment();
+  user.assignments[0].endsAt = new Date(Date.now() - 1000);
+  const res = await run(user, [{ departamentos: ['DIRECCION'], roles: ['ADMIN'] }]);
+  assert.equal(res.statusCode, 409);
+  assert.equal(saved, false);
+});
@@ -0,0 +1,142 @@
+// test/user/offboarding.test.js
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+let planHandover;
+let offboardUser;
+let User;
+let TransferRequest;
+let InventoryItem;
+let Correspondencia;
+let Delegation;
+let Movement;
+let Session;
+
+const oid = () => new mongoose.Types.ObjectId();
+
+// Consulta encadenable (select/sort/populate/lean) que resuelve a `result`
+const query = (result) => {
+  const q = { then: (ok, ko) => Promise.resolve(result).then(ok, ko) };
+  for (const m of ['select', 'sort', 'populate', 'lean', 'limit']) q[m] = () => q;
+  return q;
+};
+
+const mockRes = () => ({
+  statusCode: 0,
+  body: null,
+  status(c) { this.statusCode = c; return this; },
+  json(b) { this.body = b; return this; },
+});
+
+before(async () => {
+  process.env.JWT_SECRET = 'test';
+  ({ planHandover } = await import('../../src/helpers/user-holdings.js'));
+  ({ offboardUser } = await import('../../src/user/offboarding.controller.js'));
+  ({ default: User } = await import('../../src/user/user.model.js'));
+  ({ default: TransferRequest } = await import('../../src/Inventory/transferRequest.model.js'));
+  ({ default: InventoryItem } = await import('../../src/Inventory/item.model.js'));
+  ({ default: Correspondencia } = await import('../../src/correspondencia/correspondencia.model.js'));
+  ({ default: Delegation } = await import('../../src/delegation/delegation.model.js'));
+  ({ default: Movement } = await import('../../src/movements/movement.model.js'));
+  ({ default: Session } = await import('../../src/auth/session.model.js'));
+});
+
+/* ============================ planHandover ============================ */
+
+test('planHandover: bienes sin traslado pendiente y traslados entrantes', () => {
+  const [me, succ, other] = [oid(), oid(), oid()];
+  const [item1, item2] = [oid(), oid()];
+  const holdings = {
+    inventory: [{ _id: item1 }, { _id: item2 }],
+    transfers: [
+      { _id: 't1', item: { _id: item1 }, fromUser: { _id: me }, toUser: { _id: other } }, // saliente: item1 ya se va
+      { _id: 't2', item: oid(), fromUser: { _id: other }, toUser: { _id: me } },          // entrante de un tercero
+      { _id: 't3', item: oid(), fromUser: succ, toUser: me },                              // entrante del sucesor
+    ],
+  };
+  const plan = planHandover(holdings, me, succ);
+  assert.deepEqual(plan.toTransfer.map((i) => String(i._id)), [String(item2)]);
+  assert.deepEqual(plan.retarget.map((t) => t._id), ['t2']);
+  assert.deepEqual(plan.reject.map((t) => t._id), ['t3']);
+});
+
+/* ============================ offboardUser ============================ */
+
+let calls;
+let state;
+
+beforeEach(() => {
+  calls = { insertMany: [], updateMany: [], delegations: 0, saved: 0 };
+  const me = new User({ email: 'sale@digecur.gob.gt', nombre: 'Sale', departamento: 'DESARROLLO', roles: ['TECNICO'], isActive: true });
+  me.save = async () => { calls.saved++; return me; };
+  const successor = { _id: oid(), email: 'entra@digecur.gob.gt', nombre: 'Entra', departamento: 'DESARROLLO', isActive: true };
+  const item = { _id: oid(), noBien: 'B-1' };
+  const fromThird = oid();
+  state = {
+    me,
+    successor,
+    adminId: String(oid()),
+    inventory: [item],
+    transfers: [
+      { _id: oid(), item: { _id: oid() }, fromUser: { _id: fromThird }, toUser: { _id: me._id }, status: 'PENDING' },
+      { _id: oid(), item: { _id: oid() }, fromUser: { _id: successor._id }, toUser: { _id: me._id }, status: 'PENDING' },
+    ],
+  };
+
+  User.findById = (id) => {
+    if (String(id) === String(state.me._id)) return Promise.resolve(state.me);
+    return query(String(id) === String(state.successor._id) ? state.successor : null);
+  };
+  User.findByIdAndUpdate = () => query({ tokenVersion: 1 });
+  InventoryItem.find = () => query(state.inventory);
+  TransferRequest.find = () => query(state.transfers);
+  TransferRequest.insertMany = async (docs) => { calls.insertMany.push(...docs); return docs.map((d) => ({ ...d, _id: oid() })); };
+  TransferRequest.updateMany = async (filter, update) => { calls.updateMany.push({ filter, update }); return { modifiedCount: filter._id.$in.length }; };
+  Correspondencia.find = () => query([]);
+  Delegation.find = () => query([]);
+  Delegation.updateMany = async () => { calls.delegations++; return { modifiedCount: 0 }; };
+  Movement.create = async () => ({});
+  Session.updateMany = async () => ({ modifiedCount: 0 }); // revocación de sesiones al desactivar
+});
+
+const run = (body) => {
+  const res = mockRes();
+  const req = { params: { userId: String(state.me._id) }, body, user: { id: state.adminId, roles: ['ADMIN'] }, headers: {}, method: 'POST' };
+  return offboardUser(req, res).then(() => res);
+};
+
+test('offboardUser: traslada bienes, redirige los entrantes al sucesor y rechaza los del propio sucesor', async () => {
+  const res = await run({ successorId: String(state.successor._id) });
+  assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+
+  assert.equal(calls.insertMany.length, 1);
+  assert.equal(String(calls.insertMany[0].toUser), String(state.successor._id));
+  assert.equal(calls.insertMany[0].createdBy, state.adminId);
+
+  const [retarget, reject] = calls.updateMany;
+  assert.deepEqual(retarget.filter._id.$in, [state.transfers[0]._id]);
+  assert.equal(String(retarget.update.$set.toUser), String(state.successor._id));
+  assert.deepEqual(reject.filter._id.$in, [state.transfers[1]._id]);
+  assert.equal(reject.update.$set.status, 'REJECTED');
+
+  assert.equal(res.body.transfersRetargeted.length, 1);
+  assert.equal(res.body.transfersRejected.length, 1);
+  assert.equal(calls.delegations, 1);
+  assert.equal(state.me.isActive, false);
+});
+
+test('offboardUser: el sucesor debe tener la cuenta activa y aprobada', async () => {
+  for (const extra of [{ isActive: false }, { deletedAt: new Date() }, { pendingInvitation: true }, { registration: { status: 'PENDING' } }]) {
+    state.successor = { ...state.successor, ...extra };
+    const res = await run({ successorId: String(state.successor._id) });
+    assert.equal(res.statusCode, 409, JSON.stringify(extra));
+    state.successor = { _id: state.successor._id, email: 'entra@digecur.gob.gt', nombre: 'Entra', isActive: true };
+  }
+  assert.equal(calls.insertMany.length + calls.updateMany.length, 0);
+});
+
+test('offboardUser: valida ids y que el sucesor sea otro usuario', async () => {
+  assert.equal((await run({ successorId: 'x' })).statusCode, 400);
+  assert.equal((await run({ successorId: String(state.me._id) })).statusCode, 400);
+});
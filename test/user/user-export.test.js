@@ -0,0 +1,49 @@
+// test/user/user-export.test.js
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let exportUsersCsv;
+let User;
+let Movement;
+
+const mockRes = () => ({
+  statusCode: 0,
+  body: null,
+  setHeader() {},
+  status(c) { this.statusCode = c; return this; },
+  json(b) { this.body = b; return this; },
+});
+
+before(async () => {
+  process.env.JWT_SECRET = 'test';
+  ({ exportUsersCsv } = await import('../../src/user/user.controller.js'));
+  ({ default: User } = await import('../../src/user/user.model.js'));
+  ({ default: Movement } = await import('../../src/movements/movement.model.js'));
+});
+
+beforeEach(() => {
+  Movement.create = async () => ({});
+});
+
+test('GET /users/export?format=xlsx rechaza exportaciones que no caben en memoria', async () => {
+  User.countDocuments = async () => 10001;
+  User.find = () => { throw new Error('no debe consultar los documentos'); };
+  const res = mockRes();
+  await exportUsersCsv({ query: { format: 'xlsx' }, headers: {}, header: () => undefined }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /format=csv/);
+});
+
+test('GET /users/export?format=xlsx genera el libro dentro del tope', async () => {
+  User.countDocuments = async () => 1;
+  const q = { then: (ok, ko) => Promise.resolve([{ _id: 'u1', email: 'ana@digecur.gob.gt', nombre: 'Ana' }]).then(ok, ko) };
+  for (const m of ['sort', 'limit', 'lean']) q[m] = () => q;
+  User.find = () => q;
+  const res = mockRes();
+  res.send = function (b) { this.body = b; return this; };
+  await exportUsersCsv({ query: { format: 'xlsx' }, headers: {}, header: () => undefined }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(Buffer.isBuffer(res.body));
+});
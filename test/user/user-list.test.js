@@ -0,0 +1,67 @@
+// test/user/user-list.test.js
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let getAllUsers;
+let User;
+let Movement;
+let calls;
+
+const docs = [
+  { _id: 'u1', email: 'ana@digecur.gob.gt', nombre: 'Ana', password: 'x' },
+  { _id: 'u2', email: 'beto@digecur.gob.gt', nombre: 'Beto', password: 'x' },
+];
+
+// Consulta encadenable que registra skip/limit
+const query = (result) => {
+  const q = { then: (ok, ko) => Promise.resolve(result).then(ok, ko) };
+  for (const m of ['select', 'sort', 'lean']) q[m] = () => q;
+  q.skip = (n) => { calls.skip = n; return q; };
+  q.limit = (n) => { calls.limit = n; return q; };
+  return q;
+};
+
+const mockRes = () => ({
+  statusCode: 0,
+  body: null,
+  set() { return this; },
+  status(c) { this.statusCode = c; return this; },
+  json(b) { this.body = b; return this; },
+});
+
+before(async () => {
+  process.env.JWT_SECRET = 'test';
+  ({ getAllUsers } = await import('../../src/user/user.controller.js'));
+  ({ default: User } = await import('../../src/user/user.model.js'));
+  ({ default: Movement } = await import('../../src/movements/movement.model.js'));
+});
+
+beforeEach(() => {
+  calls = { skip: undefined, limit: undefined, counted: 0 };
+  User.find = () => query(docs);
+  User.countDocuments = async () => { calls.counted += 1; return 42; };
+  Movement.create = async () => ({});
+});
+
+test('GET /users sin parámetros de página conserva la lista completa', async () => {
+  const res = mockRes();
+  await getAllUsers({ query: {}, headers: {}, header: () => undefined }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.total, 2);
+  assert.equal(res.body.users.length, 2);
+  assert.equal(res.body.pagination, undefined);
+  assert.equal(res.body.users[0].password, undefined);
+  assert.equal(calls.limit, undefined);
+  assert.equal(calls.counted, 0);
+});
+
+test('GET /users con limit pagina y cuenta el total', async () => {
+  const res = mockRes();
+  await getAllUsers({ query: { page: '3', limit: '10' }, headers: {}, header: () => undefined }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.pagination, { page: 3, limit: 10, total: 42, pages: 5 });
+  assert.equal(calls.skip, 20);
+  assert.equal(calls.limit, 10);
+});